@@ -0,0 +1,65 @@
+/* Reduções de base de cálculo por convênio ICMS - catálogo local por NCM
+ * Cada entrada lista as posições NCM (prefixos) alcançadas pelo convênio e a carga resultante:
+ * - cargaInterna: carga efetiva (%) nas operações internas da UF de destino, ou
+ *   percentualReducao: redução (%) aplicada sobre a alíquota interna vigente da UF
+ * - cargaInterestadual: carga efetiva (%) da operação de origem, pela alíquota interestadual nominal
+ * - cargaPorUF: carga interna própria de UFs que adotam carga diferente da do convênio
+ * As cargas cadastradas são as nacionais, fixadas no próprio convênio, e valem para qualquer UF:
+ * nenhuma entrada tem carga própria de UF (cargaPorUF vazio) até ser informada com a norma estadual.
+ * Os prefixos alcançam a posição inteira; a proposta deve ser conferida com o anexo do convênio. */
+
+const CONVENIOS_REDUCAO_BASE = [
+    {
+        id: 'conv-52-91-anexo-i',
+        convenio: 'Convênio ICMS 52/91',
+        descricao: 'Máquinas, aparelhos e equipamentos industriais (Anexo I)',
+        referenciaLegal: 'Convênio ICMS 52/91, cláusula primeira e Anexo I',
+        ncmPrefixos: [
+            '8402', '8404', '8405', '8406', '8416', '8417', '8420', '8425', '8426', '8428', '8429', '8430',
+            '8439', '8440', '8441', '8444', '8445', '8446', '8447', '8449', '8453', '8454', '8455',
+            '8456', '8457', '8458', '8459', '8460', '8461', '8462', '8463', '8464', '8465', '8474',
+            '8475', '8477', '8514', '8515'
+        ],
+        cargaInterna: 8.80,
+        cargaInterestadual: { 7: 5.14, 12: 8.80 }, // S/SE → N/NE/CO/ES | demais operações
+        cargaPorUF: {}
+    },
+    {
+        id: 'conv-52-91-anexo-ii',
+        convenio: 'Convênio ICMS 52/91',
+        descricao: 'Máquinas e implementos agrícolas (Anexo II)',
+        referenciaLegal: 'Convênio ICMS 52/91, cláusula segunda e Anexo II',
+        ncmPrefixos: ['8432', '8433', '8436', '842481', '87019'],
+        cargaInterna: 5.60,
+        cargaInterestadual: { 7: 4.10, 12: 5.60 },
+        cargaPorUF: {}
+    },
+    {
+        id: 'conv-100-97-cl-1',
+        convenio: 'Convênio ICMS 100/97',
+        descricao: 'Insumos agropecuários - redução de 60% (cláusula primeira)',
+        referenciaLegal: 'Convênio ICMS 100/97, cláusulas primeira e terceira',
+        ncmPrefixos: ['3808', '2309', '3101', '3102', '3103', '3104', '3105'],
+        percentualReducao: 60,
+        cargaPorUF: {}
+    },
+    {
+        id: 'conv-100-97-cl-2',
+        convenio: 'Convênio ICMS 100/97',
+        descricao: 'Insumos agropecuários - redução de 30% (cláusula segunda)',
+        referenciaLegal: 'Convênio ICMS 100/97, cláusulas segunda e terceira',
+        ncmPrefixos: ['2306', '2520', '2521'],
+        percentualReducao: 30,
+        cargaPorUF: {}
+    }
+];
+
+/* Exportar para uso global */
+if (typeof window !== 'undefined') {
+    window.CONVENIOS_REDUCAO_BASE = CONVENIOS_REDUCAO_BASE;
+}
+
+/* Para uso em Node.js se necessário */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONVENIOS_REDUCAO_BASE };
+}
@@ -226,6 +226,103 @@ const ESTADOS_BRASIL = [
     }
 ];
 
+/* Histórico de alíquotas internas por UF - vigência a partir de "inicio" (AAAA-MM-DD)
+ * Cada entrada traz apenas o que mudou; fcp, fcpMax e metodologia não informados seguem ESTADOS_BRASIL.
+ * A última entrada de cada UF é a alíquota atual de ESTADOS_BRASIL. UFs sem alteração desde 2016 não constam. */
+const HISTORICO_ALIQUOTAS_UF = {
+    'AC': [
+        { inicio: '2016-01-01', aliqInterna: 17.0 },
+        { inicio: '2023-04-01', aliqInterna: 19.0 }
+    ],
+    'AL': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 }, // 17% + 1% FECOEP
+        { inicio: '2023-04-01', aliqInterna: 20.0 }  // 19% + 1% FECOEP
+    ],
+    'AM': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2023-04-01', aliqInterna: 20.0 }
+    ],
+    'BA': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2023-04-01', aliqInterna: 19.0 },
+        { inicio: '2024-02-20', aliqInterna: 20.5 }
+    ],
+    'CE': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2024-01-01', aliqInterna: 20.0 }
+    ],
+    'DF': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2024-01-01', aliqInterna: 20.0 }
+    ],
+    'GO': [
+        { inicio: '2016-01-01', aliqInterna: 17.0 },
+        { inicio: '2023-04-01', aliqInterna: 19.0 }
+    ],
+    'MA': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2023-01-01', aliqInterna: 20.0 },
+        { inicio: '2024-02-23', aliqInterna: 22.0 },
+        { inicio: '2025-02-23', aliqInterna: 23.0 }
+    ],
+    'PA': [
+        { inicio: '2016-01-01', aliqInterna: 17.0 },
+        { inicio: '2023-04-01', aliqInterna: 19.0 }
+    ],
+    'PB': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2023-01-01', aliqInterna: 20.0 }
+    ],
+    'PR': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2023-03-13', aliqInterna: 19.5 }
+    ],
+    'PE': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2024-01-01', aliqInterna: 20.5 }
+    ],
+    'PI': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2023-04-01', aliqInterna: 21.0 },
+        { inicio: '2025-04-01', aliqInterna: 22.5 }
+    ],
+    'RJ': [
+        { inicio: '2016-01-01', aliqInterna: 20.0 }, // 18% + 2% FECP
+        { inicio: '2024-03-20', aliqInterna: 22.0 }  // 20% + 2% FECP
+    ],
+    'RN': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2023-04-01', aliqInterna: 20.0 },
+        { inicio: '2024-01-01', aliqInterna: 18.0 },
+        { inicio: '2025-03-20', aliqInterna: 20.0 }
+    ],
+    'RS': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2021-01-01', aliqInterna: 17.5 },
+        { inicio: '2022-01-01', aliqInterna: 17.0 }
+    ],
+    'RO': [
+        { inicio: '2016-01-01', aliqInterna: 17.5 },
+        { inicio: '2023-04-01', aliqInterna: 19.5 }
+    ],
+    'RR': [
+        { inicio: '2016-01-01', aliqInterna: 17.0 },
+        { inicio: '2023-04-01', aliqInterna: 20.0 }
+    ],
+    'SE': [
+        { inicio: '2016-01-01', aliqInterna: 19.0 }, // 18% + 1% FECOEP
+        { inicio: '2023-04-01', aliqInterna: 20.0 }  // 19% + 1% FECOEP
+    ],
+    'TO': [
+        { inicio: '2016-01-01', aliqInterna: 18.0 },
+        { inicio: '2023-04-01', aliqInterna: 20.0 }
+    ]
+};
+
+/* Vigências editadas pelo usuário (DifalRateTable): UF → lista completa de vigências,
+ * substitui o histórico do código para a UF */
+let tabelaAliquotasPersonalizada = {};
+
 /* Alíquotas Interestaduais ICMS */
 const ALIQUOTAS_INTERESTADUAIS = {
     // Alíquotas padrão para operações interestaduais
@@ -234,6 +331,15 @@ const ALIQUOTAS_INTERESTADUAIS = {
     'norte-nordeste-co': 7 // De/para Norte, Nordeste e Centro-Oeste
 };
 
+/* Códigos IBGE das UFs (2 primeiros dígitos do código de município) */
+const CODIGOS_IBGE_UF = {
+    '11': 'RO', '12': 'AC', '13': 'AM', '14': 'RR', '15': 'PA', '16': 'AP', '17': 'TO',
+    '21': 'MA', '22': 'PI', '23': 'CE', '24': 'RN', '25': 'PB', '26': 'PE', '27': 'AL', '28': 'SE', '29': 'BA',
+    '31': 'MG', '32': 'ES', '33': 'RJ', '35': 'SP',
+    '41': 'PR', '42': 'SC', '43': 'RS',
+    '50': 'MS', '51': 'MT', '52': 'GO', '53': 'DF'
+};
+
 /* CFOPs DIFAL - Apenas operações interestaduais SEM substituição tributária */
 const CFOPS_DIFAL = {
     'uso-consumo': [
@@ -241,6 +347,13 @@ const CFOPS_DIFAL = {
     ],
     'ativo-imobilizado': [
         '2551'  // Compra de bem para o ativo imobilizado (interestadual)
+    ],
+    'servico-transporte': [
+        '2352', // Aquisição de serviço de transporte por estabelecimento industrial
+        '2353', // Aquisição de serviço de transporte por estabelecimento comercial
+        '2354', // Aquisição de serviço de transporte por prestador de serviço de comunicação
+        '2355', // Aquisição de serviço de transporte por geradora/distribuidora de energia
+        '2356'  // Aquisição de serviço de transporte por produtor rural
     ]
 };
 
@@ -280,6 +393,13 @@ const EstadosUtil = {
         return todosCfops.includes(cfop.toString());
     },
 
+    /**
+     * Verifica se um CFOP é de aquisição interestadual de serviço de transporte (CT-e)
+     */
+    isCFOPTransporteDifal(cfop) {
+        return CFOPS_DIFAL['servico-transporte'].includes(cfop.toString());
+    },
+
     /**
      * Determina a destinação baseada no CFOP
      */
@@ -290,37 +410,113 @@ const EstadosUtil = {
         if (CFOPS_DIFAL['ativo-imobilizado'].includes(cfop.toString())) {
             return 'ativo-imobilizado';
         }
+        if (CFOPS_DIFAL['servico-transporte'].includes(cfop.toString())) {
+            return 'servico-transporte';
+        }
         return null;
     },
 
     /**
      * Determina a alíquota interestadual baseada na origem e destino
+     * Resolução SF 22/89: 7% quando a origem é Sul/Sudeste (exceto ES) e o
+     * destino é Norte, Nordeste, Centro-Oeste ou ES; 12% nas demais operações
      */
     obterAliquotaInterestadual(ufOrigem, ufDestino) {
-        const estadoOrigem = this.obterPorUF(ufOrigem);
-        const estadoDestino = this.obterPorUF(ufDestino);
+        const estadoOrigem = ufOrigem ? this.obterPorUF(ufOrigem) : null;
+        const estadoDestino = ufDestino ? this.obterPorUF(ufDestino) : null;
         
         if (!estadoOrigem || !estadoDestino) {
             return ALIQUOTAS_INTERESTADUAIS.padrao;
         }
 
-        // Regras específicas para alíquotas interestaduais
-        const regioesSulSudeste = ['Sul', 'Sudeste'];
-        const regioesNorteNordesteCO = ['Norte', 'Nordeste', 'Centro-Oeste'];
+        const origemSulSudeste = ['Sul', 'Sudeste'].includes(estadoOrigem.regiao) && estadoOrigem.uf !== 'ES';
+        const destinoNorteNordesteCO = !['Sul', 'Sudeste'].includes(estadoDestino.regiao) || estadoDestino.uf === 'ES';
         
-        // Se origem for Sul/Sudeste para Norte/Nordeste/CO ou vice-versa
-        if (
-            (regioesSulSudeste.includes(estadoOrigem.regiao) && 
-             regioesNorteNordesteCO.includes(estadoDestino.regiao)) ||
-            (regioesNorteNordesteCO.includes(estadoOrigem.regiao) && 
-             regioesSulSudeste.includes(estadoDestino.regiao))
-        ) {
+        if (origemSulSudeste && destinoNorteNordesteCO) {
             return ALIQUOTAS_INTERESTADUAIS['norte-nordeste-co'];
         }
         
         return ALIQUOTAS_INTERESTADUAIS.padrao;
     },
 
+    /**
+     * Alíquotas da UF vigentes na data do documento (interna, FCP mínimo/máximo e metodologia)
+     * Usa as vigências editadas na tabela de alíquotas, se houver, e senão HISTORICO_ALIQUOTAS_UF.
+     * UF sem histórico retorna o cadastro de ESTADOS_BRASIL; sem data, a vigência mais recente;
+     * datas anteriores ao histórico usam a primeira vigência conhecida
+     * @param {string} uf
+     * @param {string|Date} data - DDMMAAAA (SPED), AAAA-MM-DD (NF-e) ou Date
+     * @returns {{uf, aliqInterna, fcp, fcpMax, metodologia, vigenciaInicio, vigenciaFim}|null}
+     *   vigenciaFim é o início da vigência seguinte (exclusivo) ou null se ainda vigente
+     */
+    obterAliquotasVigentes(uf, data) {
+        const estado = uf ? this.obterPorUF(uf) : null;
+        if (!estado) return null;
+
+        const vigente = {
+            uf: estado.uf,
+            aliqInterna: estado.aliqInterna,
+            fcp: estado.fcp,
+            fcpMax: estado.fcpMax ?? estado.fcp,
+            metodologia: estado.metodologia,
+            vigenciaInicio: null,
+            vigenciaFim: null
+        };
+
+        const historico = tabelaAliquotasPersonalizada[estado.uf] || HISTORICO_ALIQUOTAS_UF[estado.uf];
+        if (!historico || historico.length === 0) return vigente;
+
+        // Sem data: vigência mais recente
+        const dataIso = this.normalizarDataVigencia(data);
+        let indice = dataIso ? 0 : historico.length - 1;
+        historico.forEach((entrada, i) => {
+            if (dataIso && entrada.inicio <= dataIso) indice = i;
+        });
+
+        historico.slice(0, indice + 1).forEach(({ inicio, ...campos }) => Object.assign(vigente, campos));
+        vigente.vigenciaInicio = historico[indice].inicio;
+        vigente.vigenciaFim = historico[indice + 1]?.inicio || null;
+        return vigente;
+    },
+
+    /**
+     * Substitui o histórico das UFs editadas na tabela de alíquotas (DifalRateTable)
+     * @param {Object} tabela - UF → [{ inicio, aliqInterna, fcp, fcpMax, metodologia }] em ordem de início
+     */
+    definirTabelaAliquotas(tabela) {
+        tabelaAliquotasPersonalizada = tabela || {};
+    },
+
+    /**
+     * Converte a data do documento para AAAA-MM-DD (comparável com as vigências)
+     * @param {string|Date} data - DDMMAAAA, AAAA-MM-DD[Thh:mm...] ou Date
+     * @returns {string|null}
+     */
+    normalizarDataVigencia(data) {
+        if (!data) return null;
+        if (data instanceof Date) {
+            return Number.isNaN(data.getTime()) ? null : data.toISOString().substring(0, 10);
+        }
+
+        const texto = data.toString().trim();
+        if (/^\d{8}$/.test(texto)) {
+            return `${texto.substring(4, 8)}-${texto.substring(2, 4)}-${texto.substring(0, 2)}`;
+        }
+        if (/^\d{4}-\d{2}-\d{2}/.test(texto)) {
+            return texto.substring(0, 10);
+        }
+        return null;
+    },
+
+    /**
+     * Obtém a UF a partir do código IBGE do município (7 dígitos)
+     * Retorna null para código ausente ou inválido
+     */
+    obterUFPorCodigoMunicipio(codMunicipio) {
+        if (!codMunicipio) return null;
+        return CODIGOS_IBGE_UF[codMunicipio.toString().trim().substring(0, 2)] || null;
+    },
+
     /**
      * Lista de UFs para preenchimento de selects
      */
@@ -342,8 +538,10 @@ const EstadosUtil = {
 /* Exportar para uso global */
 if (typeof window !== 'undefined') {
     window.ESTADOS_BRASIL = ESTADOS_BRASIL;
+    window.HISTORICO_ALIQUOTAS_UF = HISTORICO_ALIQUOTAS_UF;
     window.CFOPS_DIFAL = CFOPS_DIFAL;
     window.ALIQUOTAS_INTERESTADUAIS = ALIQUOTAS_INTERESTADUAIS;
+    window.CODIGOS_IBGE_UF = CODIGOS_IBGE_UF;
     window.EstadosUtil = EstadosUtil;
 }
 
@@ -351,8 +549,10 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         ESTADOS_BRASIL,
+        HISTORICO_ALIQUOTAS_UF,
         CFOPS_DIFAL,
         ALIQUOTAS_INTERESTADUAIS,
+        CODIGOS_IBGE_UF,
         EstadosUtil
     };
 }
\ No newline at end of file
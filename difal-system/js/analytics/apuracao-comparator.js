@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Apuração Comparator - DIFAL/FCP declarado (E300-E316) x recalculado
+ * @module ApuracaoComparator
+ * @description Agrupa o DIFAL de saída (EC 87/2015) e o FCP recalculados por UF e período
+ * e compara com a apuração declarada no Bloco E (E310), indicando recolhimento a menor ou a maior.
+ * O E300 é escriturado pelo remetente, por UF de destino: o DIFAL de entrada (uso/consumo e ativo)
+ * é apurado no E110 e não entra nesta comparação.
+ *
+ * Calculado por UF:
+ * - UF de destino: parcela do destino (ICMS UF destino) e FCP
+ * - UF do remetente: parcela da origem na partilha de 2016 a 2018 (ICMS UF origem)
+ *
+ * Período: o do arquivo em que o item foi escriturado (_periodo nos dados consolidados),
+ * ou o MM/AAAA do DT_DOC quando o item não traz o período.
+ *
+ * Valores declarados usados na comparação:
+ * - DIFAL: VL_TOT_DEBITOS_DIFAL (débitos das operações do período)
+ * - FCP:   VL_TOT_DEB_FCP
+ * Os valores a recolher (VL_RECOL_*) e as obrigações E316 são exibidos como referência.
+ *
+ * @author Sistema DIFAL
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+/**
+ * @class ApuracaoComparator
+ * @classdesc Compara a apuração DIFAL/FCP declarada com o cálculo do sistema
+ */
+class ApuracaoComparator {
+    /**
+     * @constructor
+     * @param {Object} options - Opções de configuração
+     * @param {number} options.tolerancia - Diferença aceita em R$ (arredondamentos)
+     */
+    constructor(options = {}) {
+        this.config = {
+            tolerancia: options.tolerancia ?? 0.01
+        };
+    }
+
+    /**
+     * Compara declarado x calculado por UF e período
+     * @public
+     * @param {Array<Object>} apuracoesDifal - Apurações E300 do parser (_periodo nos dados consolidados)
+     * @param {Array<Object>} resultados - Resultados do DifalSaidaCalculator
+     * @param {Object} contexto - { periodo: 'MM/AAAA' do arquivo (período único), ufPadrao: UF da empresa }
+     * @returns {{linhas: Array<Object>, resumo: Object}}
+     */
+    comparar(apuracoesDifal = [], resultados = [], contexto = {}) {
+        const grupos = new Map();
+
+        const obterGrupo = (uf, periodo) => {
+            const chave = `${uf}|${periodo}`;
+            if (!grupos.has(chave)) {
+                grupos.set(chave, {
+                    uf,
+                    periodo,
+                    difalCalculado: 0,
+                    fcpCalculado: 0,
+                    itensCalculados: 0,
+                    declarado: null
+                });
+            }
+            return grupos.get(chave);
+        };
+
+        apuracoesDifal.forEach(apuracao => {
+            const periodo = apuracao._periodo || this.formatarPeriodo(apuracao.dtInicio) || contexto.periodo || '';
+            const grupo = obterGrupo(apuracao.uf, periodo);
+            grupo.declarado = apuracao;
+        });
+
+        resultados
+            .filter(r => r && !r.erro)
+            .forEach(r => {
+                const periodo = r._periodo || contexto.periodo || this.formatarPeriodo(r.documento?.dtDoc);
+
+                const destino = obterGrupo(r.ufDestino, periodo);
+                destino.difalCalculado += r.icmsUfDestino || 0;
+                destino.fcpCalculado += r.valorFcp || 0;
+                destino.itensCalculados++;
+
+                // Partilha 2016-2018: a parcela da origem é apurada no E300 da UF do remetente
+                if (r.icmsUfOrigem > 0) {
+                    obterGrupo(r.ufOrigem || contexto.ufPadrao || '', periodo).difalCalculado += r.icmsUfOrigem;
+                }
+            });
+
+        const linhas = Array.from(grupos.values())
+            .map(grupo => this.montarLinha(grupo))
+            .sort((a, b) => this.chaveOrdenacao(a.periodo).localeCompare(this.chaveOrdenacao(b.periodo)) ||
+                a.uf.localeCompare(b.uf));
+
+        const resumo = {
+            totalUFs: linhas.length,
+            recolhimentoMenor: linhas.filter(l => l.situacao === 'a-menor').length,
+            recolhimentoMaior: linhas.filter(l => l.situacao === 'a-maior').length,
+            semApuracaoDeclarada: linhas.filter(l => !l.declarado).length
+        };
+
+        return { linhas, resumo };
+    }
+
+    /**
+     * Monta a linha de comparação de uma UF/período
+     * @private
+     * @param {Object} grupo - Valores agrupados
+     * @returns {Object}
+     */
+    montarLinha(grupo) {
+        const saldos = grupo.declarado?.saldos;
+        const difalDeclarado = saldos?.difal.totalDebitos || 0;
+        const fcpDeclarado = saldos?.fcp.totalDebitos || 0;
+
+        const difalCalculado = this.arredondar(grupo.difalCalculado);
+        const fcpCalculado = this.arredondar(grupo.fcpCalculado);
+
+        const diferencaDifal = this.arredondar(difalCalculado - difalDeclarado);
+        const diferencaFcp = this.arredondar(fcpCalculado - fcpDeclarado);
+        const diferencaTotal = this.arredondar(diferencaDifal + diferencaFcp);
+
+        let situacao = 'ok';
+        if (diferencaTotal > this.config.tolerancia) {
+            situacao = 'a-menor'; // Declarado abaixo do recalculado
+        } else if (diferencaTotal < -this.config.tolerancia) {
+            situacao = 'a-maior';
+        }
+
+        return {
+            uf: grupo.uf,
+            periodo: grupo.periodo,
+            declarado: !!grupo.declarado,
+            linhaE300: grupo.declarado?.linha || null,
+            itensCalculados: grupo.itensCalculados,
+            difalDeclarado,
+            difalCalculado,
+            diferencaDifal,
+            fcpDeclarado,
+            fcpCalculado,
+            diferencaFcp,
+            recolherDeclarado: this.arredondar((saldos?.difal.valorRecolher || 0) + (saldos?.fcp.valorRecolher || 0)),
+            obrigacoesE316: this.arredondar((grupo.declarado?.obrigacoes || []).reduce((sum, o) => sum + (o.valor || 0), 0)),
+            totalAjustes: grupo.declarado?.ajustes.length || 0,
+            situacao
+        };
+    }
+
+    /**
+     * Converte DDMMAAAA em MM/AAAA
+     * @private
+     * @param {string} data - Data DDMMAAAA
+     * @returns {string}
+     */
+    formatarPeriodo(data) {
+        if (!data || data.length !== 8) return '';
+        return `${data.substring(2, 4)}/${data.substring(4, 8)}`;
+    }
+
+    /**
+     * Chave AAAAMM do período ('MM/AAAA' ou rótulo 'MM/AAAA a MM/AAAA') para ordenação cronológica
+     * @private
+     * @param {string} periodo - Período exibido
+     * @returns {string}
+     */
+    chaveOrdenacao(periodo) {
+        const [, mes, ano] = /^(\d{2})\/(\d{4})/.exec(periodo || '') || [];
+        return mes ? `${ano}${mes}` : periodo || '';
+    }
+
+    /**
+     * Arredonda para centavos
+     * @private
+     */
+    arredondar(valor) {
+        return Math.round(valor * 100) / 100;
+    }
+}
+
+// Exportar globalmente
+if (typeof window !== 'undefined') {
+    window.ApuracaoComparator = ApuracaoComparator;
+}
+
+// Exportar se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApuracaoComparator;
+}
@@ -107,21 +107,47 @@ class DifalAppModular {
         
         this.configurationManager = new ConfigurationManager(this.eventBus, this.stateManager);
         window.configurationManager = this.configurationManager;
+        
+        // Perfis de filtro CFOP/CST usados no parsing
+        this.filterProfiles = new DifalFilterProfiles();
+        window.difalFilterProfiles = this.filterProfiles;
+        this.filterProfileEditor = new FilterProfileEditor(this.eventBus, this.filterProfiles);
+        
+        // Tabela de alíquotas por UF consultada pelos calculadores
+        this.rateTable = new DifalRateTable();
+        window.difalRateTable = this.rateTable;
+        this.rateTableEditor = new RateTableEditor(this.eventBus, this.rateTable);
+
+        // Regras de FCP por UF e NCM consultadas pelo calculador
+        this.fcpRules = new DifalFcpRules();
+        window.difalFcpRules = this.fcpRules;
+        this.fcpRulesEditor = new FcpRulesEditor(this.eventBus, this.fcpRules);
+
+        // Catálogo de reduções por convênio proposto na configuração por item
+        this.convenioCatalog = new DifalConvenioCatalog();
+        window.difalConvenioCatalog = this.convenioCatalog;
+
+        // Regras automáticas de configuração dos itens, por cliente
+        this.itemRules = new DifalItemRules();
+        window.difalItemRules = this.itemRules;
+        this.itemRulesEditor = new ItemRulesEditor(this.eventBus, this.itemRules, this.stateManager);
     }
 
     /**
      * Inicializa módulos especializados
      */
     initializeModules() {
+        // Periods Manager (gerenciamento de múltiplos períodos) - criado antes da UI, que reutiliza a instância
+        this.periodsManager = new PeriodsManager(this.stateManager, this.eventBus);
+        window.periodsManager = this.periodsManager;
+        
         // UI Manager (responsável por toda interface) - usa StateManager
         this.uiManager = new UIManager(this.eventBus, this.stateManager);
         
-        // Periods Manager (gerenciamento de múltiplos períodos)
-        this.periodsManager = new PeriodsManager(this.stateManager, this.eventBus);
-        
         // Parsers e Calculators modulares
         this.spedParser = new SpedParserModular(this.eventBus, this.modeManager);
-        this.difalCalculator = new DifalCalculatorSimple(this.eventBus, this.modeManager);
+        this.difalCalculator = new DifalCalculator(this.eventBus, this.stateManager);
+        this.difalSaidaCalculator = new DifalSaidaCalculator(this.eventBus);
     }
 
     /**
@@ -192,14 +218,17 @@ class DifalAppModular {
         }
 
         console.log(`📂 Orquestrando processamento: ${file.name}`);
-        const resultado = await this.spedParser.processarArquivo(file);
+        const resultado = await this.spedParser.processarArquivo(file, {
+            filtros: this.filterProfiles?.obterConfiguracaoParser()
+        });
         this.stateManager.setSpedData(resultado);
         this.currentData = resultado;
         return resultado;
     }
 
     /**
-     * Executa cálculo DIFAL (DELEGADO para DifalCalculatorModular)
+     * Executa cálculo DIFAL (DELEGADO para DifalCalculator)
+     * Único ponto de cálculo dos fluxos de período único, multi-período e exportação
      */
     async calculateDifal(configGeral = {}) {
         const spedData = this.stateManager.getSpedData();
@@ -207,16 +236,20 @@ class DifalAppModular {
             throw new Error('Nenhum dado SPED disponível para cálculo');
         }
 
+        // Empresa do SPED = DESTINO (onde chega a mercadoria); cada item traz a UF do seu estabelecimento
+        const ufDestino = spedData.dadosEmpresa?.uf;
+        if (!ufDestino) {
+            throw new Error('UF da empresa não identificada no SPED');
+        }
+        // Origem = UF do fornecedor (0150); a configuração geral só cobre participantes sem UF
+        const ufOrigem = configGeral.ufOrigem || null;
+
         console.log('🧮 Orquestrando cálculo DIFAL...');
         
-        // CORRETO: Empresa do SPED = DESTINO (onde chega a mercadoria)
-        const ufDestino = spedData.dadosEmpresa?.uf || 'GO';
-        // Origem = de onde vem a mercadoria (fornecedor) - deve ser diferente para gerar DIFAL
-        const ufOrigem = configGeral.ufOrigem || (ufDestino === 'SP' ? 'MG' : 'SP');
-        
         this.stateManager.setGlobalConfiguration(configGeral);
         
         this.difalCalculator.configurarUFs(ufOrigem, ufDestino);
+        this.difalCalculator.configurar(configGeral);
         this.difalCalculator.carregarItens(spedData.itensDifal);
         
         const resultados = this.difalCalculator.calcularTodos();
@@ -229,6 +262,24 @@ class DifalAppModular {
         return { resultados, totalizadores };
     }
 
+    /**
+     * Executa cálculo do DIFAL de saída - vendas a não contribuinte de outra UF (DELEGADO para DifalSaidaCalculator)
+     */
+    async calculateDifalSaida() {
+        const spedData = this.stateManager.getSpedData();
+        if (!spedData?.itensDifalSaida || spedData.itensDifalSaida.length === 0) {
+            throw new Error('Nenhuma venda a não contribuinte de outra UF (CFOP 6107/6108) nos dados carregados');
+        }
+
+        console.log('📤 Orquestrando cálculo do DIFAL de saída...');
+
+        this.difalSaidaCalculator.carregarItens(spedData.itensDifalSaida);
+        const resultados = this.difalSaidaCalculator.calcularTodos();
+        const totalizadores = this.difalSaidaCalculator.obterTotalizadores();
+
+        return { resultados, totalizadores };
+    }
+
     // === HANDLERS DE EVENTOS MODULARES ===
 
     onParsingCompleted(data) {
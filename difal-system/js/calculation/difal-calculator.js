@@ -1,68 +1,90 @@
 /**
- * DIFAL Calculator - Versão Modular
- * Integração completa com StateManager e ConfigurationManager
- * Corrige aplicação de benefícios fiscais
+ * DIFAL Calculator - Motor único de cálculo do DIFAL de entrada
+ * Calcula o DIFAL e o FCP das aquisições interestaduais (uso, consumo e ativo)
+ * para os fluxos de período único, multi-período e exportação:
+ * - UF de destino: estabelecimento que escriturou o documento (item.ufDestino, do registro
+ *   0000 / destinatário da NF-e), com fallback para a UF da empresa configurada
+ * - UF de origem: participante do documento (0150), com fallback para a UF da configuração geral
+ * - Alíquotas interna e FCP da UF de destino vigentes na data do documento (tabela de alíquotas)
+ * - Metodologia resolvida em DifalStrategies (configuração geral ou tabela da UF) e
+ *   detalhes da fórmula e base legal do módulo da UF em DifalFormulasUF
+ * - FCP por NCM nas regras da UF de destino (window.difalFcpRules)
+ * - Benefícios, FCP manual e flag de FCP por item (window.difalConfiguracoesItens)
  */
 
-class DifalCalculatorModular {
+// Origens de mercadoria importada (1, 2, 3 e 8 da tabela A do CST): alíquota interestadual de 4%
+const ORIGENS_IMPORTADOS = ['1', '2', '3', '8'];
+// Tributação da tabela B do CST: um código de 3 dígitos fora dela é CSOSN (Simples Nacional), sem origem.
+// O CST 02 (monofásico de combustíveis) fica de fora: origem 2 + 02 coincide com o CSOSN 202
+const TRIBUTACOES_CST = ['00', '10', '15', '20', '30', '40', '41', '50', '51', '53', '60', '61', '70', '90'];
+const ALIQUOTA_INTERESTADUAL_IMPORTADOS = 4;
+
+const DESCRICOES_BENEFICIO = Object.freeze({
+    'reducao-base': 'Redução de Base de Cálculo',
+    'reducao-aliquota-origem': 'Redução de Alíquota Origem',
+    'reducao-aliquota-destino': 'Redução de Alíquota Destino',
+    'isencao': 'Isenção Completa'
+});
+
+/**
+ * @class DifalCalculator
+ * @classdesc Cálculo do DIFAL por item com metodologias plugáveis
+ */
+class DifalCalculator {
+    /**
+     * @constructor
+     * @param {EventBus} eventBus - Sistema de eventos
+     * @param {StateManager} stateManager - Configurações por item
+     */
     constructor(eventBus, stateManager) {
         this.eventBus = eventBus;
         this.stateManager = stateManager;
-        
-        // Estados da calculadora
+
         this.ufOrigem = null;
         this.ufDestino = null;
+        this.metodologia = 'auto';
         this.itens = [];
         this.resultados = [];
         this.totalizadores = null;
-        
-        // Cache de dados de alíquotas
-        this.aliquotasCache = new Map();
-        
-        console.log('🧮 DIFAL Calculator Modular initialized');
-        this.init();
-    }
+        this.periodMetadata = null;
 
-    init() {
-        // Verificar dependências críticas
-        if (!window.EstadosUtil) {
-            console.error('❌ CRÍTICO: window.EstadosUtil não disponível! Verificar carregamento de estados-brasil.js');
-            throw new Error('EstadosUtil não disponível - sistema não pode calcular DIFAL');
-        } else {
-            console.log('✅ window.EstadosUtil disponível');
-        }
-        
-        // Event listeners
-        this.eventBus?.on(window.DIFAL_CONSTANTS?.EVENTS?.CONFIG_CHANGED, (data) => {
-            this.onConfigurationChanged(data);
-        });
-        
-        // *** REMOVIDO AUTO-CÁLCULO ***
-        // O cálculo deve ser chamado explicitamente pelo usuário, não automaticamente
-        // this.eventBus?.on(window.DIFAL_CONSTANTS?.EVENTS?.CALCULATION_REQUESTED, (data) => {
-        //     this.executeCalculation(data);
-        // });
+        console.log('🧮 DIFAL Calculator initialized');
     }
 
+    // ========== CONFIGURAÇÃO ==========
+
     /**
-     * Configura UFs de origem e destino
+     * Configura UFs de fallback: origem para participantes sem UF e destino para itens sem estabelecimento
+     * @public
+     * @param {string|null} origem
+     * @param {string} destino - UF da empresa
      */
     configurarUFs(origem, destino) {
-        this.ufOrigem = origem;
-        this.ufDestino = destino;
-        
-        console.log(`🎯 UFs configuradas: ${origem} → ${destino}`);
+        this.ufOrigem = origem || null;
+        this.ufDestino = destino || null;
+        console.log(`🎯 UFs configuradas: ${origem || 'origem do participante'} → ${destino}`);
+    }
+
+    /**
+     * Aplica a configuração geral do cálculo
+     * @public
+     * @param {Object} configGeral - { metodologia: 'auto'|id da estratégia }
+     */
+    configurar(configGeral = {}) {
+        this.metodologia = configGeral.metodologia || 'auto';
     }
 
     /**
      * Carrega itens para cálculo (suporte single/multi-period)
+     * @public
+     * @param {Array<Object>} itens
+     * @param {Object|null} periodMetadata - Metadados do período para análise multi-período
      */
     carregarItens(itens, periodMetadata = null) {
         this.itens = itens || [];
-        this.periodMetadata = periodMetadata; // Metadados do período para análise multi-período
+        this.periodMetadata = periodMetadata;
         console.log(`📦 ${this.itens.length} itens carregados para cálculo${periodMetadata ? ` (período: ${periodMetadata.periodo})` : ''}`);
-        
-        // Se há metadados de período, adicionar aos itens para rastreabilidade
+
         if (periodMetadata && this.itens.length > 0) {
             this.itens = this.itens.map(item => ({
                 ...item,
@@ -74,688 +96,488 @@ class DifalCalculatorModular {
                     dataFinal: periodMetadata.dataFinal
                 }
             }));
-            console.log(`🏷️ Metadados de período adicionados aos ${this.itens.length} itens`);
         }
     }
 
+    // ========== CÁLCULO ==========
+
     /**
      * Executa cálculo DIFAL para todos os itens
+     * @public
+     * @returns {Array<Object>}
+     * @throws {Error} Se não houver itens carregados
      */
     calcularTodos() {
         console.log('🚀 Iniciando cálculos DIFAL...');
-        
+
         if (!this.itens || this.itens.length === 0) {
             throw new Error('Nenhum item disponível para cálculo');
         }
 
-        this.resultados = [];
-        let totalDifal = 0;
-        let totalFcp = 0;
-        let totalBase = 0;
-        let totalItens = 0;
-        let itensComDifal = 0;
-
-        this.itens.forEach((item, index) => {
+        this.resultados = this.itens.map(item => {
             try {
-                const resultado = this.calcularItem(item);
-                this.resultados.push(resultado);
-                
-                totalDifal += resultado.valorDifal || 0;
-                totalFcp += resultado.valorFcp || 0;
-                totalBase += resultado.baseCalculo || 0;
-                totalItens++;
-                
-                if ((resultado.valorDifal || 0) > 0) {
-                    itensComDifal++;
-                }
+                return this.calcularItem(item);
             } catch (error) {
                 console.error(`❌ Erro ao calcular item ${item.codItem}:`, error);
-                this.resultados.push({
-                    ...item,
-                    erro: error.message,
-                    valorDifal: 0,
-                    valorFcp: 0,
-                    baseCalculo: 0
-                });
+                return { ...item, erro: error.message, valorDifal: 0, valorFcp: 0, baseCalculo: 0 };
             }
         });
 
-        const totalRecolher = totalDifal + totalFcp;
-
-        this.totalizadores = {
-            totalItens,
-            itensComDifal,
-            totalDifal,
-            totalFcp,
-            totalBase,
-            totalRecolher,
-            percentualComDifal: totalItens > 0 ? (itensComDifal / totalItens) * 100 : 0,
-            // Metadados do período para análise multi-período
-            periodMetadata: this.periodMetadata || null
-        };
-
+        this.totalizadores = this.totalizar(this.resultados);
         console.log('✅ Cálculos concluídos:', this.totalizadores);
         return this.resultados;
     }
 
     /**
-     * Retorna resultados formatados para análise multi-período
-     */
-    getResultadosParaMultiPeriodo() {
-        return {
-            resultados: this.resultados,
-            totalizadores: this.totalizadores,
-            periodMetadata: this.periodMetadata,
-            timestamp: new Date().toISOString(),
-            isMultiPeriod: !!this.periodMetadata
-        };
-    }
-
-    /**
-     * Calcula DIFAL para um item específico usando métodos Base Única/Base Dupla
+     * Calcula DIFAL e FCP de um item
+     * @public
+     * @param {Object} item - Item de itensDifal
+     * @returns {Object}
      */
     calcularItem(item) {
         const itemId = item.codItem;
-        const config = this.stateManager?.getItemConfiguration(itemId) || {};
-        
-        console.log(`🧮 Calculando item ${itemId} com método ${this.getMetodoCalculo(this.ufDestino)}:`, { item, config });
-
-        // Base de cálculo
-        let baseCalculo = item.baseCalculoDifal || 0;
-        
-        // Obter alíquotas
-        const aliqOrigem = this.obterAliquotaOrigem(item, config);
-        const aliqDestino = this.obterAliquotaDestino(item, config);
-        const aliqFcp = this.obterAliquotaFcp(item, config);
-        
-        // Debug das alíquotas obtidas
-        console.log(`🔍 DEBUG Alíquotas para item ${itemId}:`, {
-            aliqOrigem, 
-            aliqDestino, 
-            aliqFcp,
-            ufOrigem: this.ufOrigem,
-            ufDestino: this.ufDestino,
-            cfop: item.cfop
-        });
+        const configuracaoItem = this.obterConfiguracaoItem(itemId);
+
+        const baseCalculo = item.baseCalculoDifal || item.valorLiquido || item.valorItem || 0;
+        const ufOrigem = this.obterUfOrigemItem(item);
+        const ufDestino = this.obterUfDestinoItem(item);
+        const dataDocumento = item.documento?.dtDoc;
+
+        if (!ufDestino) {
+            throw new Error('UF do estabelecimento de destino não identificada');
+        }
+        // Importação não tem alíquota interestadual: não cair na alíquota padrão de 12%
+        if (ufOrigem === window.DifalFilterProfiles.UF_EXTERIOR) {
+            throw new Error('Participante do exterior (importação): sem DIFAL - tratar manualmente');
+        }
 
-        let calculo = {
+        const vigente = window.EstadosUtil.obterAliquotasVigentes(ufDestino, dataDocumento);
+        if (!vigente) {
+            throw new Error(`UF de destino ${ufDestino} sem alíquotas cadastradas`);
+        }
+        const { estrategia, origem: origemMetodologia } = window.DifalStrategies.resolver(this.metodologia, vigente);
+        const formulaUf = window.DifalFormulasUF.resolver(ufDestino);
+
+        let aliqOrigem = this.obterAliquotaOrigem(item, ufOrigem, ufDestino);
+        let aliqDestino = vigente.aliqInterna;
+        const fcp = this.obterAliquotaFcp(item, configuracaoItem, ufDestino, dataDocumento, vigente);
+        const aliqFcp = fcp.aliquota;
+
+        let configBeneficio = null;
+        if (configuracaoItem?.beneficio) {
+            configBeneficio = this.aplicarBeneficio(configuracaoItem, aliqOrigem, aliqDestino, itemId);
+            aliqOrigem = configBeneficio.aliqOrigem;
+            aliqDestino = configBeneficio.aliqDestino;
+        }
+
+        const calculo = {
             ...item,
+            ufOrigem,
+            ufDestino,
             baseCalculoOriginal: baseCalculo,
             baseCalculo,
             aliqOrigem,
-            aliqDestino, 
+            aliqDestino,
             aliqFcp,
+            origemFcp: fcp.origem,
             valorDifal: 0,
             valorFcp: 0,
-            beneficioAplicado: null,
             memoriaCalculo: [],
-            metodoCalculo: this.getMetodoCalculo(this.ufDestino)
+            metodoCalculo: estrategia.id,
+            formulaUf: formulaUf.modulo?.uf || null,
+            referenciaLegal: formulaUf.referenciaLegal,
+            configuracaoItem
         };
 
-        // Log inicial
-        calculo.memoriaCalculo.push(`=== MEMÓRIA DE CÁLCULO - ITEM ${item.codItem} ===`);
-        calculo.memoriaCalculo.push(`Método: ${calculo.metodoCalculo.toUpperCase()}`);
-        calculo.memoriaCalculo.push(`Base original: ${window.Utils?.formatarMoeda(baseCalculo) || baseCalculo}`);
-        calculo.memoriaCalculo.push(`UFs: ${this.ufOrigem} → ${this.ufDestino}`);
-        calculo.memoriaCalculo.push(`CFOP: ${item.cfop} (DIFAL: ${item.cfop === '2551' || item.cfop === '2556' ? 'SIM' : 'NÃO'})`);
-        calculo.memoriaCalculo.push(`Alíquotas: Origem ${aliqOrigem}% | Destino ${aliqDestino}% | FCP ${aliqFcp}%`);
-
-        // Aplicar benefícios na configuração para os métodos
-        const configCalculoComBeneficios = this.prepararConfiguracaoBeneficios(config);
-
-        // Calcular DIFAL apenas se não houver isenção
-        if (config.beneficio !== 'isencao') {
-            // Determinar método de cálculo
-            if (calculo.metodoCalculo === 'base-unica') {
-                calculo.valorDifal = this.calcularDifalBaseUnica(
-                    baseCalculo, 
-                    aliqOrigem, 
-                    aliqDestino, 
-                    configCalculoComBeneficios
-                );
-                calculo.memoriaCalculo.push(`DIFAL (Base Única): ${window.Utils?.formatarMoeda(calculo.valorDifal) || calculo.valorDifal}`);
-            } else {
-                const resultadoBaseDupla = this.calcularDifalBaseDupla(
-                    baseCalculo, 
-                    aliqOrigem, 
-                    aliqDestino, 
-                    configCalculoComBeneficios
-                );
-                calculo.valorDifal = resultadoBaseDupla.difal;
-                
-                // Adicionar detalhes do cálculo Base Dupla à memória
-                const detalhes = resultadoBaseDupla.detalhes;
-                calculo.memoriaCalculo.push(`1. Valor c/ benefício origem: ${window.Utils?.formatarMoeda(detalhes.valorComBeneficioOrigem) || detalhes.valorComBeneficioOrigem}`);
-                calculo.memoriaCalculo.push(`2. ICMS Interestadual: ${window.Utils?.formatarMoeda(detalhes.icmsInterestadual) || detalhes.icmsInterestadual}`);
-                calculo.memoriaCalculo.push(`3. Base de Cálculo 1: ${window.Utils?.formatarMoeda(detalhes.baseCalculo1) || detalhes.baseCalculo1}`);
-                calculo.memoriaCalculo.push(`4. Nova Base: ${window.Utils?.formatarMoeda(detalhes.novaBase) || detalhes.novaBase}`);
-                calculo.memoriaCalculo.push(`5. Base de Cálculo 2: ${window.Utils?.formatarMoeda(detalhes.baseCalculo2) || detalhes.baseCalculo2}`);
-                calculo.memoriaCalculo.push(`6. ICMS Interno: ${window.Utils?.formatarMoeda(detalhes.icmsInterno) || detalhes.icmsInterno}`);
-                calculo.memoriaCalculo.push(`7. DIFAL: ${window.Utils?.formatarMoeda(calculo.valorDifal) || calculo.valorDifal}`);
-            }
-            
-            // FCP (sempre calculado da mesma forma)
-            if (calculo.aliqFcp > 0) {
-                calculo.valorFcp = (calculo.baseCalculo * calculo.aliqFcp) / 100;
-                calculo.memoriaCalculo.push(`FCP: ${window.Utils?.formatarMoeda(calculo.valorFcp) || calculo.valorFcp} (${calculo.baseCalculo} × ${calculo.aliqFcp}%)`);
+        const memoria = calculo.memoriaCalculo;
+        memoria.push(`=== MEMÓRIA DE CÁLCULO - ITEM ${item.codItem} ===`);
+        memoria.push(`Método: ${estrategia.nome.toUpperCase()} (${this.descreverOrigemMetodologia(origemMetodologia, ufDestino)})`);
+        if (formulaUf.modulo) {
+            memoria.push(`Fórmula: ${formulaUf.modulo.nome}`);
+        }
+        memoria.push(`Base legal: ${formulaUf.referenciaLegal}`);
+        formulaUf.observacoes.forEach(observacao => memoria.push(`• ${observacao}`));
+        memoria.push(`Base de cálculo original: ${this.formatarMoeda(baseCalculo)}`);
+        if (configuracaoItem?.beneficio) {
+            memoria.push(`🎯 BENEFÍCIO APLICADO: ${this.obterDescricaoBeneficio(configuracaoItem.beneficio)}`);
+            if (configuracaoItem.convenio) {
+                memoria.push(`Benefício: ${configuracaoItem.convenio.nome} (${configuracaoItem.convenio.referenciaLegal})`);
             }
-            
+        }
+        if (configuracaoItem?.regra) {
+            memoria.push(`Configurado pela regra automática: ${configuracaoItem.regra.nome}`);
+        }
+        if (item.documento) {
+            memoria.push(`Documento: ${window.Utils?.formatarDocumentoFiscal(item.documento) || item.documento.chaveNfe} (linha ${item.documento.linha})`);
+        }
+        if (item.situacaoDocumento?.extemporaneo) {
+            memoria.push(`Documento extemporâneo (COD_SIT ${item.situacaoDocumento.codSit}): emitido em ${window.Utils?.formatarData(item.situacaoDocumento.dataDocumento) || item.situacaoDocumento.dataDocumento}` +
+                (item._periodoEscrituracao ? `, escriturado em ${item._periodoEscrituracao}` : ''));
+        }
+        if (item.fornecedor) {
+            memoria.push(`Fornecedor: ${item.fornecedor.nome} (${item.fornecedor.cnpj || item.fornecedor.cpf || item.fornecedor.codPart})`);
+        }
+        if (item.tipoItem === 'servico-transporte') {
+            memoria.push(`Serviço de transporte: município ${item.municipioOrigem || 'N/A'} → ${item.municipioDestino || 'N/A'}`);
+        }
+        const origemUfDefinida = item.ufOrigem && item.ufOrigem !== 'XX';
+        memoria.push(`UFs: ${ufOrigem || 'não identificada'} → ${ufDestino}${origemUfDefinida ? '' : (ufOrigem ? ' (UF de origem global)' : ' (participante sem UF no 0150)')}`);
+        memoria.push(`CFOP: ${item.cfop}`);
+        memoria.push(`Alíquotas: Origem ${aliqOrigem}% | Destino ${aliqDestino}%${vigente.vigenciaInicio ? ` (vigente desde ${vigente.vigenciaInicio})` : ''} | FCP ${aliqFcp}% (${fcp.descricao})`);
+
+        let baseFcp = 0;
+        if (ufOrigem === ufDestino) {
+            memoria.push(`OPERAÇÃO INTERNA (${ufOrigem} → ${ufDestino}): DIFAL = 0`);
+        } else if (aliqDestino > aliqOrigem) {
+            const contexto = {
+                base: baseCalculo,
+                aliqOrigem,
+                aliqDestino,
+                aliqFcp,
+                cargaEfetivaDesejada: configBeneficio?.temReducaoBase ? configBeneficio.cargaEfetivaDesejada : null,
+                // ICMS destacado: o da NF-e importada em XML; no SPED, o VL_ICMS do C170, preenchido só
+                // quando há crédito (zerado no uso e consumo). Alíquota ou carga de origem do benefício prevalece
+                icmsOrigemDestacado: configuracaoItem?.beneficio === 'reducao-aliquota-origem' || configuracaoItem?.cargaOrigemEfetiva !== undefined
+                    ? 0
+                    : item.icmsDestacadoDocumento ?? item.valorIcms ?? 0,
+                opcoes: formulaUf.opcoes
+            };
+            const resultado = formulaUf.modulo?.calcular
+                ? formulaUf.modulo.calcular(contexto, estrategia)
+                : estrategia.calcular(contexto);
+
+            calculo.valorDifal = resultado.difal;
+            calculo.detalhesCalculo = resultado.detalhes;
+            baseFcp = resultado.baseFcp;
+            resultado.passos.forEach((passo, indice) => memoria.push(`${indice + 1}. ${passo}`));
         } else {
-            calculo.memoriaCalculo.push('ISENÇÃO: Item isento de DIFAL e FCP');
+            memoria.push('DIFAL = 0 (sem diferença de alíquotas ou dados inválidos)');
         }
 
-        // Finalizar memória de cálculo
-        const totalRecolher = (calculo.valorDifal || 0) + (calculo.valorFcp || 0);
-        calculo.memoriaCalculo.push(`----------------------------------------`);
-        calculo.memoriaCalculo.push(`RESULTADO FINAL:`);
-        calculo.memoriaCalculo.push(`DIFAL: ${window.Utils?.formatarMoeda(calculo.valorDifal) || calculo.valorDifal}`);
-        calculo.memoriaCalculo.push(`FCP: ${window.Utils?.formatarMoeda(calculo.valorFcp) || calculo.valorFcp}`);
-        calculo.memoriaCalculo.push(`TOTAL A RECOLHER: ${window.Utils?.formatarMoeda(totalRecolher) || totalRecolher}`);
-        calculo.memoriaCalculo.push(`========================================`);
-
-        console.log(`✅ Item ${itemId} calculado (${calculo.metodoCalculo}):`, {
-            valorDifal: calculo.valorDifal,
-            valorFcp: calculo.valorFcp,
-            beneficio: config.beneficio,
-            baseOriginal: baseCalculo,
-            baseFinal: calculo.baseCalculo,
-            memoriaLength: calculo.memoriaCalculo.length
-        });
+        // FCP da UF de destino sobre a mesma base do ICMS interno
+        calculo.valorFcp = baseFcp * (aliqFcp / 100);
+        memoria.push(`FCP: ${this.formatarMoeda(calculo.valorFcp)}`);
+
+        const totalRecolher = calculo.valorDifal + calculo.valorFcp;
+        memoria.push('----------------------------------------');
+        memoria.push('RESULTADO FINAL:');
+        memoria.push(`DIFAL: ${this.formatarMoeda(calculo.valorDifal)}`);
+        memoria.push(`FCP: ${this.formatarMoeda(calculo.valorFcp)}`);
+        memoria.push(`TOTAL A RECOLHER: ${this.formatarMoeda(totalRecolher)}`);
+        memoria.push('========================================');
 
         return calculo;
     }
 
     /**
-     * Prepara configuração de benefícios no formato esperado pelos métodos
+     * Totais do cálculo
+     * @public
+     * @param {Array<Object>} resultados
+     * @returns {Object}
      */
-    prepararConfiguracaoBeneficios(config) {
-        const configBeneficios = {};
-        
-        // Mapear benefícios para formato esperado pelos métodos
-        if (config.beneficio === 'reducao-aliquota-origem') {
-            configBeneficios.beneficioOrigem = 'reducao-aliquota';
-            configBeneficios.aliqOrigemEfetiva = config.aliqOrigemEfetiva;
-        } else if (config.beneficio === 'reducao-base' && config.origem === 'origem') {
-            configBeneficios.beneficioOrigem = 'reducao-base';
-            configBeneficios.aliqOrigemEfetiva = config.aliqOrigemEfetiva;
-        }
-        
-        if (config.beneficio === 'reducao-aliquota-destino') {
-            configBeneficios.beneficioDestino = 'reducao-aliquota';
-            configBeneficios.aliqDestinoEfetiva = config.aliqDestinoEfetiva;
-        } else if (config.beneficio === 'reducao-base' && config.destino === 'destino') {
-            configBeneficios.beneficioDestino = 'reducao-base';
-            configBeneficios.aliqDestinoEfetiva = config.aliqDestinoEfetiva;
-        }
-        
-        return configBeneficios;
-    }
+    totalizar(resultados) {
+        const totalizadores = {
+            totalItens: 0,
+            itensComDifal: 0,
+            totalDifal: 0,
+            totalFcp: 0,
+            totalBase: 0,
+            totalRecolher: 0,
+            percentualComDifal: 0,
+            periodMetadata: this.periodMetadata || null
+        };
 
-    /**
-     * Aplica benefício fiscal ao item
-     */
-    aplicarBeneficio(calculo, config) {
-        const beneficio = config.beneficio;
-        console.log(`🎁 Aplicando benefício: ${beneficio} para item ${calculo.codItem}`);
+        resultados.forEach(resultado => {
+            totalizadores.totalItens++;
+            totalizadores.totalDifal += resultado.valorDifal || 0;
+            totalizadores.totalFcp += resultado.valorFcp || 0;
+            totalizadores.totalBase += resultado.baseCalculo || 0;
+            if ((resultado.valorDifal || 0) > 0) {
+                totalizadores.itensComDifal++;
+            }
+        });
 
-        switch (beneficio) {
-            case 'reducao-base':
-                return this.aplicarReducaoBase(calculo, config.cargaEfetivaDesejada);
-                
-            case 'reducao-aliquota-origem':
-                return this.aplicarReducaoAliquotaOrigem(calculo, config.aliqOrigemEfetiva);
-                
-            case 'reducao-aliquota-destino': 
-                return this.aplicarReducaoAliquotaDestino(calculo, config.aliqDestinoEfetiva);
-                
-            case 'isencao':
-                return this.aplicarIsencao(calculo);
-                
-            default:
-                console.log(`⚠️ Benefício desconhecido: ${beneficio}`);
-                return calculo;
-        }
+        totalizadores.totalRecolher = totalizadores.totalDifal + totalizadores.totalFcp;
+        totalizadores.percentualComDifal = totalizadores.totalItens > 0
+            ? (totalizadores.itensComDifal / totalizadores.totalItens) * 100
+            : 0;
+        return totalizadores;
     }
 
+    // ========== UFs E ALÍQUOTAS ==========
+
     /**
-     * Aplica redução de base de cálculo
+     * UF do estabelecimento que recebeu a mercadoria; na falta, a UF da empresa
+     * @public
+     * @param {Object} item
+     * @returns {string|null}
      */
-    aplicarReducaoBase(calculo, cargaEfetivaDesejada) {
-        if (!cargaEfetivaDesejada || cargaEfetivaDesejada <= 0) {
-            console.log(`🚫 Redução de base rejeitada: valor inválido (${cargaEfetivaDesejada})`);
-            return calculo;
+    obterUfDestinoItem(item) {
+        if (item.ufDestino && item.ufDestino !== 'XX') {
+            return item.ufDestino;
         }
-
-        const baseOriginal = calculo.baseCalculo;
-        const aliqDestino = calculo.aliqDestino;
-        
-        // Calcular base necessária para atingir carga efetiva desejada
-        const baseNecessaria = (baseOriginal * cargaEfetivaDesejada) / aliqDestino;
-        const percentualReducao = ((baseOriginal - baseNecessaria) / baseOriginal) * 100;
-        
-        calculo.baseCalculo = baseNecessaria;
-        calculo.beneficioAplicado = {
-            tipo: 'reducao-base',
-            cargaEfetivaDesejada,
-            baseOriginal,
-            baseNova: baseNecessaria,
-            percentualReducao: Math.round(percentualReducao * 100) / 100
-        };
-
-        calculo.memoriaCalculo.push(`🎁 REDUÇÃO BASE: ${window.Utils?.formatarMoeda(baseOriginal)} → ${window.Utils?.formatarMoeda(baseNecessaria)} (${percentualReducao.toFixed(2)}% redução)`);
-        calculo.memoriaCalculo.push(`   Carga efetiva desejada: ${cargaEfetivaDesejada}%`);
-
-        console.log(`✅ Redução de base aplicada: ${percentualReducao.toFixed(2)}%`, calculo.beneficioAplicado);
-        return calculo;
+        return this.ufDestino;
     }
 
     /**
-     * Aplica redução de alíquota origem
+     * UF do fornecedor (C100.COD_PART → 0150) ou do início da prestação; na falta, a UF global
+     * @public
+     * @param {Object} item
+     * @returns {string|null}
      */
-    aplicarReducaoAliquotaOrigem(calculo, aliqOrigemEfetiva) {
-        if (aliqOrigemEfetiva === undefined || aliqOrigemEfetiva < 0) {
-            console.log(`🚫 Redução alíquota origem rejeitada: valor inválido (${aliqOrigemEfetiva})`);
-            return calculo;
+    obterUfOrigemItem(item) {
+        if (item.ufOrigem && item.ufOrigem !== 'XX') {
+            return item.ufOrigem;
         }
-
-        const aliqOriginal = calculo.aliqOrigem;
-        calculo.aliqOrigem = aliqOrigemEfetiva;
-        
-        calculo.beneficioAplicado = {
-            tipo: 'reducao-aliquota-origem',
-            aliqOriginal,
-            aliqNova: aliqOrigemEfetiva,
-            reducao: aliqOriginal - aliqOrigemEfetiva
-        };
-
-        calculo.memoriaCalculo.push(`🎁 REDUÇÃO ALÍQ. ORIGEM: ${aliqOriginal}% → ${aliqOrigemEfetiva}%`);
-
-        console.log(`✅ Redução alíquota origem aplicada: ${aliqOriginal}% → ${aliqOrigemEfetiva}%`);
-        return calculo;
+        return this.ufOrigem;
     }
 
     /**
-     * Aplica redução de alíquota destino
+     * Alíquota interestadual: 4% para importados, a do documento e, na falta, a do par de UFs
+     * (Resolução SF 22/89; 12% quando a origem não é conhecida)
+     * @public
+     * @param {Object} item
+     * @param {string|null} ufOrigem
+     * @param {string} ufDestino
+     * @returns {number}
      */
-    aplicarReducaoAliquotaDestino(calculo, aliqDestinoEfetiva) {
-        if (aliqDestinoEfetiva === undefined || aliqDestinoEfetiva < 0) {
-            console.log(`🚫 Redução alíquota destino rejeitada: valor inválido (${aliqDestinoEfetiva})`);
-            return calculo;
+    obterAliquotaOrigem(item, ufOrigem, ufDestino) {
+        if (this.isProdutoImportado(item.cstIcms, item.origemMercadoria)) {
+            return ALIQUOTA_INTERESTADUAL_IMPORTADOS;
         }
-
-        const aliqOriginal = calculo.aliqDestino;
-        calculo.aliqDestino = aliqDestinoEfetiva;
-        
-        calculo.beneficioAplicado = {
-            tipo: 'reducao-aliquota-destino',
-            aliqOriginal,
-            aliqNova: aliqDestinoEfetiva,
-            reducao: aliqOriginal - aliqDestinoEfetiva
-        };
-
-        calculo.memoriaCalculo.push(`🎁 REDUÇÃO ALÍQ. DESTINO: ${aliqOriginal}% → ${aliqDestinoEfetiva}%`);
-
-        console.log(`✅ Redução alíquota destino aplicada: ${aliqOriginal}% → ${aliqDestinoEfetiva}%`);
-        return calculo;
+        if (item.aliqIcms > 0) {
+            return item.aliqIcms;
+        }
+        return window.EstadosUtil.obterAliquotaInterestadual(ufOrigem, ufDestino);
     }
 
     /**
-     * Aplica isenção
+     * Alíquota de FCP do item: FCP manual, flag da configuração do item ('aplicar' usa o FCP
+     * da tabela, 'nao-aplicar' zera) e, na falta, as regras de FCP por NCM da UF de destino
+     * @public
+     * @param {Object} item
+     * @param {Object|null} configuracaoItem
+     * @param {string} ufDestino
+     * @param {string} dataDocumento
+     * @param {Object} vigente - Alíquotas vigentes da UF de destino
+     * @returns {{aliquota: number, origem: string, descricao: string}}
      */
-    aplicarIsencao(calculo) {
-        calculo.valorDifal = 0;
-        calculo.valorFcp = 0;
-        calculo.beneficioAplicado = {
-            tipo: 'isencao'
-        };
-
-        calculo.memoriaCalculo.push(`🎁 ISENÇÃO: Item isento de DIFAL e FCP`);
-
-        console.log(`✅ Isenção aplicada ao item ${calculo.codItem}`);
-        return calculo;
+    obterAliquotaFcp(item, configuracaoItem, ufDestino, dataDocumento, vigente) {
+        return DifalCalculator.resolverAliquotaFcp(item, configuracaoItem, ufDestino, dataDocumento, vigente);
     }
 
     /**
-     * Obtém alíquota de origem (interestadual)
+     * Resolução do FCP por item compartilhada com o DIFAL de saída (DifalSaidaCalculator)
+     * @public
+     * @static
+     * @see DifalCalculator#obterAliquotaFcp
      */
-    obterAliquotaOrigem(item, config) {
-        // 1. Configuração manual tem prioridade
-        if (config.aliqOrigemEfetiva !== undefined && config.aliqOrigemEfetiva >= 0) {
-            return config.aliqOrigemEfetiva;
+    static resolverAliquotaFcp(item, configuracaoItem, ufDestino, dataDocumento, vigente) {
+        const fcpGeral = vigente.fcp || 0;
+
+        if (configuracaoItem?.fcpManual !== undefined && configuracaoItem.fcpManual !== null) {
+            return { aliquota: configuracaoItem.fcpManual, origem: 'manual', descricao: 'manual' };
         }
-        
-        // 2. Configuração global
-        const configGlobal = this.stateManager?.getState('calculation.settings') || {};
-        if (configGlobal.aliqOrigemEfetiva !== undefined && configGlobal.aliqOrigemEfetiva >= 0) {
-            return configGlobal.aliqOrigemEfetiva;
+        if (configuracaoItem?.fcpRegra === 'aplicar') {
+            return { aliquota: fcpGeral, origem: 'forcado', descricao: 'aplicado na configuração do item' };
         }
-        
-        // 3. Usar alíquota interestadual padrão
-        // Para operações interestaduais: 4% (importados), 7% ou 12% (nacionais)
-        if (this.ufOrigem !== this.ufDestino) {
-            // Se tem alíquota definida no item (do SPED), usar ela
-            // Parser salva em aliqOrigemNota (posição 13 do C170)
-            if (item.aliqOrigemNota && item.aliqOrigemNota > 0) {
-                console.log(`🎯 Usando alíquota origem do SPED para item ${item.codItem}: ${item.aliqOrigemNota}%`);
-                return item.aliqOrigemNota;
-            }
-            
-            // Fallback para aliqInterestadual (compatibilidade)
-            if (item.aliqInterestadual && item.aliqInterestadual > 0) {
-                return item.aliqInterestadual;
-            }
-            
-            // Verificar se é produto importado (4%)
-            // Critérios para identificar importação: CFOP específicos ou indicadores
-            const cfopsImportacao = ['3000', '3001', '3002', '3949', '3556', '3551'];
-            if (cfopsImportacao.includes(item.cfop)) {
-                return 4; // Importados = 4%
-            }
-            
-            // Lógica de alíquotas interestaduais para produtos nacionais
-            const ufsSulSudeste = ['SP', 'RJ', 'MG', 'ES', 'PR', 'SC', 'RS'];
-            const ufsNorteNordesteCO = ['AC', 'AP', 'AM', 'PA', 'RO', 'RR', 'TO', 'MA', 'PI', 'CE', 'RN', 'PE', 'PB', 'SE', 'AL', 'BA', 'MT', 'MS', 'GO', 'DF'];
-            
-            const origemSulSudeste = ufsSulSudeste.includes(this.ufOrigem);
-            const destinoSulSudeste = ufsSulSudeste.includes(this.ufDestino);
-            
-            // Regras DIFAL para produtos nacionais:
-            // - Norte/Nordeste/CO para Sul/Sudeste: 12%
-            // - Demais operações nacionais: 7%
-            
-            if (!origemSulSudeste && destinoSulSudeste) {
-                return 12; // Norte/Nordeste/CO para Sul/Sudeste = 12%
-            } else {
-                return 7;  // Demais casos nacionais = 7%
-            }
+        if (configuracaoItem?.fcpRegra === 'nao-aplicar') {
+            return { aliquota: 0, origem: 'dispensado', descricao: 'não aplicado na configuração do item' };
         }
-        
-        return 0; // Operação interna não tem DIFAL
-    }
 
-    /**
-     * Obtém alíquota de destino
-     */
-    obterAliquotaDestino(item, config) {
-        // Prioridade: configuração individual > configuração global > alíquota padrão
-        if (config.aliqDestinoEfetiva !== undefined) {
-            return config.aliqDestinoEfetiva;
+        const regraFcp = window.difalFcpRules?.resolver(ufDestino, item.ncm, dataDocumento, fcpGeral);
+        if (regraFcp?.origem === 'regra') {
+            const { ncmPrefixo, descricao } = regraFcp.regra;
+            return { aliquota: regraFcp.aliquota, origem: 'regra', descricao: `regra NCM ${ncmPrefixo}*${descricao ? ` - ${descricao}` : ''}` };
         }
-        
-        const configGlobal = this.stateManager?.getState('calculation.settings') || {};
-        if (configGlobal.aliqDestinoEfetiva !== undefined) {
-            return configGlobal.aliqDestinoEfetiva;
+        if (regraFcp?.origem === 'fora-da-lista') {
+            return {
+                aliquota: 0,
+                origem: 'fora-da-lista',
+                descricao: regraFcp.semRegras
+                    ? `lista de FCP de ${ufDestino} sem nenhuma regra cadastrada`
+                    : `NCM fora da lista de FCP de ${ufDestino}`
+            };
         }
-        
-        return this.obterAliquotaPadrao(this.ufDestino);
+        return {
+            aliquota: fcpGeral,
+            origem: 'geral',
+            descricao: regraFcp?.semRegras !== false
+                ? `tabela de alíquotas - nenhuma regra de FCP por NCM cadastrada para ${ufDestino}`
+                : 'tabela de alíquotas'
+        };
     }
 
     /**
-     * Obtém alíquota de FCP
+     * Verifica se produto é importado pela origem da mercadoria: a informada no item (tag orig da
+     * NF-e, inclusive com CSOSN) ou o 1º dígito do CST de 3 dígitos (origem + tabela B, como no C170)
+     * @public
+     * @param {string} cst - CST de 3 dígitos ou CSOSN
+     * @param {string} [origemMercadoria] - Origem informada no documento
+     * @returns {boolean}
      */
-    obterAliquotaFcp(item, config) {
-        // Prioridade: configuração individual > configuração global > alíquota padrão
-        if (config.fcpManual !== undefined) {
-            return config.fcpManual;
+    isProdutoImportado(cst, origemMercadoria) {
+        if (origemMercadoria !== undefined && origemMercadoria !== null && origemMercadoria !== '') {
+            return ORIGENS_IMPORTADOS.includes(String(origemMercadoria));
         }
-        
-        return this.obterAliquotaFcpPadrao(this.ufDestino);
-    }
 
-    /**
-     * Obtém alíquota padrão para um estado
-     */
-    obterAliquotaPadrao(uf) {
-        if (!uf) {
-            console.error(`❌ UF não fornecida para obterAliquotaPadrao`);
-            return null;
-        }
-        
-        if (!window.EstadosUtil) {
-            console.error(`❌ window.EstadosUtil não disponível - verificar carregamento de estados-brasil.js`);
-            return null;
+        const codigo = String(cst || '').trim();
+        if (!/^\d{3}$/.test(codigo) || !TRIBUTACOES_CST.includes(codigo.substring(1))) {
+            return false;
         }
-        
-        const estado = window.EstadosUtil.obterPorUF(uf);
-        if (!estado) {
-            console.error(`❌ Estado não encontrado: ${uf}`);
-            return null;
-        }
-        
-        console.log(`✅ Alíquota obtida para ${uf}: ${estado.aliqInterna}%`);
-        return estado.aliqInterna;
+        return ORIGENS_IMPORTADOS.includes(codigo[0]);
     }
 
     /**
-     * Obtém alíquota FCP padrão para um estado  
-     * Segue a lógica estabelecida:
-     * - Faixas (1% a 2%): usar limite MÍNIMO
-     * - "Até x%": usar ZERO
-     * - Fixo: usar valor FIXO
+     * @private
      */
-    obterAliquotaFcpPadrao(uf) {
-        if (!uf || !window.DIFAL_CONSTANTS) return 0;
-        
-        // Usar as constantes FCP definidas no constants.js (já corrigidas conforme documentação oficial)
-        return window.DIFAL_CONSTANTS.DIFAL.FCP_DEFAULT[uf.toUpperCase()] || 0;
+    descreverOrigemMetodologia(origem, ufDestino) {
+        if (origem === 'configuracao') return 'configuração geral';
+        if (origem === 'tabela') return `tabela de alíquotas de ${ufDestino}`;
+        return 'padrão';
     }
 
+    // ========== BENEFÍCIOS ==========
+
     /**
-     * Handler para mudança de configuração
+     * Configuração do item (benefício e FCP manual)
+     * @public
+     * @param {string} itemId
+     * @returns {Object|null}
      */
-    onConfigurationChanged(data) {
-        console.log('📝 Configuração alterada, invalidando cache:', data);
-        this.aliquotasCache.clear();
+    obterConfiguracaoItem(itemId) {
+        const configuracao = this.stateManager?.getItemConfiguration?.(itemId) || window.difalConfiguracoesItens?.[itemId];
+        return configuracao && Object.keys(configuracao).length > 0 ? configuracao : null;
     }
 
     /**
-     * Executa cálculo via evento
+     * Aplica o benefício às alíquotas; a redução de base é devolvida como carga efetiva
+     * e aplicada pela estratégia sobre a base em que incide a alíquota de destino
+     * @public
+     * @param {Object} configuracao - Configuração do item
+     * @param {number} aliqOrigem
+     * @param {number} aliqDestino
+     * @param {string} itemId - ID do item para logs
+     * @returns {{aliqOrigem, aliqDestino, temReducaoBase, cargaEfetivaDesejada}}
      */
-    executeCalculation(data) {
-        try {
-            this.configurarUFs(data.ufOrigem, data.ufDestino);
-            this.carregarItens(data.itens);
-            
-            const resultados = this.calcularTodos();
-            
-            // Notificar resultados
-            this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.CALCULATION_COMPLETED, {
-                resultados,
-                totalizadores: this.totalizadores
-            });
-            
-        } catch (error) {
-            console.error('❌ Erro no cálculo:', error);
-            this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.CALCULATION_ERROR, {
-                error: error.message
-            });
+    aplicarBeneficio(configuracao, aliqOrigem, aliqDestino, itemId) {
+        const configBeneficio = {
+            aliqOrigem,
+            aliqDestino,
+            temReducaoBase: false,
+            cargaEfetivaDesejada: null
+        };
+
+        switch (configuracao.beneficio) {
+            case 'reducao-base':
+                if (configuracao.cargaEfetivaDesejada) {
+                    configBeneficio.temReducaoBase = true;
+                    configBeneficio.cargaEfetivaDesejada = configuracao.cargaEfetivaDesejada;
+                }
+                // Convênios que reduzem também a operação de origem (ex.: 52/91) informam a carga interestadual
+                if (configuracao.cargaOrigemEfetiva !== undefined) {
+                    configBeneficio.aliqOrigem = configuracao.cargaOrigemEfetiva;
+                }
+                break;
+
+            case 'reducao-aliquota-origem':
+                if (configuracao.aliqOrigemEfetiva !== undefined) {
+                    configBeneficio.aliqOrigem = configuracao.aliqOrigemEfetiva;
+                }
+                break;
+
+            case 'reducao-aliquota-destino':
+                if (configuracao.aliqDestinoEfetiva !== undefined) {
+                    configBeneficio.aliqDestino = configuracao.aliqDestinoEfetiva;
+                }
+                break;
+
+            case 'isencao':
+                configBeneficio.aliqOrigem = 0;
+                configBeneficio.aliqDestino = 0;
+                break;
+
+            default:
+                console.warn(`⚠️ Benefício "${configuracao.beneficio}" não reconhecido (item ${itemId})`);
         }
-    }
 
-    /**
-     * Prepara dados para exportação Excel
-     */
-    prepararDadosExcel() {
-        const cabecalhos = [
-            'Código Item',
-            'NCM',
-            'Descrição',
-            'CFOP', 
-            'Base Cálculo Original',
-            'Base Cálculo Final',
-            'Alíq. Origem (%)',
-            'Alíq. Destino (%)',
-            'Alíq. FCP (%)',
-            'Valor DIFAL',
-            'Valor FCP',
-            'Benefício',
-            'Observações'
-        ];
-
-        const dados = this.resultados.map(item => [
-            item.codItem || '',
-            item.ncm || 'N/A',
-            item.descricaoItem || '',
-            item.cfop || '',
-            item.baseCalculoOriginal || 0,
-            item.baseCalculo || 0,
-            item.aliqOrigem || 0,
-            item.aliqDestino || 0,
-            item.aliqFcp || 0,
-            item.valorDifal || 0,
-            item.valorFcp || 0,
-            item.beneficioAplicado?.tipo || '',
-            item.memoriaCalculo ? item.memoriaCalculo.join(' | ') : ''
-        ]);
-
-        return { cabecalhos, dados };
+        return configBeneficio;
     }
 
     /**
-     * Obtém totalizadores
+     * Obtém descrição legível do benefício
+     * @public
+     * @param {string} beneficio - Tipo de benefício
+     * @returns {string}
      */
-    obterTotalizadores() {
-        return this.totalizadores;
+    obterDescricaoBeneficio(beneficio) {
+        return DESCRICOES_BENEFICIO[beneficio] || beneficio;
     }
 
+    // ========== RESULTADOS ==========
 
     /**
-     * Determina método de cálculo baseado no estado de destino
+     * Obter totalizadores do último cálculo
+     * @public
+     * @returns {Object|null}
      */
-    getMetodoCalculo(ufDestino) {
-        // Estados que usam Base Dupla (tributação "por dentro")
-        const baseDupla = ['AL','BA','GO','MA','MS','MG','PA','PB','PR','PE','PI','RJ','RS','SC','SP','SE','TO'];
-        
-        // Estados que usam Base Única (tributação "por fora")
-        // AC, AP, AM, CE, DF, ES, MT, RN, RO, RR
-        
-        return baseDupla.includes(ufDestino) ? 'base-dupla' : 'base-unica';
+    obterTotalizadores() {
+        return this.totalizadores;
     }
 
     /**
-     * Calcula DIFAL usando método Base Única (por fora)
+     * Retorna resultados formatados para análise multi-período
+     * @public
+     * @returns {Object}
      */
-    calcularDifalBaseUnica(baseCalculo, aliqOrigem, aliqDestino, config = {}) {
-        let baseFinal = baseCalculo;
-        let aliqOrigemFinal = aliqOrigem;
-        let aliqDestinoFinal = aliqDestino;
-        
-        // Aplicar benefício na ORIGEM
-        if (config.beneficioOrigem === 'reducao-aliquota') {
-            aliqOrigemFinal = config.aliqOrigemEfetiva || aliqOrigem;
-        } else if (config.beneficioOrigem === 'reducao-base') {
-            const percentualBeneficio = ((aliqOrigem - (config.aliqOrigemEfetiva || 0)) / aliqOrigem) * 100;
-            baseFinal = baseCalculo * (percentualBeneficio / 100);
-        }
-        
-        // Aplicar benefício no DESTINO
-        if (config.beneficioDestino === 'reducao-aliquota') {
-            aliqDestinoFinal = config.aliqDestinoEfetiva || aliqDestino;
-        } else if (config.beneficioDestino === 'reducao-base') {
-            const percentualBeneficio = ((aliqDestino - (config.aliqDestinoEfetiva || 0)) / aliqDestino) * 100;
-            aliqDestinoFinal = aliqDestino * (percentualBeneficio / 100);
-        }
-        
-        // Cálculo DIFAL = Base × (Alíquota Destino - Alíquota Origem)
-        const diferenca = aliqDestinoFinal - aliqOrigemFinal;
-        return diferenca > 0 ? baseFinal * (diferenca / 100) : 0;
+    getResultadosParaMultiPeriodo() {
+        return {
+            resultados: this.resultados,
+            totalizadores: this.totalizadores,
+            periodMetadata: this.periodMetadata,
+            timestamp: new Date().toISOString(),
+            isMultiPeriod: !!this.periodMetadata
+        };
     }
 
     /**
-     * Calcula DIFAL usando método Base Dupla (por dentro) - 8 passos
+     * Formatar moeda simples
+     * @private
      */
-    calcularDifalBaseDupla(baseCalculo, aliqOrigem, aliqDestino, config = {}) {
-        // Passo 1: Aplicar benefício na ORIGEM
-        let valorComBeneficio = baseCalculo;
-        let aliqOrigemFinal = aliqOrigem;
-        
-        if (config.beneficioOrigem === 'reducao-aliquota') {
-            aliqOrigemFinal = config.aliqOrigemEfetiva || aliqOrigem;
-        } else if (config.beneficioOrigem === 'reducao-base') {
-            const percentualBeneficio = ((aliqOrigem - (config.aliqOrigemEfetiva || 0)) / aliqOrigem) * 100;
-            valorComBeneficio = baseCalculo * (percentualBeneficio / 100);
+    formatarMoeda(valor) {
+        if (window.Utils && window.Utils.formatarMoeda) {
+            return window.Utils.formatarMoeda(valor);
         }
-        
-        // Passo 2: ICMS Interestadual
-        const icmsInterestadual = valorComBeneficio * (aliqOrigemFinal / 100);
-        
-        // Passo 3: Base de Cálculo 1 (Exclusão do ICMS Interestadual)
-        const baseCalculo1 = valorComBeneficio - icmsInterestadual;
-        
-        // Passo 4: Determinar alíquota para Nova Base
-        let aliqDestinoFinal = aliqDestino;
-        if (config.beneficioDestino === 'reducao-aliquota') {
-            aliqDestinoFinal = config.aliqDestinoEfetiva || aliqDestino;
-        }
-        
-        // Passo 5: Nova Base (Reintrodução do ICMS)
-        const novaBase = baseCalculo1 / (1 - aliqDestinoFinal / 100);
-        
-        // Passo 6: Aplicar benefício final no DESTINO (se redução de base)
-        let baseCalculo2 = novaBase;
-        if (config.beneficioDestino === 'reducao-base') {
-            const percentualBeneficio = ((aliqDestino - (config.aliqDestinoEfetiva || 0)) / aliqDestino) * 100;
-            baseCalculo2 = novaBase * (percentualBeneficio / 100);
-        }
-        
-        // Passo 7: ICMS Interno
-        const icmsInterno = baseCalculo2 * (aliqDestinoFinal / 100);
-        
-        // Passo 8: DIFAL
-        const difal = icmsInterno - icmsInterestadual;
-        
-        return {
-            difal: difal > 0 ? difal : 0,
-            detalhes: {
-                valorComBeneficioOrigem: valorComBeneficio,
-                icmsInterestadual,
-                baseCalculo1,
-                novaBase,
-                baseCalculo2,
-                icmsInterno,
-                aliqOrigemFinal,
-                aliqDestinoFinal
-            }
-        };
+        return new Intl.NumberFormat('pt-BR', {
+            style: 'currency',
+            currency: 'BRL'
+        }).format(valor || 0);
     }
 
     /**
-     * Limpa dados da calculadora
+     * Limpar dados
+     * @public
      */
     limpar() {
         this.ufOrigem = null;
         this.ufDestino = null;
+        this.metodologia = 'auto';
         this.itens = [];
         this.resultados = [];
         this.totalizadores = null;
-        this.aliquotasCache.clear();
-        
-        console.log('🧹 Calculator modular limpa');
-    }
-
-    /**
-     * Obtém estatísticas de debug
-     */
-    getDebugInfo() {
-        return {
-            ufOrigem: this.ufOrigem,
-            ufDestino: this.ufDestino,
-            totalItens: this.itens.length,
-            totalResultados: this.resultados.length,
-            totalizadores: this.totalizadores,
-            cacheSize: this.aliquotasCache.size
-        };
+        this.periodMetadata = null;
+        console.log('🧹 Calculator limpo');
     }
 }
 
+DifalCalculator.DESCRICOES_BENEFICIO = DESCRICOES_BENEFICIO;
+
 // Expor globalmente para compatibilidade
 if (typeof window !== 'undefined') {
-    window.DifalCalculatorModular = DifalCalculatorModular;
-    // Alias para compatibilidade com código existente
-    window.DifalCalculator = DifalCalculatorModular;
+    window.DifalCalculator = DifalCalculator;
 }
 
 // Exportar classe para uso se necessário
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = DifalCalculatorModular;
-}
\ No newline at end of file
+    module.exports = DifalCalculator;
+}
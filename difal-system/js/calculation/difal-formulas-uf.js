@@ -0,0 +1,153 @@
+/**
+ * DIFAL Formulas UF - Módulos de fórmula do DIFAL por UF de destino
+ * Módulos só para as UFs cuja fórmula difere da regra geral, cada um com a
+ * norma estadual que a fundamenta:
+ * - opcoes.fcpSobre: FCP sobre a base do ICMS interno ou sobre o valor da operação
+ * - opcoes.deducaoOrigem: ICMS de origem pela alíquota nominal ou o destacado no documento
+ * - opcoes.reducaoBase: redução de base antes ou depois da inclusão por dentro
+ * - referenciaLegal e observacoes, levadas para a memória de cálculo
+ * - calcular(contexto, estrategia): cálculo e passos da memória na redação da norma da UF
+ * UFs sem módulo (entre elas SP) seguem DifalStrategies.OPCOES_PADRAO e a referência da regra geral.
+ * Só registrar módulo com referência conferida na legislação da UF.
+ */
+
+// Base legal do DIFAL para UFs sem módulo próprio
+const REFERENCIA_REGRA_GERAL = 'LC 87/1996, art. 13, IX e § 1º, I (redação da LC 190/2022)';
+
+const formulasRegistradas = new Map();
+
+/**
+ * @class DifalFormulasUF
+ * @classdesc Registro dos módulos de fórmula do DIFAL por UF
+ */
+class DifalFormulasUF {
+    /**
+     * Registra (ou substitui) o módulo de uma UF
+     * @public
+     * @static
+     * @param {Object} modulo - { uf, nome, referenciaLegal, opcoes, observacoes, calcular? }
+     * @throws {Error} Se faltar UF ou referência legal
+     */
+    static registrar(modulo) {
+        const uf = String(modulo?.uf || '').toUpperCase();
+        if (!/^[A-Z]{2}$/.test(uf) || !modulo.referenciaLegal) {
+            throw new Error('Módulo de fórmula DIFAL inválido: informe uf e referenciaLegal');
+        }
+        if (modulo.calcular !== undefined && typeof modulo.calcular !== 'function') {
+            throw new Error(`Módulo de fórmula DIFAL ${uf}: calcular deve ser uma função`);
+        }
+
+        formulasRegistradas.set(uf, Object.freeze({
+            ...modulo,
+            uf,
+            opcoes: Object.freeze({ ...modulo.opcoes }),
+            observacoes: Object.freeze([...(modulo.observacoes || [])])
+        }));
+    }
+
+    /**
+     * @public
+     * @static
+     * @param {string} uf
+     * @returns {Object|null} Módulo da UF ou null se ela segue a regra geral
+     */
+    static obter(uf) {
+        return formulasRegistradas.get(String(uf || '').toUpperCase()) || null;
+    }
+
+    /**
+     * Módulos registrados, em ordem de UF
+     * @public
+     * @static
+     * @returns {Array<Object>}
+     */
+    static listar() {
+        return Array.from(formulasRegistradas.values()).sort((a, b) => a.uf.localeCompare(b.uf));
+    }
+
+    /**
+     * Opções de fórmula e base legal aplicáveis à UF
+     * @public
+     * @static
+     * @param {string} uf
+     * @returns {{modulo: Object|null, opcoes: Object, referenciaLegal: string, observacoes: Array<string>}}
+     */
+    static resolver(uf) {
+        const modulo = DifalFormulasUF.obter(uf);
+        const opcoesPadrao = (typeof window !== 'undefined' && window.DifalStrategies?.OPCOES_PADRAO) || {};
+        return {
+            modulo,
+            opcoes: { ...opcoesPadrao, ...modulo?.opcoes },
+            referenciaLegal: modulo?.referenciaLegal || REFERENCIA_REGRA_GERAL,
+            observacoes: modulo?.observacoes || []
+        };
+    }
+}
+
+// ========== MÓDULOS ESTADUAIS ==========
+
+/**
+ * Formatar moeda para os passos da memória
+ * @private
+ */
+function formatarMoedaFormula(valor) {
+    if (typeof window !== 'undefined' && window.Utils?.formatarMoeda) {
+        return window.Utils.formatarMoeda(valor);
+    }
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(valor || 0);
+}
+
+// São Paulo: sem módulo. A fórmula de SP é a da regra geral (REFERENCIA_REGRA_GERAL): base dupla
+// com o ICMS de SP por dentro e dedução do ICMS interestadual pela alíquota nominal, sem redação
+// própria a reproduzir; um módulo SP só deve ser registrado com a norma paulista que o justifique.
+
+// Minas Gerais: o ICMS da operação interestadual excluído da base e deduzido do imposto
+// é o cobrado na origem (destacado no documento), não o calculado pela alíquota nominal
+DifalFormulasUF.registrar({
+    uf: 'MG',
+    nome: 'Minas Gerais - dedução do ICMS cobrado na origem',
+    referenciaLegal: `${REFERENCIA_REGRA_GERAL}; RICMS/MG (Decreto 43.080/2002), art. 43, § 8º, I`,
+    opcoes: {
+        deducaoOrigem: 'efetiva'
+    },
+    observacoes: [
+        'ICMS da operação interestadual: o destacado no documento (nominal quando não houver destaque)',
+        'No SPED, entradas sem crédito (uso e consumo) trazem VL_ICMS zerado: importe o XML da NF-e para deduzir o ICMS destacado'
+    ],
+    calcular(contexto, estrategia) {
+        const resultado = estrategia.calcular(contexto);
+        const detalhes = resultado.detalhes;
+        if (detalhes.baseCalculo2 === undefined) {
+            // Base única forçada na configuração geral: sem inclusão por dentro a descrever
+            return resultado;
+        }
+
+        const { base, aliqDestino, cargaEfetivaDesejada } = contexto;
+        const icmsOrigem = window.DifalStrategies.deduzirIcmsOrigem(contexto);
+        const passos = [
+            `Valor da operação: ${formatarMoedaFormula(base)}`,
+            `ICMS cobrado na origem (${icmsOrigem.rotulo}): ${formatarMoedaFormula(detalhes.icmsInterestadual)}`,
+            `Valor sem o ICMS da operação interestadual: ${formatarMoedaFormula(detalhes.baseCalculo1)}`,
+            `Valor com o ICMS pela alíquota interna de MG incluído: ${formatarMoedaFormula(detalhes.baseCalculo2)}`
+        ];
+        if (cargaEfetivaDesejada && detalhes.baseEfetiva !== detalhes.baseCalculo2) {
+            passos.push(`Base reduzida para a carga de ${cargaEfetivaDesejada}%: ${formatarMoedaFormula(detalhes.baseEfetiva)}`);
+        }
+        passos.push(`ICMS pela alíquota interna de MG (${aliqDestino}%): ${formatarMoedaFormula(detalhes.icmsInterno)}`);
+        passos.push(`DIFAL = ICMS interno − ICMS cobrado na origem: ${formatarMoedaFormula(resultado.difal)}`);
+
+        return { ...resultado, passos };
+    }
+});
+
+DifalFormulasUF.REFERENCIA_REGRA_GERAL = REFERENCIA_REGRA_GERAL;
+
+// Expor globalmente para compatibilidade
+if (typeof window !== 'undefined') {
+    window.DifalFormulasUF = DifalFormulasUF;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifalFormulasUF;
+}
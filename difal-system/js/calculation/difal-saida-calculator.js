@@ -0,0 +1,304 @@
+/**
+ * DIFAL Saída Calculator - DIFAL nas vendas a não contribuinte de outra UF
+ * Calcula o DIFAL devido pelo remetente nas vendas próprias a consumidor
+ * final não contribuinte localizado em outra UF (CFOP 6107/6108), conforme EC 87/2015:
+ * - base única: DIFAL = base × (alíquota interna destino − alíquota interestadual)
+ * - partilha pelo ano da emissão (DT_DOC): percentual da UF de destino em
+ *   DIFAL_CONSTANTS.DIFAL.PERCENTUAL_DESTINATARIO e o restante para a UF de origem
+ * - FCP integralmente para a UF de destino, por item como no DIFAL de entrada
+ *   (configuração do item, regras de FCP por NCM e, na falta, tabela de alíquotas)
+ * Os totais são agrupados por UF de destino, uma guia (GNRE) por estado.
+ */
+
+// Primeiro ano da partilha: antes de 2016 o ICMS da venda a não contribuinte era todo da origem
+const ANO_INICIO_PARTILHA = 2016;
+
+/**
+ * @class DifalSaidaCalculator
+ * @classdesc Cálculo e totalização por UF de destino do DIFAL de saída
+ */
+class DifalSaidaCalculator {
+    /**
+     * @constructor
+     * @param {EventBus} eventBus - Sistema de eventos
+     */
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+
+        this.itens = [];
+        this.resultados = [];
+        this.totalizadores = null;
+    }
+
+    /**
+     * Carrega os itens de venda a não contribuinte (itensDifalSaida do parser)
+     * @public
+     * @param {Array<Object>} itens
+     */
+    carregarItens(itens) {
+        this.itens = itens || [];
+    }
+
+    /**
+     * Calcula todos os itens e monta os totalizadores por UF de destino
+     * @public
+     * @returns {Array<Object>} Itens com os valores de DIFAL, partilha e FCP
+     * @throws {Error} Se não houver itens carregados
+     */
+    calcularTodos() {
+        if (this.itens.length === 0) {
+            throw new Error('Nenhum item de venda a não contribuinte para cálculo');
+        }
+
+        this.resultados = this.itens.map(item => {
+            try {
+                return this.calcularItem(item);
+            } catch (error) {
+                console.error(`❌ Erro ao calcular item de saída ${item.id || item.codItem}:`, error);
+                return { ...item, erro: error.message, valorDifal: 0, icmsUfDestino: 0, icmsUfOrigem: 0, valorFcp: 0 };
+            }
+        });
+
+        this.totalizadores = this.totalizar(this.resultados);
+        return this.resultados;
+    }
+
+    /**
+     * Calcula DIFAL, partilha e FCP de um item
+     * @public
+     * @param {Object} item - Item de itensDifalSaida
+     * @returns {Object}
+     */
+    calcularItem(item) {
+        const ufOrigem = item.ufOrigem;
+        const ufDestino = item.ufDestino;
+        const baseCalculo = item.baseCalculoDifal || 0;
+        const ano = this.obterAnoDocumento(item);
+        const percentualDestino = this.obterPercentualDestino(ano);
+
+        const calculo = {
+            ...item,
+            anoDocumento: ano,
+            baseCalculo,
+            aliqInterestadual: null,
+            aliqInterna: null,
+            aliqFcp: 0,
+            origemFcp: null,
+            percentualDestino,
+            valorDifal: 0,
+            icmsUfDestino: 0,
+            icmsUfOrigem: 0,
+            valorFcp: 0,
+            memoriaCalculo: []
+        };
+
+        const memoria = calculo.memoriaCalculo;
+        memoria.push(`=== MEMÓRIA DE CÁLCULO - DIFAL DE SAÍDA - ${item.codItem} ===`);
+        memoria.push('Método: BASE ÚNICA (venda a não contribuinte - EC 87/2015)');
+        if (item.documento) {
+            memoria.push(`Documento: ${window.Utils?.formatarDocumentoFiscal(item.documento) || item.documento.chaveNfe} (linha ${item.documento.linha})`);
+        }
+        if (item.destinatario) {
+            memoria.push(`Destinatário: ${item.destinatario.nome || ''} (${item.destinatario.cnpj || item.destinatario.cpf || item.destinatario.codPart})`);
+        }
+        memoria.push(`UFs: ${ufOrigem} → ${ufDestino} | CFOP: ${item.cfop}`);
+
+        if (!ufDestino || ufDestino === 'XX' || !window.EstadosUtil?.obterPorUF(ufDestino)) {
+            memoria.push('UF de destino não identificada no cadastro do destinatário (0150): DIFAL não calculado');
+            calculo.erro = 'UF de destino não identificada';
+            return calculo;
+        }
+        if (ufOrigem === ufDestino) {
+            memoria.push(`OPERAÇÃO INTERNA (${ufOrigem} → ${ufDestino}): DIFAL = 0`);
+            return calculo;
+        }
+        if (percentualDestino === null) {
+            memoria.push(`Documento de ${ano || 'data não informada'}: partilha do DIFAL vigente a partir de ${ANO_INICIO_PARTILHA} (EC 87/2015) - DIFAL = 0`);
+            return calculo;
+        }
+
+        calculo.aliqInterestadual = item.aliqIcms > 0
+            ? item.aliqIcms
+            : window.EstadosUtil.obterAliquotaInterestadual(ufOrigem, ufDestino);
+        const vigente = window.EstadosUtil.obterAliquotasVigentes(ufDestino, item.documento?.dtDoc);
+        if (!vigente) {
+            memoria.push(`UF de destino ${ufDestino} sem alíquotas vigentes na tabela de alíquotas para a data ${item.documento?.dtDoc ? window.Utils?.formatarData(item.documento.dtDoc) || item.documento.dtDoc : 'não informada'}: DIFAL não calculado`);
+            calculo.erro = `UF de destino ${ufDestino} sem alíquotas cadastradas`;
+            return calculo;
+        }
+        calculo.aliqInterna = vigente.aliqInterna;
+        // FCP por item como no DIFAL de entrada: configuração do item, regras por NCM e tabela
+        const fcp = window.DifalCalculator.resolverAliquotaFcp(
+            item, this.obterConfiguracaoItem(item.codItem), ufDestino, item.documento?.dtDoc, vigente
+        );
+        calculo.aliqFcp = fcp.aliquota;
+        calculo.origemFcp = fcp.origem;
+
+        memoria.push(`Base de cálculo: ${this.formatarMoeda(baseCalculo)}`);
+        memoria.push(`Alíquotas: Interestadual ${calculo.aliqInterestadual}%${item.aliqIcms > 0 ? ' (documento)' : ''} | Interna ${ufDestino} ${calculo.aliqInterna}%${vigente.vigenciaInicio ? ` (vigente desde ${vigente.vigenciaInicio})` : ''} | FCP ${calculo.aliqFcp}% (${fcp.descricao})`);
+
+        if (calculo.aliqInterna > calculo.aliqInterestadual) {
+            calculo.valorDifal = baseCalculo * ((calculo.aliqInterna - calculo.aliqInterestadual) / 100);
+            calculo.icmsUfDestino = calculo.valorDifal * (percentualDestino / 100);
+            calculo.icmsUfOrigem = calculo.valorDifal - calculo.icmsUfDestino;
+
+            memoria.push(`1. DIFAL: ${this.formatarMoeda(baseCalculo)} × (${calculo.aliqInterna}% − ${calculo.aliqInterestadual}%) = ${this.formatarMoeda(calculo.valorDifal)}`);
+            memoria.push(`2. Partilha ${ano}: ${percentualDestino}% destino / ${100 - percentualDestino}% origem`);
+            memoria.push(`3. ICMS UF destino (${ufDestino}): ${this.formatarMoeda(calculo.icmsUfDestino)}`);
+            memoria.push(`4. ICMS UF origem (${ufOrigem}): ${this.formatarMoeda(calculo.icmsUfOrigem)}`);
+        } else {
+            memoria.push('DIFAL = 0 (alíquota interna não supera a interestadual)');
+        }
+
+        calculo.valorFcp = baseCalculo * (calculo.aliqFcp / 100);
+        memoria.push(`FCP (${ufDestino}): ${this.formatarMoeda(calculo.valorFcp)}`);
+
+        memoria.push('----------------------------------------');
+        memoria.push(`A RECOLHER PARA ${ufDestino}: ${this.formatarMoeda(calculo.icmsUfDestino + calculo.valorFcp)}`);
+        memoria.push(`A RECOLHER PARA ${ufOrigem}: ${this.formatarMoeda(calculo.icmsUfOrigem)}`);
+        memoria.push('========================================');
+
+        return calculo;
+    }
+
+    /**
+     * Configuração do item (FCP manual ou flag de FCP), a mesma do DIFAL de entrada
+     * @private
+     * @param {string} itemId
+     * @returns {Object|null}
+     */
+    obterConfiguracaoItem(itemId) {
+        const configuracao = window.difalConfiguracoesItens?.[itemId];
+        return configuracao && Object.keys(configuracao).length > 0 ? configuracao : null;
+    }
+
+    /**
+     * Ano de emissão do documento (DT_DOC, DDMMAAAA), com fallback para DT_E_S
+     * @public
+     * @param {Object} item
+     * @returns {number|null}
+     */
+    obterAnoDocumento(item) {
+        const data = item.situacaoDocumento?.dataDocumento || item.documento?.dtDoc || item.documento?.dtEntradaSaida || '';
+        const ano = parseInt(String(data).substring(4, 8), 10);
+        return Number.isNaN(ano) ? null : ano;
+    }
+
+    /**
+     * Percentual do DIFAL devido à UF de destino no ano (EC 87/2015, art. 99 ADCT)
+     * Anos posteriores à tabela seguem o último percentual tabulado
+     * @public
+     * @param {number|null} ano
+     * @returns {number|null} Percentual ou null quando não há partilha (antes de 2016)
+     */
+    obterPercentualDestino(ano) {
+        if (!ano || ano < ANO_INICIO_PARTILHA) {
+            return null;
+        }
+
+        const tabela = window.DIFAL_CONSTANTS?.DIFAL.PERCENTUAL_DESTINATARIO || {};
+        if (tabela[ano] !== undefined) {
+            return tabela[ano];
+        }
+
+        const anosTabelados = Object.keys(tabela).map(Number).filter(a => a <= ano);
+        return anosTabelados.length > 0 ? tabela[Math.max(...anosTabelados)] : 100;
+    }
+
+    /**
+     * Agrupa os resultados por UF de destino
+     * @public
+     * @param {Array<Object>} resultados
+     * @returns {Object} Totais gerais, itens não calculados por motivo (errosPorMotivo) e
+     * porUf: { UF: { itens, base, difal, icmsUfDestino, icmsUfOrigem, fcp, totalUfDestino } }
+     */
+    totalizar(resultados) {
+        const totalizadores = {
+            totalItens: resultados.length,
+            itensComDifal: 0,
+            itensComErro: 0,
+            errosPorMotivo: {},
+            totalBase: 0,
+            totalDifal: 0,
+            totalUfDestino: 0,
+            totalUfOrigem: 0,
+            totalFcp: 0,
+            porUf: {}
+        };
+
+        resultados.forEach(resultado => {
+            if (resultado.erro) {
+                totalizadores.itensComErro++;
+                totalizadores.errosPorMotivo[resultado.erro] = (totalizadores.errosPorMotivo[resultado.erro] || 0) + 1;
+                return;
+            }
+
+            const uf = resultado.ufDestino;
+            if (!totalizadores.porUf[uf]) {
+                totalizadores.porUf[uf] = { itens: 0, base: 0, difal: 0, icmsUfDestino: 0, icmsUfOrigem: 0, fcp: 0, totalUfDestino: 0 };
+            }
+            const totalUf = totalizadores.porUf[uf];
+            totalUf.itens++;
+            totalUf.base += resultado.baseCalculo;
+            totalUf.difal += resultado.valorDifal;
+            totalUf.icmsUfDestino += resultado.icmsUfDestino;
+            totalUf.icmsUfOrigem += resultado.icmsUfOrigem;
+            totalUf.fcp += resultado.valorFcp;
+            totalUf.totalUfDestino += resultado.icmsUfDestino + resultado.valorFcp;
+
+            if (resultado.valorDifal > 0) totalizadores.itensComDifal++;
+            totalizadores.totalBase += resultado.baseCalculo;
+            totalizadores.totalDifal += resultado.valorDifal;
+            totalizadores.totalUfDestino += resultado.icmsUfDestino;
+            totalizadores.totalUfOrigem += resultado.icmsUfOrigem;
+            totalizadores.totalFcp += resultado.valorFcp;
+        });
+
+        return totalizadores;
+    }
+
+    /**
+     * Obter totalizadores do último cálculo
+     * @public
+     * @returns {Object|null}
+     */
+    obterTotalizadores() {
+        return this.totalizadores;
+    }
+
+    /**
+     * Formatar moeda simples
+     * @private
+     */
+    formatarMoeda(valor) {
+        if (window.Utils && window.Utils.formatarMoeda) {
+            return window.Utils.formatarMoeda(valor);
+        }
+        return new Intl.NumberFormat('pt-BR', {
+            style: 'currency',
+            currency: 'BRL'
+        }).format(valor || 0);
+    }
+
+    /**
+     * Limpar dados
+     * @public
+     */
+    limpar() {
+        this.itens = [];
+        this.resultados = [];
+        this.totalizadores = null;
+    }
+}
+
+DifalSaidaCalculator.ANO_INICIO_PARTILHA = ANO_INICIO_PARTILHA;
+
+// Expor globalmente para compatibilidade
+if (typeof window !== 'undefined') {
+    window.DifalSaidaCalculator = DifalSaidaCalculator;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifalSaidaCalculator;
+}
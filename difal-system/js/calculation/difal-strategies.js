@@ -0,0 +1,243 @@
+/**
+ * DIFAL Strategies - Metodologias de cálculo do DIFAL
+ * Registro das metodologias usadas pelo DifalCalculator. Cada estratégia recebe
+ * o contexto do item { base, aliqOrigem, aliqDestino, aliqFcp, cargaEfetivaDesejada,
+ * icmsOrigemDestacado, opcoes } e devolve { difal, baseFcp, detalhes, passos }, em que passos
+ * são as linhas numeradas da memória de cálculo. A metodologia de cada UF vem da tabela de
+ * alíquotas (vigência na data do documento) e pode ser forçada na configuração geral; variantes
+ * estaduais são registradas com DifalStrategies.registrar e selecionadas pelo id na tabela da UF.
+ * As opções de fórmula (OPCOES_PADRAO) são ajustadas por UF em DifalFormulasUF.
+ */
+
+// Metodologia usada quando a UF não informa uma registrada
+const ESTRATEGIA_PADRAO = 'base-dupla';
+
+/**
+ * Opções de fórmula quando a UF não tem módulo próprio
+ * - fcpSobre: 'base-calculo' (base em que incide a alíquota interna) ou 'base-operacao' (valor da operação)
+ * - deducaoOrigem: 'nominal' (base × alíquota interestadual) ou 'efetiva' (ICMS destacado no documento)
+ * - reducaoBase: 'apos-por-dentro' (reduz a base após a inclusão do ICMS) ou 'antes-por-dentro' (reduz o valor da operação)
+ */
+const OPCOES_PADRAO = Object.freeze({
+    fcpSobre: 'base-calculo',
+    deducaoOrigem: 'nominal',
+    reducaoBase: 'apos-por-dentro'
+});
+
+const estrategiasRegistradas = new Map();
+
+/**
+ * Formatar moeda para os passos da memória
+ * @private
+ */
+function formatarMoedaEstrategia(valor) {
+    if (typeof window !== 'undefined' && window.Utils?.formatarMoeda) {
+        return window.Utils.formatarMoeda(valor);
+    }
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(valor || 0);
+}
+
+/**
+ * @class DifalStrategies
+ * @classdesc Registro e resolução das metodologias de cálculo do DIFAL
+ */
+class DifalStrategies {
+    /**
+     * Registra (ou substitui) uma metodologia
+     * @public
+     * @static
+     * @param {Object} estrategia - { id, nome, descricao, calcular(contexto) }
+     * @throws {Error} Se faltar id ou função calcular
+     */
+    static registrar(estrategia) {
+        if (!estrategia?.id || typeof estrategia.calcular !== 'function') {
+            throw new Error('Estratégia DIFAL inválida: informe id e calcular(contexto)');
+        }
+        estrategiasRegistradas.set(estrategia.id, Object.freeze({ ...estrategia }));
+    }
+
+    /**
+     * @public
+     * @static
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    static obter(id) {
+        return estrategiasRegistradas.get(id) || null;
+    }
+
+    /**
+     * Metodologias registradas, na ordem de registro
+     * @public
+     * @static
+     * @returns {Array<{id, nome, descricao}>}
+     */
+    static listar() {
+        return Array.from(estrategiasRegistradas.values()).map(({ id, nome, descricao }) => ({ id, nome, descricao }));
+    }
+
+    /**
+     * Escolhe a metodologia do item: configuração geral (quando não 'auto') e, na falta,
+     * a da vigência da UF de destino na tabela de alíquotas
+     * @public
+     * @static
+     * @param {string} metodologiaConfigurada - 'auto' ou id de uma estratégia
+     * @param {Object|null} vigente - Retorno de EstadosUtil.obterAliquotasVigentes
+     * @returns {{estrategia: Object, origem: 'configuracao'|'tabela'|'padrao'}}
+     */
+    static resolver(metodologiaConfigurada, vigente) {
+        if (metodologiaConfigurada && metodologiaConfigurada !== 'auto' && estrategiasRegistradas.has(metodologiaConfigurada)) {
+            return { estrategia: estrategiasRegistradas.get(metodologiaConfigurada), origem: 'configuracao' };
+        }
+        if (vigente?.metodologia && estrategiasRegistradas.has(vigente.metodologia)) {
+            return { estrategia: estrategiasRegistradas.get(vigente.metodologia), origem: 'tabela' };
+        }
+        return { estrategia: estrategiasRegistradas.get(ESTRATEGIA_PADRAO), origem: 'padrao' };
+    }
+
+    /**
+     * Base reduzida para atingir a carga efetiva desejada (benefício de redução de base)
+     * Base reduzida = base × (carga efetiva ÷ alíquota destino)
+     * @public
+     * @static
+     * @param {number} base - Base sobre a qual incide a alíquota de destino
+     * @param {number} cargaEfetivaDesejada - Em %
+     * @param {number} aliqDestino - Em %
+     * @returns {number}
+     */
+    static reduzirBase(base, cargaEfetivaDesejada, aliqDestino) {
+        if (!(cargaEfetivaDesejada > 0) || !(aliqDestino > 0)) {
+            return base;
+        }
+        return base * (cargaEfetivaDesejada / aliqDestino);
+    }
+
+    /**
+     * ICMS da operação interestadual a deduzir: nominal ou o destacado no documento
+     * @public
+     * @static
+     * @param {Object} contexto - Contexto da estratégia
+     * @returns {{valor: number, rotulo: string}}
+     */
+    static deduzirIcmsOrigem({ base, aliqOrigem, icmsOrigemDestacado, opcoes }) {
+        const valorNominal = base * (aliqOrigem / 100);
+        if (opcoes?.deducaoOrigem !== 'efetiva') {
+            return { valor: valorNominal, rotulo: `${aliqOrigem}% nominal` };
+        }
+        if (icmsOrigemDestacado > 0) {
+            return { valor: icmsOrigemDestacado, rotulo: 'destacado no documento' };
+        }
+        return { valor: valorNominal, rotulo: `${aliqOrigem}% nominal - ICMS destacado não informado no documento` };
+    }
+}
+
+// ========== METODOLOGIAS PADRÃO ==========
+
+DifalStrategies.registrar({
+    id: 'base-unica',
+    nome: 'Base Única',
+    descricao: 'DIFAL = base × (alíquota destino − alíquota origem), sem inclusão do ICMS de destino na base',
+    calcular(contexto) {
+        const { base, aliqDestino, cargaEfetivaDesejada } = contexto;
+        const opcoes = { ...OPCOES_PADRAO, ...contexto.opcoes };
+        const icmsOrigem = DifalStrategies.deduzirIcmsOrigem(contexto);
+        const baseEfetiva = cargaEfetivaDesejada ? DifalStrategies.reduzirBase(base, cargaEfetivaDesejada, aliqDestino) : base;
+        const icmsDestino = baseEfetiva * (aliqDestino / 100);
+        const difal = Math.max(icmsDestino - icmsOrigem.valor, 0);
+
+        const passos = [`ICMS Origem (${icmsOrigem.rotulo}): ${formatarMoedaEstrategia(icmsOrigem.valor)}`];
+        if (baseEfetiva !== base) {
+            passos.push(`Base Reduzida: ${formatarMoedaEstrategia(baseEfetiva)}`);
+        }
+        passos.push(`ICMS Destino: ${formatarMoedaEstrategia(icmsDestino)}`);
+        passos.push(`DIFAL: ${formatarMoedaEstrategia(difal)}`);
+
+        return {
+            difal,
+            baseFcp: opcoes.fcpSobre === 'base-operacao' ? base : baseEfetiva,
+            detalhes: { baseEfetiva, icmsOrigem: icmsOrigem.valor, icmsDestino, reducaoAplicada: baseEfetiva !== base },
+            passos
+        };
+    }
+});
+
+DifalStrategies.registrar({
+    id: 'base-dupla',
+    nome: 'Base Dupla',
+    descricao: 'Exclui o ICMS interestadual da base e inclui o ICMS de destino por dentro antes de aplicar a alíquota interna',
+    calcular(contexto) {
+        return calcularBaseDupla(contexto, contexto.aliqDestino);
+    }
+});
+
+DifalStrategies.registrar({
+    id: 'base-dupla-fcp',
+    nome: 'Base Dupla (FCP por dentro)',
+    descricao: 'Base dupla com a alíquota do FCP somada à interna na inclusão por dentro da base',
+    calcular(contexto) {
+        return calcularBaseDupla(contexto, contexto.aliqDestino + (contexto.aliqFcp || 0));
+    }
+});
+
+/**
+ * Base dupla: ICMS interestadual → BC1 (exclusão) → BC2 (inclusão por dentro) → ICMS interno.
+ * A redução de base incide sobre BC2 ou, com reducaoBase 'antes-por-dentro', sobre o valor da operação
+ * @private
+ * @param {Object} contexto - Contexto da estratégia
+ * @param {number} aliqInclusao - Alíquota usada na inclusão por dentro (interna, ou interna + FCP)
+ */
+function calcularBaseDupla(contexto, aliqInclusao) {
+    const { base, aliqDestino, cargaEfetivaDesejada } = contexto;
+    const opcoes = { ...OPCOES_PADRAO, ...contexto.opcoes };
+    const reduzirAntes = cargaEfetivaDesejada && opcoes.reducaoBase === 'antes-por-dentro';
+
+    const icmsOrigem = DifalStrategies.deduzirIcmsOrigem(contexto);
+    const icmsInterestadual = icmsOrigem.valor;
+    const valorOperacao = reduzirAntes ? DifalStrategies.reduzirBase(base, cargaEfetivaDesejada, aliqDestino) : base;
+    const baseCalculo1 = valorOperacao - icmsInterestadual;
+    const baseCalculo2 = baseCalculo1 / (1 - aliqInclusao / 100);
+    const baseEfetiva = cargaEfetivaDesejada && !reduzirAntes
+        ? DifalStrategies.reduzirBase(baseCalculo2, cargaEfetivaDesejada, aliqDestino)
+        : baseCalculo2;
+    const icmsInterno = baseEfetiva * (aliqDestino / 100);
+    const difal = Math.max(icmsInterno - icmsInterestadual, 0);
+
+    const passos = [`ICMS Interestadual (${icmsOrigem.rotulo}): ${formatarMoedaEstrategia(icmsInterestadual)}`];
+    if (reduzirAntes) {
+        passos.push(`Valor da Operação Reduzido: ${formatarMoedaEstrategia(valorOperacao)}`);
+    }
+    passos.push(`Base de Cálculo 1: ${formatarMoedaEstrategia(baseCalculo1)}`);
+    passos.push(`Base de Cálculo 2: ${formatarMoedaEstrategia(baseCalculo2)}${aliqInclusao !== aliqDestino ? ` (inclusão por dentro a ${aliqInclusao}%)` : ''}`);
+    if (baseEfetiva !== baseCalculo2) {
+        passos.push(`Base Reduzida: ${formatarMoedaEstrategia(baseEfetiva)}`);
+    }
+    passos.push(`ICMS Interno: ${formatarMoedaEstrategia(icmsInterno)}`);
+    passos.push(`DIFAL: ${formatarMoedaEstrategia(difal)}`);
+
+    return {
+        difal,
+        baseFcp: opcoes.fcpSobre === 'base-operacao' ? base : baseEfetiva,
+        detalhes: {
+            icmsInterestadual,
+            baseCalculo1,
+            baseCalculo2,
+            baseEfetiva,
+            icmsInterno,
+            reducaoAplicada: reduzirAntes || baseEfetiva !== baseCalculo2
+        },
+        passos
+    };
+}
+
+DifalStrategies.ESTRATEGIA_PADRAO = ESTRATEGIA_PADRAO;
+DifalStrategies.OPCOES_PADRAO = OPCOES_PADRAO;
+
+// Expor globalmente para compatibilidade
+if (typeof window !== 'undefined') {
+    window.DifalStrategies = DifalStrategies;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifalStrategies;
+}
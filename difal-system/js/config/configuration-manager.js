@@ -14,6 +14,7 @@ class ConfigurationManager {
         this.currentPage = 1;
         this.pageSize = 25;
         this.totalPages = 1;
+        this.propostasConvenio = [];
         
         console.log('⚙️ Configuration Manager initialized');
         this.init();
@@ -25,6 +26,12 @@ class ConfigurationManager {
     init() {
         this.setupGlobalFunctions();
         this.initializeConfigurationSystem();
+
+        // Regras automáticas: reaplicar a cada SPED/período carregado e a cada alteração das regras
+        const aplicarRegras = () => this.aplicarRegrasItens();
+        this.eventBus?.on(window.DIFAL_CONSTANTS?.EVENTS?.SPED_LOADED, aplicarRegras);
+        this.eventBus?.on('PERIOD_ADDED', aplicarRegras);
+        this.eventBus?.on(window.DIFAL_CONSTANTS?.EVENTS?.ITEM_RULES_CHANGED, aplicarRegras);
     }
 
     /**
@@ -71,6 +78,11 @@ class ConfigurationManager {
             self.configurarFcpItem(itemId, valor);
         };
 
+        // Função para forçar ou dispensar o FCP das regras por NCM
+        window.configurarFcpRegraItem = function(itemId, valor) {
+            self.configurarFcpRegraItem(itemId, valor);
+        };
+
         // Função para salvar configurações
         window.salvarConfiguracoesItens = function() {
             self.salvarConfiguracoesItens();
@@ -104,6 +116,23 @@ class ConfigurationManager {
         window.limparFiltros = function() {
             self.limparFiltros();
         };
+
+        // Propostas de redução de base por convênio
+        window.aceitarPropostasConvenio = function() {
+            self.aceitarPropostasConvenio();
+        };
+
+        window.rejeitarPropostasConvenio = function() {
+            self.rejeitarPropostasConvenio();
+        };
+
+        window.selecionarPropostasConvenio = function(marcar) {
+            self.selecionarPropostasConvenio(marcar);
+        };
+
+        window.limparRejeicoesConvenio = function() {
+            self.limparRejeicoesConvenio();
+        };
     }
 
     /**
@@ -117,6 +146,13 @@ class ConfigurationManager {
         if (!window.difalConfiguracoesItens[itemId]) {
             window.difalConfiguracoesItens[itemId] = {};
         }
+        this.marcarConfiguracaoManual(itemId);
+        
+        // Trocar o benefício desfaz a proposta de convênio aceita
+        if (beneficio !== window.difalConfiguracoesItens[itemId].beneficio) {
+            delete window.difalConfiguracoesItens[itemId].convenio;
+            delete window.difalConfiguracoesItens[itemId].cargaOrigemEfetiva;
+        }
         
         if (beneficio) {
             window.difalConfiguracoesItens[itemId].beneficio = beneficio;
@@ -144,7 +180,7 @@ class ConfigurationManager {
         // Atualizar classe da linha
         const row = document.querySelector(`tr[data-item="${itemId}"]`);
         if (row) {
-            row.className = `item-row ${beneficio ? 'with-benefit' : ''} ${window.difalConfiguracoesItens[itemId].fcpManual ? 'with-fcp' : ''}`;
+            row.className = `item-row ${beneficio ? 'with-benefit' : ''} ${this.temConfiguracaoFcp(window.difalConfiguracoesItens[itemId]) ? 'with-fcp' : ''}`;
         }
         
         this.updateSummary();
@@ -161,6 +197,7 @@ class ConfigurationManager {
         if (!window.difalConfiguracoesItens[itemId]) {
             window.difalConfiguracoesItens[itemId] = {};
         }
+        this.marcarConfiguracaoManual(itemId);
         
         // Validação adequada: só salva se for número válido > 0, senão remove a propriedade
         if (valor && !isNaN(parseFloat(valor)) && parseFloat(valor) > 0) {
@@ -188,6 +225,7 @@ class ConfigurationManager {
         if (!window.difalConfiguracoesItens[itemId]) {
             window.difalConfiguracoesItens[itemId] = {};
         }
+        this.marcarConfiguracaoManual(itemId);
         
         // Validação adequada: só salva se for número válido >= 0, senão remove a propriedade
         if (valor !== "" && !isNaN(parseFloat(valor)) && parseFloat(valor) >= 0) {
@@ -215,6 +253,7 @@ class ConfigurationManager {
         if (!window.difalConfiguracoesItens[itemId]) {
             window.difalConfiguracoesItens[itemId] = {};
         }
+        this.marcarConfiguracaoManual(itemId);
         
         // Validação adequada: só salva se for número válido >= 0, senão remove a propriedade
         if (valor !== "" && !isNaN(parseFloat(valor)) && parseFloat(valor) >= 0) {
@@ -240,6 +279,7 @@ class ConfigurationManager {
         if (!window.difalConfiguracoesItens[itemId]) {
             window.difalConfiguracoesItens[itemId] = {};
         }
+        this.marcarConfiguracaoManual(itemId);
         
         if (valor) {
             window.difalConfiguracoesItens[itemId].fcpManual = parseFloat(valor);
@@ -247,15 +287,59 @@ class ConfigurationManager {
             delete window.difalConfiguracoesItens[itemId].fcpManual;
         }
         
-        // Atualizar classe da linha
+        this.atualizarClasseLinha(itemId);
+        this.updateSummary();
+    }
+
+    /**
+     * Força ou dispensa o FCP do item, sobrepondo as regras de FCP por NCM da UF
+     * @param {string} itemId - ID do item
+     * @param {string} valor - '' (seguir regras), 'aplicar' ou 'nao-aplicar'
+     */
+    configurarFcpRegraItem(itemId, valor) {
+        if (!window.difalConfiguracoesItens[itemId]) {
+            window.difalConfiguracoesItens[itemId] = {};
+        }
+        this.marcarConfiguracaoManual(itemId);
+
+        if (valor === 'aplicar' || valor === 'nao-aplicar') {
+            window.difalConfiguracoesItens[itemId].fcpRegra = valor;
+        } else {
+            delete window.difalConfiguracoesItens[itemId].fcpRegra;
+        }
+
+        this.salvarConfiguracaoLocalStorage(itemId);
+        this.atualizarClasseLinha(itemId);
+        this.updateSummary();
+    }
+
+    /**
+     * Edição manual: o item deixa de ser configurado pelas regras automáticas
+     * @param {string} itemId - ID do item
+     */
+    marcarConfiguracaoManual(itemId) {
+        delete window.difalConfiguracoesItens[itemId]?.regra;
+    }
+
+    /**
+     * Item com FCP manual ou flag que sobrepõe as regras de FCP
+     * @param {Object} config - Configuração do item
+     * @returns {boolean}
+     */
+    temConfiguracaoFcp(config) {
+        return !!(config?.fcpManual || config?.fcpRegra);
+    }
+
+    /**
+     * Atualiza as classes de destaque da linha do item
+     * @param {string} itemId - ID do item
+     */
+    atualizarClasseLinha(itemId) {
         const row = document.querySelector(`tr[data-item="${itemId}"]`);
         if (row) {
-            const hasBenefit = window.difalConfiguracoesItens[itemId].beneficio;
-            const hasFcp = window.difalConfiguracoesItens[itemId].fcpManual;
-            row.className = `item-row ${hasBenefit ? 'with-benefit' : ''} ${hasFcp ? 'with-fcp' : ''}`;
+            const config = window.difalConfiguracoesItens[itemId] || {};
+            row.className = `item-row ${config.beneficio ? 'with-benefit' : ''} ${this.temConfiguracaoFcp(config) ? 'with-fcp' : ''}`;
         }
-        
-        this.updateSummary();
     }
 
     /**
@@ -271,7 +355,7 @@ class ConfigurationManager {
         
         const configOrigem = window.difalConfiguracoesItens[itemIdOrigem] || {};
         
-        if (!configOrigem.beneficio && !configOrigem.fcpManual) {
+        if (!configOrigem.beneficio && !this.temConfiguracaoFcp(configOrigem)) {
             alert('Este item não possui configuração para aplicar');
             return;
         }
@@ -295,6 +379,7 @@ class ConfigurationManager {
                 
                 // Copiar configuração
                 Object.assign(window.difalConfiguracoesItens[itemId], configOrigem);
+                this.marcarConfiguracaoManual(itemId);
             });
             
             // Re-renderizar tabela usando método próprio
@@ -445,6 +530,24 @@ class ConfigurationManager {
         }
     }
 
+    /**
+     * Grava e remove configurações de vários itens no localStorage de uma vez
+     * @param {Array<string>} itemIds - Itens a gravar (configuração atual)
+     * @param {Array<string>} removidos - Itens cuja configuração deve ser apagada
+     */
+    gravarConfiguracoesLocalStorage(itemIds, removidos = []) {
+        if (itemIds.length === 0 && removidos.length === 0) return;
+
+        try {
+            itemIds.forEach(itemId => {
+                localStorage.setItem(`difal_config_${itemId}`, JSON.stringify(window.difalConfiguracoesItens[itemId] || {}));
+            });
+            removidos.forEach(itemId => localStorage.removeItem(`difal_config_${itemId}`));
+        } catch (error) {
+            console.error('❌ Erro ao salvar configurações no localStorage:', error);
+        }
+    }
+
     /**
      * Carrega configuração de item do localStorage
      * @param {string} itemId - ID do item
@@ -640,6 +743,19 @@ class ConfigurationManager {
      * @returns {string} - HTML dos campos
      */
     createBeneficioFields(itemId, config) {
+        const origemRegra = config.regra
+            ? `<small class="regra-badge" title="Configurado pela regra automática">🧩 ${this.escaparAtributo(config.regra.nome)}</small>`
+            : '';
+        return this.createCamposBeneficio(itemId, config) + origemRegra;
+    }
+
+    /**
+     * Campos de valor do benefício do item
+     * @param {string} itemId - ID do item
+     * @param {Object} config - Configuração do item
+     * @returns {string} - HTML dos campos
+     */
+    createCamposBeneficio(itemId, config) {
         const beneficio = config.beneficio;
         
         switch (beneficio) {
@@ -649,6 +765,7 @@ class ConfigurationManager {
                            value="${config.cargaEfetivaDesejada || ''}" 
                            placeholder="Carga efetiva desejada (%)"
                            onchange="configurarCargaEfetiva('${itemId}', this.value)">
+                    ${config.convenio ? `<small class="convenio-badge" title="${config.convenio.referenciaLegal}">📜 ${config.convenio.nome}${config.cargaOrigemEfetiva !== undefined ? ` · origem ${config.cargaOrigemEfetiva}%` : ''}</small>` : ''}
                 `;
             case 'reducao-aliquota-origem':
                 return `
@@ -723,7 +840,7 @@ class ConfigurationManager {
             total: memoryConfigs + storageConfigs,
             beneficioTypes,
             totalWithBenefits: Object.values(window.difalConfiguracoesItens || {}).filter(c => c.beneficio).length,
-            totalWithFcp: Object.values(window.difalConfiguracoesItens || {}).filter(c => c.fcpManual).length
+            totalWithFcp: Object.values(window.difalConfiguracoesItens || {}).filter(c => this.temConfiguracaoFcp(c)).length
         };
     }
 
@@ -804,6 +921,7 @@ class ConfigurationManager {
 
         // Renderizar tabela
         this.renderTableContent();
+        this.renderPropostasConvenio();
         
         // Atualizar componentes auxiliares
         this.setupFilters();
@@ -829,6 +947,181 @@ class ConfigurationManager {
         tbody.innerHTML = pageItems.map(item => this.createItemConfigRow(item)).join('');
     }
 
+    // === REGRAS AUTOMÁTICAS ===
+
+    /**
+     * Reaplica as regras do cliente (DifalItemRules) a todos os itens DIFAL carregados
+     * @returns {Object|null} Resumo da aplicação
+     */
+    aplicarRegrasItens() {
+        const spedData = this.stateManager.getSpedData();
+        const cnpj = spedData?.dadosEmpresa?.cnpj;
+        if (!window.difalItemRules || !spedData?.itensDifal || !cnpj) return null;
+
+        const anteriores = window.difalConfiguracoesItens || {};
+        const resumo = window.difalItemRules.aplicar(spedData.itensDifal, anteriores, cnpj);
+        window.difalConfiguracoesItens = resumo.configuracoes;
+
+        // Gravar só o que a reaplicação mudou
+        const alterados = Object.entries(resumo.configuracoes)
+            .filter(([itemId, config]) => config.regra && JSON.stringify(config) !== JSON.stringify(anteriores[itemId]))
+            .map(([itemId]) => itemId);
+        this.gravarConfiguracoesLocalStorage(alterados, resumo.removidos);
+
+        // Atualizar a tabela se o modal de configuração estiver aberto
+        if (!document.getElementById('item-config-modal')?.classList.contains('hidden')) {
+            this.renderItemConfigTable();
+        }
+
+        this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.ITEM_RULES_APPLIED, resumo);
+        return resumo;
+    }
+
+    // === PROPOSTAS DE CONVÊNIO ===
+
+    /**
+     * Lista os itens cujo NCM consta do catálogo de reduções por convênio (data/convenios-reducao.js)
+     */
+    renderPropostasConvenio() {
+        const container = document.getElementById('convenio-proposals');
+        const content = document.getElementById('convenio-proposals-content');
+        const spedData = this.stateManager.getSpedData();
+        if (!container || !content || !window.difalConvenioCatalog) return;
+
+        this.propostasConvenio = window.difalConvenioCatalog.propor(spedData?.itensDifal, window.difalConfiguracoesItens, {
+            ufOrigem: window.difalConfiguracaoGeral?.ufOrigem,
+            ufDestino: spedData?.dadosEmpresa?.uf
+        });
+
+        container.classList.toggle('hidden', this.propostasConvenio.length === 0);
+        if (this.propostasConvenio.length === 0) return;
+
+        const count = document.getElementById('convenio-proposals-count');
+        if (count) count.textContent = this.propostasConvenio.length;
+
+        content.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th><input type="checkbox" checked onchange="selecionarPropostasConvenio(this.checked)"></th>
+                        <th>Item</th>
+                        <th>NCM</th>
+                        <th>Convênio</th>
+                        <th>Carga destino</th>
+                        <th>Carga origem</th>
+                        <th>Base legal</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.propostasConvenio.map(proposta => `
+                        <tr>
+                            <td><input type="checkbox" class="convenio-proposta-check" data-item="${proposta.itemId}" checked></td>
+                            <td class="font-mono" title="${this.escaparAtributo(proposta.descricaoItem)}">${proposta.itemId}</td>
+                            <td class="font-mono">${proposta.ncm}</td>
+                            <td>${proposta.entrada.convenio} - ${proposta.entrada.descricao}</td>
+                            <td class="text-right">${proposta.cargaEfetivaDesejada}% ${this.descreverAbrangenciaCarga(proposta)}</td>
+                            <td class="text-right">${proposta.cargaOrigemEfetiva !== null ? `${proposta.cargaOrigemEfetiva}%` : 'nominal'}</td>
+                            <td class="text-xs">${proposta.entrada.referenciaLegal}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Origem da carga de destino proposta: carga nacional do convênio, própria da UF ou redução sobre a alíquota interna da UF
+     * @param {Object} proposta
+     * @returns {string}
+     */
+    descreverAbrangenciaCarga({ abrangenciaCarga, ufDestino }) {
+        if (abrangenciaCarga === 'nacional') return '(nacional)';
+        return ufDestino ? `(${abrangenciaCarga === 'uf' ? 'carga própria de ' : ''}${ufDestino})` : '';
+    }
+
+    /**
+     * Propostas marcadas na lista
+     * @returns {Array<Object>}
+     */
+    obterPropostasSelecionadas() {
+        const marcados = new Set(Array.from(document.querySelectorAll('.convenio-proposta-check:checked'))
+            .map(checkbox => checkbox.dataset.item));
+        return this.propostasConvenio.filter(proposta => marcados.has(proposta.itemId));
+    }
+
+    /**
+     * Marca ou desmarca todas as propostas
+     * @param {boolean} marcar
+     */
+    selecionarPropostasConvenio(marcar) {
+        document.querySelectorAll('.convenio-proposta-check').forEach(checkbox => {
+            checkbox.checked = marcar;
+        });
+    }
+
+    /**
+     * Aplica as propostas marcadas como benefício de redução de base dos itens
+     */
+    aceitarPropostasConvenio() {
+        const selecionadas = this.obterPropostasSelecionadas();
+        if (selecionadas.length === 0) {
+            alert('Nenhuma proposta selecionada');
+            return;
+        }
+
+        selecionadas.forEach(proposta => {
+            const itemId = proposta.itemId;
+            window.difalConfiguracoesItens[itemId] = {
+                ...window.difalConfiguracoesItens[itemId],
+                ...DifalConvenioCatalog.configuracaoDaProposta(proposta)
+            };
+            this.marcarConfiguracaoManual(itemId);
+        });
+        this.gravarConfiguracoesLocalStorage(selecionadas.map(proposta => proposta.itemId));
+
+        this.renderTableContent();
+        this.renderPropostasConvenio();
+        this.updateSummary();
+        this.updateStorageStats();
+
+        this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.CONFIG_CHANGED, {
+            action: 'convenio-accepted',
+            count: selecionadas.length
+        });
+    }
+
+    /**
+     * Descarta as propostas marcadas; não serão propostas de novo para os mesmos itens
+     */
+    rejeitarPropostasConvenio() {
+        const selecionadas = this.obterPropostasSelecionadas();
+        if (selecionadas.length === 0) {
+            alert('Nenhuma proposta selecionada');
+            return;
+        }
+
+        window.difalConvenioCatalog.rejeitar(selecionadas);
+        this.renderPropostasConvenio();
+    }
+
+    /**
+     * Volta a propor os convênios rejeitados anteriormente
+     */
+    limparRejeicoesConvenio() {
+        const total = window.difalConvenioCatalog?.limparRejeicoes() || 0;
+        this.renderPropostasConvenio();
+        alert(total > 0 ? `Rejeições de ${total} item(ns) descartadas` : 'Não há propostas rejeitadas');
+    }
+
+    /**
+     * Escapa texto do SPED usado em atributos HTML
+     * @param {string} texto
+     * @returns {string}
+     */
+    escaparAtributo(texto) {
+        return String(texto || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
     /**
      * Renderiza tabela vazia
      */
@@ -860,7 +1153,7 @@ class ConfigurationManager {
         const config = window.difalConfiguracoesItens[itemId] || {};
         
         return `
-            <tr class="item-row ${config.beneficio ? 'with-benefit' : ''} ${config.fcpManual ? 'with-fcp' : ''}" data-item="${itemId}">
+            <tr class="item-row ${config.beneficio ? 'with-benefit' : ''} ${this.temConfiguracaoFcp(config) ? 'with-fcp' : ''}" data-item="${itemId}">
                 <td class="font-mono">${item.codItem}</td>
                 <td class="font-mono">${item.ncm || 'N/A'}</td>
                 <td class="descricao-cell" title="${this.formatarDescricaoCompleta(item)}">${this.formatarDescricaoExibicao(item, 30)}</td>
@@ -876,7 +1169,7 @@ class ConfigurationManager {
                     </select>
                 </td>
                 <td>
-                    <div id="beneficio-fields-${itemId}" class="beneficio-fields-inline ${config.beneficio ? 'show' : ''}">
+                    <div id="beneficio-fields-${itemId}" class="beneficio-fields-inline ${config.beneficio || config.regra ? 'show' : ''}">
                         ${this.createBeneficioFields(itemId, config)}
                     </div>
                 </td>
@@ -886,6 +1179,12 @@ class ConfigurationManager {
                            placeholder="2.0"
                            onchange="configurarFcpItem('${itemId}', this.value)"
                            style="width: 60px;">
+                    <select onchange="configurarFcpRegraItem('${itemId}', this.value)"
+                            title="Sobrepõe as regras de FCP por NCM da UF de destino">
+                        <option value="" ${!config.fcpRegra ? 'selected' : ''}>Regras</option>
+                        <option value="aplicar" ${config.fcpRegra === 'aplicar' ? 'selected' : ''}>Aplicar</option>
+                        <option value="nao-aplicar" ${config.fcpRegra === 'nao-aplicar' ? 'selected' : ''}>Não aplicar</option>
+                    </select>
                 </td>
                 <td>
                     <div class="action-buttons">
@@ -0,0 +1,232 @@
+/**
+ * DIFAL Convenio Catalog - Propostas de redução de base por convênio ICMS
+ * Cruza o NCM dos itens DIFAL com o catálogo CONVENIOS_REDUCAO_BASE
+ * (data/convenios-reducao.js) e propõe o benefício 'reducao-base' com a carga efetiva da UF
+ * de destino, a carga da operação de origem e a referência legal. Propostas aceitas viram
+ * configuração do item; as rejeitadas ficam guardadas para não serem propostas de novo.
+ */
+
+const CHAVE_STORAGE_CONVENIOS_REJEITADOS = 'difal_convenios_rejeitados';
+
+/**
+ * @class DifalConvenioCatalog
+ * @classdesc Propostas de benefício por convênio e registro das rejeições
+ */
+class DifalConvenioCatalog {
+    /**
+     * @constructor
+     * @param {Storage|null} storage - Armazenamento (padrão: localStorage, se existir)
+     */
+    constructor(storage = null) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.rejeitados = {}; // itemId → ids dos convênios rejeitados
+
+        this.carregar();
+    }
+
+    // ========== PROPOSTAS ==========
+
+    /**
+     * Propostas para os itens sem benefício configurado, uma por código de item
+     * @public
+     * @param {Array<Object>} itens - itensDifal
+     * @param {Object} configuracoes - Configurações por item (window.difalConfiguracoesItens)
+     * @param {Object} [padrao] - { ufOrigem, ufDestino } para itens sem UF no documento
+     * @returns {Array<{itemId, ncm, descricaoItem, ufDestino, entrada, cargaEfetivaDesejada, cargaOrigemEfetiva, abrangenciaCarga}>}
+     */
+    propor(itens, configuracoes = {}, padrao = {}) {
+        const propostas = new Map();
+
+        (itens || []).forEach(item => {
+            const itemId = item.codItem;
+            if (propostas.has(itemId) || configuracoes[itemId]?.beneficio) return;
+
+            const entrada = DifalConvenioCatalog.obterEntrada(item.ncm);
+            if (!entrada || this.foiRejeitado(itemId, entrada.id)) return;
+
+            const ufDestino = item.ufDestino && item.ufDestino !== 'XX' ? item.ufDestino : padrao.ufDestino;
+            const ufOrigem = item.ufOrigem && item.ufOrigem !== 'XX' ? item.ufOrigem : padrao.ufOrigem;
+            const cargas = DifalConvenioCatalog.calcularCargas(entrada, item, ufOrigem, ufDestino);
+            if (cargas.cargaEfetivaDesejada === null) return;
+
+            propostas.set(itemId, {
+                itemId,
+                ncm: item.ncm,
+                descricaoItem: item.descricaoItem || '',
+                ufDestino,
+                entrada,
+                ...cargas
+            });
+        });
+
+        return Array.from(propostas.values());
+    }
+
+    /**
+     * Configuração do item para uma proposta aceita
+     * @public
+     * @static
+     * @param {Object} proposta - Retorno de propor()
+     * @returns {Object}
+     */
+    static configuracaoDaProposta({ entrada, cargaEfetivaDesejada, cargaOrigemEfetiva }) {
+        const configuracao = {
+            beneficio: 'reducao-base',
+            cargaEfetivaDesejada,
+            convenio: {
+                id: entrada.id,
+                nome: `${entrada.convenio} - ${entrada.descricao}`,
+                referenciaLegal: entrada.referenciaLegal
+            }
+        };
+        if (cargaOrigemEfetiva !== null) {
+            configuracao.cargaOrigemEfetiva = cargaOrigemEfetiva;
+        }
+        return configuracao;
+    }
+
+    /**
+     * Registra as propostas rejeitadas para não serem propostas de novo
+     * @public
+     * @param {Array<Object>} propostas
+     */
+    rejeitar(propostas) {
+        propostas.forEach(({ itemId, entrada }) => {
+            const lista = this.rejeitados[itemId] || [];
+            if (!lista.includes(entrada.id)) {
+                this.rejeitados[itemId] = [...lista, entrada.id];
+            }
+        });
+        this.salvar();
+    }
+
+    /**
+     * Volta a propor os convênios rejeitados
+     * @public
+     * @returns {number} Itens que tinham rejeições
+     */
+    limparRejeicoes() {
+        const total = Object.keys(this.rejeitados).length;
+        this.rejeitados = {};
+        this.salvar();
+        return total;
+    }
+
+    /**
+     * @private
+     */
+    foiRejeitado(itemId, convenioId) {
+        return (this.rejeitados[itemId] || []).includes(convenioId);
+    }
+
+    // ========== CATÁLOGO ==========
+
+    /**
+     * Entrada do catálogo com o prefixo de NCM mais longo que alcança o item
+     * @public
+     * @static
+     * @param {string} ncm
+     * @returns {Object|null}
+     */
+    static obterEntrada(ncm) {
+        const ncmItem = String(ncm || '').replace(/\D/g, '');
+        if (ncmItem.length < 4) return null;
+
+        let melhor = null;
+        let tamanho = 0;
+        (window.CONVENIOS_REDUCAO_BASE || []).forEach(entrada => {
+            entrada.ncmPrefixos.forEach(prefixo => {
+                if (ncmItem.startsWith(prefixo) && prefixo.length > tamanho) {
+                    melhor = entrada;
+                    tamanho = prefixo.length;
+                }
+            });
+        });
+        return melhor;
+    }
+
+    /**
+     * Cargas efetivas do item: interna na UF de destino (na data do documento) e da origem,
+     * pela alíquota interestadual do documento ou do par de UFs
+     * @public
+     * @static
+     * @param {Object} entrada - Entrada do catálogo
+     * @param {Object} item
+     * @param {string|null} ufOrigem
+     * @param {string|null} ufDestino
+     * @returns {{cargaEfetivaDesejada: number|null, cargaOrigemEfetiva: number|null, abrangenciaCarga: 'uf'|'nacional'|'reducao'|null}}
+     * abrangenciaCarga: carga própria da UF (cargaPorUF), carga nacional do convênio ou
+     * redução do convênio sobre a alíquota interna da UF
+     */
+    static calcularCargas(entrada, item, ufOrigem, ufDestino) {
+        const arredondar = valor => Math.round(valor * 100) / 100;
+        const reducao = (entrada.percentualReducao || 0) / 100;
+
+        const vigente = ufDestino ? window.EstadosUtil.obterAliquotasVigentes(ufDestino, item.documento?.dtDoc) : null;
+        let cargaEfetivaDesejada = null;
+        let abrangenciaCarga = null;
+        if (entrada.cargaPorUF?.[ufDestino] !== undefined) {
+            cargaEfetivaDesejada = entrada.cargaPorUF[ufDestino];
+            abrangenciaCarga = 'uf';
+        } else if (entrada.cargaInterna !== undefined) {
+            cargaEfetivaDesejada = entrada.cargaInterna;
+            abrangenciaCarga = 'nacional';
+        } else if (vigente) {
+            cargaEfetivaDesejada = arredondar(vigente.aliqInterna * (1 - reducao));
+            abrangenciaCarga = 'reducao';
+        }
+
+        const aliqInterestadual = item.aliqIcms > 0
+            ? item.aliqIcms
+            : (ufOrigem && ufDestino ? window.EstadosUtil.obterAliquotaInterestadual(ufOrigem, ufDestino) : null);
+        let cargaOrigemEfetiva = null;
+        if (aliqInterestadual && entrada.cargaInterestadual?.[aliqInterestadual] !== undefined) {
+            cargaOrigemEfetiva = entrada.cargaInterestadual[aliqInterestadual];
+        } else if (aliqInterestadual && reducao > 0) {
+            cargaOrigemEfetiva = arredondar(aliqInterestadual * (1 - reducao));
+        }
+
+        return { cargaEfetivaDesejada, cargaOrigemEfetiva, abrangenciaCarga };
+    }
+
+    // ========== PERSISTÊNCIA ==========
+
+    /**
+     * Carrega as rejeições do storage
+     * @private
+     */
+    carregar() {
+        if (!this.storage) return;
+
+        try {
+            this.rejeitados = JSON.parse(this.storage.getItem(CHAVE_STORAGE_CONVENIOS_REJEITADOS) || '{}') || {};
+        } catch (error) {
+            console.error('❌ Erro ao carregar convênios rejeitados:', error);
+        }
+    }
+
+    /**
+     * Grava as rejeições no storage
+     * @private
+     */
+    salvar() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(CHAVE_STORAGE_CONVENIOS_REJEITADOS, JSON.stringify(this.rejeitados));
+        } catch (error) {
+            console.error('❌ Erro ao salvar convênios rejeitados:', error);
+        }
+    }
+}
+
+// Expor globalmente para uso no browser
+if (typeof window !== 'undefined') {
+    window.DifalConvenioCatalog = DifalConvenioCatalog;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifalConvenioCatalog;
+}
@@ -0,0 +1,429 @@
+/**
+ * DIFAL FCP Rules - Regras de FCP por UF e prefixo de NCM
+ * Define em quais mercadorias incide o FCP de cada UF de destino e com que
+ * alíquota. Sem regras, a UF aplica o FCP da tabela de alíquotas a todos os itens.
+ *
+ * - Abrangência 'todos': FCP da tabela para todos os itens; as regras ajustam a alíquota por NCM
+ * - Abrangência 'lista': FCP apenas nos NCMs com regra (ex.: listas de supérfluos)
+ * - Regra: { ncmPrefixo, aliquota, inicio, fim, descricao }; vale o prefixo mais longo vigente
+ * - A alíquota da regra fica entre 0 e o FCP máximo da UF (ex.: AL/SE 1% a 2%)
+ * - Importação e exportação em JSON ou CSV (uf;ncmPrefixo;aliquota;inicio;fim;descricao)
+ */
+
+const CHAVE_STORAGE_REGRAS_FCP = 'difal_regras_fcp';
+
+const ABRANGENCIAS_FCP = Object.freeze(['todos', 'lista']);
+
+const COLUNAS_CSV_REGRAS_FCP = Object.freeze(['uf', 'ncmPrefixo', 'aliquota', 'inicio', 'fim', 'descricao']);
+
+/**
+ * @class DifalFcpRules
+ * @classdesc Cadastro e persistência das regras de FCP por UF
+ */
+class DifalFcpRules {
+    /**
+     * @constructor
+     * @param {Storage|null} storage - Armazenamento (padrão: localStorage, se existir)
+     */
+    constructor(storage = null) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.regrasPorUf = {}; // UF → { abrangencia, regras }
+
+        this.carregar();
+    }
+
+    // ========== CONSULTA ==========
+
+    /**
+     * Abrangência e regras da UF (cópia)
+     * @public
+     * @param {string} uf
+     * @returns {{abrangencia: string, regras: Array<Object>}}
+     */
+    obterUF(uf) {
+        const cadastro = this.regrasPorUf[(uf || '').toUpperCase()];
+        return {
+            abrangencia: cadastro?.abrangencia || 'todos',
+            regras: (cadastro?.regras || []).map(regra => ({ ...regra }))
+        };
+    }
+
+    /**
+     * UFs com abrangência ou regras cadastradas
+     * @public
+     * @returns {Array<string>}
+     */
+    listarUFsComRegras() {
+        return Object.keys(this.regrasPorUf).sort();
+    }
+
+    /**
+     * Alíquota de FCP do item: regra do prefixo de NCM mais longo vigente na data do documento;
+     * sem regra, o FCP geral da UF (abrangência 'todos') ou zero (abrangência 'lista')
+     * @public
+     * @param {string} uf - UF de destino
+     * @param {string} ncm - NCM do item
+     * @param {string|Date} data - Data do documento (DDMMAAAA, AAAA-MM-DD ou Date)
+     * @param {number} fcpGeral - FCP da tabela de alíquotas vigente
+     * @returns {{aliquota: number, origem: 'regra'|'fora-da-lista'|'geral', regra: Object|null, semRegras: boolean}}
+     * semRegras: a UF não tem nenhuma regra cadastrada (FCP plano ou lista vazia)
+     */
+    resolver(uf, ncm, data, fcpGeral) {
+        const { abrangencia, regras } = this.obterUF(uf);
+        const ncmItem = String(ncm || '').replace(/\D/g, '');
+        const dataIso = window.EstadosUtil.normalizarDataVigencia(data);
+
+        const regra = regras
+            .filter(r => ncmItem && ncmItem.startsWith(r.ncmPrefixo))
+            .filter(r => !dataIso || (r.inicio <= dataIso && (!r.fim || dataIso <= r.fim)))
+            .sort((a, b) => b.ncmPrefixo.length - a.ncmPrefixo.length || b.inicio.localeCompare(a.inicio))[0];
+
+        const semRegras = regras.length === 0;
+        if (regra) {
+            return { aliquota: regra.aliquota, origem: 'regra', regra, semRegras };
+        }
+        if (abrangencia === 'lista') {
+            return { aliquota: 0, origem: 'fora-da-lista', regra: null, semRegras };
+        }
+        return { aliquota: fcpGeral || 0, origem: 'geral', regra: null, semRegras };
+    }
+
+    // ========== EDIÇÃO ==========
+
+    /**
+     * Define se o FCP da UF vale para todos os itens ou só para os NCMs com regra
+     * @public
+     * @param {string} uf
+     * @param {string} abrangencia - 'todos' ou 'lista'
+     * @throws {Error} Se a UF ou a abrangência forem inválidas
+     */
+    definirAbrangencia(uf, abrangencia) {
+        const chave = DifalFcpRules.validarUF(uf);
+        if (!ABRANGENCIAS_FCP.includes(abrangencia)) {
+            throw new Error(`abrangência deve ser uma de: ${ABRANGENCIAS_FCP.join(', ')}`);
+        }
+
+        this.atualizarUF(chave, { ...this.obterUF(chave), abrangencia });
+    }
+
+    /**
+     * Cria ou substitui a regra da UF com o mesmo prefixo de NCM e início
+     * @public
+     * @param {string} uf
+     * @param {Object} dados - { ncmPrefixo, aliquota, inicio, fim, descricao }
+     * @returns {Object} Regra salva
+     * @throws {Error} Se a UF ou a regra forem inválidas
+     */
+    salvarRegra(uf, dados) {
+        const chave = DifalFcpRules.validarUF(uf);
+        const regra = DifalFcpRules.normalizarRegra(dados);
+
+        const erros = DifalFcpRules.validarRegra(chave, regra);
+        if (erros.length > 0) {
+            throw new Error(`${chave}: ${erros.join('; ')}`);
+        }
+
+        const atual = this.obterUF(chave);
+        const regras = [
+            ...atual.regras.filter(r => r.ncmPrefixo !== regra.ncmPrefixo || r.inicio !== regra.inicio),
+            regra
+        ].sort(DifalFcpRules.compararRegras);
+
+        this.atualizarUF(chave, { ...atual, regras });
+        return regra;
+    }
+
+    /**
+     * Remove a regra da UF
+     * @public
+     * @param {string} uf
+     * @param {string} ncmPrefixo
+     * @param {string} inicio - AAAA-MM-DD
+     * @returns {boolean} true se removida
+     */
+    excluirRegra(uf, ncmPrefixo, inicio) {
+        const chave = DifalFcpRules.validarUF(uf);
+        const atual = this.obterUF(chave);
+        const regras = atual.regras.filter(r => r.ncmPrefixo !== ncmPrefixo || r.inicio !== inicio);
+
+        if (regras.length === atual.regras.length) return false;
+
+        this.atualizarUF(chave, { ...atual, regras });
+        return true;
+    }
+
+    // ========== IMPORTAÇÃO / EXPORTAÇÃO ==========
+
+    /**
+     * Exporta abrangências e regras de todas as UFs em JSON
+     * @public
+     * @returns {string}
+     */
+    exportarJSON() {
+        return JSON.stringify({ versao: 1, exportadoEm: new Date().toISOString(), regras: this.regrasPorUf }, null, 2);
+    }
+
+    /**
+     * Exporta as regras em CSV (separador ";", decimal ","); a abrangência não entra no CSV
+     * @public
+     * @returns {string}
+     */
+    exportarCSV() {
+        const linhas = [COLUNAS_CSV_REGRAS_FCP.join(';')];
+        this.listarUFsComRegras().forEach(uf => {
+            this.obterUF(uf).regras.forEach(r => {
+                linhas.push([uf, r.ncmPrefixo, String(r.aliquota).replace('.', ','), r.inicio, r.fim || '', (r.descricao || '').replace(/;/g, ',')]
+                    .join(';'));
+            });
+        });
+        return linhas.join('\n');
+    }
+
+    /**
+     * Importa regras de JSON ou CSV; as UFs presentes no arquivo têm as regras substituídas
+     * O arquivo inteiro é validado antes de qualquer alteração.
+     * @public
+     * @param {string} conteudo - Texto do arquivo
+     * @param {string} formato - 'json' ou 'csv'
+     * @returns {{ufs: number, regras: number}}
+     * @throws {Error} Se o arquivo for inválido
+     */
+    importar(conteudo, formato) {
+        const porUf = formato === 'csv'
+            ? DifalFcpRules.lerCSV(conteudo)
+            : DifalFcpRules.lerJSON(conteudo);
+
+        const erros = [];
+        Object.entries(porUf).forEach(([uf, cadastro]) => {
+            if (!window.EstadosUtil.obterPorUF(uf)) {
+                erros.push(`UF desconhecida: ${uf}`);
+                return;
+            }
+            if (cadastro.abrangencia && !ABRANGENCIAS_FCP.includes(cadastro.abrangencia)) {
+                erros.push(`${uf}: abrangência deve ser uma de: ${ABRANGENCIAS_FCP.join(', ')}`);
+            }
+            const chaves = new Set();
+            cadastro.regras.forEach(regra => {
+                DifalFcpRules.validarRegra(uf, regra).forEach(erro => erros.push(`${uf} ${regra.ncmPrefixo || ''}: ${erro}`));
+                const chave = `${regra.ncmPrefixo}|${regra.inicio}`;
+                if (chaves.has(chave)) erros.push(`${uf}: regra ${regra.ncmPrefixo} de ${regra.inicio} repetida`);
+                chaves.add(chave);
+            });
+        });
+
+        if (erros.length > 0) {
+            throw new Error(`Arquivo de regras de FCP inválido: ${erros.slice(0, 10).join('; ')}${erros.length > 10 ? ` (+${erros.length - 10})` : ''}`);
+        }
+        if (Object.keys(porUf).length === 0) {
+            throw new Error('Arquivo de regras de FCP sem UFs');
+        }
+
+        let totalRegras = 0;
+        Object.entries(porUf).forEach(([uf, cadastro]) => {
+            const regras = [...cadastro.regras].sort(DifalFcpRules.compararRegras);
+            totalRegras += regras.length;
+            this.regrasPorUf[uf] = {
+                abrangencia: cadastro.abrangencia || this.obterUF(uf).abrangencia,
+                regras
+            };
+        });
+
+        this.salvar();
+        console.log(`📥 Regras de FCP importadas: ${Object.keys(porUf).length} UF(s), ${totalRegras} regra(s)`);
+        return { ufs: Object.keys(porUf).length, regras: totalRegras };
+    }
+
+    // ========== PERSISTÊNCIA ==========
+
+    /**
+     * Grava o cadastro da UF; UF sem regras e com abrangência 'todos' volta ao padrão
+     * @private
+     */
+    atualizarUF(uf, cadastro) {
+        if (cadastro.abrangencia === 'todos' && cadastro.regras.length === 0) {
+            delete this.regrasPorUf[uf];
+        } else {
+            this.regrasPorUf[uf] = cadastro;
+        }
+        this.salvar();
+    }
+
+    /**
+     * Carrega as regras do storage
+     * @private
+     */
+    carregar() {
+        if (!this.storage) return;
+
+        try {
+            const salvo = JSON.parse(this.storage.getItem(CHAVE_STORAGE_REGRAS_FCP) || 'null');
+            if (!salvo) return;
+
+            this.regrasPorUf = salvo.regras || {};
+        } catch (error) {
+            console.error('❌ Erro ao carregar regras de FCP:', error);
+        }
+    }
+
+    /**
+     * Grava as regras no storage
+     * @private
+     */
+    salvar() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(CHAVE_STORAGE_REGRAS_FCP, JSON.stringify({ regras: this.regrasPorUf }));
+        } catch (error) {
+            console.error('❌ Erro ao salvar regras de FCP:', error);
+        }
+    }
+
+    // ========== UTILITÁRIOS ==========
+
+    /**
+     * Converte os campos digitados/importados (aceita vírgula decimal e DD/MM/AAAA)
+     * @private
+     * @param {Object} dados
+     * @returns {Object}
+     */
+    static normalizarRegra(dados) {
+        const data = valor => {
+            const texto = String(valor || '').trim().replace(/^(\d{2})\/(\d{2})\/(\d{4})$/, '$1$2$3');
+            return window.EstadosUtil.normalizarDataVigencia(texto) || texto;
+        };
+        const aliquota = String(dados.aliquota ?? '').trim();
+
+        return {
+            ncmPrefixo: String(dados.ncmPrefixo || '').replace(/\D/g, ''),
+            aliquota: aliquota === '' ? NaN : Number(aliquota.replace(',', '.')),
+            inicio: data(dados.inicio),
+            fim: data(dados.fim) || null,
+            descricao: String(dados.descricao || '').trim()
+        };
+    }
+
+    /**
+     * Valida prefixo, datas e a alíquota contra o FCP máximo da UF na vigência
+     * @private
+     * @param {string} uf
+     * @param {Object} regra - Regra normalizada
+     * @returns {Array<string>} Erros encontrados
+     */
+    static validarRegra(uf, regra) {
+        const erros = [];
+        const dataValida = valor => /^\d{4}-\d{2}-\d{2}$/.test(valor) && !Number.isNaN(Date.parse(valor));
+
+        if (!/^\d{2,8}$/.test(regra.ncmPrefixo)) {
+            erros.push('prefixo de NCM deve ter de 2 a 8 dígitos');
+        }
+        if (!dataValida(regra.inicio)) {
+            erros.push('início da vigência inválido (use AAAA-MM-DD ou DD/MM/AAAA)');
+        }
+        if (regra.fim && (!dataValida(regra.fim) || regra.fim < regra.inicio)) {
+            erros.push('fim da vigência inválido ou anterior ao início');
+        }
+
+        const vigente = dataValida(regra.inicio) ? window.EstadosUtil.obterAliquotasVigentes(uf, regra.inicio) : null;
+        const fcpMax = vigente ? vigente.fcpMax ?? vigente.fcp : 10;
+        if (!(regra.aliquota >= 0 && regra.aliquota <= fcpMax)) {
+            erros.push(`alíquota de FCP deve estar entre 0 e ${fcpMax}% (FCP máximo da UF)`);
+        }
+
+        return erros;
+    }
+
+    /**
+     * Ordem de exibição: prefixo, depois início
+     * @private
+     */
+    static compararRegras(a, b) {
+        return a.ncmPrefixo.localeCompare(b.ncmPrefixo) || a.inicio.localeCompare(b.inicio);
+    }
+
+    /**
+     * @private
+     * @throws {Error} Se a UF não existir
+     */
+    static validarUF(uf) {
+        const estado = uf ? window.EstadosUtil.obterPorUF(uf) : null;
+        if (!estado) {
+            throw new Error(`UF desconhecida: ${uf}`);
+        }
+        return estado.uf;
+    }
+
+    /**
+     * Lê o JSON exportado ({ regras: { UF: { abrangencia, regras } } }) ou apenas o mapa por UF
+     * @private
+     */
+    static lerJSON(conteudo) {
+        let dados;
+        try {
+            dados = JSON.parse(conteudo);
+        } catch (error) {
+            throw new Error(`JSON inválido: ${error.message}`);
+        }
+
+        const mapa = dados?.regras || dados;
+        if (!mapa || typeof mapa !== 'object' || Array.isArray(mapa)) {
+            throw new Error('JSON sem o mapa de regras de FCP por UF');
+        }
+
+        const porUf = {};
+        Object.entries(mapa).forEach(([uf, cadastro]) => {
+            const regras = Array.isArray(cadastro) ? cadastro : cadastro?.regras;
+            porUf[uf.toUpperCase()] = {
+                abrangencia: Array.isArray(cadastro) ? null : cadastro?.abrangencia || null,
+                regras: (Array.isArray(regras) ? regras : []).map(DifalFcpRules.normalizarRegra)
+            };
+        });
+        return porUf;
+    }
+
+    /**
+     * Lê o CSV exportado; a primeira linha deve trazer os nomes das colunas
+     * @private
+     */
+    static lerCSV(conteudo) {
+        const linhas = conteudo.replace(/^\uFEFF/, '').split(/\r?\n/).filter(linha => linha.trim());
+        if (linhas.length < 2) {
+            throw new Error('CSV sem regras de FCP');
+        }
+
+        const separador = linhas[0].includes(';') ? ';' : ',';
+        const cabecalho = linhas[0].split(separador).map(coluna => coluna.trim());
+        const faltando = ['uf', 'ncmPrefixo', 'aliquota', 'inicio'].filter(coluna => !cabecalho.includes(coluna));
+        if (faltando.length > 0) {
+            throw new Error(`CSV sem as colunas: ${faltando.join(', ')}`);
+        }
+
+        const porUf = {};
+        linhas.slice(1).forEach(linha => {
+            const valores = linha.split(separador);
+            const registro = {};
+            cabecalho.forEach((coluna, i) => {
+                registro[coluna] = (valores[i] || '').trim();
+            });
+
+            const uf = registro.uf.toUpperCase();
+            porUf[uf] = porUf[uf] || { abrangencia: null, regras: [] };
+            porUf[uf].regras.push(DifalFcpRules.normalizarRegra(registro));
+        });
+        return porUf;
+    }
+}
+
+DifalFcpRules.ABRANGENCIAS = ABRANGENCIAS_FCP;
+DifalFcpRules.COLUNAS_CSV = COLUNAS_CSV_REGRAS_FCP;
+
+// Expor globalmente para uso no browser
+if (typeof window !== 'undefined') {
+    window.DifalFcpRules = DifalFcpRules;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifalFcpRules;
+}
@@ -0,0 +1,565 @@
+/**
+ * DIFAL Filter Profiles - Perfis de filtro CFOP/CST dos itens DIFAL
+ * Define quais itens do SPED entram no cálculo DIFAL: CFOPs de
+ * mercadorias (C170), CFOPs de frete (D190) e CSTs excluídos. Traz perfis
+ * pré-definidos, guarda os perfis da equipe no localStorage e permite vincular
+ * um perfil a cada cliente (CNPJ do registro 0000).
+ *
+ * O parser recebe apenas o retrato serializável da configuração
+ * (obterConfiguracaoParser), pois também roda no Web Worker sem localStorage.
+ *
+ * CSTs excluídos:
+ * - 2 dígitos (ex.: '40'): comparados com a tributação (dois últimos dígitos do CST)
+ * - 3 dígitos (ex.: '060', '500'): comparados com o código completo (CST ou CSOSN)
+ */
+
+const CHAVE_STORAGE_FILTROS = 'difal_filtros_perfis';
+
+// Motivos pelos quais um item fica fora do cálculo DIFAL
+const MOTIVOS_EXCLUSAO_DIFAL = Object.freeze({
+    'documento-cancelado': 'Documento cancelado, denegado ou com numeração inutilizada (COD_SIT 02 a 05)',
+    'operacao-saida': 'Documento de saída (IND_OPER 1): fora do DIFAL de entrada',
+    'emissao-propria': 'Documento de emissão própria (IND_EMIT 0): fora do DIFAL de entrada',
+    'operacao-interna': 'Operação interna (CFOP 1xxx/5xxx)',
+    'participante-exterior': 'Participante do exterior (COD_PAIS diferente de 1058): importação, sem DIFAL - tratar manualmente',
+    'cfop-nao-difal': 'CFOP fora do perfil de filtro DIFAL',
+    'valor-zero': 'Sem valor para base de cálculo',
+    'cst-excluido': 'CST excluído pelo perfil de filtro'
+});
+
+// UF atribuída aos participantes do exterior (0150 / emitente da NF-e com país diferente do Brasil)
+const UF_EXTERIOR = 'EX';
+
+// COD_SIT de documentos sem efeito fiscal: 02/03 cancelado, 04 denegado, 05 inutilizado
+const COD_SIT_SEM_EFEITO = Object.freeze(['02', '03', '04', '05']);
+
+// COD_SIT de documentos escriturados fora do período de emissão: 01 regular, 07 complementar
+const COD_SIT_EXTEMPORANEO = Object.freeze(['01', '07']);
+
+// Vendas interestaduais a não contribuinte (DIFAL de saída, EC 87/2015)
+const CFOPS_DIFAL_SAIDA = Object.freeze([
+    '6107', // Venda de produção do estabelecimento destinada a não contribuinte
+    '6108'  // Venda de mercadoria adquirida ou recebida de terceiros destinada a não contribuinte
+]);
+
+// Situação do documento fiscal (tabela 4.1.2 do Guia Prático da EFD ICMS/IPI)
+const SITUACOES_DOCUMENTO = Object.freeze({
+    '00': 'Documento regular',
+    '01': 'Escrituração extemporânea de documento regular',
+    '02': 'Documento cancelado',
+    '03': 'Escrituração extemporânea de documento cancelado',
+    '04': 'Documento denegado',
+    '05': 'Numeração inutilizada',
+    '06': 'Documento complementar',
+    '07': 'Escrituração extemporânea de documento complementar',
+    '08': 'Documento emitido com base em regime especial ou norma específica'
+});
+
+/**
+ * Perfis pré-definidos (somente leitura)
+ * CFOPs conforme CFOPS_DIFAL (data/estados-brasil.js)
+ */
+const PERFIS_FILTRO_PADRAO = Object.freeze([
+    Object.freeze({
+        id: 'padrao',
+        nome: 'Padrão - uso/consumo, ativo e frete',
+        cfopsMercadorias: Object.freeze(['2551', '2556']),
+        cfopsTransporte: Object.freeze(['2352', '2353', '2354', '2355', '2356']),
+        cstsExcluidos: Object.freeze(['40', '41', '50', '51', '60', '90']),
+        predefinido: true
+    }),
+    Object.freeze({
+        id: 'uso-consumo',
+        nome: 'Somente uso e consumo',
+        cfopsMercadorias: Object.freeze(['2556']),
+        cfopsTransporte: Object.freeze([]),
+        cstsExcluidos: Object.freeze(['40', '41', '50', '51', '60', '90']),
+        predefinido: true
+    }),
+    Object.freeze({
+        id: 'ativo-imobilizado',
+        nome: 'Somente ativo imobilizado',
+        cfopsMercadorias: Object.freeze(['2551']),
+        cfopsTransporte: Object.freeze([]),
+        cstsExcluidos: Object.freeze(['40', '41', '50', '51', '60', '90']),
+        predefinido: true
+    }),
+    Object.freeze({
+        id: 'sem-exclusao-cst',
+        nome: 'Uso/consumo, ativo e frete sem exclusão por CST',
+        cfopsMercadorias: Object.freeze(['2551', '2556']),
+        cfopsTransporte: Object.freeze(['2352', '2353', '2354', '2355', '2356']),
+        cstsExcluidos: Object.freeze([]),
+        predefinido: true
+    })
+]);
+
+/**
+ * @class DifalFilterProfiles
+ * @classdesc Cadastro e aplicação dos perfis de filtro CFOP/CST
+ */
+class DifalFilterProfiles {
+    /**
+     * @constructor
+     * @param {Storage|null} storage - Armazenamento (padrão: localStorage, se existir)
+     */
+    constructor(storage = null) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.perfisPersonalizados = [];
+        this.perfilAtivoId = 'padrao';
+        this.clientes = {}; // CNPJ → id do perfil
+
+        this.carregar();
+    }
+
+    // ========== CONSULTA ==========
+
+    /**
+     * Lista os perfis pré-definidos e os personalizados
+     * @public
+     * @returns {Array<Object>}
+     */
+    listarPerfis() {
+        return [...PERFIS_FILTRO_PADRAO, ...this.perfisPersonalizados];
+    }
+
+    /**
+     * Obtém um perfil pelo id
+     * @public
+     * @param {string} id - Id do perfil
+     * @returns {Object|null}
+     */
+    obterPerfil(id) {
+        return this.listarPerfis().find(perfil => perfil.id === id) || null;
+    }
+
+    /**
+     * Perfil usado quando o cliente não tem perfil vinculado
+     * @public
+     * @returns {Object}
+     */
+    obterPerfilAtivo() {
+        return this.obterPerfil(this.perfilAtivoId) || PERFIS_FILTRO_PADRAO[0];
+    }
+
+    /**
+     * CNPJs vinculados a um perfil
+     * @public
+     * @param {string} id - Id do perfil
+     * @returns {Array<string>}
+     */
+    listarClientesDoPerfil(id) {
+        return Object.keys(this.clientes).filter(cnpj => this.clientes[cnpj] === id);
+    }
+
+    /**
+     * Retrato serializável para o parser (thread principal ou worker)
+     * @public
+     * @returns {{padrao: Object, porCliente: Object}}
+     */
+    obterConfiguracaoParser() {
+        const porCliente = {};
+        Object.entries(this.clientes).forEach(([cnpj, id]) => {
+            const perfil = this.obterPerfil(id);
+            if (perfil) {
+                porCliente[cnpj] = DifalFilterProfiles.copiarPerfil(perfil);
+            }
+        });
+
+        return {
+            padrao: DifalFilterProfiles.copiarPerfil(this.obterPerfilAtivo()),
+            porCliente
+        };
+    }
+
+    // ========== EDIÇÃO ==========
+
+    /**
+     * Cria ou atualiza um perfil personalizado
+     * @public
+     * @param {Object} dados - { id?, nome, cfopsMercadorias, cfopsTransporte, cstsExcluidos }
+     * @returns {Object} Perfil salvo
+     * @throws {Error} Se o perfil for pré-definido ou inválido
+     */
+    salvarPerfil(dados) {
+        if (PERFIS_FILTRO_PADRAO.some(perfil => perfil.id === dados.id)) {
+            throw new Error('Perfis pré-definidos não podem ser alterados. Duplique o perfil para editá-lo.');
+        }
+
+        const perfil = {
+            id: dados.id || `perfil_${Date.now()}`,
+            nome: (dados.nome || '').trim(),
+            cfopsMercadorias: DifalFilterProfiles.normalizarLista(dados.cfopsMercadorias),
+            cfopsTransporte: DifalFilterProfiles.normalizarLista(dados.cfopsTransporte),
+            cstsExcluidos: DifalFilterProfiles.normalizarLista(dados.cstsExcluidos),
+            predefinido: false
+        };
+
+        const erros = DifalFilterProfiles.validarPerfil(perfil);
+        if (erros.length > 0) {
+            throw new Error(erros.join('; '));
+        }
+
+        const indice = this.perfisPersonalizados.findIndex(p => p.id === perfil.id);
+        if (indice >= 0) {
+            this.perfisPersonalizados[indice] = perfil;
+        } else {
+            this.perfisPersonalizados.push(perfil);
+        }
+
+        this.salvar();
+        console.log(`💾 Perfil de filtro DIFAL salvo: ${perfil.nome}`);
+        return perfil;
+    }
+
+    /**
+     * Remove um perfil personalizado (e os vínculos de clientes)
+     * @public
+     * @param {string} id - Id do perfil
+     * @returns {boolean} true se removido
+     */
+    excluirPerfil(id) {
+        const indice = this.perfisPersonalizados.findIndex(p => p.id === id);
+        if (indice < 0) {
+            return false;
+        }
+
+        this.perfisPersonalizados.splice(indice, 1);
+        this.listarClientesDoPerfil(id).forEach(cnpj => delete this.clientes[cnpj]);
+        if (this.perfilAtivoId === id) {
+            this.perfilAtivoId = 'padrao';
+        }
+
+        this.salvar();
+        return true;
+    }
+
+    /**
+     * Define o perfil usado por padrão
+     * @public
+     * @param {string} id - Id do perfil
+     */
+    definirPerfilAtivo(id) {
+        if (!this.obterPerfil(id)) {
+            throw new Error(`Perfil de filtro não encontrado: ${id}`);
+        }
+        this.perfilAtivoId = id;
+        this.salvar();
+    }
+
+    /**
+     * Substitui os CNPJs vinculados a um perfil
+     * Um CNPJ só pode estar vinculado a um perfil; o vínculo anterior é substituído.
+     * @public
+     * @param {string} id - Id do perfil
+     * @param {Array<string>|string} cnpjs - CNPJs (com ou sem máscara)
+     */
+    vincularClientes(id, cnpjs) {
+        this.listarClientesDoPerfil(id).forEach(cnpj => delete this.clientes[cnpj]);
+
+        DifalFilterProfiles.normalizarLista(cnpjs)
+            .map(cnpj => cnpj.replace(/\D/g, ''))
+            .filter(Boolean)
+            .forEach(cnpj => {
+                this.clientes[cnpj] = id;
+            });
+
+        this.salvar();
+    }
+
+    // ========== PERSISTÊNCIA ==========
+
+    /**
+     * Carrega perfis e vínculos do storage
+     * @private
+     */
+    carregar() {
+        if (!this.storage) return;
+
+        try {
+            const salvo = JSON.parse(this.storage.getItem(CHAVE_STORAGE_FILTROS) || 'null');
+            if (!salvo) return;
+
+            this.perfisPersonalizados = Array.isArray(salvo.perfis) ? salvo.perfis : [];
+            this.perfilAtivoId = salvo.ativo || 'padrao';
+            this.clientes = salvo.clientes || {};
+        } catch (error) {
+            console.error('❌ Erro ao carregar perfis de filtro DIFAL:', error);
+        }
+    }
+
+    /**
+     * Grava perfis e vínculos no storage
+     * @private
+     */
+    salvar() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(CHAVE_STORAGE_FILTROS, JSON.stringify({
+                perfis: this.perfisPersonalizados,
+                ativo: this.perfilAtivoId,
+                clientes: this.clientes
+            }));
+        } catch (error) {
+            console.error('❌ Erro ao salvar perfis de filtro DIFAL:', error);
+        }
+    }
+
+    // ========== APLICAÇÃO DO FILTRO ==========
+
+    /**
+     * Resolve o perfil de um cliente a partir do retrato da configuração
+     * @public
+     * @param {Object|null} configuracao - Resultado de obterConfiguracaoParser
+     * @param {string} cnpj - CNPJ do registro 0000
+     * @returns {Object} Perfil aplicável
+     */
+    static resolverPerfil(configuracao, cnpj) {
+        return configuracao?.porCliente?.[cnpj] || configuracao?.padrao || PERFIS_FILTRO_PADRAO[0];
+    }
+
+    /**
+     * Verifica se o CFOP do item é aceito pelo perfil
+     * @public
+     * @param {Object} perfil - Perfil de filtro
+     * @param {Object} item - Item C170 ou D190
+     * @returns {boolean}
+     */
+    static isCFOPPermitido(perfil, item) {
+        const cfops = item.tipoItem === 'servico-transporte' ? perfil.cfopsTransporte : perfil.cfopsMercadorias;
+        return cfops.includes(String(item.cfop || ''));
+    }
+
+    /**
+     * Verifica se o CST está na lista de exclusão do perfil
+     * @public
+     * @param {Object} perfil - Perfil de filtro
+     * @param {string} cst - CST_ICMS do item
+     * @returns {boolean}
+     */
+    static isCSTExcluido(perfil, cst) {
+        const codigo = String(cst || '');
+        const tributacao = codigo.length === 3 ? codigo.substring(1) : codigo;
+
+        return perfil.cstsExcluidos.some(excluido =>
+            excluido.length === 3 ? excluido === codigo : excluido === tributacao
+        );
+    }
+
+    /**
+     * Motivos que deixam o item fora do cálculo DIFAL (lista vazia = item DIFAL)
+     * @public
+     * @param {Object} perfil - Perfil de filtro
+     * @param {Object} item - Item C170, D190 ou NF-e (XML)
+     * @returns {Array<string>} Códigos de MOTIVOS_EXCLUSAO_DIFAL
+     */
+    static obterMotivosExclusao(perfil, item) {
+        const cfop = String(item.cfop || '');
+        const motivos = [];
+
+        if (COD_SIT_SEM_EFEITO.includes(item.documento?.codSit)) {
+            motivos.push('documento-cancelado');
+        }
+
+        // DIFAL de entrada: somente documentos de entrada emitidos por terceiros
+        if (item.documento?.indOper === '1') {
+            motivos.push('operacao-saida');
+        }
+        if (item.documento?.indEmit === '0') {
+            motivos.push('emissao-propria');
+        }
+
+        // Importação: não há alíquota interestadual a comparar com a interna
+        if (item.ufOrigem === UF_EXTERIOR || item.documento?.participante?.uf === UF_EXTERIOR) {
+            motivos.push('participante-exterior');
+        }
+
+        // Fretes (D190) usam a lista de CFOPs de transporte do perfil
+        if (!DifalFilterProfiles.isCFOPPermitido(perfil, item)) {
+            motivos.push(/^[15]/.test(cfop) ? 'operacao-interna' : 'cfop-nao-difal');
+        }
+
+        if (!(item.baseCalculoDifal > 0)) {
+            motivos.push('valor-zero');
+        }
+
+        if (DifalFilterProfiles.isCSTExcluido(perfil, item.cstIcms)) {
+            motivos.push('cst-excluido');
+        }
+
+        return motivos;
+    }
+
+    /**
+     * Item de venda própria interestadual a não contribuinte (DIFAL de saída)
+     * Documento de saída (IND_OPER 1), emissão própria (IND_EMIT 0), com efeito fiscal e CFOP 6107/6108
+     * @public
+     * @param {Object} item - Item C170, C190 ou NF-e (XML)
+     * @returns {boolean}
+     */
+    static isItemDifalSaida(item) {
+        const documento = item.documento;
+        return Boolean(documento) &&
+            documento.indOper === '1' &&
+            documento.indEmit === '0' &&
+            !COD_SIT_SEM_EFEITO.includes(documento.codSit) &&
+            CFOPS_DIFAL_SAIDA.includes(String(item.cfop || ''));
+    }
+
+    /**
+     * Classifica o documento do item pelo COD_SIT
+     * Extemporâneo: a data real é o DT_DOC e a competência de origem sai dela
+     * @public
+     * @param {Object|null} documento - Documento C100/D100 (ou NF-e/CT-e do XML)
+     * @returns {{codSit: string, descricao: string, semEfeito: boolean, extemporaneo: boolean,
+     *   dataDocumento: string, competenciaOriginal: string}}
+     */
+    static classificarSituacaoDocumento(documento) {
+        const codSit = documento?.codSit || '';
+        const dataDocumento = documento?.dtDoc || '';
+
+        return {
+            codSit,
+            descricao: SITUACOES_DOCUMENTO[codSit] || 'Situação não informada',
+            semEfeito: COD_SIT_SEM_EFEITO.includes(codSit),
+            extemporaneo: COD_SIT_EXTEMPORANEO.includes(codSit),
+            dataDocumento,
+            // DDMMAAAA → AAAA-MM
+            competenciaOriginal: /^\d{8}$/.test(dataDocumento) ? `${dataDocumento.substring(4, 8)}-${dataDocumento.substring(2, 4)}` : ''
+        };
+    }
+
+    /**
+     * Registro do item excluído para o relatório (apenas os dados exibidos)
+     * @public
+     * @param {Object} item - Item fora do filtro
+     * @param {Array<string>} motivos - Códigos de MOTIVOS_EXCLUSAO_DIFAL
+     * @returns {Object}
+     */
+    static criarRegistroExclusao(item, motivos) {
+        return {
+            tipoRegistro: item.tipoRegistro,
+            tipoItem: item.tipoItem,
+            linha: item.linha,
+            codItem: item.codItem,
+            descricaoItem: item.descricaoItem,
+            ncm: item.ncm,
+            cfop: item.cfop,
+            cstIcms: item.cstIcms,
+            valorItem: item.valorItem,
+            baseCalculoDifal: item.baseCalculoDifal,
+            ufOrigem: item.ufOrigem,
+            documento: item.documento,
+            motivos
+        };
+    }
+
+    /**
+     * Descrição legível do perfil (usada em telas e relatórios)
+     * @public
+     * @param {Object|null} perfil - Perfil de filtro
+     * @returns {string}
+     */
+    static descrever(perfil) {
+        if (!perfil) return 'Não informado';
+
+        const listar = (lista) => (lista.length > 0 ? lista.join(', ') : 'nenhum');
+        return `${perfil.nome} (CFOPs mercadorias: ${listar(perfil.cfopsMercadorias)}; ` +
+            `CFOPs frete: ${listar(perfil.cfopsTransporte)}; CSTs excluídos: ${listar(perfil.cstsExcluidos)})`;
+    }
+
+    /**
+     * Descrição do filtro aplicado a um conjunto de dados SPED (período único ou consolidado).
+     * Na consolidação com perfis diferentes, descreve o filtro de cada período.
+     * @public
+     * @param {Object|null} spedData - Dados com filtroDifal e, se consolidados, filtrosDifalPorPeriodo
+     * @returns {string}
+     */
+    static descreverDados(spedData) {
+        const porPeriodo = spedData?.filtrosDifalPorPeriodo || [];
+        const distintos = new Set(porPeriodo.map(entrada => JSON.stringify(entrada.filtroDifal)));
+        if (distintos.size <= 1) {
+            return DifalFilterProfiles.descrever(spedData?.filtroDifal || porPeriodo[0]?.filtroDifal || null);
+        }
+
+        return porPeriodo
+            .map(entrada => `${entrada.periodo}: ${DifalFilterProfiles.descrever(entrada.filtroDifal)}`)
+            .join('; ');
+    }
+
+    // ========== AUXILIARES ==========
+
+    /**
+     * Converte texto ("2556, 2551") ou array em lista de códigos sem duplicidade
+     * @private
+     * @param {Array<string>|string} valor
+     * @returns {Array<string>}
+     */
+    static normalizarLista(valor) {
+        const itens = Array.isArray(valor) ? valor : String(valor || '').split(/[\s,;]+/);
+        return [...new Set(itens.map(item => String(item).trim()).filter(Boolean))];
+    }
+
+    /**
+     * Valida nome, CFOPs (4 dígitos) e CSTs (2 ou 3 dígitos)
+     * @private
+     * @param {Object} perfil
+     * @returns {Array<string>} Erros encontrados
+     */
+    static validarPerfil(perfil) {
+        const erros = [];
+
+        if (!perfil.nome) {
+            erros.push('Informe o nome do perfil');
+        }
+        if (perfil.cfopsMercadorias.length === 0 && perfil.cfopsTransporte.length === 0) {
+            erros.push('Informe ao menos um CFOP');
+        }
+
+        const cfopsInvalidos = [...perfil.cfopsMercadorias, ...perfil.cfopsTransporte].filter(cfop => !/^\d{4}$/.test(cfop));
+        if (cfopsInvalidos.length > 0) {
+            erros.push(`CFOPs inválidos: ${cfopsInvalidos.join(', ')}`);
+        }
+
+        const cstsInvalidos = perfil.cstsExcluidos.filter(cst => !/^\d{2,3}$/.test(cst));
+        if (cstsInvalidos.length > 0) {
+            erros.push(`CSTs inválidos: ${cstsInvalidos.join(', ')}`);
+        }
+
+        return erros;
+    }
+
+    /**
+     * Cópia simples do perfil (sem referências congeladas)
+     * @private
+     */
+    static copiarPerfil(perfil) {
+        return {
+            id: perfil.id,
+            nome: perfil.nome,
+            cfopsMercadorias: [...perfil.cfopsMercadorias],
+            cfopsTransporte: [...perfil.cfopsTransporte],
+            cstsExcluidos: [...perfil.cstsExcluidos],
+            predefinido: !!perfil.predefinido
+        };
+    }
+}
+
+DifalFilterProfiles.PERFIS_PADRAO = PERFIS_FILTRO_PADRAO;
+DifalFilterProfiles.MOTIVOS_EXCLUSAO = MOTIVOS_EXCLUSAO_DIFAL;
+DifalFilterProfiles.SITUACOES_DOCUMENTO = SITUACOES_DOCUMENTO;
+DifalFilterProfiles.CFOPS_DIFAL_SAIDA = CFOPS_DIFAL_SAIDA;
+DifalFilterProfiles.UF_EXTERIOR = UF_EXTERIOR;
+
+// Expor globalmente para uso no browser
+if (typeof window !== 'undefined') {
+    window.MOTIVOS_EXCLUSAO_DIFAL = MOTIVOS_EXCLUSAO_DIFAL;
+    window.DifalFilterProfiles = DifalFilterProfiles;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifalFilterProfiles;
+}
@@ -0,0 +1,372 @@
+/**
+ * DIFAL Item Rules - Regras declarativas de configuração automática dos itens
+ * Regras por cliente (CNPJ do SPED) que configuram benefício e FCP dos itens DIFAL:
+ * "NCM 8471* e CFOP 2551 → redução de base com carga de 12%", "CST de origem 1/2/3/8 → alíquota
+ * de origem de 4%". As regras ativas são avaliadas em ordem de prioridade (menor primeiro) e a
+ * primeira que casa configura o item. Configurações feitas à mão não são sobrescritas; as feitas
+ * por regra guardam { regra: { id, nome } } e são refeitas a cada aplicação.
+ *
+ * - Condições: ncmPrefixos, cfops, origensCst (1º dígito do CST) e ufsOrigem; lista vazia = qualquer
+ * - Ação: beneficio com o valor correspondente e/ou fcpRegra ('aplicar' | 'nao-aplicar')
+ */
+
+const CHAVE_STORAGE_REGRAS_ITENS = 'difal_regras_itens';
+
+// Campo de valor exigido por benefício (isenção não tem valor)
+const CAMPOS_VALOR_BENEFICIO = Object.freeze({
+    'reducao-base': 'cargaEfetivaDesejada',
+    'reducao-aliquota-origem': 'aliqOrigemEfetiva',
+    'reducao-aliquota-destino': 'aliqDestinoEfetiva',
+    'isencao': null
+});
+
+const FCP_REGRAS_ITEM = Object.freeze(['aplicar', 'nao-aplicar']);
+
+/**
+ * @class DifalItemRules
+ * @classdesc Cadastro por cliente e aplicação das regras de configuração dos itens
+ */
+class DifalItemRules {
+    /**
+     * @constructor
+     * @param {Storage|null} storage - Armazenamento (padrão: localStorage, se existir)
+     */
+    constructor(storage = null) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.regrasPorCliente = {}; // CNPJ → regras
+
+        this.carregar();
+    }
+
+    // ========== CONSULTA ==========
+
+    /**
+     * Regras do cliente em ordem de prioridade
+     * @public
+     * @param {string} cnpj
+     * @returns {Array<Object>}
+     */
+    listar(cnpj) {
+        return (this.regrasPorCliente[cnpj] || [])
+            .map(regra => ({ ...regra, condicoes: { ...regra.condicoes }, acao: { ...regra.acao } }))
+            .sort(DifalItemRules.compararRegras);
+    }
+
+    // ========== EDIÇÃO ==========
+
+    /**
+     * Cria (sem id) ou substitui (mesmo id) uma regra do cliente
+     * @public
+     * @param {string} cnpj
+     * @param {Object} dados - { id?, nome, prioridade, ativa, condicoes, acao }
+     * @returns {Object} Regra salva
+     * @throws {Error} Se o cliente ou a regra forem inválidos
+     */
+    salvarRegra(cnpj, dados) {
+        if (!cnpj) {
+            throw new Error('Carregue um SPED para identificar o cliente das regras');
+        }
+
+        const regra = DifalItemRules.normalizarRegra(dados);
+        const erros = DifalItemRules.validarRegra(regra);
+        if (erros.length > 0) {
+            throw new Error(`Regra "${regra.nome || 'sem nome'}": ${erros.join('; ')}`);
+        }
+
+        const regras = (this.regrasPorCliente[cnpj] || []).filter(r => r.id !== regra.id);
+        this.regrasPorCliente[cnpj] = [...regras, regra];
+        this.salvar();
+        return regra;
+    }
+
+    /**
+     * Remove uma regra do cliente
+     * @public
+     * @param {string} cnpj
+     * @param {string} id
+     * @returns {boolean} true se removida
+     */
+    excluirRegra(cnpj, id) {
+        const regras = this.regrasPorCliente[cnpj] || [];
+        const restantes = regras.filter(r => r.id !== id);
+        if (restantes.length === regras.length) return false;
+
+        if (restantes.length > 0) {
+            this.regrasPorCliente[cnpj] = restantes;
+        } else {
+            delete this.regrasPorCliente[cnpj];
+        }
+        this.salvar();
+        return true;
+    }
+
+    // ========== APLICAÇÃO ==========
+
+    /**
+     * Avalia as regras ativas do cliente contra os itens. Configurações feitas por regra são
+     * descartadas e refeitas; as manuais são mantidas. Itens com o mesmo código recebem a
+     * configuração da primeira ocorrência (a configuração é por código de item).
+     * @public
+     * @param {Array<Object>} itens - itensDifal
+     * @param {Object} configuracoes - Configurações atuais por item
+     * @param {string} cnpj - Cliente
+     * @returns {{configuracoes: Object, removidos: Array<string>, porRegra: Object<string, number>, itensConfigurados: number}}
+     */
+    aplicar(itens, configuracoes, cnpj) {
+        const regras = this.listar(cnpj).filter(regra => regra.ativa);
+        const resultado = {};
+        const anteriores = new Set();
+
+        Object.entries(configuracoes || {}).forEach(([itemId, configuracao]) => {
+            if (configuracao?.regra) {
+                anteriores.add(itemId);
+            } else {
+                resultado[itemId] = configuracao;
+            }
+        });
+
+        const porRegra = {};
+        const avaliados = new Set();
+        (itens || []).forEach(item => {
+            const itemId = item.codItem;
+            if (avaliados.has(itemId) || resultado[itemId]) return;
+            avaliados.add(itemId);
+
+            const regra = regras.find(r => DifalItemRules.casa(r, item));
+            if (!regra) return;
+
+            resultado[itemId] = { ...regra.acao, regra: { id: regra.id, nome: regra.nome } };
+            porRegra[regra.id] = (porRegra[regra.id] || 0) + 1;
+        });
+
+        return {
+            configuracoes: resultado,
+            removidos: Array.from(anteriores).filter(itemId => !resultado[itemId]),
+            porRegra,
+            itensConfigurados: Object.values(porRegra).reduce((total, n) => total + n, 0)
+        };
+    }
+
+    /**
+     * Verifica se o item atende a todas as condições da regra
+     * @public
+     * @static
+     * @param {Object} regra
+     * @param {Object} item
+     * @returns {boolean}
+     */
+    static casa(regra, item) {
+        const { ncmPrefixos, cfops, origensCst, ufsOrigem } = regra.condicoes;
+        const ncm = String(item.ncm || '').replace(/\D/g, '');
+        const cst = String(item.cstIcms || '');
+
+        return (ncmPrefixos.length === 0 || ncmPrefixos.some(prefixo => ncm.startsWith(prefixo))) &&
+            (cfops.length === 0 || cfops.includes(String(item.cfop || ''))) &&
+            (origensCst.length === 0 || (cst.length === 3 && origensCst.includes(cst[0]))) &&
+            (ufsOrigem.length === 0 || ufsOrigem.includes(item.ufOrigem));
+    }
+
+    // ========== IMPORTAÇÃO / EXPORTAÇÃO ==========
+
+    /**
+     * Exporta as regras do cliente em JSON
+     * @public
+     * @param {string} cnpj
+     * @returns {string}
+     */
+    exportarJSON(cnpj) {
+        return JSON.stringify({ versao: 1, exportadoEm: new Date().toISOString(), cnpj, regras: this.listar(cnpj) }, null, 2);
+    }
+
+    /**
+     * Substitui as regras do cliente pelas do arquivo (validado por inteiro antes)
+     * @public
+     * @param {string} cnpj
+     * @param {string} conteudo - JSON exportado ou lista de regras
+     * @returns {number} Regras importadas
+     * @throws {Error} Se o arquivo for inválido
+     */
+    importar(cnpj, conteudo) {
+        if (!cnpj) {
+            throw new Error('Carregue um SPED para identificar o cliente das regras');
+        }
+
+        let dados;
+        try {
+            dados = JSON.parse(conteudo);
+        } catch (error) {
+            throw new Error(`JSON inválido: ${error.message}`);
+        }
+
+        const lista = Array.isArray(dados) ? dados : dados?.regras;
+        if (!Array.isArray(lista) || lista.length === 0) {
+            throw new Error('Arquivo sem regras');
+        }
+
+        const regras = lista.map(DifalItemRules.normalizarRegra);
+        const erros = [];
+        regras.forEach(regra => {
+            DifalItemRules.validarRegra(regra).forEach(erro => erros.push(`${regra.nome || 'sem nome'}: ${erro}`));
+        });
+        if (erros.length > 0) {
+            throw new Error(`Arquivo de regras inválido: ${erros.slice(0, 10).join('; ')}${erros.length > 10 ? ` (+${erros.length - 10})` : ''}`);
+        }
+
+        this.regrasPorCliente[cnpj] = regras;
+        this.salvar();
+        console.log(`📥 ${regras.length} regra(s) de configuração importada(s) para ${cnpj}`);
+        return regras.length;
+    }
+
+    // ========== PERSISTÊNCIA ==========
+
+    /**
+     * Carrega as regras do storage
+     * @private
+     */
+    carregar() {
+        if (!this.storage) return;
+
+        try {
+            const salvo = JSON.parse(this.storage.getItem(CHAVE_STORAGE_REGRAS_ITENS) || 'null');
+            if (!salvo) return;
+
+            this.regrasPorCliente = salvo.porCliente || {};
+        } catch (error) {
+            console.error('❌ Erro ao carregar regras de configuração:', error);
+        }
+    }
+
+    /**
+     * Grava as regras no storage
+     * @private
+     */
+    salvar() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(CHAVE_STORAGE_REGRAS_ITENS, JSON.stringify({ porCliente: this.regrasPorCliente }));
+        } catch (error) {
+            console.error('❌ Erro ao salvar regras de configuração:', error);
+        }
+    }
+
+    // ========== UTILITÁRIOS ==========
+
+    /**
+     * Converte os campos digitados/importados: listas aceitam texto separado por vírgula,
+     * valores aceitam vírgula decimal
+     * @private
+     * @param {Object} dados
+     * @returns {Object}
+     */
+    static normalizarRegra(dados) {
+        const lista = (valor, limpar) => (Array.isArray(valor) ? valor : String(valor || '').split(/[,;\s]+/))
+            .map(limpar)
+            .filter(Boolean);
+        const numero = valor => {
+            if (valor === '' || valor === null || valor === undefined) return undefined;
+            return Number(String(valor).trim().replace(',', '.'));
+        };
+
+        const condicoes = dados.condicoes || {};
+        const acao = dados.acao || {};
+        const beneficio = acao.beneficio || '';
+        const campoValor = CAMPOS_VALOR_BENEFICIO[beneficio];
+
+        const acaoNormalizada = {};
+        if (beneficio) acaoNormalizada.beneficio = beneficio;
+        if (campoValor) acaoNormalizada[campoValor] = numero(acao[campoValor] ?? acao.valor);
+        if (acao.fcpRegra) acaoNormalizada.fcpRegra = acao.fcpRegra;
+
+        const prioridade = numero(dados.prioridade);
+        return {
+            id: dados.id || `regra-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            nome: String(dados.nome || '').trim(),
+            prioridade: prioridade === undefined ? 100 : prioridade,
+            ativa: dados.ativa !== false,
+            condicoes: {
+                ncmPrefixos: lista(condicoes.ncmPrefixos, v => String(v).replace(/\D/g, '')),
+                cfops: lista(condicoes.cfops, v => String(v).replace(/\D/g, '')),
+                origensCst: lista(condicoes.origensCst, v => String(v).trim()),
+                ufsOrigem: lista(condicoes.ufsOrigem, v => String(v).trim().toUpperCase())
+            },
+            acao: acaoNormalizada
+        };
+    }
+
+    /**
+     * Valida nome, condições e ação
+     * @private
+     * @param {Object} regra - Regra normalizada
+     * @returns {Array<string>} Erros encontrados
+     */
+    static validarRegra(regra) {
+        const erros = [];
+        const { ncmPrefixos, cfops, origensCst, ufsOrigem } = regra.condicoes;
+        const { beneficio, fcpRegra } = regra.acao;
+
+        if (!regra.nome) {
+            erros.push('informe o nome');
+        }
+        if (!Number.isInteger(regra.prioridade) || regra.prioridade < 0) {
+            erros.push('prioridade deve ser um inteiro ≥ 0');
+        }
+        if (ncmPrefixos.length + cfops.length + origensCst.length + ufsOrigem.length === 0) {
+            erros.push('informe ao menos uma condição');
+        }
+        if (ncmPrefixos.some(prefixo => !/^\d{2,8}$/.test(prefixo))) {
+            erros.push('prefixos de NCM devem ter de 2 a 8 dígitos');
+        }
+        if (cfops.some(cfop => !/^\d{4}$/.test(cfop))) {
+            erros.push('CFOPs devem ter 4 dígitos');
+        }
+        if (origensCst.some(origem => !/^[0-8]$/.test(origem))) {
+            erros.push('origens de CST devem ser dígitos de 0 a 8');
+        }
+        if (ufsOrigem.some(uf => !window.EstadosUtil.obterPorUF(uf))) {
+            erros.push('UF de origem desconhecida');
+        }
+
+        if (!beneficio && !fcpRegra) {
+            erros.push('informe o benefício ou a regra de FCP');
+        }
+        if (beneficio && !(beneficio in CAMPOS_VALOR_BENEFICIO)) {
+            erros.push(`benefício deve ser um de: ${Object.keys(CAMPOS_VALOR_BENEFICIO).join(', ')}`);
+        }
+        const campoValor = CAMPOS_VALOR_BENEFICIO[beneficio];
+        // Carga zero equivale a isenção: usar o benefício 'isencao'
+        const valorMinimo = beneficio === 'reducao-base' ? Number.MIN_VALUE : 0;
+        if (campoValor && !(regra.acao[campoValor] >= valorMinimo && regra.acao[campoValor] <= 40)) {
+            erros.push(valorMinimo > 0
+                ? 'valor do benefício deve ser maior que 0 e até 40%'
+                : 'valor do benefício deve estar entre 0 e 40%');
+        }
+        if (fcpRegra && !FCP_REGRAS_ITEM.includes(fcpRegra)) {
+            erros.push(`regra de FCP deve ser uma de: ${FCP_REGRAS_ITEM.join(', ')}`);
+        }
+
+        return erros;
+    }
+
+    /**
+     * Ordem de avaliação: prioridade, depois nome
+     * @private
+     */
+    static compararRegras(a, b) {
+        return a.prioridade - b.prioridade || a.nome.localeCompare(b.nome);
+    }
+}
+
+DifalItemRules.CAMPOS_VALOR_BENEFICIO = CAMPOS_VALOR_BENEFICIO;
+
+// Expor globalmente para uso no browser
+if (typeof window !== 'undefined') {
+    window.DifalItemRules = DifalItemRules;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifalItemRules;
+}
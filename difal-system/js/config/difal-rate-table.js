@@ -0,0 +1,482 @@
+/**
+ * DIFAL Rate Table - Tabela de alíquotas internas, FCP e metodologia por UF
+ * Fonte única das alíquotas por UF usadas pelos calculadores. Parte do
+ * histórico do código (ESTADOS_BRASIL e HISTORICO_ALIQUOTAS_UF em data/estados-brasil.js),
+ * guarda no localStorage as vigências editadas pela equipe e as instala em
+ * EstadosUtil.obterAliquotasVigentes, que os calculadores consultam.
+ *
+ * - Vigência: { inicio: 'AAAA-MM-DD', aliqInterna, fcp, fcpMax, metodologia }
+ * - UF editada: a lista completa de vigências da UF passa a ser a do usuário
+ * - Toda alteração (edição, exclusão, importação, restauração) entra no log de alterações
+ * - Importação e exportação em JSON ou CSV (uf;inicio;aliqInterna;fcp;fcpMax;metodologia)
+ */
+
+const CHAVE_STORAGE_ALIQUOTAS = 'difal_tabela_aliquotas';
+
+// Início da primeira vigência das UFs sem histórico no código (EC 87/2015)
+const INICIO_VIGENCIA_PADRAO = '2016-01-01';
+
+// Ids das estratégias registradas em DifalStrategies
+const METODOLOGIAS_UF = Object.freeze(['base-unica', 'base-dupla', 'base-dupla-fcp']);
+
+const COLUNAS_CSV_ALIQUOTAS = Object.freeze(['uf', 'inicio', 'aliqInterna', 'fcp', 'fcpMax', 'metodologia']);
+
+// Entradas mantidas no log de alterações
+const LIMITE_LOG_ALIQUOTAS = 500;
+
+/**
+ * @class DifalRateTable
+ * @classdesc Cadastro, persistência e log de alterações da tabela de alíquotas por UF
+ */
+class DifalRateTable {
+    /**
+     * @constructor
+     * @param {Storage|null} storage - Armazenamento (padrão: localStorage, se existir)
+     */
+    constructor(storage = null) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.vigenciasPersonalizadas = {}; // UF → vigências editadas
+        this.logAlteracoes = [];
+        this.responsavel = '';
+
+        this.carregar();
+        this.aplicar();
+    }
+
+    // ========== CONSULTA ==========
+
+    /**
+     * Resumo de todas as UFs com a alíquota vigente hoje
+     * @public
+     * @returns {Array<{uf, nome, vigente: Object, personalizada: boolean, vigencias: Array<Object>}>}
+     */
+    listarUFs() {
+        return window.ESTADOS_BRASIL.map(estado => ({
+            uf: estado.uf,
+            nome: estado.nome,
+            vigente: window.EstadosUtil.obterAliquotasVigentes(estado.uf),
+            personalizada: !!this.vigenciasPersonalizadas[estado.uf],
+            vigencias: this.obterVigencias(estado.uf)
+        }));
+    }
+
+    /**
+     * Vigências da UF em ordem de início (editadas ou do código)
+     * @public
+     * @param {string} uf
+     * @returns {Array<Object>}
+     */
+    obterVigencias(uf) {
+        const chave = (uf || '').toUpperCase();
+        if (this.vigenciasPersonalizadas[chave]) {
+            return this.vigenciasPersonalizadas[chave].map(vigencia => ({ ...vigencia }));
+        }
+        return DifalRateTable.vigenciasDoCodigo(chave);
+    }
+
+    /**
+     * Log de alterações, mais recentes primeiro
+     * @public
+     * @returns {Array<{data, responsavel, acao, uf, antes, depois}>}
+     */
+    listarAlteracoes() {
+        return [...this.logAlteracoes].reverse();
+    }
+
+    // ========== EDIÇÃO ==========
+
+    /**
+     * Define quem aparece no log das próximas alterações
+     * @public
+     * @param {string} nome
+     */
+    definirResponsavel(nome) {
+        this.responsavel = (nome || '').trim();
+        this.salvar();
+    }
+
+    /**
+     * Cria ou substitui a vigência da UF que começa em dados.inicio
+     * @public
+     * @param {string} uf
+     * @param {Object} dados - { inicio, aliqInterna, fcp, fcpMax, metodologia }
+     * @returns {Object} Vigência salva
+     * @throws {Error} Se a UF ou a vigência forem inválidas
+     */
+    salvarVigencia(uf, dados) {
+        const chave = DifalRateTable.validarUF(uf);
+        const vigencia = DifalRateTable.normalizarVigencia(dados);
+
+        const erros = DifalRateTable.validarVigencia(vigencia);
+        if (erros.length > 0) {
+            throw new Error(`${chave}: ${erros.join('; ')}`);
+        }
+
+        const antes = this.obterVigencias(chave);
+        const depois = [...antes.filter(v => v.inicio !== vigencia.inicio), vigencia]
+            .sort((a, b) => a.inicio.localeCompare(b.inicio));
+
+        this.substituirVigencias(chave, antes, depois, 'alteracao');
+        return vigencia;
+    }
+
+    /**
+     * Remove uma vigência da UF (a UF precisa manter ao menos uma)
+     * @public
+     * @param {string} uf
+     * @param {string} inicio - AAAA-MM-DD
+     * @returns {boolean} true se removida
+     */
+    excluirVigencia(uf, inicio) {
+        const chave = DifalRateTable.validarUF(uf);
+        const antes = this.obterVigencias(chave);
+        const depois = antes.filter(v => v.inicio !== inicio);
+
+        if (depois.length === antes.length) return false;
+        if (depois.length === 0) {
+            throw new Error(`${chave}: a UF precisa de ao menos uma vigência`);
+        }
+
+        this.substituirVigencias(chave, antes, depois, 'exclusao');
+        return true;
+    }
+
+    /**
+     * Descarta as edições da UF e volta ao histórico do código
+     * @public
+     * @param {string} uf
+     * @returns {boolean} true se a UF estava editada
+     */
+    restaurarPadrao(uf) {
+        const chave = DifalRateTable.validarUF(uf);
+        if (!this.vigenciasPersonalizadas[chave]) return false;
+
+        const antes = this.obterVigencias(chave);
+        delete this.vigenciasPersonalizadas[chave];
+        this.registrarAlteracao('restauracao', chave, antes, this.obterVigencias(chave));
+
+        this.salvar();
+        this.aplicar();
+        return true;
+    }
+
+    // ========== IMPORTAÇÃO / EXPORTAÇÃO ==========
+
+    /**
+     * Exporta a tabela completa (todas as UFs) em JSON
+     * @public
+     * @returns {string}
+     */
+    exportarJSON() {
+        const vigencias = {};
+        window.ESTADOS_BRASIL.forEach(({ uf }) => {
+            vigencias[uf] = this.obterVigencias(uf);
+        });
+
+        return JSON.stringify({ versao: 1, exportadoEm: new Date().toISOString(), vigencias }, null, 2);
+    }
+
+    /**
+     * Exporta a tabela completa em CSV (separador ";", decimal ",")
+     * @public
+     * @returns {string}
+     */
+    exportarCSV() {
+        const linhas = [COLUNAS_CSV_ALIQUOTAS.join(';')];
+        window.ESTADOS_BRASIL.forEach(({ uf }) => {
+            this.obterVigencias(uf).forEach(v => {
+                linhas.push([uf, v.inicio, v.aliqInterna, v.fcp, v.fcpMax, v.metodologia]
+                    .map(valor => String(valor).replace('.', ','))
+                    .join(';'));
+            });
+        });
+        return linhas.join('\n');
+    }
+
+    /**
+     * Importa vigências de JSON ou CSV; as UFs presentes no arquivo são substituídas
+     * O arquivo inteiro é validado antes de qualquer alteração.
+     * @public
+     * @param {string} conteudo - Texto do arquivo
+     * @param {string} formato - 'json' ou 'csv'
+     * @returns {{ufs: number, vigencias: number}}
+     * @throws {Error} Se o arquivo for inválido
+     */
+    importar(conteudo, formato) {
+        const porUf = formato === 'csv'
+            ? DifalRateTable.lerCSV(conteudo)
+            : DifalRateTable.lerJSON(conteudo);
+
+        const erros = [];
+        Object.entries(porUf).forEach(([uf, vigencias]) => {
+            if (!window.EstadosUtil.obterPorUF(uf)) {
+                erros.push(`UF desconhecida: ${uf}`);
+                return;
+            }
+            const inicios = new Set();
+            vigencias.forEach(vigencia => {
+                DifalRateTable.validarVigencia(vigencia).forEach(erro => erros.push(`${uf} ${vigencia.inicio || ''}: ${erro}`));
+                if (inicios.has(vigencia.inicio)) erros.push(`${uf}: vigência ${vigencia.inicio} repetida`);
+                inicios.add(vigencia.inicio);
+            });
+        });
+
+        if (erros.length > 0) {
+            throw new Error(`Arquivo de alíquotas inválido: ${erros.slice(0, 10).join('; ')}${erros.length > 10 ? ` (+${erros.length - 10})` : ''}`);
+        }
+        if (Object.keys(porUf).length === 0) {
+            throw new Error('Arquivo de alíquotas sem vigências');
+        }
+
+        let totalVigencias = 0;
+        Object.entries(porUf).forEach(([uf, vigencias]) => {
+            const antes = this.obterVigencias(uf);
+            const depois = [...vigencias].sort((a, b) => a.inicio.localeCompare(b.inicio));
+            totalVigencias += depois.length;
+            this.vigenciasPersonalizadas[uf] = depois;
+            this.registrarAlteracao('importacao', uf, antes, depois);
+        });
+
+        this.salvar();
+        this.aplicar();
+        console.log(`📥 Tabela de alíquotas importada: ${Object.keys(porUf).length} UF(s), ${totalVigencias} vigência(s)`);
+        return { ufs: Object.keys(porUf).length, vigencias: totalVigencias };
+    }
+
+    // ========== PERSISTÊNCIA ==========
+
+    /**
+     * Grava as vigências da UF, registra o log e atualiza os calculadores
+     * @private
+     */
+    substituirVigencias(uf, antes, depois, acao) {
+        this.vigenciasPersonalizadas[uf] = depois;
+        this.registrarAlteracao(acao, uf, antes, depois);
+        this.salvar();
+        this.aplicar();
+    }
+
+    /**
+     * Acrescenta uma entrada ao log de alterações
+     * @private
+     */
+    registrarAlteracao(acao, uf, antes, depois) {
+        this.logAlteracoes.push({
+            data: new Date().toISOString(),
+            responsavel: this.responsavel || 'não informado',
+            acao,
+            uf,
+            antes,
+            depois
+        });
+
+        if (this.logAlteracoes.length > LIMITE_LOG_ALIQUOTAS) {
+            this.logAlteracoes.splice(0, this.logAlteracoes.length - LIMITE_LOG_ALIQUOTAS);
+        }
+    }
+
+    /**
+     * Instala as vigências editadas em EstadosUtil (consultado pelos calculadores)
+     * @private
+     */
+    aplicar() {
+        window.EstadosUtil.definirTabelaAliquotas(this.vigenciasPersonalizadas);
+    }
+
+    /**
+     * Carrega vigências editadas, log e responsável do storage
+     * @private
+     */
+    carregar() {
+        if (!this.storage) return;
+
+        try {
+            const salvo = JSON.parse(this.storage.getItem(CHAVE_STORAGE_ALIQUOTAS) || 'null');
+            if (!salvo) return;
+
+            this.vigenciasPersonalizadas = salvo.vigencias || {};
+            this.logAlteracoes = Array.isArray(salvo.log) ? salvo.log : [];
+            this.responsavel = salvo.responsavel || '';
+        } catch (error) {
+            console.error('❌ Erro ao carregar tabela de alíquotas:', error);
+        }
+    }
+
+    /**
+     * Grava vigências editadas, log e responsável no storage
+     * @private
+     */
+    salvar() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(CHAVE_STORAGE_ALIQUOTAS, JSON.stringify({
+                vigencias: this.vigenciasPersonalizadas,
+                log: this.logAlteracoes,
+                responsavel: this.responsavel
+            }));
+        } catch (error) {
+            console.error('❌ Erro ao salvar tabela de alíquotas:', error);
+        }
+    }
+
+    // ========== UTILITÁRIOS ==========
+
+    /**
+     * Vigências completas da UF a partir do histórico do código
+     * @public
+     * @param {string} uf
+     * @returns {Array<Object>}
+     */
+    static vigenciasDoCodigo(uf) {
+        const estado = window.EstadosUtil.obterPorUF(uf);
+        if (!estado) return [];
+
+        // Cada entrada do histórico traz só o que mudou: acumular a partir do cadastro
+        let valores = {
+            aliqInterna: estado.aliqInterna,
+            fcp: estado.fcp,
+            fcpMax: estado.fcpMax ?? estado.fcp,
+            metodologia: estado.metodologia
+        };
+        const historico = window.HISTORICO_ALIQUOTAS_UF[estado.uf] || [{ inicio: INICIO_VIGENCIA_PADRAO }];
+        return historico.map(({ inicio, ...campos }) => {
+            valores = { ...valores, ...campos };
+            return { inicio, ...valores };
+        });
+    }
+
+    /**
+     * Converte os campos digitados/importados (aceita vírgula decimal)
+     * @private
+     * @param {Object} dados
+     * @returns {Object}
+     */
+    static normalizarVigencia(dados) {
+        const numero = valor => {
+            if (valor === '' || valor === null || valor === undefined) return NaN;
+            return Number(String(valor).trim().replace(',', '.'));
+        };
+
+        // DD/MM/AAAA → DDMMAAAA, aceito por normalizarDataVigencia
+        const inicio = String(dados.inicio || '').trim().replace(/^(\d{2})\/(\d{2})\/(\d{4})$/, '$1$2$3');
+        const fcp = numero(dados.fcp);
+        const fcpMax = numero(dados.fcpMax);
+        return {
+            inicio: window.EstadosUtil.normalizarDataVigencia(inicio) || inicio,
+            aliqInterna: numero(dados.aliqInterna),
+            fcp: Number.isNaN(fcp) ? 0 : fcp,
+            fcpMax: Number.isNaN(fcpMax) ? (Number.isNaN(fcp) ? 0 : fcp) : fcpMax,
+            metodologia: String(dados.metodologia || '').trim()
+        };
+    }
+
+    /**
+     * Valida datas, faixas de alíquota e metodologia
+     * @private
+     * @param {Object} vigencia - Vigência normalizada
+     * @returns {Array<string>} Erros encontrados
+     */
+    static validarVigencia(vigencia) {
+        const erros = [];
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(vigencia.inicio) || Number.isNaN(Date.parse(vigencia.inicio))) {
+            erros.push('início da vigência inválido (use AAAA-MM-DD ou DD/MM/AAAA)');
+        }
+        if (!(vigencia.aliqInterna > 0 && vigencia.aliqInterna <= 40)) {
+            erros.push('alíquota interna deve estar entre 0 e 40%');
+        }
+        if (!(vigencia.fcp >= 0 && vigencia.fcp <= 10)) {
+            erros.push('FCP deve estar entre 0 e 10%');
+        }
+        if (!(vigencia.fcpMax >= vigencia.fcp && vigencia.fcpMax <= 10)) {
+            erros.push('FCP máximo deve estar entre o FCP mínimo e 10%');
+        }
+        if (!METODOLOGIAS_UF.includes(vigencia.metodologia)) {
+            erros.push(`metodologia deve ser uma de: ${METODOLOGIAS_UF.join(', ')}`);
+        }
+
+        return erros;
+    }
+
+    /**
+     * @private
+     * @throws {Error} Se a UF não existir
+     */
+    static validarUF(uf) {
+        const estado = uf ? window.EstadosUtil.obterPorUF(uf) : null;
+        if (!estado) {
+            throw new Error(`UF desconhecida: ${uf}`);
+        }
+        return estado.uf;
+    }
+
+    /**
+     * Lê o JSON exportado ({ vigencias: { UF: [...] } }) ou apenas o mapa UF → vigências
+     * @private
+     */
+    static lerJSON(conteudo) {
+        let dados;
+        try {
+            dados = JSON.parse(conteudo);
+        } catch (error) {
+            throw new Error(`JSON inválido: ${error.message}`);
+        }
+
+        const mapa = dados?.vigencias || dados;
+        if (!mapa || typeof mapa !== 'object' || Array.isArray(mapa)) {
+            throw new Error('JSON sem o mapa de vigências por UF');
+        }
+
+        const porUf = {};
+        Object.entries(mapa).forEach(([uf, vigencias]) => {
+            porUf[uf.toUpperCase()] = (Array.isArray(vigencias) ? vigencias : []).map(DifalRateTable.normalizarVigencia);
+        });
+        return porUf;
+    }
+
+    /**
+     * Lê o CSV exportado; a primeira linha deve trazer os nomes das colunas
+     * @private
+     */
+    static lerCSV(conteudo) {
+        const linhas = conteudo.replace(/^\uFEFF/, '').split(/\r?\n/).filter(linha => linha.trim());
+        if (linhas.length < 2) {
+            throw new Error('CSV sem vigências');
+        }
+
+        const separador = linhas[0].includes(';') ? ';' : ',';
+        const cabecalho = linhas[0].split(separador).map(coluna => coluna.trim());
+        const faltando = COLUNAS_CSV_ALIQUOTAS.filter(coluna => coluna !== 'fcpMax' && !cabecalho.includes(coluna));
+        if (faltando.length > 0) {
+            throw new Error(`CSV sem as colunas: ${faltando.join(', ')}`);
+        }
+
+        const porUf = {};
+        linhas.slice(1).forEach(linha => {
+            const valores = linha.split(separador);
+            const registro = {};
+            cabecalho.forEach((coluna, i) => {
+                registro[coluna] = (valores[i] || '').trim();
+            });
+
+            const uf = registro.uf.toUpperCase();
+            (porUf[uf] = porUf[uf] || []).push(DifalRateTable.normalizarVigencia(registro));
+        });
+        return porUf;
+    }
+}
+
+DifalRateTable.METODOLOGIAS = METODOLOGIAS_UF;
+DifalRateTable.COLUNAS_CSV = COLUNAS_CSV_ALIQUOTAS;
+
+// Expor globalmente para uso no browser
+if (typeof window !== 'undefined') {
+    window.DifalRateTable = DifalRateTable;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DifalRateTable;
+}
@@ -0,0 +1,348 @@
+/**
+ * FCP Rules Editor - Tela das regras de FCP por UF e NCM
+ * Escolha da abrangência do FCP por UF (todos os itens ou só NCMs listados),
+ * cadastro das regras por prefixo de NCM e importação/exportação em JSON ou CSV.
+ * As mudanças valem para os próximos cálculos.
+ */
+
+/**
+ * @class FcpRulesEditor
+ * @classdesc Interface do cadastro DifalFcpRules
+ */
+class FcpRulesEditor {
+    /**
+     * @constructor
+     * @param {EventBus} eventBus - Barramento de eventos
+     * @param {DifalFcpRules} regras - Regras de FCP por UF
+     */
+    constructor(eventBus, regras) {
+        this.eventBus = eventBus;
+        this.regras = regras;
+
+        this.elements = {};
+
+        this.init();
+    }
+
+    /**
+     * Localiza elementos e registra eventos
+     * @private
+     */
+    init() {
+        const ids = {
+            toggle: 'fcp-rules-toggle-btn',
+            editor: 'fcp-rules-editor',
+            uf: 'fcp-rules-uf',
+            abrangencia: 'fcp-rules-abrangencia',
+            faixa: 'fcp-rules-faixa',
+            exportarJson: 'fcp-rules-export-json',
+            exportarCsv: 'fcp-rules-export-csv',
+            importar: 'fcp-rules-import-btn',
+            arquivo: 'fcp-rules-import-input',
+            erro: 'fcp-rules-error',
+            status: 'fcp-rules-status',
+            conteudo: 'fcp-rules-content',
+            ncmPrefixo: 'fcp-rules-ncm',
+            aliquota: 'fcp-rules-aliquota',
+            inicio: 'fcp-rules-inicio',
+            fim: 'fcp-rules-fim',
+            descricao: 'fcp-rules-descricao',
+            salvar: 'fcp-rules-save-btn'
+        };
+
+        Object.entries(ids).forEach(([chave, id]) => {
+            this.elements[chave] = document.getElementById(id);
+        });
+
+        if (!this.elements.conteudo || !this.elements.uf) {
+            console.warn('⚠️ Painel de regras de FCP não encontrado');
+            return;
+        }
+
+        const { toggle, editor, uf, abrangencia, exportarJson, exportarCsv, importar, arquivo, conteudo, salvar } = this.elements;
+
+        uf.innerHTML = window.ESTADOS_BRASIL
+            .map(estado => `<option value="${estado.uf}">${estado.uf} - ${estado.nome}</option>`)
+            .join('');
+
+        toggle?.addEventListener('click', () => editor?.classList.toggle('hidden'));
+        uf.addEventListener('change', () => {
+            this.ocultarErro();
+            this.render();
+        });
+        abrangencia?.addEventListener('change', () => this.definirAbrangencia());
+        exportarJson?.addEventListener('click', () => this.exportar('json'));
+        exportarCsv?.addEventListener('click', () => this.exportar('csv'));
+        importar?.addEventListener('click', () => arquivo?.click());
+        arquivo?.addEventListener('change', () => this.importar(arquivo.files[0]));
+        salvar?.addEventListener('click', () => this.salvarRegra());
+
+        // Botões gerados na tabela: excluir regra
+        conteudo.addEventListener('click', event => {
+            const botao = event.target.closest('[data-ncm]');
+            if (botao) this.excluirRegra(botao.dataset.ncm, botao.dataset.inicio);
+        });
+
+        this.render();
+        console.log('🏷️ FCP Rules Editor initialized');
+    }
+
+    /**
+     * Atualiza abrangência, faixa de FCP e regras da UF selecionada
+     * (descrição digitada: montar sem innerHTML)
+     * @public
+     */
+    render() {
+        this.renderStatus();
+
+        const { uf, abrangencia, faixa, conteudo } = this.elements;
+        const ufSelecionada = uf.value;
+        const { abrangencia: abrangenciaAtual, regras } = this.regras.obterUF(ufSelecionada);
+        const vigente = window.EstadosUtil.obterAliquotasVigentes(ufSelecionada);
+
+        if (abrangencia) abrangencia.value = abrangenciaAtual;
+        if (faixa && vigente) {
+            faixa.textContent = `FCP da tabela de alíquotas: ${this.formatarFaixaFcp(vigente)}`;
+        }
+
+        if (regras.length === 0) {
+            conteudo.textContent = abrangenciaAtual === 'lista'
+                ? 'Nenhuma regra cadastrada: nenhum item desta UF terá FCP.'
+                : 'Nenhuma regra cadastrada: o FCP da tabela vale para todos os itens.';
+            return;
+        }
+
+        const tabela = document.createElement('table');
+        tabela.className = 'data-table';
+        tabela.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Prefixo NCM</th>
+                    <th>FCP</th>
+                    <th>Início</th>
+                    <th>Fim</th>
+                    <th>Descrição</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+
+        const corpo = tabela.querySelector('tbody');
+        regras.forEach(regra => {
+            const linha = document.createElement('tr');
+            [
+                `${regra.ncmPrefixo}*`,
+                this.formatarPercentual(regra.aliquota),
+                this.formatarData(regra.inicio),
+                regra.fim ? this.formatarData(regra.fim) : '-',
+                regra.descricao || '-'
+            ].forEach((valor, i) => {
+                const celula = document.createElement('td');
+                celula.textContent = valor;
+                if (i === 1) celula.className = 'text-right';
+                linha.appendChild(celula);
+            });
+
+            const acoes = document.createElement('td');
+            const excluir = document.createElement('button');
+            excluir.className = 'btn btn-secondary btn-sm';
+            excluir.type = 'button';
+            excluir.title = 'Excluir regra';
+            excluir.textContent = '🗑️';
+            excluir.dataset.ncm = regra.ncmPrefixo;
+            excluir.dataset.inicio = regra.inicio;
+            acoes.appendChild(excluir);
+            linha.appendChild(acoes);
+
+            corpo.appendChild(linha);
+        });
+
+        conteudo.replaceChildren(tabela);
+    }
+
+    /**
+     * Aviso, visível com o editor fechado, de que nenhuma UF tem regras de FCP por NCM
+     * @private
+     */
+    renderStatus() {
+        const { status } = this.elements;
+        if (!status) return;
+
+        const ufsComRegras = this.regras.listarUFsComRegras()
+            .filter(uf => this.regras.obterUF(uf).regras.length > 0);
+
+        status.textContent = '⚠️ Nenhuma regra de FCP por NCM cadastrada: o FCP vem só da tabela de alíquotas, sem distinção por NCM.';
+        status.classList.toggle('hidden', ufsComRegras.length > 0);
+    }
+
+    // ========== AÇÕES ==========
+
+    /**
+     * Grava a abrangência escolhida para a UF selecionada
+     * @private
+     */
+    definirAbrangencia() {
+        try {
+            this.regras.definirAbrangencia(this.elements.uf.value, this.elements.abrangencia.value);
+            this.ocultarErro();
+            this.render();
+            this.notificarAlteracao();
+        } catch (error) {
+            this.mostrarErro(error.message);
+        }
+    }
+
+    /**
+     * Salva a regra do formulário para a UF selecionada
+     * @private
+     */
+    salvarRegra() {
+        const { uf, ncmPrefixo, aliquota, inicio, fim, descricao } = this.elements;
+
+        try {
+            this.regras.salvarRegra(uf.value, {
+                ncmPrefixo: ncmPrefixo.value,
+                aliquota: aliquota.value,
+                inicio: inicio.value,
+                fim: fim.value,
+                descricao: descricao.value
+            });
+            ncmPrefixo.value = '';
+            descricao.value = '';
+            this.ocultarErro();
+            this.render();
+            this.notificarAlteracao();
+            ncmPrefixo.focus();
+        } catch (error) {
+            this.mostrarErro(error.message);
+        }
+    }
+
+    /**
+     * Exclui uma regra da UF selecionada
+     * @private
+     * @param {string} ncmPrefixo
+     * @param {string} inicio - AAAA-MM-DD
+     */
+    excluirRegra(ncmPrefixo, inicio) {
+        const uf = this.elements.uf.value;
+        if (!confirm(`Excluir a regra de FCP do NCM ${ncmPrefixo}* (${this.formatarData(inicio)}) da UF ${uf}?`)) return;
+
+        this.regras.excluirRegra(uf, ncmPrefixo, inicio);
+        this.render();
+        this.notificarAlteracao();
+    }
+
+    /**
+     * Baixa as regras em JSON ou CSV
+     * @private
+     * @param {string} formato - 'json' ou 'csv'
+     */
+    exportar(formato) {
+        const conteudo = formato === 'csv' ? '\uFEFF' + this.regras.exportarCSV() : this.regras.exportarJSON();
+        const tipo = formato === 'csv' ? 'text/csv;charset=UTF-8;' : 'application/json';
+        const data = new Date().toISOString().slice(0, 10);
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([conteudo], { type: tipo }));
+        link.download = `DIFAL_Regras_FCP_${data}.${formato}`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+
+        setTimeout(() => {
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        }, 100);
+    }
+
+    /**
+     * Importa o arquivo escolhido (formato pela extensão)
+     * @private
+     * @param {File} file
+     */
+    async importar(file) {
+        if (!file) return;
+
+        try {
+            const formato = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+            const { ufs, regras } = this.regras.importar(await file.text(), formato);
+
+            this.ocultarErro();
+            this.render();
+            this.notificarAlteracao();
+            alert(`Regras de FCP importadas: ${ufs} UF(s), ${regras} regra(s).`);
+        } catch (error) {
+            this.mostrarErro(error.message);
+        } finally {
+            this.elements.arquivo.value = '';
+        }
+    }
+
+    // ========== FORMATAÇÃO ==========
+
+    /**
+     * @private
+     */
+    formatarPercentual(valor) {
+        return `${Number(valor).toLocaleString('pt-BR', { maximumFractionDigits: 2 })}%`;
+    }
+
+    /**
+     * FCP fixo ("2%") ou faixa ("1% a 2%")
+     * @private
+     */
+    formatarFaixaFcp({ fcp, fcpMax }) {
+        return fcpMax > fcp
+            ? `${this.formatarPercentual(fcp)} a ${this.formatarPercentual(fcpMax)}`
+            : this.formatarPercentual(fcp);
+    }
+
+    /**
+     * AAAA-MM-DD → DD/MM/AAAA
+     * @private
+     */
+    formatarData(dataIso) {
+        const [ano, mes, dia] = dataIso.split('-');
+        return `${dia}/${mes}/${ano}`;
+    }
+
+    /**
+     * Exibe erro de validação no formulário
+     * @private
+     * @param {string} mensagem
+     */
+    mostrarErro(mensagem) {
+        if (!this.elements.erro) return;
+        this.elements.erro.textContent = mensagem;
+        this.elements.erro.classList.remove('hidden');
+    }
+
+    /**
+     * @private
+     */
+    ocultarErro() {
+        this.elements.erro?.classList.add('hidden');
+    }
+
+    /**
+     * Informa os demais módulos que as regras de FCP mudaram
+     * @private
+     */
+    notificarAlteracao() {
+        this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.FCP_RULES_CHANGED, {
+            uf: this.elements.uf.value
+        });
+    }
+}
+
+// Expor globalmente para uso no browser
+if (typeof window !== 'undefined') {
+    window.FcpRulesEditor = FcpRulesEditor;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FcpRulesEditor;
+}
@@ -0,0 +1,218 @@
+/**
+ * Filter Profile Editor - Tela de perfis de filtro CFOP/CST
+ * Seleção do perfil padrão e edição dos perfis personalizados
+ * (nome, CFOPs, CSTs excluídos e CNPJs de clientes vinculados) no painel
+ * de upload. O perfil vale para os próximos arquivos processados.
+ */
+
+/**
+ * @class FilterProfileEditor
+ * @classdesc Interface do cadastro DifalFilterProfiles
+ */
+class FilterProfileEditor {
+    /**
+     * @constructor
+     * @param {EventBus} eventBus - Barramento de eventos
+     * @param {DifalFilterProfiles} perfis - Cadastro de perfis
+     */
+    constructor(eventBus, perfis) {
+        this.eventBus = eventBus;
+        this.perfis = perfis;
+
+        this.elements = {};
+        this.perfilEditadoId = null;
+
+        this.init();
+    }
+
+    /**
+     * Localiza elementos e registra eventos
+     * @private
+     */
+    init() {
+        const ids = {
+            select: 'filter-profile-select',
+            summary: 'filter-profile-summary',
+            toggle: 'filter-profile-edit-btn',
+            editor: 'filter-profile-editor',
+            nome: 'filter-profile-nome',
+            cfopsMercadorias: 'filter-profile-cfops',
+            cfopsTransporte: 'filter-profile-cfops-transporte',
+            cstsExcluidos: 'filter-profile-csts',
+            clientes: 'filter-profile-clientes',
+            hint: 'filter-profile-hint',
+            erro: 'filter-profile-error',
+            duplicar: 'filter-profile-duplicate-btn',
+            salvar: 'filter-profile-save-btn',
+            excluir: 'filter-profile-delete-btn'
+        };
+
+        Object.entries(ids).forEach(([chave, id]) => {
+            this.elements[chave] = document.getElementById(id);
+        });
+
+        if (!this.elements.select) {
+            console.warn('⚠️ Painel de perfis de filtro não encontrado');
+            return;
+        }
+
+        this.elements.select.addEventListener('change', () => this.selecionarPerfil(this.elements.select.value));
+        this.elements.toggle?.addEventListener('click', () => this.elements.editor?.classList.toggle('hidden'));
+        this.elements.duplicar?.addEventListener('click', () => this.duplicarPerfil());
+        this.elements.salvar?.addEventListener('click', () => this.salvarPerfil());
+        this.elements.excluir?.addEventListener('click', () => this.excluirPerfil());
+
+        this.render();
+        console.log('🎯 Filter Profile Editor initialized');
+    }
+
+    /**
+     * Atualiza seletor, resumo e formulário
+     * @public
+     */
+    render() {
+        const ativo = this.perfis.obterPerfilAtivo();
+
+        // Nomes digitados pelo usuário: montar as opções sem innerHTML
+        this.elements.select.replaceChildren(...this.perfis.listarPerfis().map(perfil =>
+            new Option(`${perfil.predefinido ? '' : '✏️ '}${perfil.nome}`, perfil.id, false, perfil.id === ativo.id)
+        ));
+
+        if (this.elements.summary) {
+            this.elements.summary.textContent = DifalFilterProfiles.descrever(ativo);
+        }
+
+        this.preencherFormulario(this.perfilEditadoId ? this.perfis.obterPerfil(this.perfilEditadoId) || ativo : ativo);
+    }
+
+    /**
+     * Preenche o formulário com o perfil
+     * @private
+     * @param {Object} perfil
+     */
+    preencherFormulario(perfil) {
+        const { nome, cfopsMercadorias, cfopsTransporte, cstsExcluidos, clientes, hint, erro, salvar, excluir } = this.elements;
+        if (!nome) return;
+
+        this.perfilEditadoId = perfil.id;
+        nome.value = perfil.nome;
+        cfopsMercadorias.value = perfil.cfopsMercadorias.join(', ');
+        cfopsTransporte.value = perfil.cfopsTransporte.join(', ');
+        cstsExcluidos.value = perfil.cstsExcluidos.join(', ');
+        clientes.value = this.perfis.listarClientesDoPerfil(perfil.id).join(', ');
+
+        [nome, cfopsMercadorias, cfopsTransporte, cstsExcluidos].forEach(campo => {
+            campo.readOnly = perfil.predefinido;
+        });
+        salvar.textContent = perfil.predefinido ? '🔗 Salvar vínculos' : '💾 Salvar';
+        excluir.disabled = perfil.predefinido;
+        hint?.classList.toggle('hidden', !perfil.predefinido);
+        erro?.classList.add('hidden');
+    }
+
+    // ========== AÇÕES ==========
+
+    /**
+     * Torna o perfil o padrão dos próximos arquivos
+     * @private
+     * @param {string} id
+     */
+    selecionarPerfil(id) {
+        this.perfis.definirPerfilAtivo(id);
+        this.perfilEditadoId = id;
+        this.render();
+        this.notificarAlteracao();
+    }
+
+    /**
+     * Cria um perfil personalizado a partir do perfil em edição
+     * @private
+     */
+    duplicarPerfil() {
+        const origem = this.perfis.obterPerfil(this.perfilEditadoId) || this.perfis.obterPerfilAtivo();
+
+        const copia = this.perfis.salvarPerfil({
+            nome: `${origem.nome} (cópia)`,
+            cfopsMercadorias: origem.cfopsMercadorias,
+            cfopsTransporte: origem.cfopsTransporte,
+            cstsExcluidos: origem.cstsExcluidos
+        });
+
+        this.selecionarPerfil(copia.id);
+        this.elements.editor?.classList.remove('hidden');
+    }
+
+    /**
+     * Salva o formulário (perfis pré-definidos: apenas os CNPJs vinculados)
+     * @private
+     */
+    salvarPerfil() {
+        const { nome, cfopsMercadorias, cfopsTransporte, cstsExcluidos, clientes } = this.elements;
+        const perfilAtual = this.perfis.obterPerfil(this.perfilEditadoId);
+
+        try {
+            if (!perfilAtual?.predefinido) {
+                this.perfis.salvarPerfil({
+                    id: this.perfilEditadoId,
+                    nome: nome.value,
+                    cfopsMercadorias: cfopsMercadorias.value,
+                    cfopsTransporte: cfopsTransporte.value,
+                    cstsExcluidos: cstsExcluidos.value
+                });
+            }
+            this.perfis.vincularClientes(this.perfilEditadoId, clientes.value);
+
+            this.render();
+            this.notificarAlteracao();
+        } catch (error) {
+            this.mostrarErro(error.message);
+        }
+    }
+
+    /**
+     * Exclui o perfil personalizado em edição
+     * @private
+     */
+    excluirPerfil() {
+        const perfil = this.perfis.obterPerfil(this.perfilEditadoId);
+        if (!perfil || perfil.predefinido) return;
+
+        if (!confirm(`Excluir o perfil de filtro "${perfil.nome}"?`)) return;
+
+        this.perfis.excluirPerfil(perfil.id);
+        this.perfilEditadoId = null;
+        this.render();
+        this.notificarAlteracao();
+    }
+
+    /**
+     * Exibe erro de validação no formulário
+     * @private
+     * @param {string} mensagem
+     */
+    mostrarErro(mensagem) {
+        if (!this.elements.erro) return;
+        this.elements.erro.textContent = mensagem;
+        this.elements.erro.classList.remove('hidden');
+    }
+
+    /**
+     * Informa os demais módulos sobre a mudança de filtro
+     * @private
+     */
+    notificarAlteracao() {
+        this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.FILTER_PROFILE_CHANGED, {
+            perfil: this.perfis.obterPerfilAtivo()
+        });
+    }
+}
+
+// Expor globalmente para uso no browser
+if (typeof window !== 'undefined') {
+    window.FilterProfileEditor = FilterProfileEditor;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FilterProfileEditor;
+}
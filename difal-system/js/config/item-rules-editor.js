@@ -0,0 +1,395 @@
+/**
+ * Item Rules Editor - Tela das regras de configuração automática dos itens
+ * Cadastro das regras do cliente do SPED carregado (condições por NCM, CFOP,
+ * origem do CST e UF de origem; ação de benefício e FCP), reaplicação manual e
+ * importação/exportação em JSON. Cada alteração reaplica as regras aos itens.
+ */
+
+/**
+ * @class ItemRulesEditor
+ * @classdesc Interface do cadastro DifalItemRules
+ */
+class ItemRulesEditor {
+    /**
+     * @constructor
+     * @param {EventBus} eventBus - Barramento de eventos
+     * @param {DifalItemRules} regras - Regras de configuração por cliente
+     * @param {StateManager} stateManager - Fonte do CNPJ do SPED carregado
+     */
+    constructor(eventBus, regras, stateManager) {
+        this.eventBus = eventBus;
+        this.regras = regras;
+        this.stateManager = stateManager;
+
+        this.elements = {};
+        this.regraEditada = null;
+
+        this.init();
+    }
+
+    /**
+     * Localiza elementos e registra eventos
+     * @private
+     */
+    init() {
+        const ids = {
+            toggle: 'item-rules-toggle-btn',
+            editor: 'item-rules-editor',
+            cliente: 'item-rules-cliente',
+            reaplicar: 'item-rules-apply-btn',
+            exportar: 'item-rules-export-json',
+            importar: 'item-rules-import-btn',
+            arquivo: 'item-rules-import-input',
+            erro: 'item-rules-error',
+            conteudo: 'item-rules-content',
+            titulo: 'item-rules-form-title',
+            nome: 'item-rules-nome',
+            prioridade: 'item-rules-prioridade',
+            ncm: 'item-rules-ncm',
+            cfops: 'item-rules-cfops',
+            origensCst: 'item-rules-origens',
+            ufsOrigem: 'item-rules-ufs',
+            beneficio: 'item-rules-beneficio',
+            valor: 'item-rules-valor',
+            fcpRegra: 'item-rules-fcp',
+            ativa: 'item-rules-ativa',
+            salvar: 'item-rules-save-btn',
+            cancelar: 'item-rules-cancel-btn'
+        };
+
+        Object.entries(ids).forEach(([chave, id]) => {
+            this.elements[chave] = document.getElementById(id);
+        });
+
+        if (!this.elements.conteudo) {
+            console.warn('⚠️ Painel de regras de configuração não encontrado');
+            return;
+        }
+
+        const { toggle, editor, reaplicar, exportar, importar, arquivo, conteudo, salvar, cancelar } = this.elements;
+
+        toggle?.addEventListener('click', () => editor?.classList.toggle('hidden'));
+        reaplicar?.addEventListener('click', () => this.notificarAlteracao());
+        exportar?.addEventListener('click', () => this.exportar());
+        importar?.addEventListener('click', () => arquivo?.click());
+        arquivo?.addEventListener('change', () => this.importar(arquivo.files[0]));
+        salvar?.addEventListener('click', () => this.salvarRegra());
+        cancelar?.addEventListener('click', () => this.limparFormulario());
+
+        // Botões gerados na tabela: editar e excluir regra
+        conteudo.addEventListener('click', event => {
+            const editar = event.target.closest('[data-editar]');
+            const excluir = event.target.closest('[data-excluir]');
+            if (editar) this.editarRegra(editar.dataset.editar);
+            if (excluir) this.excluirRegra(excluir.dataset.excluir);
+        });
+
+        // Cliente muda a cada SPED/período carregado
+        const renderizar = () => this.render();
+        this.eventBus?.on(window.DIFAL_CONSTANTS?.EVENTS?.SPED_LOADED, renderizar);
+        this.eventBus?.on('PERIOD_ADDED', renderizar);
+        this.eventBus?.on(window.DIFAL_CONSTANTS?.EVENTS?.ITEM_RULES_APPLIED, renderizar);
+
+        this.render();
+        console.log('🧩 Item Rules Editor initialized');
+    }
+
+    /**
+     * Cliente do SPED carregado
+     * @private
+     * @returns {{cnpj: string, razaoSocial: string}|null}
+     */
+    obterCliente() {
+        const empresa = this.stateManager?.getSpedData()?.dadosEmpresa;
+        return empresa?.cnpj ? { cnpj: empresa.cnpj, razaoSocial: empresa.razaoSocial || '' } : null;
+    }
+
+    /**
+     * Atualiza cliente e lista de regras (nomes digitados: montar sem innerHTML)
+     * @public
+     */
+    render() {
+        const { cliente, conteudo } = this.elements;
+        const dadosCliente = this.obterCliente();
+
+        cliente.textContent = dadosCliente
+            ? `Cliente: ${dadosCliente.razaoSocial} (${dadosCliente.cnpj})`
+            : 'Carregue um SPED para ver as regras do cliente.';
+
+        const regras = dadosCliente ? this.regras.listar(dadosCliente.cnpj) : [];
+        if (regras.length === 0) {
+            conteudo.textContent = dadosCliente ? 'Nenhuma regra cadastrada para este cliente.' : '';
+            return;
+        }
+
+        const aplicadas = this.contarItensPorRegra();
+        const tabela = document.createElement('table');
+        tabela.className = 'data-table';
+        tabela.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Prioridade</th>
+                    <th>Regra</th>
+                    <th>Condições</th>
+                    <th>Ação</th>
+                    <th>Itens</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+
+        const corpo = tabela.querySelector('tbody');
+        regras.forEach(regra => {
+            const linha = document.createElement('tr');
+            if (!regra.ativa) linha.className = 'item-rule-inactive';
+            [
+                String(regra.prioridade),
+                `${regra.nome}${regra.ativa ? '' : ' (inativa)'}`,
+                this.descreverCondicoes(regra.condicoes),
+                this.descreverAcao(regra.acao),
+                String(aplicadas[regra.id] || 0)
+            ].forEach((valor, i) => {
+                const celula = document.createElement('td');
+                celula.textContent = valor;
+                if (i === 0 || i === 4) celula.className = 'text-right';
+                linha.appendChild(celula);
+            });
+
+            const acoes = document.createElement('td');
+            [['editar', '✏️', 'Editar regra'], ['excluir', '🗑️', 'Excluir regra']].forEach(([acao, rotulo, titulo]) => {
+                const botao = document.createElement('button');
+                botao.className = 'btn btn-outline btn-sm';
+                botao.type = 'button';
+                botao.title = titulo;
+                botao.textContent = rotulo;
+                botao.dataset[acao] = regra.id;
+                acoes.appendChild(botao);
+            });
+            linha.appendChild(acoes);
+
+            corpo.appendChild(linha);
+        });
+
+        conteudo.replaceChildren(tabela);
+    }
+
+    // ========== AÇÕES ==========
+
+    /**
+     * Salva a regra do formulário (nova ou em edição)
+     * @private
+     */
+    salvarRegra() {
+        const { nome, prioridade, ncm, cfops, origensCst, ufsOrigem, beneficio, valor, fcpRegra, ativa } = this.elements;
+
+        try {
+            this.regras.salvarRegra(this.obterCliente()?.cnpj, {
+                id: this.regraEditada || undefined,
+                nome: nome.value,
+                prioridade: prioridade.value,
+                ativa: ativa.checked,
+                condicoes: {
+                    ncmPrefixos: ncm.value,
+                    cfops: cfops.value,
+                    origensCst: origensCst.value,
+                    ufsOrigem: ufsOrigem.value
+                },
+                acao: {
+                    beneficio: beneficio.value,
+                    valor: valor.value,
+                    fcpRegra: fcpRegra.value
+                }
+            });
+            this.limparFormulario();
+            this.notificarAlteracao();
+        } catch (error) {
+            this.mostrarErro(error.message);
+        }
+    }
+
+    /**
+     * Preenche o formulário com a regra escolhida
+     * @private
+     * @param {string} id
+     */
+    editarRegra(id) {
+        const regra = this.regras.listar(this.obterCliente()?.cnpj).find(r => r.id === id);
+        if (!regra) return;
+
+        const { titulo, nome, prioridade, ncm, cfops, origensCst, ufsOrigem, beneficio, valor, fcpRegra, ativa } = this.elements;
+        const campoValor = window.DifalItemRules.CAMPOS_VALOR_BENEFICIO[regra.acao.beneficio];
+
+        this.regraEditada = id;
+        titulo.textContent = `Editar regra: ${regra.nome}`;
+        nome.value = regra.nome;
+        prioridade.value = regra.prioridade;
+        ncm.value = regra.condicoes.ncmPrefixos.join(', ');
+        cfops.value = regra.condicoes.cfops.join(', ');
+        origensCst.value = regra.condicoes.origensCst.join(', ');
+        ufsOrigem.value = regra.condicoes.ufsOrigem.join(', ');
+        beneficio.value = regra.acao.beneficio || '';
+        valor.value = campoValor ? regra.acao[campoValor] ?? '' : '';
+        fcpRegra.value = regra.acao.fcpRegra || '';
+        ativa.checked = regra.ativa;
+
+        this.ocultarErro();
+        nome.focus();
+    }
+
+    /**
+     * Exclui uma regra do cliente
+     * @private
+     * @param {string} id
+     */
+    excluirRegra(id) {
+        const cnpj = this.obterCliente()?.cnpj;
+        const regra = this.regras.listar(cnpj).find(r => r.id === id);
+        if (!regra || !confirm(`Excluir a regra "${regra.nome}"? Os itens configurados por ela voltam a ficar sem configuração.`)) return;
+
+        this.regras.excluirRegra(cnpj, id);
+        if (this.regraEditada === id) this.limparFormulario();
+        this.notificarAlteracao();
+    }
+
+    /**
+     * Volta o formulário para uma nova regra
+     * @private
+     */
+    limparFormulario() {
+        const { titulo, nome, prioridade, ncm, cfops, origensCst, ufsOrigem, beneficio, valor, fcpRegra, ativa } = this.elements;
+
+        this.regraEditada = null;
+        titulo.textContent = 'Nova regra';
+        [nome, ncm, cfops, origensCst, ufsOrigem, valor].forEach(campo => {
+            campo.value = '';
+        });
+        prioridade.value = 100;
+        beneficio.value = '';
+        fcpRegra.value = '';
+        ativa.checked = true;
+        this.ocultarErro();
+    }
+
+    /**
+     * Baixa as regras do cliente em JSON
+     * @private
+     */
+    exportar() {
+        const cliente = this.obterCliente();
+        if (!cliente) {
+            this.mostrarErro('Carregue um SPED para identificar o cliente das regras');
+            return;
+        }
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([this.regras.exportarJSON(cliente.cnpj)], { type: 'application/json' }));
+        link.download = `DIFAL_Regras_Itens_${cliente.cnpj}.json`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+
+        setTimeout(() => {
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        }, 100);
+    }
+
+    /**
+     * Importa o arquivo escolhido, substituindo as regras do cliente
+     * @private
+     * @param {File} file
+     */
+    async importar(file) {
+        if (!file) return;
+
+        try {
+            const total = this.regras.importar(this.obterCliente()?.cnpj, await file.text());
+            this.limparFormulario();
+            this.notificarAlteracao();
+            alert(`${total} regra(s) importada(s).`);
+        } catch (error) {
+            this.mostrarErro(error.message);
+        } finally {
+            this.elements.arquivo.value = '';
+        }
+    }
+
+    // ========== FORMATAÇÃO ==========
+
+    /**
+     * @private
+     */
+    descreverCondicoes({ ncmPrefixos, cfops, origensCst, ufsOrigem }) {
+        return [
+            ncmPrefixos.length ? `NCM ${ncmPrefixos.map(p => `${p}*`).join('/')}` : '',
+            cfops.length ? `CFOP ${cfops.join('/')}` : '',
+            origensCst.length ? `origem CST ${origensCst.join('/')}` : '',
+            ufsOrigem.length ? `UF origem ${ufsOrigem.join('/')}` : ''
+        ].filter(Boolean).join(' e ');
+    }
+
+    /**
+     * @private
+     */
+    descreverAcao(acao) {
+        const campoValor = window.DifalItemRules.CAMPOS_VALOR_BENEFICIO[acao.beneficio];
+        return [
+            acao.beneficio
+                ? `${window.DifalCalculator?.DESCRICOES_BENEFICIO?.[acao.beneficio] || acao.beneficio}${campoValor ? ` ${acao[campoValor]}%` : ''}`
+                : '',
+            acao.fcpRegra ? `FCP: ${acao.fcpRegra === 'aplicar' ? 'aplicar' : 'não aplicar'}` : ''
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Itens configurados por regra na configuração atual
+     * @private
+     */
+    contarItensPorRegra() {
+        const contagem = {};
+        Object.values(window.difalConfiguracoesItens || {}).forEach(configuracao => {
+            const id = configuracao?.regra?.id;
+            if (id) contagem[id] = (contagem[id] || 0) + 1;
+        });
+        return contagem;
+    }
+
+    /**
+     * Exibe erro de validação no formulário
+     * @private
+     * @param {string} mensagem
+     */
+    mostrarErro(mensagem) {
+        if (!this.elements.erro) return;
+        this.elements.erro.textContent = mensagem;
+        this.elements.erro.classList.remove('hidden');
+    }
+
+    /**
+     * @private
+     */
+    ocultarErro() {
+        this.elements.erro?.classList.add('hidden');
+    }
+
+    /**
+     * Pede a reaplicação das regras (ConfigurationManager escuta o evento)
+     * @private
+     */
+    notificarAlteracao() {
+        this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.ITEM_RULES_CHANGED, {
+            cnpj: this.obterCliente()?.cnpj || null
+        });
+    }
+}
+
+// Expor globalmente para uso no browser
+if (typeof window !== 'undefined') {
+    window.ItemRulesEditor = ItemRulesEditor;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItemRulesEditor;
+}
@@ -0,0 +1,410 @@
+/**
+ * Rate Table Editor - Tela da tabela de alíquotas por UF
+ * Consulta e edição das vigências por UF (alíquota interna, FCP
+ * mínimo/máximo e metodologia), importação/exportação em JSON ou CSV e log de
+ * alterações. As mudanças valem para os próximos cálculos.
+ */
+
+// Rótulos das ações do log de alterações
+const ACOES_LOG_ALIQUOTAS = Object.freeze({
+    alteracao: 'Vigência salva',
+    exclusao: 'Vigência excluída',
+    importacao: 'Importação',
+    restauracao: 'Restaurado o padrão'
+});
+
+/**
+ * @class RateTableEditor
+ * @classdesc Interface do cadastro DifalRateTable
+ */
+class RateTableEditor {
+    /**
+     * @constructor
+     * @param {EventBus} eventBus - Barramento de eventos
+     * @param {DifalRateTable} tabela - Tabela de alíquotas
+     */
+    constructor(eventBus, tabela) {
+        this.eventBus = eventBus;
+        this.tabela = tabela;
+
+        this.elements = {};
+        this.ufEditada = null;
+
+        this.init();
+    }
+
+    /**
+     * Localiza elementos e registra eventos
+     * @private
+     */
+    init() {
+        const ids = {
+            toggle: 'rate-table-toggle-btn',
+            editor: 'rate-table-editor',
+            responsavel: 'rate-table-responsavel',
+            exportarJson: 'rate-table-export-json',
+            exportarCsv: 'rate-table-export-csv',
+            importar: 'rate-table-import-btn',
+            arquivo: 'rate-table-import-input',
+            erro: 'rate-table-error',
+            conteudo: 'rate-table-content',
+            formulario: 'rate-table-form',
+            titulo: 'rate-table-form-title',
+            vigencias: 'rate-table-vigencias',
+            inicio: 'rate-table-inicio',
+            aliqInterna: 'rate-table-aliq-interna',
+            fcp: 'rate-table-fcp',
+            fcpMax: 'rate-table-fcp-max',
+            metodologia: 'rate-table-metodologia',
+            salvar: 'rate-table-save-btn',
+            restaurar: 'rate-table-restore-btn',
+            log: 'rate-table-log'
+        };
+
+        Object.entries(ids).forEach(([chave, id]) => {
+            this.elements[chave] = document.getElementById(id);
+        });
+
+        if (!this.elements.conteudo) {
+            console.warn('⚠️ Painel da tabela de alíquotas não encontrado');
+            return;
+        }
+
+        const { toggle, editor, responsavel, exportarJson, exportarCsv, importar, arquivo, conteudo, vigencias, salvar, restaurar } = this.elements;
+
+        toggle?.addEventListener('click', () => editor?.classList.toggle('hidden'));
+        responsavel?.addEventListener('change', () => this.tabela.definirResponsavel(responsavel.value));
+        exportarJson?.addEventListener('click', () => this.exportar('json'));
+        exportarCsv?.addEventListener('click', () => this.exportar('csv'));
+        importar?.addEventListener('click', () => arquivo?.click());
+        arquivo?.addEventListener('change', () => this.importar(arquivo.files[0]));
+        salvar?.addEventListener('click', () => this.salvarVigencia());
+        restaurar?.addEventListener('click', () => this.restaurarPadrao());
+
+        // Botões gerados na tabela: editar UF e excluir vigência
+        conteudo.addEventListener('click', event => {
+            const botao = event.target.closest('[data-uf]');
+            if (botao) this.editarUF(botao.dataset.uf);
+        });
+        vigencias?.addEventListener('click', event => {
+            const botao = event.target.closest('[data-inicio]');
+            if (botao) this.excluirVigencia(botao.dataset.inicio);
+        });
+
+        if (responsavel) responsavel.value = this.tabela.responsavel;
+        this.render();
+        console.log('📊 Rate Table Editor initialized');
+    }
+
+    /**
+     * Atualiza tabela de UFs, formulário e log
+     * @public
+     */
+    render() {
+        const ufs = this.tabela.listarUFs();
+
+        this.elements.conteudo.innerHTML = `
+            <table class="data-table rate-table">
+                <thead>
+                    <tr>
+                        <th>UF</th>
+                        <th>Alíquota interna</th>
+                        <th>FCP</th>
+                        <th>Metodologia</th>
+                        <th>Vigente desde</th>
+                        <th>Vigências</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ufs.map(({ uf, nome, vigente, personalizada, vigencias }) => `
+                        <tr class="${uf === this.ufEditada ? 'rate-table-selected' : ''}">
+                            <td title="${nome}"><strong>${uf}</strong>${personalizada ? ' <span class="badge badge-orange">editada</span>' : ''}</td>
+                            <td class="text-right">${this.formatarPercentual(vigente.aliqInterna)}</td>
+                            <td class="text-right">${this.formatarFaixaFcp(vigente)}</td>
+                            <td>${vigente.metodologia}</td>
+                            <td>${vigente.vigenciaInicio ? this.formatarData(vigente.vigenciaInicio) : '-'}</td>
+                            <td class="text-right">${vigencias.length}</td>
+                            <td><button class="btn btn-outline btn-sm" type="button" data-uf="${uf}">✏️</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        this.renderFormulario();
+        this.renderLog();
+    }
+
+    /**
+     * Vigências da UF em edição e formulário de nova vigência
+     * @private
+     */
+    renderFormulario() {
+        const { formulario, titulo, vigencias, restaurar } = this.elements;
+        if (!formulario) return;
+
+        formulario.classList.toggle('hidden', !this.ufEditada);
+        if (!this.ufEditada) return;
+
+        const lista = this.tabela.obterVigencias(this.ufEditada);
+        const personalizada = !!this.tabela.vigenciasPersonalizadas[this.ufEditada];
+
+        titulo.textContent = `Vigências - ${this.ufEditada} (${personalizada ? 'editada' : 'padrão do sistema'})`;
+        restaurar.disabled = !personalizada;
+        vigencias.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Início</th>
+                        <th>Alíquota interna</th>
+                        <th>FCP</th>
+                        <th>Metodologia</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lista.map(vigencia => `
+                        <tr>
+                            <td>${this.formatarData(vigencia.inicio)}</td>
+                            <td class="text-right">${this.formatarPercentual(vigencia.aliqInterna)}</td>
+                            <td class="text-right">${this.formatarFaixaFcp(vigencia)}</td>
+                            <td>${vigencia.metodologia}</td>
+                            <td>${lista.length > 1 ? `<button class="btn btn-secondary btn-sm" type="button" data-inicio="${vigencia.inicio}" title="Excluir vigência">🗑️</button>` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Últimas alterações da tabela (responsável digitado: montar sem innerHTML)
+     * @private
+     */
+    renderLog() {
+        const { log } = this.elements;
+        if (!log) return;
+
+        const alteracoes = this.tabela.listarAlteracoes().slice(0, 50);
+        if (alteracoes.length === 0) {
+            log.textContent = 'Nenhuma alteração registrada.';
+            return;
+        }
+
+        const lista = document.createElement('ul');
+        lista.className = 'rate-table-log';
+        alteracoes.forEach(({ data, responsavel, acao, uf, antes, depois }) => {
+            const item = document.createElement('li');
+            item.textContent = `${new Date(data).toLocaleString('pt-BR')} · ${responsavel} · ${uf} · ${ACOES_LOG_ALIQUOTAS[acao] || acao}: ${this.descreverMudanca(antes, depois)}`;
+            lista.appendChild(item);
+        });
+        log.replaceChildren(lista);
+    }
+
+    // ========== AÇÕES ==========
+
+    /**
+     * Seleciona a UF e preenche o formulário com a vigência atual
+     * @private
+     * @param {string} uf
+     */
+    editarUF(uf) {
+        this.ufEditada = uf;
+        const atual = this.tabela.obterVigencias(uf).slice(-1)[0];
+
+        const { inicio, aliqInterna, fcp, fcpMax, metodologia } = this.elements;
+        inicio.value = '';
+        aliqInterna.value = atual?.aliqInterna ?? '';
+        fcp.value = atual?.fcp ?? 0;
+        fcpMax.value = atual?.fcpMax ?? 0;
+        metodologia.value = atual?.metodologia || 'base-dupla';
+
+        this.ocultarErro();
+        this.render();
+        inicio.focus();
+    }
+
+    /**
+     * Salva a vigência do formulário para a UF em edição
+     * @private
+     */
+    salvarVigencia() {
+        if (!this.ufEditada) return;
+        const { inicio, aliqInterna, fcp, fcpMax, metodologia } = this.elements;
+
+        try {
+            this.tabela.salvarVigencia(this.ufEditada, {
+                inicio: inicio.value,
+                aliqInterna: aliqInterna.value,
+                fcp: fcp.value,
+                fcpMax: fcpMax.value,
+                metodologia: metodologia.value
+            });
+            this.ocultarErro();
+            this.render();
+            this.notificarAlteracao();
+        } catch (error) {
+            this.mostrarErro(error.message);
+        }
+    }
+
+    /**
+     * Exclui uma vigência da UF em edição
+     * @private
+     * @param {string} inicio - AAAA-MM-DD
+     */
+    excluirVigencia(inicio) {
+        if (!confirm(`Excluir a vigência de ${this.formatarData(inicio)} da UF ${this.ufEditada}?`)) return;
+
+        try {
+            this.tabela.excluirVigencia(this.ufEditada, inicio);
+            this.render();
+            this.notificarAlteracao();
+        } catch (error) {
+            this.mostrarErro(error.message);
+        }
+    }
+
+    /**
+     * Descarta as edições da UF em edição
+     * @private
+     */
+    restaurarPadrao() {
+        if (!confirm(`Descartar as vigências editadas de ${this.ufEditada} e voltar ao padrão do sistema?`)) return;
+
+        this.tabela.restaurarPadrao(this.ufEditada);
+        this.render();
+        this.notificarAlteracao();
+    }
+
+    /**
+     * Baixa a tabela completa em JSON ou CSV
+     * @private
+     * @param {string} formato - 'json' ou 'csv'
+     */
+    exportar(formato) {
+        const conteudo = formato === 'csv' ? '\uFEFF' + this.tabela.exportarCSV() : this.tabela.exportarJSON();
+        const tipo = formato === 'csv' ? 'text/csv;charset=UTF-8;' : 'application/json';
+        const data = new Date().toISOString().slice(0, 10);
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([conteudo], { type: tipo }));
+        link.download = `DIFAL_Aliquotas_UF_${data}.${formato}`;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+
+        setTimeout(() => {
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+        }, 100);
+    }
+
+    /**
+     * Importa o arquivo escolhido (formato pela extensão)
+     * @private
+     * @param {File} file
+     */
+    async importar(file) {
+        if (!file) return;
+
+        try {
+            const formato = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+            const { ufs, vigencias } = this.tabela.importar(await file.text(), formato);
+
+            this.ufEditada = null;
+            this.ocultarErro();
+            this.render();
+            this.notificarAlteracao();
+            alert(`Tabela de alíquotas importada: ${ufs} UF(s), ${vigencias} vigência(s).`);
+        } catch (error) {
+            this.mostrarErro(error.message);
+        } finally {
+            this.elements.arquivo.value = '';
+        }
+    }
+
+    // ========== FORMATAÇÃO ==========
+
+    /**
+     * @private
+     */
+    formatarPercentual(valor) {
+        return `${Number(valor).toLocaleString('pt-BR', { maximumFractionDigits: 2 })}%`;
+    }
+
+    /**
+     * FCP fixo ("2%") ou faixa ("1% a 2%")
+     * @private
+     */
+    formatarFaixaFcp({ fcp, fcpMax }) {
+        return fcpMax > fcp
+            ? `${this.formatarPercentual(fcp)} a ${this.formatarPercentual(fcpMax)}`
+            : this.formatarPercentual(fcp);
+    }
+
+    /**
+     * AAAA-MM-DD → DD/MM/AAAA
+     * @private
+     */
+    formatarData(dataIso) {
+        const [ano, mes, dia] = dataIso.split('-');
+        return `${dia}/${mes}/${ano}`;
+    }
+
+    /**
+     * Resumo de uma alteração para o log: vigências incluídas, removidas ou alteradas
+     * @private
+     */
+    descreverMudanca(antes, depois) {
+        const descrever = v => `${this.formatarData(v.inicio)} ${this.formatarPercentual(v.aliqInterna)} FCP ${this.formatarFaixaFcp(v)} ${v.metodologia}`;
+        const chave = v => JSON.stringify(v);
+        const anteriores = new Set((antes || []).map(chave));
+        const atuais = new Set((depois || []).map(chave));
+
+        const partes = [
+            ...(depois || []).filter(v => !anteriores.has(chave(v))).map(v => `+ ${descrever(v)}`),
+            ...(antes || []).filter(v => !atuais.has(chave(v))).map(v => `− ${descrever(v)}`)
+        ];
+        return partes.length > 0 ? partes.join(' | ') : 'sem mudança de valores';
+    }
+
+    /**
+     * Exibe erro de validação no formulário
+     * @private
+     * @param {string} mensagem
+     */
+    mostrarErro(mensagem) {
+        if (!this.elements.erro) return;
+        this.elements.erro.textContent = mensagem;
+        this.elements.erro.classList.remove('hidden');
+    }
+
+    /**
+     * @private
+     */
+    ocultarErro() {
+        this.elements.erro?.classList.add('hidden');
+    }
+
+    /**
+     * Informa os demais módulos que as alíquotas mudaram
+     * @private
+     */
+    notificarAlteracao() {
+        this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.RATE_TABLE_CHANGED, {
+            ufEditada: this.ufEditada
+        });
+    }
+}
+
+// Expor globalmente para uso no browser
+if (typeof window !== 'undefined') {
+    window.RateTableEditor = RateTableEditor;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RateTableEditor;
+}
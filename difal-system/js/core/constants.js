@@ -14,6 +14,7 @@ window.DIFAL_CONSTANTS = {
         DATA_LOADED: 'data:loaded',
         DATA_PROCESSED: 'data:processed',
         DATA_CLEARED: 'data:cleared',
+        SPED_LOADED: 'data:sped:loaded',
         
         // Eventos de cálculo
         CALCULATION_STARTED: 'calculation:started',
@@ -31,12 +32,23 @@ window.DIFAL_CONSTANTS = {
         CONFIG_CHANGED: 'config:changed',
         CONFIG_SAVED: 'config:saved',
         CONFIG_LOADED: 'config:loaded',
+        FILTER_PROFILE_CHANGED: 'config:filter-profile:changed',
+        RATE_TABLE_CHANGED: 'config:rate-table:changed',
+        FCP_RULES_CHANGED: 'config:fcp-rules:changed',
+        ITEM_RULES_CHANGED: 'config:item-rules:changed',
+        ITEM_RULES_APPLIED: 'config:item-rules:applied',
         
         // Eventos de arquivo
         FILE_SELECTED: 'file:selected',
         FILE_UPLOADED: 'file:uploaded',
         FILE_PROCESSED: 'file:processed',
         
+        // Eventos de parsing SPED
+        PARSING_STARTED: 'parsing:started',
+        PARSING_PROGRESS: 'parsing:progress',
+        PARSING_COMPLETED: 'parsing:completed',
+        PARSING_ERROR: 'parsing:error',
+        
         // Eventos de exportação
         EXPORT_STARTED: 'export:started',
         EXPORT_COMPLETED: 'export:completed',
@@ -66,37 +78,8 @@ window.DIFAL_CONSTANTS = {
             BASE_DUPLA: 'base-dupla'
         },
 
-        // Alíquotas FCP por UF - Conforme documentação oficial 2025
-        // LÓGICA: Faixas (1% a 2%) = usar MÍNIMO | Até x% = usar ZERO | Fixo = usar FIXO
-        FCP_DEFAULT: {
-            'AC': 0,    // Acre - Não possui
-            'AL': 1,    // Alagoas - 1,00% a 2,00% (usar mínimo = 1%)  
-            'AP': 0,    // Amapá - Não possui
-            'AM': 1.5,  // Amazonas - 1,50% a 2,00% (usar mínimo = 1,5%)
-            'BA': 2,    // Bahia - 2,00% (fixo)
-            'CE': 2,    // Ceará - 2,00% (fixo)
-            'DF': 2,    // Distrito Federal - 2,00% (fixo)
-            'ES': 2,    // Espírito Santo - 2,00% (fixo)
-            'GO': 0,    // Goiás - Até 2,00% (não cobra atualmente = usar zero)
-            'MA': 2,    // Maranhão - 2,00% (fixo)
-            'MT': 0,    // Mato Grosso - Até 2,00% (usar zero)
-            'MS': 0,    // Mato Grosso do Sul - Até 2,00% (usar zero)
-            'MG': 2,    // Minas Gerais - 2,00% (fixo)
-            'PA': 0,    // Pará - Não possui
-            'PB': 2,    // Paraíba - 2,00% (fixo)
-            'PR': 2,    // Paraná - 2,00% (fixo)
-            'PE': 2,    // Pernambuco - 2,00% (fixo)
-            'PI': 2,    // Piauí - 2,00% (fixo)
-            'RJ': 0,    // Rio de Janeiro - Até 4,00% (usar zero)
-            'RN': 2,    // Rio Grande do Norte - 2,00% (fixo)
-            'RS': 2,    // Rio Grande do Sul - 2,00% (fixo)
-            'RO': 2,    // Rondônia - 2,00% (fixo)
-            'RR': 0,    // Roraima - Até 2,00% (usar zero)
-            'SC': 0,    // Santa Catarina - Não possui
-            'SP': 2,    // São Paulo - 2,00% (fixo)
-            'SE': 1,    // Sergipe - 1,00% a 2,00% (usar mínimo = 1%)
-            'TO': 2     // Tocantins - 2,00% (fixo)
-        },
+        // Alíquotas internas, FCP e metodologia por UF: data/estados-brasil.js, editáveis
+        // na tabela de alíquotas (DifalRateTable) - consultar EstadosUtil.obterAliquotasVigentes
 
         // Alíquotas interestaduais padrão ICMS  
         ALIQUOTAS_INTERESTADUAIS: {
@@ -154,9 +137,13 @@ window.DIFAL_CONSTANTS = {
     // Configurações de arquivo
     FILE: {
         // Tamanhos máximos em bytes
-        MAX_SIZE: 50 * 1024 * 1024, // 50MB
+        MAX_SIZE: 500 * 1024 * 1024, // 500MB
         MAX_LINES: 1000000, // 1M linhas
         
+        // Leitura em streaming (arquivos grandes)
+        STREAMING_THRESHOLD: 50 * 1024 * 1024, // Acima de 50MB, ler em fatias
+        STREAM_CHUNK_SIZE: 4 * 1024 * 1024,    // 4MB por fatia
+        
         // Extensões permitidas
         ALLOWED_EXTENSIONS: ['.txt'],
         
@@ -851,6 +851,11 @@ class StateManager {
      * @returns {Array}
      */
     getConsolidatedItems() {
+        // PeriodsManager aplica a alocação de documentos extemporâneos
+        if (this.hasPeriods() && window.periodsManager) {
+            return window.periodsManager.getConsolidatedItems();
+        }
+        
         const allItems = [];
         
         // Primeiro, verificar se há períodos (modo multi-período)
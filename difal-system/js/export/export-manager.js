@@ -110,6 +110,16 @@ class ExportManager {
             console.log(`✅ Event listener adicionado para botão PDF: #${exportPdfBtn.id}`);
         });
         
+        const exportReconciliationBtn = document.getElementById('single-export-reconciliation');
+        if (exportReconciliationBtn) {
+            exportReconciliationBtn.addEventListener('click', () => this.exportReconciliationToExcel());
+        }
+        
+        const exportExcludedBtn = document.getElementById('single-export-excluded');
+        if (exportExcludedBtn) {
+            exportExcludedBtn.addEventListener('click', () => this.exportExcludedItemsToExcel());
+        }
+        
         // Listener para eventos do EventBus
         if (this.eventBus) {
             this.eventBus.on('EXPORT_REQUESTED', (data) => {
@@ -197,29 +207,38 @@ class ExportManager {
             periodoFim: spedData?.dadosEmpresa?.dtFim || spedData?.empresa?.DT_FIN || '',
             ufOrigem: spedData?.dadosEmpresa?.uf || spedData?.empresa?.UF || 'N/A',
             dataExportacao: new Date().toLocaleString('pt-BR'),
-            tipoRelatorio: 'Período Único'
+            tipoRelatorio: 'Período Único',
+            filtroDifal: window.DifalFilterProfiles?.descreverDados(spedData) || 'Não informado'
         };
         
         // Dados detalhados
         const dados = resultados
             .filter(r => r && !r.erro)
             .map(r => ({
-                'Item': r.item?.codItem || '',
-                'NCM': r.item?.ncm || 'N/A',
-                'Descrição': this.truncateText(r.item?.descricaoItem || r.item?.descrCompl || '', 50),
-                'CFOP': r.item?.cfop || '',
-                'CST': r.item?.cstIcms || '',
-                'Valor Item': this.formatNumber(r.item?.vlItem),
-                'Base Cálculo': this.formatNumber(r.base),
+                'Documento': window.Utils?.formatarDocumentoFiscal(r.documento) || '',
+                'Data Doc.': window.Utils?.formatarData(r.documento?.dtDoc) || '',
+                'Fornecedor': this.truncateText(r.fornecedor?.nome || '', 40),
+                'UF Origem': r.ufOrigem || '',
+                'UF Destino': r.ufDestino || '',
+                'Tipo': window.Utils?.formatarTipoItem(r) || '',
+                'Item': r.codItem || '',
+                'NCM': r.ncm || 'N/A',
+                'Descrição': this.truncateText(r.descricaoItem || r.descrCompl || '', 50),
+                'CFOP': r.cfop || '',
+                'CST': r.cstIcms || '',
+                'Valor Item': this.formatNumber(r.valorItem),
+                'Base Cálculo': this.formatNumber(r.baseCalculo),
                 'Alíq. Origem (%)': this.formatNumber(r.aliqOrigem),
                 'Alíq. Destino (%)': this.formatNumber(r.aliqDestino),
-                'DIFAL': this.formatNumber(r.difal),
+                'DIFAL': this.formatNumber(r.valorDifal),
                 'FCP (%)': this.formatNumber(r.aliqFcp),
-                'Valor FCP': this.formatNumber(r.fcp),
-                'Total a Recolher': this.formatNumber(r.totalRecolher),
-                'Metodologia': r.metodologia || 'N/A',
-                'Benefício': r.beneficio || 'Nenhum',
-                'Status': r.status || 'Calculado'
+                'Valor FCP': this.formatNumber(r.valorFcp),
+                'Total a Recolher': this.formatNumber((r.valorDifal || 0) + (r.valorFcp || 0)),
+                'Metodologia': window.DifalStrategies?.obter(r.metodoCalculo)?.nome || r.metodoCalculo || 'N/A',
+                'Base Legal': r.referenciaLegal || '',
+                'Benefício': (window.DifalCalculator?.DESCRICOES_BENEFICIO[r.configuracaoItem?.beneficio] || 'Nenhum') +
+                    (r.configuracaoItem?.convenio ? ` - ${r.configuracaoItem.convenio.referenciaLegal}` : ''),
+                'Status': 'Calculado'
             }));
         
         // Totalizadores
@@ -282,6 +301,10 @@ class ExportManager {
         sheet.cell(currentRow, 2).value(exportData.header.tipoRelatorio);
         currentRow++;
         
+        sheet.cell(currentRow, 1).value('Filtro DIFAL:');
+        sheet.cell(currentRow, 2).value(exportData.header.filtroDifal);
+        currentRow++;
+        
         sheet.cell(currentRow, 1).value('Data Exportação:');
         sheet.cell(currentRow, 2).value(exportData.header.dataExportacao);
         currentRow += 2;
@@ -349,6 +372,12 @@ class ExportManager {
      */
     adjustColumnWidths(sheet, headers) {
         const widthMap = {
+            'Documento': 48,
+            'Data Doc.': 12,
+            'Fornecedor': 35,
+            'UF Origem': 10,
+            'UF Destino': 10,
+            'Tipo': 22,
             'Item': 10,
             'NCM': 12,
             'Descrição': 40,
@@ -363,6 +392,7 @@ class ExportManager {
             'Valor FCP': 15,
             'Total a Recolher': 15,
             'Metodologia': 15,
+            'Base Legal': 45,
             'Benefício': 20,
             'Status': 12
         };
@@ -455,7 +485,11 @@ class ExportManager {
             // Tipo de relatório
             const tipoRelatorio = spedData.tipoRelatorio || 'Período Único';
             doc.text(`Tipo de Relatório: ${tipoRelatorio}`, 20, yPosition);
-            yPosition += 10;
+            yPosition += 6;
+            
+            const filtro = window.DifalFilterProfiles?.descreverDados(spedData) || 'Não informado';
+            doc.text(doc.splitTextToSize(`Filtro DIFAL: ${filtro}`, 170), 20, yPosition);
+            yPosition += 14;
         }
         
         // === TOTALIZADORES ===
@@ -534,16 +568,16 @@ class ExportManager {
      */
     preparePdfTableData(resultados) {
         return resultados
-            .filter(r => r && !r.erro && r.difal > 0)
+            .filter(r => r && !r.erro && r.valorDifal > 0)
             .slice(0, this.config.pdf.maxItemsPerPage)
             .map(r => [
-                r.item?.codItem || '',
-                r.item?.ncm || 'N/A',
-                r.item?.cfop || '',
-                this.formatCurrency(r.base),
-                this.formatCurrency(r.difal),
-                this.formatCurrency(r.fcp),
-                this.formatCurrency(r.totalRecolher)
+                r.codItem || '',
+                r.ncm || 'N/A',
+                r.cfop || '',
+                this.formatCurrency(r.baseCalculo),
+                this.formatCurrency(r.valorDifal),
+                this.formatCurrency(r.valorFcp),
+                this.formatCurrency((r.valorDifal || 0) + (r.valorFcp || 0))
             ]);
     }
 
@@ -590,6 +624,7 @@ class ExportManager {
         lines.push(`Sistema DIFAL - Relatório de Cálculo`);
         lines.push(`Empresa${delimiter}${exportData.header.empresa}`);
         lines.push(`CNPJ${delimiter}${exportData.header.cnpj}`);
+        lines.push(`Filtro DIFAL${delimiter}"${exportData.header.filtroDifal.replace(/"/g, '""')}"`);
         lines.push(`Data Exportação${delimiter}${exportData.header.dataExportacao}`);
         lines.push(''); // Linha vazia
         
@@ -635,7 +670,7 @@ class ExportManager {
                 throw new Error('Resultados não disponíveis');
             }
             
-            const resultado = results.resultados.find(r => r.item?.codItem === itemId);
+            const resultado = results.resultados.find(r => r.codItem === itemId);
             if (!resultado || !resultado.memoriaCalculo) {
                 throw new Error(`Memória de cálculo não disponível para o item ${itemId}`);
             }
@@ -664,10 +699,10 @@ class ExportManager {
             'MEMÓRIA DE CÁLCULO DIFAL',
             '='.repeat(80),
             '',
-            `Item: ${resultado.item.codItem}`,
-            `NCM: ${resultado.item.ncm || 'N/A'}`,
-            `Descrição: ${resultado.item.descricaoItem || resultado.item.descrCompl || 'N/A'}`,
-            `CFOP: ${resultado.item.cfop}`,
+            `Item: ${resultado.codItem}`,
+            `NCM: ${resultado.ncm || 'N/A'}`,
+            `Descrição: ${resultado.descricaoItem || resultado.descrCompl || 'N/A'}`,
+            `CFOP: ${resultado.cfop}`,
             '',
             '-'.repeat(80),
             'DETALHAMENTO DO CÁLCULO',
@@ -684,10 +719,10 @@ class ExportManager {
             '-'.repeat(80),
             'RESULTADO FINAL',
             '-'.repeat(80),
-            `Base de Cálculo: ${this.formatCurrency(resultado.base)}`,
-            `DIFAL: ${this.formatCurrency(resultado.difal)}`,
-            `FCP: ${this.formatCurrency(resultado.fcp)}`,
-            `Total a Recolher: ${this.formatCurrency(resultado.totalRecolher)}`,
+            `Base de Cálculo: ${this.formatCurrency(resultado.baseCalculo)}`,
+            `DIFAL: ${this.formatCurrency(resultado.valorDifal)}`,
+            `FCP: ${this.formatCurrency(resultado.valorFcp)}`,
+            `Total a Recolher: ${this.formatCurrency((resultado.valorDifal || 0) + (resultado.valorFcp || 0))}`,
             '',
             `Gerado em: ${new Date().toLocaleString('pt-BR')}`,
             '='.repeat(80)
@@ -696,6 +731,253 @@ class ExportManager {
         return lines.join('\n');
     }
 
+    // ========== EXPORTAÇÃO DA CONFERÊNCIA C190 x C170 ==========
+
+    /**
+     * Exporta as divergências da conferência C190 x C170 para Excel
+     * @async
+     * @public
+     * @returns {Promise<void>}
+     */
+    async exportReconciliationToExcel() {
+        try {
+            const spedData = this.stateManager.getSpedData();
+            const reconciliacao = spedData?.reconciliacao;
+            
+            if (!reconciliacao) {
+                throw new Error('Nenhuma conferência C190 x C170 disponível. Processe um arquivo SPED primeiro.');
+            }
+            
+            const dados = this.prepareReconciliationData(reconciliacao);
+            const timestamp = new Date().toISOString().slice(0, 10);
+            
+            if (!window.XlsxPopulate || typeof window.XlsxPopulate.fromBlankAsync !== 'function') {
+                console.warn('⚠️ XlsxPopulate indisponível, exportando conferência como CSV');
+                const delimiter = this.config.csv.delimiter;
+                const headers = Object.keys(dados[0] || {});
+                const lines = [headers.join(delimiter), ...dados.map(row => headers.map(h => row[h]).join(delimiter))];
+                const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=UTF-8;' });
+                this.downloadFile(blob, `DIFAL_Conferencia_C190_C170_${timestamp}.csv`, 'text/csv');
+                this.notifyExportSuccess('CSV', dados.length);
+                return;
+            }
+            
+            const workbook = await window.XlsxPopulate.fromBlankAsync();
+            const sheet = workbook.sheet(0);
+            sheet.name('Conferência C190 x C170');
+            
+            let currentRow = 1;
+            sheet.cell(currentRow, 1).value('CONFERÊNCIA C190 x C170').style({ bold: true, fontSize: 16 });
+            currentRow += 2;
+            
+            const { resumo } = reconciliacao;
+            [
+                ['Empresa:', spedData.dadosEmpresa?.razaoSocial || 'N/A'],
+                ['Período de Apuração:', spedData.periodoApuracao || 'N/A'],
+                ['Documentos conferidos:', resumo.documentosVerificados],
+                ['Documentos com divergência:', resumo.documentosDivergentes],
+                ['Documentos sem C170 (não conferidos):', resumo.documentosSemItens],
+                ['Tolerância (R$):', resumo.tolerancia]
+            ].forEach(([label, value]) => {
+                sheet.cell(currentRow, 1).value(label);
+                sheet.cell(currentRow, 2).value(value).style({ bold: true });
+                currentRow++;
+            });
+            currentRow++;
+            
+            const headers = Object.keys(dados[0] || {});
+            headers.forEach((header, index) => {
+                sheet.cell(currentRow, index + 1).value(header).style({
+                    bold: true,
+                    fill: '4472C4',
+                    fontColor: 'FFFFFF',
+                    border: true,
+                    horizontalAlignment: 'center'
+                });
+                sheet.column(index + 1).width(header === 'Documento' ? 48 : 16);
+            });
+            currentRow++;
+            
+            dados.forEach(linha => {
+                headers.forEach((header, colIndex) => {
+                    sheet.cell(currentRow, colIndex + 1).value(linha[header]).style({ border: true });
+                });
+                currentRow++;
+            });
+            
+            const blob = await workbook.outputAsync('blob');
+            this.downloadFile(blob, `DIFAL_Conferencia_C190_C170_${timestamp}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            this.notifyExportSuccess('Excel XLSX', dados.length);
+            
+        } catch (error) {
+            this.handleExportError('Excel', error);
+        }
+    }
+
+    /**
+     * Prepara linhas da conferência C190 x C170
+     * @private
+     * @param {Object} reconciliacao - Resultado de SpedReconciliation.reconciliar
+     * @returns {Array<Object>} Linhas para a planilha
+     */
+    prepareReconciliationData(reconciliacao) {
+        const descricaoTipo = {
+            'valor': 'Valor divergente',
+            'sem-c170': 'C190 sem itens C170',
+            'sem-c190': 'Itens C170 sem C190'
+        };
+        
+        return reconciliacao.divergencias.map(d => ({
+            'Documento': window.Utils?.formatarDocumentoFiscal(d.documento) || '',
+            'Data Doc.': window.Utils?.formatarData(d.documento?.dtDoc) || '',
+            'Linha C100': d.documento?.linha || '',
+            'Linha C190': d.linhaC190 || '',
+            'CST': d.cst,
+            'CFOP': d.cfop,
+            'Alíquota (%)': d.aliquota,
+            'Ocorrência': descricaoTipo[d.tipo] || d.tipo,
+            'Campo': d.campo,
+            'Esperado (C190)': d.esperado,
+            'Encontrado (C170)': d.encontrado,
+            'Diferença': d.diferenca
+        }));
+    }
+
+    // ========== EXPORTAÇÃO DOS ITENS EXCLUÍDOS ==========
+
+    /**
+     * Exporta os itens que ficaram fora do cálculo DIFAL, com os motivos
+     * @async
+     * @public
+     * @returns {Promise<void>}
+     */
+    async exportExcludedItemsToExcel() {
+        try {
+            const spedData = this.stateManager.getSpedData();
+            const itensExcluidos = spedData?.itensExcluidos;
+            
+            if (!itensExcluidos) {
+                throw new Error('Nenhum relatório de itens excluídos disponível. Processe um arquivo SPED primeiro.');
+            }
+            
+            const dados = this.prepareExcludedItemsData(itensExcluidos);
+            const filtro = window.DifalFilterProfiles?.descreverDados(spedData) || 'Não informado';
+            const timestamp = new Date().toISOString().slice(0, 10);
+            
+            if (!window.XlsxPopulate || typeof window.XlsxPopulate.fromBlankAsync !== 'function') {
+                console.warn('⚠️ XlsxPopulate indisponível, exportando itens excluídos como CSV');
+                const delimiter = this.config.csv.delimiter;
+                const headers = Object.keys(dados[0] || {});
+                const escapar = (valor) => (String(valor).includes(delimiter) ? `"${String(valor).replace(/"/g, '""')}"` : valor);
+                const lines = [
+                    `Filtro DIFAL${delimiter}${escapar(filtro)}`,
+                    '',
+                    headers.join(delimiter),
+                    ...dados.map(row => headers.map(h => escapar(row[h])).join(delimiter))
+                ];
+                const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=UTF-8;' });
+                this.downloadFile(blob, `DIFAL_Itens_Excluidos_${timestamp}.csv`, 'text/csv');
+                this.notifyExportSuccess('CSV', dados.length);
+                return;
+            }
+            
+            const workbook = await window.XlsxPopulate.fromBlankAsync();
+            const sheet = workbook.sheet(0);
+            sheet.name('Itens Excluídos');
+            
+            let currentRow = 1;
+            sheet.cell(currentRow, 1).value('ITENS EXCLUÍDOS DO CÁLCULO DIFAL').style({ bold: true, fontSize: 16 });
+            currentRow += 2;
+            
+            [
+                ['Empresa:', spedData.dadosEmpresa?.razaoSocial || 'N/A'],
+                ['Período de Apuração:', spedData.periodoApuracao || 'N/A'],
+                ['Filtro DIFAL:', filtro],
+                ['Itens excluídos:', itensExcluidos.length],
+                ...this.countExclusionReasons(itensExcluidos).map(({ descricao, quantidade }) => [`  ${descricao}:`, quantidade])
+            ].forEach(([label, value]) => {
+                sheet.cell(currentRow, 1).value(label);
+                sheet.cell(currentRow, 2).value(value).style({ bold: true });
+                currentRow++;
+            });
+            currentRow++;
+            
+            const headers = Object.keys(dados[0] || {});
+            headers.forEach((header, index) => {
+                sheet.cell(currentRow, index + 1).value(header).style({
+                    bold: true,
+                    fill: '4472C4',
+                    fontColor: 'FFFFFF',
+                    border: true,
+                    horizontalAlignment: 'center'
+                });
+                sheet.column(index + 1).width(['Documento', 'Descrição', 'Motivos'].includes(header) ? 48 : 16);
+            });
+            currentRow++;
+            
+            dados.forEach(linha => {
+                headers.forEach((header, colIndex) => {
+                    sheet.cell(currentRow, colIndex + 1).value(linha[header]).style({ border: true });
+                });
+                currentRow++;
+            });
+            
+            const blob = await workbook.outputAsync('blob');
+            this.downloadFile(blob, `DIFAL_Itens_Excluidos_${timestamp}.xlsx`, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            this.notifyExportSuccess('Excel XLSX', dados.length);
+            
+        } catch (error) {
+            this.handleExportError('Excel', error);
+        }
+    }
+
+    /**
+     * Prepara linhas do relatório de itens excluídos
+     * @private
+     * @param {Array<Object>} itensExcluidos - Itens excluídos pelo parser
+     * @returns {Array<Object>} Linhas para a planilha
+     */
+    prepareExcludedItemsData(itensExcluidos) {
+        const motivos = window.MOTIVOS_EXCLUSAO_DIFAL || {};
+        
+        return itensExcluidos.map(item => ({
+            'Linha': item.linha || '',
+            'Registro': item.tipoRegistro || '',
+            'Documento': window.Utils?.formatarDocumentoFiscal(item.documento) || '',
+            'Data Doc.': window.Utils?.formatarData(item.documento?.dtDoc) || '',
+            'Item': item.codItem || '',
+            'Descrição': item.descricaoItem || '',
+            'NCM': item.ncm || '',
+            'CFOP': item.cfop || '',
+            'CST': item.cstIcms || '',
+            'Valor Item': item.valorItem || 0,
+            'Motivos': item.motivos.map(codigo => motivos[codigo] || codigo).join('; ')
+        }));
+    }
+
+    /**
+     * Conta os itens excluídos por motivo
+     * @private
+     * @param {Array<Object>} itensExcluidos - Itens excluídos pelo parser
+     * @returns {Array<{codigo: string, descricao: string, quantidade: number}>}
+     */
+    countExclusionReasons(itensExcluidos) {
+        const motivos = window.MOTIVOS_EXCLUSAO_DIFAL || {};
+        const contagem = {};
+        
+        itensExcluidos.forEach(item => {
+            item.motivos.forEach(codigo => {
+                contagem[codigo] = (contagem[codigo] || 0) + 1;
+            });
+        });
+        
+        return Object.entries(contagem).map(([codigo, quantidade]) => ({
+            codigo,
+            descricao: motivos[codigo] || codigo,
+            quantidade
+        }));
+    }
+
     // ========== MÉTODOS UTILITÁRIOS ==========
 
     /**
@@ -1060,7 +1342,8 @@ class ExportManager {
             cabecalhos: ['Código', 'Descrição', 'CFOP', 'NCM', 'Valor Base', 'DIFAL', 'FCP', 'Benefício'],
             dados: dadosPDF,
             totalRows: dadosPDF.length,
-            totalizadores: results.totalizadores
+            totalizadores: results.totalizadores,
+            filtroDifal: window.DifalFilterProfiles?.descreverDados(this.stateManager.getSpedData()) || 'Não informado'
         };
     }
 
@@ -1400,6 +1683,9 @@ class ExportManager {
         doc.setTextColor(100, 100, 100);
         doc.text('Este relatório foi gerado automaticamente pelo Sistema DIFAL.', 20, y);
         doc.text('Confira sempre os valores com sua contabilidade antes do recolhimento.', 20, y + 8);
+        if (exportData.filtroDifal) {
+            doc.text(`Filtro DIFAL: ${exportData.filtroDifal}`, 20, y + 16);
+        }
         
         // Número da página
         const pageCount = doc.internal.getNumberOfPages();
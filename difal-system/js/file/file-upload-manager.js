@@ -1,8 +1,11 @@
 /**
- * @fileoverview File Upload Manager - Módulo de gerenciamento de upload de arquivos SPED
+ * @fileoverview File Upload Manager - Módulo de gerenciamento de upload de arquivos SPED, XML e ZIP
  * @module FileUploadManager
  * @description Responsável por gerenciar upload de arquivos SPED incluindo drag & drop,
- * validação, parsing e integração com StateManager. Fornece feedback visual e
+ * validação, parsing e integração com StateManager. Vários XMLs de NF-e/CT-e soltos
+ * juntos formam um único conjunto de dados, como um arquivo SPED. ZIPs são
+ * descompactados (ZipArchiveReader) e, se trouxerem mais de um período, carregados
+ * no PeriodsManager automaticamente. Fornece feedback visual e
  * notificações via EventBus para uma experiência de usuário aprimorada.
  * 
  * @author Sistema DIFAL
@@ -36,17 +39,19 @@ class FileUploadManager {
         
         // Configurações de upload
         this.config = {
-            allowedExtensions: ['.txt'],
-            maxFileSize: 100 * 1024 * 1024, // 100MB
+            allowedExtensions: ['.txt', '.xml', '.zip'],
+            maxFileSize: window.DIFAL_CONSTANTS?.FILE?.MAX_SIZE || 500 * 1024 * 1024, // 500MB (streaming acima de 50MB)
             supportedEncodings: ['UTF-8', 'ISO-8859-1', 'WINDOWS-1252'],
             progressUpdateInterval: 100,
-            chunkSize: 64 * 1024 // 64KB para processamento em chunks
+            chunkSize: 64 * 1024, // 64KB para processamento em chunks
+            useWorker: true // Parsing em Web Worker quando o ambiente permitir
         };
         
         // Estado interno
         this.currentFile = null;
         this.isProcessing = false;
         this.uploadStartTime = null;
+        this.workerClient = null; // SpedWorkerClient do parsing em andamento
         
         // Estado multi-períodos
         this.periodsManager = null;
@@ -94,6 +99,7 @@ class FileUploadManager {
     setupFileUploadElements() {
         const fileInput = document.getElementById('file-input');
         const dropZone = document.getElementById('drop-zone');
+        const cancelButton = document.getElementById('cancel-parsing-btn');
         
         if (fileInput) {
             this.setupFileInputListener(fileInput);
@@ -103,6 +109,10 @@ class FileUploadManager {
             this.setupDropZone(dropZone);
         }
         
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => this.cancelParsing());
+        }
+        
         console.log('📁 Elementos de upload configurados');
     }
 
@@ -128,10 +138,10 @@ class FileUploadManager {
                 
                 if (window.uiManager && window.uiManager.handleFileUpload) {
                     console.log('✅ Chamando window.uiManager.handleFileUpload()');
-                    window.uiManager.handleFileUpload(files[0]);
+                    window.uiManager.handleFileUpload(this.selectUploadFiles(files));
                 } else {
                     console.warn('⚠️ UIManager não disponível, usando fallback');
-                    this.handleFileUpload(files[0]);
+                    this.handleFileUpload(this.selectUploadFiles(files));
                 }
             }
         };
@@ -174,15 +184,25 @@ class FileUploadManager {
             if (files && files.length > 0) {
                 // CORREÇÃO: Chamar UIManager.handleFileUpload() em vez do próprio
                 if (window.uiManager && window.uiManager.handleFileUpload) {
-                    window.uiManager.handleFileUpload(files[0]);
+                    window.uiManager.handleFileUpload(this.selectUploadFiles(files));
                 } else {
                     console.warn('⚠️ UIManager não disponível, usando fallback');
-                    this.handleFileUpload(files[0]);
+                    this.handleFileUpload(this.selectUploadFiles(files));
                 }
             }
         });
     }
 
+    /**
+     * Arquivo único ou lista (lote de XMLs) a partir do FileList
+     * @private
+     * @param {FileList} files - Arquivos selecionados
+     * @returns {File|Array<File>}
+     */
+    selectUploadFiles(files) {
+        return files.length > 1 ? Array.from(files) : files[0];
+    }
+
     /**
      * Previne comportamentos padrão dos eventos
      * @private
@@ -241,13 +261,25 @@ class FileUploadManager {
     }
 
     /**
-     * Processa upload de arquivo SPED
+     * Processa upload de arquivo SPED, de um lote de XMLs de NF-e/CT-e ou de ZIPs
+     * Um ZIP com um único conjunto de dados segue o fluxo normal; com vários
+     * (SPEDs de meses diferentes, XMLs de meses diferentes) cada conjunto vira
+     * um período no PeriodsManager.
      * @public
-     * @param {File} file - Arquivo para upload
-     * @returns {Promise<Object>} Dados processados do arquivo
+     * @param {File|Array<File>} fileOrFiles - Arquivo SPED, XML, ZIP ou lista de arquivos
+     * @returns {Promise<Object>} Dados processados do arquivo, ou
+     *   { multiPeriodo: true, periodos, falhas, ignorados } quando o ZIP trouxer vários períodos
      * @throws {Error} Se arquivo inválido ou erro no processamento
      */
-    async handleFileUpload(file) {
+    async handleFileUpload(fileOrFiles) {
+        let files = fileOrFiles instanceof Blob ? [fileOrFiles] : Array.from(fileOrFiles || []);
+        if (files.length === 0) {
+            return;
+        }
+        
+        // Lote de arquivos: um descritor com nome e tamanho totais para as telas e eventos
+        let file = files.length === 1 ? files[0] : this.createBatchDescriptor(files);
+        
         // Verificação robusta de processamento com debouncing
         if (this.isProcessing) {
             console.warn('⚠️ Upload bloqueado - processamento já em andamento');
@@ -275,8 +307,23 @@ class FileUploadManager {
         try {
             console.log('📁 Iniciando upload do arquivo:', file.name);
             
-            // Validar arquivo
-            this.validateFile(file);
+            // Validar arquivo(s)
+            files.forEach(f => this.validateFile(f));
+            this.validateSelection(files);
+            
+            // ZIP: extrair e identificar os conjuntos de dados pelo conteúdo
+            let tipoConjunto = this.isXmlFile(files[0]) ? 'xml' : 'efd';
+            if (files.some(f => ZipArchiveReader.isZip(f))) {
+                const { conjuntos, ignorados } = await this.expandArchives(files);
+                if (conjuntos.length > 1) {
+                    return await this.loadPeriodSets(conjuntos, ignorados);
+                }
+                
+                files = conjuntos[0].files;
+                tipoConjunto = conjuntos[0].tipo;
+                file = files.length === 1 ? files[0] : this.createBatchDescriptor(files);
+                this.currentFile = file;
+            }
             
             // Mostrar informações do arquivo
             this.showFileInfo(file);
@@ -292,11 +339,17 @@ class FileUploadManager {
             // Processar arquivo com SpedParser - COM PROTEÇÃO ROBUSTA
             let resultado;
             try {
-                resultado = await this.processFileWithParser(file);
+                resultado = tipoConjunto === 'xml'
+                    ? await this.processXmlFiles(files)
+                    : await this.processFileWithParser(file);
             } catch (parserError) {
+                if (parserError.name === 'AbortError') {
+                    throw parserError;
+                }
                 console.error('❌ Erro específico no parser:', parserError);
                 // Garantir que a exceção do parser não quebra o fluxo
-                throw new Error(`Erro no processamento SPED: ${parserError.message || parserError}`);
+                const origem = tipoConjunto === 'xml' ? 'XML' : 'SPED';
+                throw new Error(`Erro no processamento ${origem}: ${parserError.message || parserError}`);
             }
             
             // Validar resultado básico
@@ -336,6 +389,16 @@ class FileUploadManager {
             return resultado;
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                // Cancelamento pelo usuário não é erro
+                this.notifyProgress('Processamento cancelado', 0);
+                this.eventBus?.emit('FILE_UPLOAD_CANCELLED', {
+                    fileName: file.name,
+                    timestamp: Date.now()
+                });
+                return;
+            }
+            
             console.error('❌ Erro no upload do arquivo:', error);
             this.notifyError(`Erro ao processar arquivo: ${error.message || error}`);
             
@@ -390,8 +453,135 @@ class FileUploadManager {
         });
     }
 
+    /**
+     * Valida a combinação de arquivos: vários arquivos só como lote de XMLs ou com ZIPs
+     * @private
+     * @param {Array<File>} files - Arquivos selecionados
+     * @throws {Error} Se houver mais de um SPED ou mistura de SPED com XML fora de ZIP
+     */
+    validateSelection(files) {
+        if (files.some(f => ZipArchiveReader.isZip(f))) {
+            return; // Conteúdo classificado na extração
+        }
+        if (files.length > 1 && !files.every(f => this.isXmlFile(f))) {
+            throw new Error('Selecione um único arquivo SPED (TXT), um ou mais XMLs de NF-e/CT-e ou arquivos ZIP');
+        }
+    }
+
+    /**
+     * Verifica se o arquivo é XML (NF-e/CT-e)
+     * @private
+     * @param {File} file - Arquivo
+     * @returns {boolean}
+     */
+    isXmlFile(file) {
+        return file.name.toLowerCase().endsWith('.xml');
+    }
+
+    /**
+     * Descritor de um lote de arquivos (nome e tamanho somados)
+     * @private
+     * @param {Array<File>} files - Arquivos do lote
+     * @returns {{name: string, size: number, lastModified: number, files: Array<File>}}
+     */
+    createBatchDescriptor(files) {
+        const allXml = files.every(f => this.isXmlFile(f));
+        return {
+            name: allXml ? `${files.length} arquivos XML (NF-e/CT-e)` : `${files.length} arquivos`,
+            size: files.reduce((sum, f) => sum + f.size, 0),
+            lastModified: Math.max(...files.map(f => f.lastModified || 0)),
+            files
+        };
+    }
+
+    /**
+     * Descompacta os ZIPs e agrupa o conteúdo em conjuntos de dados
+     * @private
+     * @param {Array<File>} files - Arquivos selecionados (ZIPs e/ou soltos)
+     * @returns {Promise<{conjuntos: Array<Object>, ignorados: Array<string>}>}
+     * @throws {Error} Se não houver SPED nem XML de NF-e/CT-e
+     */
+    async expandArchives(files) {
+        if (!window.ZipArchiveReader) {
+            throw new Error('ZipArchiveReader não está disponível. Verifique se o módulo foi carregado.');
+        }
+        
+        this.notifyProgress('Extraindo arquivos do ZIP...', 3);
+        const { conjuntos, ignorados } = await new ZipArchiveReader().prepararConjuntos(files);
+        
+        if (conjuntos.length === 0) {
+            throw new Error('Nenhum arquivo SPED (EFD) ou XML de NF-e/CT-e encontrado no ZIP');
+        }
+        
+        return { conjuntos, ignorados };
+    }
+
+    /**
+     * Carrega cada conjunto de dados como um período no PeriodsManager
+     * Conjuntos com erro (CNPJ diferente, período repetido...) são informados e não interrompem os demais.
+     * @private
+     * @param {Array<Object>} conjuntos - Conjuntos do ZipArchiveReader
+     * @param {Array<string>} ignorados - Arquivos não reconhecidos
+     * @returns {Promise<{multiPeriodo: boolean, periodos: Array<string>, falhas: Array<Object>, ignorados: Array<string>}>}
+     * @throws {Error} Se nenhum período puder ser carregado
+     */
+    async loadPeriodSets(conjuntos, ignorados = []) {
+        if (!this.periodsManager) {
+            throw new Error('Gerenciador de períodos não disponível para carregar vários períodos');
+        }
+        
+        this.setProcessingMode('multiple');
+        const periodos = [];
+        const falhas = [];
+        
+        for (let i = 0; i < conjuntos.length; i++) {
+            const conjunto = conjuntos[i];
+            const nome = conjunto.tipo === 'efd'
+                ? conjunto.files[0].name
+                : `XMLs de ${conjunto.competencia || 'data não informada'}`;
+            
+            this.notifyProgress(`Carregando período ${i + 1}/${conjuntos.length}: ${nome}`, Math.round((i / conjuntos.length) * 100));
+            
+            try {
+                const resultado = conjunto.tipo === 'xml'
+                    ? await this.processXmlFiles(conjunto.files)
+                    : await this.processFileWithParser(conjunto.files[0]);
+                
+                const addResult = await this.periodsManager.addPeriod(resultado);
+                if (!addResult.success) {
+                    throw new Error(addResult.error);
+                }
+                periodos.push(addResult.periodLabel);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                console.warn(`⚠️ Período não carregado (${nome}):`, error.message);
+                falhas.push({ arquivo: nome, erro: error.message });
+            }
+        }
+        
+        if (periodos.length === 0) {
+            throw new Error(`Nenhum período carregado do ZIP: ${falhas.map(f => `${f.arquivo}: ${f.erro}`).join('; ')}`);
+        }
+        
+        this.notifyProgress(`${periodos.length} período(s) carregado(s) do ZIP`, 100);
+        this.eventBus?.emit('UPLOAD_SUCCESS', {
+            periodos,
+            falhas,
+            ignorados,
+            timestamp: Date.now()
+        });
+        
+        console.log(`✅ ZIP carregado em ${periodos.length} período(s):`, periodos);
+        return { multiPeriodo: true, periodos, falhas, ignorados };
+    }
+
     /**
      * Processa arquivo com SpedParser
+     * Usa o Web Worker (SpedWorkerClient) quando disponível; se o worker não puder
+     * ser criado ou carregado, faz o parsing na thread principal. Erros de parsing do
+     * arquivo e cancelamento não têm fallback.
      * @private
      * @param {File} file - Arquivo para processamento
      * @returns {Promise<Object>} Dados processados
@@ -403,18 +593,50 @@ class FileUploadManager {
         
         // Usar SpedParserModular se disponível, senão usar SpedParser
         const ParserClass = window.SpedParserModular || window.SpedParser;
-        const parser = new ParserClass(this.eventBus, this.stateManager);
-        
-        // Configurar callback de progresso se suportado
-        if (parser.setProgressCallback) {
-            parser.setProgressCallback((progress, message) => {
-                this.notifyProgress(message, progress);
-            });
-        }
         
         this.notifyProgress('Analisando registros SPED...', 20);
         
-        const resultado = await parser.processarArquivo(file);
+        // Progresso do parser (20% → 80% da barra), venha do worker ou da thread principal
+        const progressListenerId = this.eventBus?.on(window.DIFAL_CONSTANTS?.EVENTS?.PARSING_PROGRESS, (data) => {
+            const percentage = Math.min(100, data?.percentage || 0);
+            this.notifyProgress(`Analisando registros SPED... ${Math.round(percentage)}%`, 20 + percentage * 0.6);
+        });
+        
+        // Perfis de filtro CFOP/CST vigentes (aplicados durante o parsing)
+        const opcoes = this.getParserOptions();
+        
+        let resultado;
+        let usedWorker = false;
+        try {
+            if (this.config.useWorker && window.SpedWorkerClient?.isSupported()) {
+                try {
+                    resultado = await this.parseInWorker(file, opcoes);
+                    usedWorker = true;
+                } catch (workerError) {
+                    if (workerError.name === 'AbortError' || workerError.name === 'SpedParseError') {
+                        throw workerError;
+                    }
+                    console.warn('⚠️ Worker de parsing indisponível, processando na thread principal:', workerError.message);
+                }
+            }
+            
+            if (!usedWorker) {
+                const parser = new ParserClass(this.eventBus, this.stateManager);
+                
+                // Configurar callback de progresso se suportado
+                if (parser.setProgressCallback) {
+                    parser.setProgressCallback((progress, message) => {
+                        this.notifyProgress(message, progress);
+                    });
+                }
+                
+                resultado = await parser.processarArquivo(file, opcoes);
+            }
+        } finally {
+            if (progressListenerId) {
+                this.eventBus.off(progressListenerId);
+            }
+        }
         
         // Validar resultado
         if (!resultado || !resultado.itensDifal) {
@@ -429,12 +651,118 @@ class FileUploadManager {
             fileSize: file.size,
             processedAt: new Date().toISOString(),
             processingTime: Date.now() - this.uploadStartTime,
-            parser: ParserClass.name
+            parser: ParserClass.name,
+            worker: usedWorker,
+            encoding: resultado.encoding?.encoding || null
+        };
+        
+        return resultado;
+    }
+
+    /**
+     * Processa um lote de XMLs de NF-e com NfeXmlParser (thread principal)
+     * @private
+     * @param {Array<File>} files - Arquivos XML
+     * @returns {Promise<Object>} Dados no mesmo formato do SpedParserModular
+     */
+    async processXmlFiles(files) {
+        if (!window.NfeXmlParser) {
+            throw new Error('NfeXmlParser não está disponível. Verifique se o módulo foi carregado.');
+        }
+        
+        this.notifyProgress('Lendo XMLs de NF-e...', 20);
+        
+        const progressListenerId = this.eventBus?.on(window.DIFAL_CONSTANTS?.EVENTS?.PARSING_PROGRESS, (data) => {
+            const percentage = Math.min(100, data?.percentage || 0);
+            this.notifyProgress(`Lendo XMLs de NF-e... ${Math.round(percentage)}%`, 20 + percentage * 0.6);
+        });
+        
+        const opcoes = {
+            ...this.getParserOptions(),
+            destinacao: document.getElementById('xml-destinacao')?.value || 'uso-consumo'
+        };
+        
+        let resultado;
+        try {
+            resultado = await new NfeXmlParser(this.eventBus).processarArquivos(files, opcoes);
+        } finally {
+            if (progressListenerId) {
+                this.eventBus.off(progressListenerId);
+            }
+        }
+        
+        if (resultado.avisos.length > 0) {
+            console.warn(`⚠️ ${resultado.avisos.length} arquivo(s) XML ignorado(s):`, resultado.avisos);
+        }
+        
+        this.notifyProgress('Extraindo itens DIFAL...', 80);
+        
+        resultado.metadata = {
+            fileName: resultado.nomeArquivo,
+            fileSize: files.reduce((sum, f) => sum + f.size, 0),
+            fileCount: files.length,
+            processedAt: new Date().toISOString(),
+            processingTime: Date.now() - this.uploadStartTime,
+            parser: 'NfeXmlParser',
+            worker: false,
+            encoding: null
         };
         
         return resultado;
     }
 
+    /**
+     * Opções comuns aos parsers (perfis de filtro CFOP/CST vigentes)
+     * @private
+     * @returns {Object}
+     */
+    getParserOptions() {
+        return { filtros: window.difalFilterProfiles?.obterConfiguracaoParser() || null };
+    }
+
+    /**
+     * Executa o parsing no Web Worker, exibindo o botão de cancelamento
+     * @private
+     * @param {File} file - Arquivo para processamento
+     * @param {Object} opcoes - Opções do parser (perfis de filtro)
+     * @returns {Promise<Object>} Dados processados
+     */
+    async parseInWorker(file, opcoes) {
+        this.workerClient = new SpedWorkerClient(this.eventBus);
+        this.toggleParsingStatus(true);
+        
+        try {
+            return await this.workerClient.processarArquivo(file, opcoes);
+        } finally {
+            this.workerClient = null;
+            this.toggleParsingStatus(false);
+        }
+    }
+
+    /**
+     * Cancela o parsing em andamento no worker
+     * @public
+     * @returns {boolean} true se havia parsing para cancelar
+     */
+    cancelParsing() {
+        if (!this.workerClient) {
+            return false;
+        }
+        return this.workerClient.cancelar();
+    }
+
+    /**
+     * Mostra/oculta o bloco de parsing em andamento com o botão de cancelar
+     * @private
+     * @param {boolean} show - Se deve mostrar o bloco
+     */
+    toggleParsingStatus(show) {
+        const parsingStatus = document.getElementById('parsing-status');
+        if (parsingStatus) {
+            parsingStatus.classList.toggle('hidden', !show);
+        }
+    }
+
     /**
      * Exibe informações do período e do arquivo SPED
      * @private
@@ -452,8 +780,16 @@ class FileUploadManager {
         // Se temos dados do SPED, priorizar informações do período
         if (spedData && spedData.empresa) {
             const empresa = spedData.empresa;
-            const periodoInicial = empresa.DT_INI ? this.formatDate(empresa.DT_INI) : '-';
-            const periodoFinal = empresa.DT_FIN ? this.formatDate(empresa.DT_FIN) : '-';
+            const dtInicio = empresa.dtInicio || empresa.DT_INI;
+            const dtFim = empresa.dtFim || empresa.DT_FIN;
+            const periodoInicial = dtInicio ? this.formatDate(dtInicio) : '-';
+            const periodoFinal = dtFim ? this.formatDate(dtFim) : '-';
+            let encodingInfo = spedData.encoding
+                ? `${spedData.encoding.encoding}${spedData.encoding.bom ? ' (BOM)' : ''}`
+                : 'Não identificado';
+            if (spedData.origem === 'nfe-xml') {
+                encodingInfo = `XML (${spedData.documentos.length} NF-e, ${spedData.documentosTransporte.length} CT-e)`;
+            }
             const periodoFormatado = (periodoInicial !== '-' && periodoFinal !== '-') 
                 ? `${periodoInicial} a ${periodoFinal}` 
                 : `${periodoInicial}${periodoFinal !== '-' ? ' a ' + periodoFinal : ''}`;
@@ -465,18 +801,23 @@ class FileUploadManager {
                         <div class="summary-label">📅 Período de Apuração</div>
                     </div>
                     <div class="summary-item">
-                        <div class="summary-value">${empresa.NOME || 'Nome não informado'}</div>
+                        <div class="summary-value">${empresa.razaoSocial || empresa.NOME || 'Nome não informado'}</div>
                         <div class="summary-label">🏢 Empresa</div>
                     </div>
                     <div class="summary-item">
-                        <div class="summary-value">${empresa.CNPJ || 'CNPJ não informado'}</div>
+                        <div class="summary-value">${empresa.cnpj || empresa.CNPJ || 'CNPJ não informado'}</div>
                         <div class="summary-label">🆔 CNPJ</div>
                     </div>
                     <div class="summary-item">
                         <div class="summary-value">${fileSizeFormatted}</div>
                         <div class="summary-label">📁 Tamanho do Arquivo</div>
                     </div>
+                    <div class="summary-item">
+                        <div class="summary-value">${encodingInfo}</div>
+                        <div class="summary-label">🔤 Codificação</div>
+                    </div>
                 </div>
+                ${this.renderDecodingWarnings(spedData.relatorioDecodificacao)}
             `;
         } else {
             // Fallback para quando ainda não temos dados do SPED
@@ -508,6 +849,38 @@ class FileUploadManager {
         console.log('📋 Informações do período exibidas');
     }
     
+    /**
+     * Renderiza aviso de campos que não puderam ser decodificados
+     * @private
+     * @param {Object} relatorio - Relatório do SpedFieldDecoder
+     * @returns {string} HTML do aviso (vazio se não houver falhas)
+     */
+    renderDecodingWarnings(relatorio) {
+        if (!relatorio || relatorio.totalFalhas === 0) {
+            return '';
+        }
+        
+        const campos = Object.entries(relatorio.falhasPorCampo)
+            .sort((a, b) => b[1] - a[1])
+            .map(([campo, total]) => `<li><code>${campo}</code>: ${total}</li>`)
+            .join('');
+        
+        const exemplos = relatorio.amostras.slice(0, 5)
+            .map(a => `<li>Linha ${a.linha}: ${a.registro}.${a.campo} = "${a.valor}"</li>`)
+            .join('');
+        
+        return `
+            <div class="file-warnings">
+                <span class="badge badge-orange">⚠️ ${relatorio.totalFalhas} campos com formato inválido</span>
+                <ul>${campos}</ul>
+                <details>
+                    <summary>Exemplos</summary>
+                    <ul>${exemplos}</ul>
+                </details>
+            </div>
+        `;
+    }
+    
     /**
      * Formatar data para exibição
      * @private
@@ -715,6 +1088,9 @@ class FileUploadManager {
     clearCurrentFile() {
         console.log('🧹 Iniciando limpeza completa do arquivo atual');
         
+        // Interromper parsing em andamento no worker
+        this.cancelParsing();
+        
         // Reset de estado SEMPRE
         this.currentFile = null;
         this.isProcessing = false;
@@ -811,6 +1187,7 @@ class FileUploadManager {
         const wasProcessing = this.isProcessing;
         
         // Reset forçado
+        this.cancelParsing();
         this.isProcessing = false;
         this.currentFile = null;
         this.uploadStartTime = null;
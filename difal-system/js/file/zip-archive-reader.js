@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Zip Archive Reader - Extração e classificação de arquivos compactados
+ * @module ZipArchiveReader
+ * @description Descompacta arquivos .zip no navegador (JSZip) e identifica o tipo
+ * de cada arquivo pelo conteúdo, não pela extensão: EFD (SPED Fiscal), NF-e,
+ * CT-e ou evento de documento fiscal em XML. Em seguida agrupa os arquivos nos
+ * conjuntos de dados que o FileUploadManager carrega:
+ * - cada EFD é um conjunto (um período)
+ * - os XMLs de NF-e/CT-e formam um conjunto por mês de emissão; os eventos
+ *   (cancelamentos) acompanham todos os conjuntos de XML
+ *
+ * ZIPs dentro do ZIP são abertos até o nível definido em maxProfundidade.
+ *
+ * @author Sistema DIFAL
+ * @version 1.0.0
+ * @since 2026-10-19
+ */
+
+// Tipos de arquivo reconhecidos no upload
+const TIPOS_ARQUIVO_UPLOAD = Object.freeze({
+    EFD: 'efd',
+    NFE: 'nfe',
+    CTE: 'cte',
+    EVENTO: 'evento',
+    ZIP: 'zip',
+    DESCONHECIDO: 'desconhecido'
+});
+
+/**
+ * @class ZipArchiveReader
+ * @classdesc Descompacta, classifica e agrupa os arquivos de um upload
+ */
+class ZipArchiveReader {
+    /**
+     * @constructor
+     * @param {Object} options - Opções de configuração
+     * @param {number} options.maxArquivos - Limite de arquivos extraídos por upload
+     * @param {number} options.maxProfundidade - Níveis de ZIP dentro de ZIP
+     */
+    constructor(options = {}) {
+        this.config = {
+            maxArquivos: options.maxArquivos ?? 5000,
+            maxProfundidade: options.maxProfundidade ?? 2,
+            bytesIdentificacao: 64 * 1024 // Início do arquivo lido para identificar o tipo
+        };
+    }
+
+    /**
+     * Verifica se o arquivo é um ZIP (extensão)
+     * @public
+     * @param {File} file
+     * @returns {boolean}
+     */
+    static isZip(file) {
+        return file.name.toLowerCase().endsWith('.zip');
+    }
+
+    /**
+     * Expande os ZIPs, classifica os arquivos e monta os conjuntos de dados
+     * @public
+     * @param {Array<File>} files - Arquivos do upload (ZIPs e/ou soltos)
+     * @returns {Promise<{conjuntos: Array<Object>, ignorados: Array<string>}>}
+     *   conjuntos: [{ tipo: 'efd'|'xml', competencia: 'AAAA-MM', files: Array<File> }]
+     */
+    async prepararConjuntos(files) {
+        const extraidos = [];
+        for (const file of files) {
+            if (ZipArchiveReader.isZip(file)) {
+                extraidos.push(...await this.extrair(file));
+            } else {
+                extraidos.push(file);
+            }
+        }
+
+        const classificados = [];
+        for (const file of extraidos) {
+            classificados.push(await this.classificar(file));
+        }
+
+        const ignorados = classificados
+            .filter(c => c.tipo === TIPOS_ARQUIVO_UPLOAD.DESCONHECIDO || c.tipo === TIPOS_ARQUIVO_UPLOAD.ZIP)
+            .map(c => c.file.name);
+        if (ignorados.length > 0) {
+            console.warn(`⚠️ ${ignorados.length} arquivo(s) não reconhecido(s) no upload:`, ignorados);
+        }
+
+        const conjuntos = this.agruparConjuntos(classificados);
+        console.log(`🗜️ Upload preparado: ${extraidos.length} arquivo(s) → ${conjuntos.length} conjunto(s) de dados`);
+
+        return { conjuntos, ignorados };
+    }
+
+    /**
+     * Extrai os arquivos de um ZIP (ignora pastas e metadados do macOS)
+     * @public
+     * @param {File|Blob} zipFile - Arquivo ZIP
+     * @param {number} profundidade - Nível atual (ZIP dentro de ZIP)
+     * @returns {Promise<Array<File>>}
+     * @throws {Error} Se o JSZip não estiver carregado, o ZIP for inválido ou exceder o limite de arquivos
+     */
+    async extrair(zipFile, profundidade = 0) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('Biblioteca JSZip não carregada. Verifique a conexão e recarregue a página.');
+        }
+
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(zipFile);
+        } catch (error) {
+            throw new Error(`Arquivo ZIP inválido: ${zipFile.name || ''} (${error.message})`);
+        }
+
+        const entradas = Object.values(zip.files).filter(entrada => {
+            const nome = entrada.name.split('/').pop();
+            return !entrada.dir && !entrada.name.includes('__MACOSX/') && nome && !nome.startsWith('.');
+        });
+
+        const arquivos = [];
+        for (const entrada of entradas) {
+            const conteudo = await entrada.async('blob');
+            const file = new File([conteudo], entrada.name.split('/').pop(), {
+                lastModified: entrada.date?.getTime() || Date.now()
+            });
+
+            if (ZipArchiveReader.isZip(file) && profundidade < this.config.maxProfundidade) {
+                arquivos.push(...await this.extrair(file, profundidade + 1));
+            } else {
+                arquivos.push(file);
+            }
+
+            if (arquivos.length > this.config.maxArquivos) {
+                throw new Error(`ZIP com mais de ${this.config.maxArquivos} arquivos`);
+            }
+        }
+
+        console.log(`🗜️ ${zipFile.name || 'ZIP'}: ${arquivos.length} arquivo(s) extraído(s)`);
+        return arquivos;
+    }
+
+    /**
+     * Identifica o tipo do arquivo e a competência (AAAA-MM) pelo conteúdo
+     * @public
+     * @param {File} file
+     * @returns {Promise<{file: File, tipo: string, competencia: string}>}
+     */
+    async classificar(file) {
+        if (ZipArchiveReader.isZip(file)) {
+            return { file, tipo: TIPOS_ARQUIVO_UPLOAD.ZIP, competencia: '' };
+        }
+
+        const inicio = await file.slice(0, this.config.bytesIdentificacao).text();
+
+        // EFD: primeira linha |0000|COD_VER|COD_FIN|DT_INI|...
+        if (/^\uFEFF?\|0000\|/.test(inicio)) {
+            const dtInicio = inicio.split('|')[4] || '';
+            return {
+                file,
+                tipo: TIPOS_ARQUIVO_UPLOAD.EFD,
+                competencia: /^\d{8}$/.test(dtInicio) ? `${dtInicio.substring(4, 8)}-${dtInicio.substring(2, 4)}` : ''
+            };
+        }
+
+        let tipo = TIPOS_ARQUIVO_UPLOAD.DESCONHECIDO;
+        if (inicio.includes('<infNFe')) {
+            tipo = TIPOS_ARQUIVO_UPLOAD.NFE;
+        } else if (inicio.includes('<infCte')) {
+            tipo = TIPOS_ARQUIVO_UPLOAD.CTE;
+        } else if (inicio.includes('<infEvento')) {
+            tipo = TIPOS_ARQUIVO_UPLOAD.EVENTO;
+        }
+
+        // dhEmi (versões atuais) ou dEmi (NF-e 2.00): AAAA-MM-DD...
+        const emissao = /<d(?:h)?Emi>(\d{4})-(\d{2})/.exec(inicio);
+        return { file, tipo, competencia: emissao ? `${emissao[1]}-${emissao[2]}` : '' };
+    }
+
+    /**
+     * Agrupa os arquivos classificados em conjuntos de dados, em ordem de competência
+     * @public
+     * @param {Array<Object>} classificados - Resultado de classificar()
+     * @returns {Array<{tipo: string, competencia: string, files: Array<File>}>}
+     */
+    agruparConjuntos(classificados) {
+        const conjuntos = [];
+        const xmlPorCompetencia = new Map();
+        const eventos = [];
+
+        classificados.forEach(({ file, tipo, competencia }) => {
+            switch (tipo) {
+                case TIPOS_ARQUIVO_UPLOAD.EFD:
+                    conjuntos.push({ tipo: 'efd', competencia, files: [file] });
+                    break;
+                case TIPOS_ARQUIVO_UPLOAD.NFE:
+                case TIPOS_ARQUIVO_UPLOAD.CTE:
+                    if (!xmlPorCompetencia.has(competencia)) {
+                        xmlPorCompetencia.set(competencia, { tipo: 'xml', competencia, files: [] });
+                    }
+                    xmlPorCompetencia.get(competencia).files.push(file);
+                    break;
+                case TIPOS_ARQUIVO_UPLOAD.EVENTO:
+                    eventos.push(file);
+                    break;
+            }
+        });
+
+        // O cancelamento pode ser de outro mês que a nota: o parser usa só o que tiver chave correspondente
+        xmlPorCompetencia.forEach(conjunto => {
+            conjunto.files.push(...eventos);
+            conjuntos.push(conjunto);
+        });
+
+        return conjuntos.sort((a, b) => a.competencia.localeCompare(b.competencia));
+    }
+}
+
+ZipArchiveReader.TIPOS = TIPOS_ARQUIVO_UPLOAD;
+
+// Registrar globalmente
+if (typeof window !== 'undefined') {
+    window.ZipArchiveReader = ZipArchiveReader;
+}
+
+// Exportar para Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipArchiveReader;
+}
@@ -0,0 +1,718 @@
+/**
+ * NF-e XML Parser - Importação de NF-e e CT-e (XML) como fonte de dados DIFAL
+ * Lê um ou mais XMLs de NF-e (nfeProc ou NFe, modelo 55) e de CT-e
+ * (cteProc ou CTe, modelo 57) e monta o mesmo resultado do SpedParserModular:
+ * empresa, documentos (C100), conhecimentos de transporte (D100), participantes,
+ * itens DIFAL e itens excluídos. Assim a configuração, o cálculo e a exportação
+ * funcionam sem alterações.
+ *
+ * Regras de montagem:
+ * - Empresa: destinatário (NF-e) ou tomador (CT-e) mais frequente entre os documentos
+ *   (ou o emitente, se todas as notas forem emitidas por ela)
+ * - Período: menor e maior data de emissão dos documentos
+ * - CFOP: o documento traz o CFOP do emitente (5xxx/6xxx); para os recebidos ele é
+ *   convertido no CFOP de entrada: NF-e pela destinação escolhida (uso e consumo → x556,
+ *   ativo imobilizado → x551), CT-e mantendo a natureza (6353 → 2353). O CFOP
+ *   original fica em cfopNota.
+ * - Situação: cStat do protocolo e eventos de cancelamento (110111) viram COD_SIT
+ * - Filtro CFOP/CST: mesmo perfil do SPED (DifalFilterProfiles), resolvido pelo CNPJ da empresa
+ *
+ * Usa DOMParser, portanto roda apenas na thread principal do navegador.
+ */
+
+// CFOP de entrada por destinação (dígitos finais)
+const CFOP_ENTRADA_POR_DESTINACAO = Object.freeze({
+    'uso-consumo': '556',
+    'ativo-imobilizado': '551'
+});
+
+// Dígito inicial do CFOP de saída → entrada (5 interna, 6 interestadual, 7 exterior)
+const PREFIXO_CFOP_ENTRADA = Object.freeze({ '5': '1', '6': '2', '7': '3' });
+
+// cStat do protocolo/evento → COD_SIT do SPED
+const COD_SIT_POR_CSTAT = Object.freeze({
+    '100': '00', // Autorizada
+    '150': '00', // Autorizada fora de prazo
+    '101': '02', // Cancelada
+    '151': '02', // Cancelada fora de prazo
+    '135': '02', // Evento de cancelamento registrado
+    '110': '04', // Uso denegado
+    '301': '04', // Denegada: irregularidade do emitente
+    '302': '04', // Denegada: irregularidade do destinatário
+    '303': '04'  // Denegada: destinatário não habilitado na UF
+});
+
+// Evento de cancelamento da NF-e/CT-e
+const TIPO_EVENTO_CANCELAMENTO = '110111';
+
+// Indicador do tomador do CT-e (toma3) → grupo com os dados do tomador
+const GRUPO_TOMADOR_CTE = Object.freeze({ '0': 'rem', '1': 'exped', '2': 'receb', '3': 'dest' });
+
+/**
+ * @class NfeXmlParser
+ * @classdesc Converte XMLs de NF-e no resultado usado pelo fluxo DIFAL
+ */
+class NfeXmlParser {
+    /**
+     * @constructor
+     * @param {EventBus} eventBus - Barramento de eventos
+     */
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+
+        this.limpar();
+        console.log('🧾 NF-e XML Parser initialized');
+    }
+
+    /**
+     * Processa um lote de XMLs de NF-e e CT-e
+     * @public
+     * @param {Array<File>} files - Arquivos XML
+     * @param {Object} opcoes - Opções de processamento
+     * @param {Object} opcoes.filtros - Retrato dos perfis de filtro (DifalFilterProfiles.obterConfiguracaoParser)
+     * @param {string} opcoes.destinacao - 'uso-consumo' ou 'ativo-imobilizado' (CFOP de entrada)
+     * @returns {Promise<Object>} Resultado no formato do SpedParserModular
+     * @throws {Error} Se nenhum arquivo contiver NF-e ou CT-e
+     */
+    async processarArquivos(files, opcoes = {}) {
+        const constantes = window.DIFAL_CONSTANTS;
+        this.limpar();
+        this.destinacao = CFOP_ENTRADA_POR_DESTINACAO[opcoes.destinacao] ? opcoes.destinacao : 'uso-consumo';
+
+        console.log(`📂 Processando ${files.length} XML(s) de NF-e`);
+        this.eventBus?.emit(constantes?.EVENTS?.PARSING_STARTED, {
+            fileName: files.length === 1 ? files[0].name : `${files.length} arquivos XML`,
+            fileSize: files.reduce((sum, file) => sum + file.size, 0)
+        });
+
+        try {
+            const notas = [];
+            const cancelamentos = new Set();
+
+            for (let i = 0; i < files.length; i++) {
+                const file = files[i];
+                const xml = this.lerXml(await file.text(), file.name);
+
+                if (xml.getElementsByTagName('infNFe').length > 0) {
+                    notas.push(this.extrairNota(xml, file.name));
+                } else if (xml.getElementsByTagName('infCte').length > 0) {
+                    notas.push(this.extrairCte(xml, file.name));
+                } else if (this.isEventoCancelamento(xml)) {
+                    cancelamentos.add(this.texto(xml, 'chNFe') || this.texto(xml, 'chCTe'));
+                } else {
+                    this.avisos.push(`${file.name}: não é uma NF-e, CT-e ou evento de cancelamento`);
+                }
+
+                this.eventBus?.emit(constantes?.EVENTS?.PARSING_PROGRESS, {
+                    percentage: ((i + 1) / files.length) * 100
+                });
+            }
+
+            if (notas.length === 0) {
+                throw new Error('Nenhuma NF-e ou CT-e encontrada nos arquivos XML');
+            }
+
+            // Cancelamento enviado em arquivo separado da nota
+            notas.forEach(nota => {
+                if (cancelamentos.has(nota.chave)) {
+                    nota.cStat = '135';
+                }
+            });
+
+            const resultado = this.montarResultado(this.removerDuplicadas(notas), opcoes.filtros || null);
+
+            this.eventBus?.emit(constantes?.EVENTS?.PARSING_COMPLETED, {
+                totalLinhas: resultado.estatisticas.totalLinhas,
+                totalRegistros: resultado.estatisticas.totalRegistros,
+                itensDifal: resultado.itensDifal.length
+            });
+
+            return resultado;
+
+        } catch (error) {
+            console.error('❌ Erro ao processar XML de NF-e:', error);
+            this.eventBus?.emit(constantes?.EVENTS?.PARSING_ERROR, {
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    // ========== LEITURA DO XML ==========
+
+    /**
+     * Interpreta o conteúdo XML
+     * @private
+     * @param {string} conteudo - Texto do arquivo
+     * @param {string} nomeArquivo - Nome para mensagens de erro
+     * @returns {Document}
+     * @throws {Error} Se o XML for malformado
+     */
+    lerXml(conteudo, nomeArquivo) {
+        const xml = new DOMParser().parseFromString(conteudo, 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`XML inválido: ${nomeArquivo}`);
+        }
+        return xml;
+    }
+
+    /**
+     * Verifica se o XML é um evento de cancelamento homologado
+     * @private
+     * @param {Document} xml
+     * @returns {boolean}
+     */
+    isEventoCancelamento(xml) {
+        const retorno = xml.getElementsByTagName('retEvento')[0];
+        return this.texto(xml, 'tpEvento') === TIPO_EVENTO_CANCELAMENTO &&
+            (!retorno || COD_SIT_POR_CSTAT[this.texto(retorno, 'cStat')] === '02');
+    }
+
+    /**
+     * Extrai os dados de uma NF-e
+     * @private
+     * @param {Document} xml - XML da nota (nfeProc ou NFe)
+     * @param {string} nomeArquivo - Nome do arquivo de origem
+     * @returns {Object}
+     */
+    extrairNota(xml, nomeArquivo) {
+        const infNFe = xml.getElementsByTagName('infNFe')[0];
+        const ide = this.elemento(infNFe, 'ide');
+        const emit = this.elemento(infNFe, 'emit');
+        const dest = this.elemento(infNFe, 'dest');
+        const total = this.elemento(infNFe, 'ICMSTot');
+
+        // Id="NFe<chave de 44 dígitos>"; protNFe/chNFe como alternativa
+        const chave = (infNFe.getAttribute('Id') || '').replace(/^NFe/, '') || this.texto(xml, 'chNFe');
+
+        return {
+            tipo: 'nfe',
+            arquivo: nomeArquivo,
+            chave,
+            cStat: this.texto(this.elemento(xml, 'infProt'), 'cStat'),
+            modelo: this.texto(ide, 'mod'),
+            serie: this.texto(ide, 'serie'),
+            numero: this.texto(ide, 'nNF'),
+            tpNF: this.texto(ide, 'tpNF'),
+            dtEmissao: this.converterData(this.texto(ide, 'dhEmi') || this.texto(ide, 'dEmi')),
+            dtEntradaSaida: this.converterData(this.texto(ide, 'dhSaiEnt') || this.texto(ide, 'dSaiEnt')),
+            emitente: this.extrairPessoa(emit, 'enderEmit'),
+            destinatario: this.extrairPessoa(dest, 'enderDest'),
+            totais: {
+                valorNota: this.numero(total, 'vNF'),
+                frete: this.numero(total, 'vFrete'),
+                seguro: this.numero(total, 'vSeg'),
+                outras: this.numero(total, 'vOutro')
+            },
+            itens: Array.from(infNFe.getElementsByTagName('det')).map(det => this.extrairItem(det))
+        };
+    }
+
+    /**
+     * Extrai os dados de um CT-e (prestação de transporte, um item por conhecimento)
+     * @private
+     * @param {Document} xml - XML do conhecimento (cteProc ou CTe)
+     * @param {string} nomeArquivo - Nome do arquivo de origem
+     * @returns {Object} Mesmo formato da nota, com o tomador no lugar do destinatário
+     */
+    extrairCte(xml, nomeArquivo) {
+        const infCte = xml.getElementsByTagName('infCte')[0];
+        const ide = this.elemento(infCte, 'ide');
+        // ICMS00, ICMS20, ICMS45, ICMS90, ICMSSN...: um único grupo filho de <ICMS>
+        const icms = this.elemento(this.elemento(infCte, 'imp'), 'ICMS')?.firstElementChild || null;
+        const valorPrestacao = this.numero(this.elemento(infCte, 'vPrest'), 'vTPrest');
+        const cst = this.texto(icms, 'CST');
+
+        return {
+            tipo: 'cte',
+            arquivo: nomeArquivo,
+            chave: (infCte.getAttribute('Id') || '').replace(/^CTe/, '') || this.texto(xml, 'chCTe'),
+            cStat: this.texto(this.elemento(xml, 'infProt'), 'cStat'),
+            modelo: this.texto(ide, 'mod'),
+            serie: this.texto(ide, 'serie'),
+            numero: this.texto(ide, 'nCT'),
+            dtEmissao: this.converterData(this.texto(ide, 'dhEmi')),
+            dtEntradaSaida: '',
+            emitente: this.extrairPessoa(this.elemento(infCte, 'emit'), 'enderEmit'),
+            destinatario: this.extrairTomador(infCte, ide),
+            prestacao: {
+                codMunOrigem: this.texto(ide, 'cMunIni'),
+                codMunDestino: this.texto(ide, 'cMunFim'),
+                ufOrigem: this.texto(ide, 'UFIni'),
+                ufDestino: this.texto(ide, 'UFFim')
+            },
+            totais: { valorNota: valorPrestacao, frete: 0, seguro: 0, outras: 0 },
+            itens: [{
+                numItem: '1',
+                codItem: '',
+                descricao: '',
+                ncm: 'N/A',
+                cfop: this.texto(ide, 'CFOP'),
+                unidade: '',
+                quantidade: 1,
+                valorProduto: valorPrestacao,
+                desconto: 0,
+                frete: 0,
+                // CT-e não tem origem da mercadoria: CST com 3 dígitos como no D190 (origem 0)
+                cstIcms: cst ? `0${cst}` : this.texto(icms, 'CSOSN'),
+                baseIcms: this.numero(icms, 'vBC'),
+                aliqIcms: this.numero(icms, 'pICMS'),
+                valorIcms: this.numero(icms, 'vICMS')
+            }]
+        };
+    }
+
+    /**
+     * Tomador do serviço: toma3 indica rem/exped/receb/dest; toma4 traz os dados
+     * @private
+     * @param {Element} infCte
+     * @param {Element} ide
+     * @returns {Object}
+     */
+    extrairTomador(infCte, ide) {
+        const toma4 = this.elemento(ide, 'toma4') || this.elemento(ide, 'toma04');
+        if (toma4) {
+            return this.extrairPessoa(toma4, 'enderToma');
+        }
+
+        const indicador = this.texto(this.elemento(ide, 'toma3') || this.elemento(ide, 'toma03'), 'toma');
+        const grupo = GRUPO_TOMADOR_CTE[indicador] || 'dest';
+        const tagEndereco = { rem: 'enderReme', exped: 'enderExped', receb: 'enderReceb', dest: 'enderDest' }[grupo];
+        return this.extrairPessoa(this.elemento(infCte, grupo), tagEndereco);
+    }
+
+    /**
+     * Extrai emitente ou destinatário
+     * @private
+     * @param {Element|null} pessoa - Elemento emit, dest, rem... ou toma4
+     * @param {string} tagEndereco - enderEmit, enderDest, enderReme...
+     * @returns {Object}
+     */
+    extrairPessoa(pessoa, tagEndereco) {
+        const endereco = this.elemento(pessoa, tagEndereco);
+        return {
+            cnpj: this.texto(pessoa, 'CNPJ'),
+            cpf: this.texto(pessoa, 'CPF'),
+            nome: this.texto(pessoa, 'xNome'),
+            ie: this.texto(pessoa, 'IE'),
+            codMun: this.texto(endereco, 'cMun'),
+            uf: this.texto(endereco, 'UF'),
+            codPais: this.texto(endereco, 'cPais') || '1058'
+        };
+    }
+
+    /**
+     * Extrai um item (det) da nota
+     * @private
+     * @param {Element} det
+     * @returns {Object}
+     */
+    extrairItem(det) {
+        const prod = this.elemento(det, 'prod');
+        // ICMS00, ICMS20, ..., ICMSSN102: um único grupo filho de <ICMS>
+        const icms = this.elemento(det, 'ICMS')?.firstElementChild || null;
+        const cst = this.texto(icms, 'CST');
+
+        return {
+            numItem: det.getAttribute('nItem') || '',
+            codItem: this.texto(prod, 'cProd'),
+            descricao: this.texto(prod, 'xProd'),
+            ncm: this.texto(prod, 'NCM'),
+            cfop: this.texto(prod, 'CFOP'),
+            unidade: this.texto(prod, 'uCom'),
+            quantidade: this.numero(prod, 'qCom'),
+            valorProduto: this.numero(prod, 'vProd'),
+            desconto: this.numero(prod, 'vDesc'),
+            frete: this.numero(prod, 'vFrete'),
+            // CST com origem (3 dígitos, como no SPED) ou CSOSN do Simples Nacional
+            cstIcms: cst ? `${this.texto(icms, 'orig')}${cst}` : this.texto(icms, 'CSOSN'),
+            // Origem da mercadoria também para o CSOSN, que não a carrega no código
+            origemMercadoria: this.texto(icms, 'orig'),
+            baseIcms: this.numero(icms, 'vBC'),
+            aliqIcms: this.numero(icms, 'pICMS'),
+            valorIcms: this.numero(icms, 'vICMS')
+        };
+    }
+
+    // ========== MONTAGEM DO RESULTADO ==========
+
+    /**
+     * Monta o resultado no formato do SpedParserModular
+     * @private
+     * @param {Array<Object>} notas - Notas extraídas
+     * @param {Object|null} configuracaoFiltros - Retrato dos perfis de filtro
+     * @returns {Object}
+     */
+    montarResultado(notas, configuracaoFiltros) {
+        const perfis = window.DifalFilterProfiles;
+
+        this.dadosEmpresa = this.identificarEmpresa(notas);
+        this.filtroDifal = perfis.resolverPerfil(configuracaoFiltros, this.dadosEmpresa.cnpj);
+        console.log(`🏢 Empresa identificada: ${this.dadosEmpresa.razaoSocial} | 🎯 Filtro DIFAL: ${this.filtroDifal.nome}`);
+
+        notas.forEach(nota => this.adicionarNota(nota));
+
+        // Mesmo filtro CFOP/CST do SPED; os demais itens vão para o relatório de excluídos
+        // e as vendas próprias a não contribuinte (CFOP 6107/6108) para o DIFAL de saída
+        const itens = this.itensDifal;
+        this.itensDifal = itens.filter(item => {
+            if (perfis.isItemDifalSaida(item)) {
+                this.itensDifalSaida.push(item);
+                return false;
+            }
+
+            const motivos = perfis.obterMotivosExclusao(this.filtroDifal, item);
+            if (motivos.length > 0) {
+                this.itensExcluidos.push(perfis.criarRegistroExclusao(item, motivos));
+                return false;
+            }
+            return true;
+        });
+
+        this.itensDifal.forEach((item, index) => {
+            item.id = `item_${index + 1}`;
+            item.ufDestino = this.dadosEmpresa.uf;
+            item.destinacao = window.EstadosUtil?.obterDestinacaoCFOP(item.cfop) || null;
+            item.situacaoDocumento = perfis.classificarSituacaoDocumento(item.documento);
+        });
+
+        this.itensDifalSaida.forEach((item, index) => {
+            item.id = `saida_${index + 1}`;
+            item.destinatario = item.documento.participante;
+            item.ufDestino = item.destinatario?.uf || 'XX';
+            item.situacaoDocumento = perfis.classificarSituacaoDocumento(item.documento);
+        });
+
+        console.log(`✅ Itens DIFAL das NF-e: ${itens.length} → ${this.itensDifal.length} (${this.itensExcluidos.length} excluídos, ${this.itensDifalSaida.length} no DIFAL de saída)`);
+        if (this.avisos.length > 0) {
+            console.warn('⚠️ Arquivos ignorados:', this.avisos);
+        }
+
+        const periodoApuracao = this.formatarPeriodoApuracao(this.dadosEmpresa.dtInicio, this.dadosEmpresa.dtFim);
+        const totalItens = itens.length;
+
+        return {
+            nomeArquivo: notas.length === 1 ? notas[0].arquivo : `${notas.length} documentos fiscais (XML)`,
+            origem: 'nfe-xml',
+            dadosEmpresa: this.dadosEmpresa,
+            periodoApuracao,
+            empresa: this.dadosEmpresa, // Alias para compatibilidade
+            registros: {},
+            documentos: this.documentos,
+            documentosTransporte: this.documentosTransporte,
+            apuracoesDifal: [],
+            participantes: this.participantes,
+            itensDifal: this.itensDifal,
+            itensExcluidos: this.itensExcluidos,
+            itensDifalSaida: this.itensDifalSaida,
+            relatorioDecodificacao: null,
+            reconciliacao: null,
+            validacaoEstrutura: null,
+            filtroDifal: this.filtroDifal,
+            avisos: this.avisos,
+            encoding: null,
+            estatisticas: {
+                totalLinhas: totalItens,
+                linhasProcessadas: totalItens,
+                linhasIgnoradas: 0,
+                totalRegistros: notas.length,
+                registrosPorTipo: { NFE: this.documentos.length, CTE: this.documentosTransporte.length },
+                totalDocumentos: this.documentos.length,
+                totalDocumentosTransporte: this.documentosTransporte.length,
+                falhasDecodificacao: 0,
+                itensDifal: this.itensDifal.length,
+                itensExcluidos: this.itensExcluidos.length,
+                itensDifalSaida: this.itensDifalSaida.length,
+                arquivosIgnorados: this.avisos.length,
+                periodoApuracao
+            }
+        };
+    }
+
+    /**
+     * Mantém uma nota por chave (o mesmo XML pode vir repetido no lote)
+     * @private
+     * @param {Array<Object>} notas
+     * @returns {Array<Object>}
+     */
+    removerDuplicadas(notas) {
+        const porChave = new Map();
+        notas.forEach(nota => {
+            if (nota.chave && porChave.has(nota.chave)) {
+                this.avisos.push(`${nota.arquivo}: NF-e ${nota.chave} repetida`);
+                return;
+            }
+            porChave.set(nota.chave || nota.arquivo, nota);
+        });
+        return Array.from(porChave.values());
+    }
+
+    /**
+     * Empresa = destinatário/tomador mais frequente; se todas as notas forem emitidas
+     * pelo mesmo CNPJ e nenhuma recebida, o emitente
+     * @private
+     * @param {Array<Object>} notas
+     * @returns {Object} Mesmo formato de dadosEmpresa do registro 0000
+     */
+    identificarEmpresa(notas) {
+        const contagem = new Map();
+        notas.forEach(nota => {
+            const documento = nota.destinatario.cnpj || nota.destinatario.cpf;
+            if (documento) {
+                contagem.set(documento, (contagem.get(documento) || 0) + 1);
+            }
+        });
+
+        const emitentes = new Set(notas.map(nota => nota.emitente.cnpj));
+        const maisFrequente = Array.from(contagem.entries()).sort((a, b) => b[1] - a[1])[0]?.[0];
+        const emitenteUnico = emitentes.size === 1 ? [...emitentes][0] : null;
+        const usarEmitente = !!emitenteUnico && !contagem.has(emitenteUnico) && contagem.size !== 1;
+
+        const cnpj = usarEmitente ? emitenteUnico : maisFrequente;
+        const nota = notas.find(n => (usarEmitente ? n.emitente.cnpj : n.destinatario.cnpj || n.destinatario.cpf) === cnpj);
+        const pessoa = usarEmitente ? nota.emitente : nota.destinatario;
+
+        const datas = notas.map(n => n.dtEmissao).filter(Boolean)
+            .sort((a, b) => this.dataOrdenavel(a).localeCompare(this.dataOrdenavel(b)));
+
+        return {
+            razaoSocial: pessoa.nome,
+            cnpj,
+            uf: pessoa.uf,
+            ie: pessoa.ie,
+            dtInicio: datas[0] || '',
+            dtFim: datas[datas.length - 1] || '',
+            codVer: ''
+        };
+    }
+
+    /**
+     * Converte a nota (ou CT-e) em documento, participante e itens
+     * @private
+     * @param {Object} nota
+     */
+    adicionarNota(nota) {
+        const recebida = (nota.destinatario.cnpj || nota.destinatario.cpf) === this.dadosEmpresa.cnpj;
+        const participante = this.registrarParticipante(recebida ? nota.emitente : nota.destinatario);
+        const transporte = nota.tipo === 'cte';
+
+        const documento = {
+            id: transporte ? `cte_${this.documentosTransporte.length + 1}` : `doc_${this.documentos.length + 1}`,
+            tipoRegistro: transporte ? 'CTE' : 'NFE',
+            linha: null,
+            indOper: recebida ? '0' : '1',
+            indEmit: nota.emitente.cnpj === this.dadosEmpresa.cnpj ? '0' : '1',
+            codPart: participante?.codPart || '',
+            modelo: nota.modelo,
+            codSit: COD_SIT_POR_CSTAT[nota.cStat] || '00',
+            serie: nota.serie,
+            numero: nota.numero,
+            dtDoc: nota.dtEmissao,
+            dtEntradaSaida: nota.dtEntradaSaida,
+            valorDocumento: nota.totais.valorNota,
+            totalItens: nota.itens.length,
+            participante,
+            arquivo: nota.arquivo
+        };
+
+        if (transporte) {
+            // Mesmos campos do D100
+            Object.assign(documento, {
+                chaveCte: nota.chave,
+                valorServico: nota.totais.valorNota,
+                codMunOrigem: nota.prestacao.codMunOrigem,
+                codMunDestino: nota.prestacao.codMunDestino,
+                ufOrigemPrestacao: nota.prestacao.ufOrigem,
+                ufDestinoPrestacao: nota.prestacao.ufDestino
+            });
+            this.documentosTransporte.push(documento);
+        } else {
+            documento.chaveNfe = nota.chave;
+            documento.despesasAcessorias = nota.totais.frete + nota.totais.seguro + nota.totais.outras;
+            this.documentos.push(documento);
+        }
+
+        nota.itens.forEach(dadosItem => {
+            const valorLiquido = dadosItem.valorProduto - dadosItem.desconto;
+
+            const item = {
+                tipoRegistro: documento.tipoRegistro,
+                tipoItem: transporte ? 'servico-transporte' : 'mercadoria',
+                linha: null,
+                numItem: dadosItem.numItem,
+                codItem: transporte ? `CTE-${nota.numero}-1` : dadosItem.codItem,
+                descricaoItem: transporte ? `Serviço de transporte - CT-e ${nota.numero}` : dadosItem.descricao,
+                ncm: dadosItem.ncm || 'N/A',
+                cfop: recebida ? this.converterCfopEntrada(dadosItem.cfop, transporte) : dadosItem.cfop,
+                cfopNota: dadosItem.cfop,
+                unidade: dadosItem.unidade,
+                quantidade: dadosItem.quantidade,
+                valorItem: dadosItem.valorProduto,
+                desconto: dadosItem.desconto,
+                frete: dadosItem.frete,
+                indMov: '',
+                cstIcms: dadosItem.cstIcms,
+                origemMercadoria: dadosItem.origemMercadoria || '',
+                baseIcms: dadosItem.baseIcms,
+                aliqIcms: dadosItem.aliqIcms,
+                valorIcms: dadosItem.valorIcms,
+
+                // Campos calculados
+                valorLiquido,
+                baseCalculoDifal: valorLiquido,
+                // CT-e: início da prestação (como no D100); NF-e: UF do emitente
+                ufOrigem: (transporte ? nota.prestacao.ufOrigem : nota.emitente.uf) || 'XX',
+                fornecedor: recebida ? participante : null,
+                aliqOrigemNota: dadosItem.aliqIcms,
+                // vICMS da nota: ICMS destacado pelo emitente, com ou sem crédito para o destinatário
+                icmsDestacadoDocumento: dadosItem.valorIcms,
+
+                // Documento fiscal de origem
+                documento
+            };
+
+            if (transporte) {
+                item.municipioOrigem = nota.prestacao.codMunOrigem;
+                item.municipioDestino = nota.prestacao.codMunDestino;
+                item.chaveCte = nota.chave;
+            } else {
+                item.chaveNfe = nota.chave;
+            }
+
+            this.itensDifal.push(item);
+        });
+    }
+
+    /**
+     * Cadastra a contraparte no formato do registro 0150 (chave = CNPJ/CPF)
+     * @private
+     * @param {Object} pessoa - Emitente, destinatário ou tomador
+     * @returns {Object|null} Participante
+     */
+    registrarParticipante(pessoa) {
+        const codPart = pessoa.cnpj || pessoa.cpf;
+        if (!codPart) return null;
+
+        if (!this.participantes[codPart]) {
+            this.participantes[codPart] = {
+                codPart,
+                nome: pessoa.nome,
+                codPais: pessoa.codPais,
+                cnpj: pessoa.cnpj,
+                cpf: pessoa.cpf,
+                ie: pessoa.ie,
+                codMun: pessoa.codMun,
+                uf: pessoa.codPais.replace(/^0+/, '') !== '1058' ? window.DifalFilterProfiles.UF_EXTERIOR : pessoa.uf
+            };
+        }
+        return this.participantes[codPart];
+    }
+
+    /**
+     * CFOP do emitente → CFOP de entrada
+     * NF-e: destinação escolhida (x556/x551); CT-e: mesma natureza (6353 → 2353).
+     * CFOPs que já são de entrada (nota de entrada emitida pela empresa) ficam como estão.
+     * @private
+     * @param {string} cfop - CFOP informado no documento
+     * @param {boolean} transporte - Se o documento é um CT-e
+     * @returns {string}
+     */
+    converterCfopEntrada(cfop, transporte = false) {
+        const codigo = String(cfop);
+        const prefixo = PREFIXO_CFOP_ENTRADA[codigo.charAt(0)];
+        if (!prefixo) return codigo;
+
+        return `${prefixo}${transporte ? codigo.substring(1) : CFOP_ENTRADA_POR_DESTINACAO[this.destinacao]}`;
+    }
+
+    // ========== UTILITÁRIOS ==========
+
+    /**
+     * Primeiro elemento com a tag dentro do pai
+     * @private
+     * @param {Element|Document|null} pai
+     * @param {string} tag
+     * @returns {Element|null}
+     */
+    elemento(pai, tag) {
+        return pai?.getElementsByTagName(tag)[0] || null;
+    }
+
+    /**
+     * Texto do primeiro elemento com a tag ('' se ausente)
+     * @private
+     */
+    texto(pai, tag) {
+        return this.elemento(pai, tag)?.textContent.trim() || '';
+    }
+
+    /**
+     * Valor numérico (ponto decimal do XML) do primeiro elemento com a tag
+     * @private
+     */
+    numero(pai, tag) {
+        const valor = parseFloat(this.texto(pai, tag));
+        return Number.isFinite(valor) ? valor : 0;
+    }
+
+    /**
+     * Converte AAAA-MM-DD[Thh:mm:ss-03:00] em DDMMAAAA (formato do SPED)
+     * @private
+     * @param {string} data
+     * @returns {string}
+     */
+    converterData(data) {
+        const partes = /^(\d{4})-(\d{2})-(\d{2})/.exec(data || '');
+        return partes ? `${partes[3]}${partes[2]}${partes[1]}` : '';
+    }
+
+    /**
+     * DDMMAAAA → AAAAMMDD para ordenação
+     * @private
+     */
+    dataOrdenavel(data) {
+        return `${data.substring(4, 8)}${data.substring(2, 4)}${data.substring(0, 2)}`;
+    }
+
+    /**
+     * Formatar período de apuração (mesmo texto do SpedParserModular)
+     * @private
+     * @param {string} dtInicio - Data início no formato DDMMAAAA
+     * @param {string} dtFim - Data fim no formato DDMMAAAA
+     * @returns {string}
+     */
+    formatarPeriodoApuracao(dtInicio, dtFim) {
+        if (!dtInicio || !dtFim) return 'Período não informado';
+
+        const formatarData = (data) => `${data.substring(0, 2)}/${data.substring(2, 4)}/${data.substring(4, 8)}`;
+        return dtInicio === dtFim ? formatarData(dtInicio) : `${formatarData(dtInicio)} a ${formatarData(dtFim)}`;
+    }
+
+    /**
+     * Reset do parser
+     */
+    limpar() {
+        this.dadosEmpresa = null;
+        this.documentos = [];
+        this.documentosTransporte = [];
+        this.participantes = {};
+        this.itensDifal = [];
+        this.itensExcluidos = [];
+        this.itensDifalSaida = [];
+        this.filtroDifal = null;
+        this.avisos = [];
+        this.destinacao = 'uso-consumo';
+    }
+}
+
+NfeXmlParser.CFOP_ENTRADA_POR_DESTINACAO = CFOP_ENTRADA_POR_DESTINACAO;
+
+// Expor globalmente para compatibilidade
+if (typeof window !== 'undefined') {
+    window.NfeXmlParser = NfeXmlParser;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NfeXmlParser;
+}
@@ -0,0 +1,256 @@
+/**
+ * SPED Field Decoder - Decodificação tipada dos campos SPED
+ * Converte os campos brutos de cada registro conforme o layout
+ * (decimal com vírgula, inteiro, data DDMMAAAA, código) e acumula um relatório
+ * por arquivo com os campos que não puderam ser decodificados.
+ */
+
+/**
+ * @class SpedFieldDecoder
+ * @classdesc Decodifica registros SPED a partir dos layouts tipados
+ */
+class SpedFieldDecoder {
+    /**
+     * @constructor
+     * @param {Object} layouts - Layouts fixos por tipo de registro (padrão: leiaute vigente,
+     *   trocado pelo da versão do arquivo em definirVersaoLayout)
+     */
+    constructor(layouts = null) {
+        this.layoutsFixos = Boolean(layouts);
+        this.layouts = layouts || SpedFieldDecoder.obterLayoutsPadrao();
+        this.versaoLayout = '';
+
+        this.config = {
+            maxAmostras: 200 // Limite de ocorrências detalhadas no relatório
+        };
+
+        this.limpar();
+    }
+
+    /**
+     * Layouts padrão: global no navegador/worker, require em Node
+     * @private
+     * @returns {Object} Layouts por tipo de registro
+     */
+    static obterLayoutsPadrao() {
+        const escopo = typeof window !== 'undefined' ? window : globalThis;
+        if (escopo.SPED_LAYOUTS) {
+            return escopo.SPED_LAYOUTS;
+        }
+        if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+            return require('./sped-layouts.js').SPED_LAYOUTS;
+        }
+        return {};
+    }
+
+    /**
+     * Registro de layouts por versão: global no navegador/worker, require em Node
+     * @private
+     * @returns {Function|null} Classe SpedLayouts
+     */
+    static obterRegistroLayouts() {
+        const escopo = typeof window !== 'undefined' ? window : globalThis;
+        if (escopo.SpedLayouts) {
+            return escopo.SpedLayouts;
+        }
+        if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+            return require('./sped-layouts.js').SpedLayouts;
+        }
+        return null;
+    }
+
+    /**
+     * Seleciona os layouts da versão do arquivo (COD_VER do registro 0000)
+     * Versão não cadastrada usa o leiaute vigente
+     * @public
+     * @param {string} codVer - COD_VER do registro 0000
+     * @returns {boolean} true se a versão estiver cadastrada no registro de layouts
+     */
+    definirVersaoLayout(codVer) {
+        const registroLayouts = SpedFieldDecoder.obterRegistroLayouts();
+        if (this.layoutsFixos || !registroLayouts) {
+            return false;
+        }
+
+        this.versaoLayout = registroLayouts.normalizarVersao(codVer);
+        this.layouts = registroLayouts.obterLayouts(this.versaoLayout);
+        return registroLayouts.versaoConhecida(this.versaoLayout);
+    }
+
+    // ========== DECODIFICAÇÃO ==========
+
+    /**
+     * Decodifica um registro completo conforme seu layout
+     * Campos além do layout são ignorados; campos ausentes ficam null
+     * @public
+     * @param {string} tipoRegistro - Tipo do registro (ex: 'C170')
+     * @param {Array<string>} campos - Campos brutos (REG na posição 0)
+     * @param {number} numeroLinha - Número da linha no arquivo
+     * @returns {Object|null} Registro com valores tipados por nome de campo, ou null sem layout
+     */
+    decodificar(tipoRegistro, campos, numeroLinha) {
+        const layout = this.layouts[tipoRegistro];
+        if (!layout) {
+            return null;
+        }
+
+        const registro = {};
+
+        layout.forEach(campo => {
+            const bruto = campos[campo.posicao];
+            const resultado = this.decodificarValor(bruto, campo.tipo);
+
+            if (!resultado.valido) {
+                this.registrarFalha(tipoRegistro, campo, bruto, numeroLinha);
+            }
+
+            registro[campo.nome] = resultado.valor;
+        });
+
+        return registro;
+    }
+
+    /**
+     * Decodifica um valor isolado
+     * Valores vazios são válidos e retornam null (campo não informado)
+     * @public
+     * @param {string} bruto - Valor bruto do arquivo
+     * @param {string} tipo - Tipo do campo (C, N, I, D)
+     * @returns {{valido: boolean, valor: *}} Resultado da decodificação
+     */
+    decodificarValor(bruto, tipo) {
+        if (bruto === undefined || bruto === null) {
+            return { valido: true, valor: null };
+        }
+
+        const texto = String(bruto).trim();
+
+        if (tipo === 'C') {
+            return { valido: true, valor: texto };
+        }
+
+        if (texto === '') {
+            return { valido: true, valor: null };
+        }
+
+        switch (tipo) {
+            case 'N':
+                return this.decodificarDecimal(texto);
+            case 'I':
+                return this.decodificarInteiro(texto);
+            case 'D':
+                return this.decodificarData(texto);
+            default:
+                return { valido: true, valor: texto };
+        }
+    }
+
+    /**
+     * Decodifica decimal no padrão SPED (vírgula como separador, sem milhar)
+     * @private
+     * @param {string} texto - Valor não vazio
+     * @returns {{valido: boolean, valor: number|null}}
+     */
+    decodificarDecimal(texto) {
+        if (!/^-?\d+(,\d+)?$/.test(texto)) {
+            return { valido: false, valor: null };
+        }
+        return { valido: true, valor: parseFloat(texto.replace(',', '.')) };
+    }
+
+    /**
+     * Decodifica inteiro
+     * @private
+     * @param {string} texto - Valor não vazio
+     * @returns {{valido: boolean, valor: number|null}}
+     */
+    decodificarInteiro(texto) {
+        if (!/^-?\d+$/.test(texto)) {
+            return { valido: false, valor: null };
+        }
+        return { valido: true, valor: parseInt(texto, 10) };
+    }
+
+    /**
+     * Valida data DDMMAAAA
+     * Mantém o formato DDMMAAAA, que é o usado em todo o sistema
+     * @private
+     * @param {string} texto - Valor não vazio
+     * @returns {{valido: boolean, valor: string|null}}
+     */
+    decodificarData(texto) {
+        if (!/^\d{8}$/.test(texto)) {
+            return { valido: false, valor: null };
+        }
+
+        const dia = parseInt(texto.substring(0, 2), 10);
+        const mes = parseInt(texto.substring(2, 4), 10);
+        const ano = parseInt(texto.substring(4, 8), 10);
+        const data = new Date(ano, mes - 1, dia);
+
+        const valida = data.getFullYear() === ano && data.getMonth() === mes - 1 && data.getDate() === dia;
+        return valida ? { valido: true, valor: texto } : { valido: false, valor: null };
+    }
+
+    // ========== RELATÓRIO ==========
+
+    /**
+     * Registra falha de decodificação
+     * @private
+     */
+    registrarFalha(tipoRegistro, campo, bruto, numeroLinha) {
+        const chave = `${tipoRegistro}.${campo.nome}`;
+
+        this.totalFalhas++;
+        this.falhasPorCampo[chave] = (this.falhasPorCampo[chave] || 0) + 1;
+
+        if (this.amostras.length < this.config.maxAmostras) {
+            this.amostras.push({
+                linha: numeroLinha,
+                registro: tipoRegistro,
+                campo: campo.nome,
+                tipo: campo.tipo,
+                valor: bruto
+            });
+        }
+    }
+
+    /**
+     * Obtém relatório de falhas do arquivo atual
+     * @public
+     * @returns {Object} Relatório com total, contagem por campo e amostras
+     */
+    obterRelatorio() {
+        return {
+            versaoLayout: this.versaoLayout,
+            totalFalhas: this.totalFalhas,
+            falhasPorCampo: { ...this.falhasPorCampo },
+            amostras: [...this.amostras],
+            amostrasTruncadas: this.totalFalhas > this.amostras.length
+        };
+    }
+
+    /**
+     * Reinicia o relatório e volta ao leiaute vigente (um por arquivo)
+     * @public
+     */
+    limpar() {
+        if (!this.layoutsFixos) {
+            this.layouts = SpedFieldDecoder.obterLayoutsPadrao();
+            this.versaoLayout = '';
+        }
+        this.totalFalhas = 0;
+        this.falhasPorCampo = {};
+        this.amostras = [];
+    }
+}
+
+// Expor globalmente para compatibilidade
+if (typeof window !== 'undefined') {
+    window.SpedFieldDecoder = SpedFieldDecoder;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpedFieldDecoder;
+}
@@ -0,0 +1,382 @@
+/**
+ * SPED Layouts - Layouts tipados dos registros da EFD ICMS/IPI
+ * Define, para cada registro, a lista ordenada de campos com nome e tipo.
+ * As posições seguem o array de campos após split('|').slice(1, -1), ou seja,
+ * REG ocupa a posição 0.
+ *
+ * SPED_LAYOUTS traz o leiaute vigente. Registros cujo leiaute mudou ao longo
+ * das versões da EFD têm as definições anteriores em HISTORICO_LAYOUTS_SPED;
+ * SpedLayouts resolve a definição correta a partir do COD_VER do registro 0000.
+ *
+ * Tipos de campo:
+ * - C: código/texto (mantém zeros à esquerda)
+ * - N: numérico decimal com vírgula ("1234,56")
+ * - I: numérico inteiro
+ * - D: data no formato DDMMAAAA
+ */
+
+const TIPOS_CAMPO_SPED = Object.freeze({
+    CODIGO: 'C',
+    DECIMAL: 'N',
+    INTEIRO: 'I',
+    DATA: 'D'
+});
+
+/**
+ * Monta a definição de campos a partir de pares [nome, tipo]
+ * @private
+ * @param {Array<Array<string>>} pares - Pares [NOME_CAMPO, TIPO]
+ * @returns {Array<Object>} Campos com nome, tipo e posição
+ */
+function definirCampos(pares) {
+    return Object.freeze(pares.map(([nome, tipo], posicao) => Object.freeze({ nome, tipo, posicao })));
+}
+
+const SPED_LAYOUTS = Object.freeze({
+    '0000': definirCampos([
+        ['REG', 'C'], ['COD_VER', 'C'], ['COD_FIN', 'C'], ['DT_INI', 'D'], ['DT_FIN', 'D'],
+        ['NOME', 'C'], ['CNPJ', 'C'], ['CPF', 'C'], ['UF', 'C'], ['IE', 'C'], ['COD_MUN', 'C'],
+        ['IM', 'C'], ['SUFRAMA', 'C'], ['IND_PERFIL', 'C'], ['IND_ATIV', 'C']
+    ]),
+
+    '0150': definirCampos([
+        ['REG', 'C'], ['COD_PART', 'C'], ['NOME', 'C'], ['COD_PAIS', 'C'], ['CNPJ', 'C'],
+        ['CPF', 'C'], ['IE', 'C'], ['COD_MUN', 'C'], ['SUFRAMA', 'C'], ['END', 'C'],
+        ['NUM', 'C'], ['COMPL', 'C'], ['BAIRRO', 'C']
+    ]),
+
+    '0200': definirCampos([
+        ['REG', 'C'], ['COD_ITEM', 'C'], ['DESCR_ITEM', 'C'], ['COD_BARRA', 'C'], ['COD_ANT_ITEM', 'C'],
+        ['UNID_INV', 'C'], ['TIPO_ITEM', 'C'], ['COD_NCM', 'C'], ['EX_IPI', 'C'], ['COD_GEN', 'C'],
+        ['COD_LST', 'C'], ['ALIQ_ICMS', 'N'], ['CEST', 'C']
+    ]),
+
+    'C100': definirCampos([
+        ['REG', 'C'], ['IND_OPER', 'C'], ['IND_EMIT', 'C'], ['COD_PART', 'C'], ['COD_MOD', 'C'],
+        ['COD_SIT', 'C'], ['SER', 'C'], ['NUM_DOC', 'C'], ['CHV_NFE', 'C'], ['DT_DOC', 'D'],
+        ['DT_E_S', 'D'], ['VL_DOC', 'N'], ['IND_PGTO', 'C'], ['VL_DESC', 'N'], ['VL_ABAT_NT', 'N'],
+        ['VL_MERC', 'N'], ['IND_FRT', 'C'], ['VL_FRT', 'N'], ['VL_SEG', 'N'], ['VL_OUT_DA', 'N'],
+        ['VL_BC_ICMS', 'N'], ['VL_ICMS', 'N'], ['VL_BC_ICMS_ST', 'N'], ['VL_ICMS_ST', 'N'],
+        ['VL_IPI', 'N'], ['VL_PIS', 'N'], ['VL_COFINS', 'N'], ['VL_PIS_ST', 'N'], ['VL_COFINS_ST', 'N']
+    ]),
+
+    'C170': definirCampos([
+        ['REG', 'C'], ['NUM_ITEM', 'I'], ['COD_ITEM', 'C'], ['DESCR_COMPL', 'C'], ['QTD', 'N'],
+        ['UNID', 'C'], ['VL_ITEM', 'N'], ['VL_DESC', 'N'], ['IND_MOV', 'C'], ['CST_ICMS', 'C'],
+        ['CFOP', 'C'], ['COD_NAT', 'C'], ['VL_BC_ICMS', 'N'], ['ALIQ_ICMS', 'N'], ['VL_ICMS', 'N'],
+        ['VL_BC_ICMS_ST', 'N'], ['ALIQ_ST', 'N'], ['VL_ICMS_ST', 'N'], ['IND_APUR', 'C'], ['CST_IPI', 'C'],
+        ['COD_ENQ', 'C'], ['VL_BC_IPI', 'N'], ['ALIQ_IPI', 'N'], ['VL_IPI', 'N'], ['CST_PIS', 'C'],
+        ['VL_BC_PIS', 'N'], ['ALIQ_PIS', 'N'], ['QUANT_BC_PIS', 'N'], ['ALIQ_PIS_QUANT', 'N'], ['VL_PIS', 'N'],
+        ['CST_COFINS', 'C'], ['VL_BC_COFINS', 'N'], ['ALIQ_COFINS', 'N'], ['QUANT_BC_COFINS', 'N'],
+        ['ALIQ_COFINS_QUANT', 'N'], ['VL_COFINS', 'N'], ['COD_CTA', 'C'], ['VL_ABAT_NT', 'N']
+    ]),
+
+    'C190': definirCampos([
+        ['REG', 'C'], ['CST_ICMS', 'C'], ['CFOP', 'C'], ['ALIQ_ICMS', 'N'], ['VL_OPR', 'N'],
+        ['VL_BC_ICMS', 'N'], ['VL_ICMS', 'N'], ['VL_BC_ICMS_ST', 'N'], ['VL_ICMS_ST', 'N'],
+        ['VL_RED_BC', 'N'], ['VL_IPI', 'N'], ['COD_OBS', 'C']
+    ]),
+
+    'C500': definirCampos([
+        ['REG', 'C'], ['IND_OPER', 'C'], ['IND_EMIT', 'C'], ['COD_PART', 'C'], ['COD_MOD', 'C'],
+        ['COD_SIT', 'C'], ['SER', 'C'], ['SUB', 'C'], ['COD_CONS', 'C'], ['NUM_DOC', 'C'],
+        ['DT_DOC', 'D'], ['DT_E_S', 'D'], ['VL_DOC', 'N'], ['VL_DESC', 'N'], ['VL_FORN', 'N'],
+        ['VL_SERV_NT', 'N'], ['VL_TERC', 'N'], ['VL_DA', 'N'], ['VL_BC_ICMS', 'N'], ['VL_ICMS', 'N'],
+        ['VL_BC_ICMS_ST', 'N'], ['VL_ICMS_ST', 'N'], ['COD_INF', 'C'], ['VL_PIS', 'N'], ['VL_COFINS', 'N']
+    ]),
+
+    'C590': definirCampos([
+        ['REG', 'C'], ['CST_ICMS', 'C'], ['CFOP', 'C'], ['ALIQ_ICMS', 'N'], ['VL_OPR', 'N'],
+        ['VL_BC_ICMS', 'N'], ['VL_ICMS', 'N'], ['VL_BC_ICMS_ST', 'N'], ['VL_ICMS_ST', 'N'],
+        ['VL_RED_BC', 'N'], ['COD_OBS', 'C']
+    ]),
+
+    'D100': definirCampos([
+        ['REG', 'C'], ['IND_OPER', 'C'], ['IND_EMIT', 'C'], ['COD_PART', 'C'], ['COD_MOD', 'C'],
+        ['COD_SIT', 'C'], ['SER', 'C'], ['SUB', 'C'], ['NUM_DOC', 'C'], ['CHV_CTE', 'C'],
+        ['DT_DOC', 'D'], ['DT_A_P', 'D'], ['TP_CT-e', 'C'], ['CHV_CTE_REF', 'C'], ['VL_DOC', 'N'],
+        ['VL_DESC', 'N'], ['IND_FRT', 'C'], ['VL_SERV', 'N'], ['VL_BC_ICMS', 'N'], ['VL_ICMS', 'N'],
+        ['VL_NT', 'N'], ['COD_INF', 'C'], ['COD_CTA', 'C'], ['COD_MUN_ORIG', 'C'], ['COD_MUN_DEST', 'C']
+    ]),
+
+    'D190': definirCampos([
+        ['REG', 'C'], ['CST_ICMS', 'C'], ['CFOP', 'C'], ['ALIQ_ICMS', 'N'], ['VL_OPR', 'N'],
+        ['VL_BC_ICMS', 'N'], ['VL_ICMS', 'N'], ['VL_RED_BC', 'N'], ['COD_OBS', 'C']
+    ]),
+
+    'D500': definirCampos([
+        ['REG', 'C'], ['IND_OPER', 'C'], ['IND_EMIT', 'C'], ['COD_PART', 'C'], ['COD_MOD', 'C'],
+        ['COD_SIT', 'C'], ['SER', 'C'], ['SUB', 'C'], ['NUM_DOC', 'C'], ['DT_DOC', 'D'],
+        ['DT_A_P', 'D'], ['VL_DOC', 'N'], ['VL_DESC', 'N'], ['VL_SERV', 'N'], ['VL_SERV_NT', 'N'],
+        ['VL_TERC', 'N'], ['VL_DA', 'N'], ['VL_BC_ICMS', 'N'], ['VL_ICMS', 'N'], ['COD_INF', 'C'],
+        ['VL_PIS', 'N'], ['VL_COFINS', 'N'], ['COD_CTA', 'C'], ['TP_ASSINANTE', 'C']
+    ]),
+
+    'D590': definirCampos([
+        ['REG', 'C'], ['CST_ICMS', 'C'], ['CFOP', 'C'], ['ALIQ_ICMS', 'N'], ['VL_OPR', 'N'],
+        ['VL_BC_ICMS', 'N'], ['VL_ICMS', 'N'], ['VL_BC_ICMS_ST', 'N'], ['VL_ICMS_ST', 'N'],
+        ['VL_RED_BC', 'N'], ['COD_OBS', 'C']
+    ]),
+
+    'E100': definirCampos([
+        ['REG', 'C'], ['DT_INI', 'D'], ['DT_FIN', 'D']
+    ]),
+
+    'E110': definirCampos([
+        ['REG', 'C'], ['VL_TOT_DEBITOS', 'N'], ['VL_AJ_DEBITOS', 'N'], ['VL_TOT_AJ_DEBITOS', 'N'],
+        ['VL_ESTORNOS_CRED', 'N'], ['VL_TOT_CREDITOS', 'N'], ['VL_AJ_CREDITOS', 'N'],
+        ['VL_TOT_AJ_CREDITOS', 'N'], ['VL_ESTORNOS_DEB', 'N'], ['VL_SLD_CREDOR_ANT', 'N'],
+        ['VL_SLD_APURADO', 'N'], ['VL_TOT_DED', 'N'], ['VL_ICMS_RECOLHER', 'N'],
+        ['VL_SLD_CREDOR_TRANSPORTAR', 'N'], ['DEB_ESP', 'N']
+    ]),
+
+    'E111': definirCampos([
+        ['REG', 'C'], ['COD_AJ_APUR', 'C'], ['DESCR_COMPL_AJ', 'C'], ['VL_AJ_APUR', 'N']
+    ]),
+
+    'E200': definirCampos([
+        ['REG', 'C'], ['UF', 'C'], ['DT_INI', 'D'], ['DT_FIN', 'D']
+    ]),
+
+    'E210': definirCampos([
+        ['REG', 'C'], ['IND_MOV_ST', 'C'], ['VL_SLD_CRED_ANT_ST', 'N'], ['VL_DEVOL_ST', 'N'],
+        ['VL_RESSARC_ST', 'N'], ['VL_OUT_CRED_ST', 'N'], ['VL_AJ_CREDITOS_ST', 'N'], ['VL_RETENCAO_ST', 'N'],
+        ['VL_OUT_DEB_ST', 'N'], ['VL_AJ_DEBITOS_ST', 'N'], ['VL_SLD_DEV_ANT_ST', 'N'], ['VL_DEDUCOES_ST', 'N'],
+        ['VL_ICMS_RECOL_ST', 'N'], ['VL_SLD_CRED_ST_TRANSPORTAR', 'N'], ['DEB_ESP_ST', 'N']
+    ]),
+
+    'E300': definirCampos([
+        ['REG', 'C'], ['UF', 'C'], ['DT_INI', 'D'], ['DT_FIN', 'D']
+    ]),
+
+    'E310': definirCampos([
+        ['REG', 'C'], ['IND_MOV_FCP_DIFAL', 'C'],
+        ['VL_SLD_CRED_ANT_DIFAL', 'N'], ['VL_TOT_DEBITOS_DIFAL', 'N'], ['VL_OUT_DEB_DIFAL', 'N'],
+        ['VL_TOT_CREDITOS_DIFAL', 'N'], ['VL_OUT_CRED_DIFAL', 'N'], ['VL_SLD_DEV_ANT_DIFAL', 'N'],
+        ['VL_DEDUCOES_DIFAL', 'N'], ['VL_RECOL_DIFAL', 'N'], ['VL_SLD_CRED_TRANSPORTAR_DIFAL', 'N'],
+        ['DEB_ESP_DIFAL', 'N'],
+        ['VL_SLD_CRED_ANT_FCP', 'N'], ['VL_TOT_DEB_FCP', 'N'], ['VL_OUT_DEB_FCP', 'N'],
+        ['VL_TOT_CRED_FCP', 'N'], ['VL_OUT_CRED_FCP', 'N'], ['VL_SLD_DEV_ANT_FCP', 'N'],
+        ['VL_DEDUCOES_FCP', 'N'], ['VL_RECOL_FCP', 'N'], ['VL_SLD_CRED_TRANSPORTAR_FCP', 'N'],
+        ['DEB_ESP_FCP', 'N']
+    ]),
+
+    'E311': definirCampos([
+        ['REG', 'C'], ['COD_AJ_APUR', 'C'], ['DESCR_COMPL_AJ', 'C'], ['VL_AJ_APUR', 'N']
+    ]),
+
+    'E316': definirCampos([
+        ['REG', 'C'], ['COD_OR', 'C'], ['VL_OR', 'N'], ['DT_VCTO', 'D'], ['COD_REC', 'C'],
+        ['NUM_PROC', 'C'], ['IND_PROC', 'C'], ['PROC', 'C'], ['TXT_COMPL', 'C'], ['MES_REF', 'C']
+    ]),
+
+    'E500': definirCampos([
+        ['REG', 'C'], ['IND_APUR', 'C'], ['DT_INI', 'D'], ['DT_FIN', 'D']
+    ]),
+
+    'E510': definirCampos([
+        ['REG', 'C'], ['CFOP', 'C'], ['CST_IPI', 'C'], ['VL_CONT_IPI', 'N'], ['VL_BC_IPI', 'N'], ['VL_IPI', 'N']
+    ]),
+
+    'E520': definirCampos([
+        ['REG', 'C'], ['VL_SD_ANT_IPI', 'N'], ['VL_DEB_IPI', 'N'], ['VL_CRED_IPI', 'N'], ['VL_OD_IPI', 'N'],
+        ['VL_OC_IPI', 'N'], ['VL_SC_IPI', 'N'], ['VL_SD_IPI', 'N']
+    ]),
+
+    '9900': definirCampos([
+        ['REG', 'C'], ['REG_BLC', 'C'], ['QTD_REG_BLC', 'I']
+    ]),
+
+    '9999': definirCampos([
+        ['REG', 'C'], ['QTD_LIN', 'I']
+    ])
+});
+
+// Versões do leiaute (COD_VER do 0000) → ano de início de vigência
+const VERSOES_LAYOUT_SPED = Object.freeze({
+    '002': 2009, '003': 2010, '004': 2011, '005': 2012, '006': 2012, '007': 2013,
+    '008': 2014, '009': 2015, '010': 2016, '011': 2017, '012': 2018, '013': 2019,
+    '014': 2020, '015': 2021, '016': 2022, '017': 2023, '018': 2024, '019': 2025
+});
+
+/**
+ * Definições anteriores ao leiaute vigente, por registro
+ * Cada entrada vale para os arquivos com COD_VER até `ateVersao` (inclusive);
+ * as entradas ficam em ordem crescente de versão
+ */
+const HISTORICO_LAYOUTS_SPED = Object.freeze({
+    // CEST incluído no leiaute 011 (2017)
+    '0200': Object.freeze([
+        Object.freeze({
+            ateVersao: '010',
+            campos: definirCampos([
+                ['REG', 'C'], ['COD_ITEM', 'C'], ['DESCR_ITEM', 'C'], ['COD_BARRA', 'C'], ['COD_ANT_ITEM', 'C'],
+                ['UNID_INV', 'C'], ['TIPO_ITEM', 'C'], ['COD_NCM', 'C'], ['EX_IPI', 'C'], ['COD_GEN', 'C'],
+                ['COD_LST', 'C'], ['ALIQ_ICMS', 'N']
+            ])
+        })
+    ]),
+
+    // VL_ABAT_NT incluído no leiaute 014 (2020)
+    'C170': Object.freeze([
+        Object.freeze({
+            ateVersao: '013',
+            campos: definirCampos([
+                ['REG', 'C'], ['NUM_ITEM', 'I'], ['COD_ITEM', 'C'], ['DESCR_COMPL', 'C'], ['QTD', 'N'],
+                ['UNID', 'C'], ['VL_ITEM', 'N'], ['VL_DESC', 'N'], ['IND_MOV', 'C'], ['CST_ICMS', 'C'],
+                ['CFOP', 'C'], ['COD_NAT', 'C'], ['VL_BC_ICMS', 'N'], ['ALIQ_ICMS', 'N'], ['VL_ICMS', 'N'],
+                ['VL_BC_ICMS_ST', 'N'], ['ALIQ_ST', 'N'], ['VL_ICMS_ST', 'N'], ['IND_APUR', 'C'], ['CST_IPI', 'C'],
+                ['COD_ENQ', 'C'], ['VL_BC_IPI', 'N'], ['ALIQ_IPI', 'N'], ['VL_IPI', 'N'], ['CST_PIS', 'C'],
+                ['VL_BC_PIS', 'N'], ['ALIQ_PIS', 'N'], ['QUANT_BC_PIS', 'N'], ['ALIQ_PIS_QUANT', 'N'], ['VL_PIS', 'N'],
+                ['CST_COFINS', 'C'], ['VL_BC_COFINS', 'N'], ['ALIQ_COFINS', 'N'], ['QUANT_BC_COFINS', 'N'],
+                ['ALIQ_COFINS_QUANT', 'N'], ['VL_COFINS', 'N'], ['COD_CTA', 'C']
+            ])
+        })
+    ]),
+
+    // COD_MUN_ORIG/COD_MUN_DEST incluídos no leiaute 011 (2017)
+    'D100': Object.freeze([
+        Object.freeze({
+            ateVersao: '010',
+            campos: definirCampos([
+                ['REG', 'C'], ['IND_OPER', 'C'], ['IND_EMIT', 'C'], ['COD_PART', 'C'], ['COD_MOD', 'C'],
+                ['COD_SIT', 'C'], ['SER', 'C'], ['SUB', 'C'], ['NUM_DOC', 'C'], ['CHV_CTE', 'C'],
+                ['DT_DOC', 'D'], ['DT_A_P', 'D'], ['TP_CT-e', 'C'], ['CHV_CTE_REF', 'C'], ['VL_DOC', 'N'],
+                ['VL_DESC', 'N'], ['IND_FRT', 'C'], ['VL_SERV', 'N'], ['VL_BC_ICMS', 'N'], ['VL_ICMS', 'N'],
+                ['VL_NT', 'N'], ['COD_INF', 'C'], ['COD_CTA', 'C']
+            ])
+        })
+    ]),
+
+    // Leiaute 010 (2016): DIFAL e FCP na mesma sequência de campos; separados a partir de 2017
+    'E310': Object.freeze([
+        Object.freeze({
+            ateVersao: '010',
+            campos: definirCampos([
+                ['REG', 'C'], ['IND_MOV_FCP_DIFAL', 'C'], ['VL_SLD_CRED_ANT_DIFAL', 'N'],
+                ['VL_TOT_DEBITOS_DIFAL', 'N'], ['VL_OUT_DEB_DIFAL', 'N'], ['VL_TOT_DEB_FCP', 'N'],
+                ['VL_TOT_CREDITOS_DIFAL', 'N'], ['VL_TOT_CRED_FCP', 'N'], ['VL_OUT_CRED_DIFAL', 'N'],
+                ['VL_SLD_DEV_ANT_DIFAL', 'N'], ['VL_DEDUCOES_DIFAL', 'N'], ['VL_RECOL', 'N'],
+                ['VL_SLD_CRED_TRANSPORTAR', 'N'], ['DEB_ESP_DIFAL', 'N']
+            ])
+        })
+    ])
+});
+
+// Layouts já resolvidos por versão
+const cacheLayoutsPorVersao = new Map();
+
+/**
+ * @class SpedLayouts
+ * @classdesc Registro único de layouts por tipo de registro e versão do leiaute,
+ * compartilhado pelo parser DIFAL e pelo conversor SPED → Excel
+ */
+class SpedLayouts {
+    /**
+     * Normaliza o COD_VER ('17' → '017')
+     * @public
+     * @param {string|number} codVer - COD_VER do registro 0000
+     * @returns {string} Versão com 3 dígitos, ou '' se não informada
+     */
+    static normalizarVersao(codVer) {
+        const digitos = String(codVer ?? '').trim();
+        return /^\d{1,3}$/.test(digitos) ? digitos.padStart(3, '0') : '';
+    }
+
+    /**
+     * Versão mais recente cadastrada (a de SPED_LAYOUTS)
+     * @public
+     * @returns {string}
+     */
+    static versaoMaisRecente() {
+        return Object.keys(VERSOES_LAYOUT_SPED).sort().pop();
+    }
+
+    /**
+     * Indica se a versão está cadastrada
+     * @public
+     * @param {string|number} codVer
+     * @returns {boolean}
+     */
+    static versaoConhecida(codVer) {
+        return Object.prototype.hasOwnProperty.call(VERSOES_LAYOUT_SPED, SpedLayouts.normalizarVersao(codVer));
+    }
+
+    /**
+     * Layouts de todos os registros para a versão do arquivo
+     * Versão ausente ou posterior às cadastradas usa o leiaute vigente
+     * @public
+     * @param {string|number} codVer - COD_VER do registro 0000
+     * @returns {Object} Layouts por tipo de registro
+     */
+    static obterLayouts(codVer) {
+        const versao = SpedLayouts.normalizarVersao(codVer);
+        if (!versao) {
+            return SPED_LAYOUTS;
+        }
+
+        if (!cacheLayoutsPorVersao.has(versao)) {
+            const layouts = { ...SPED_LAYOUTS };
+            Object.entries(HISTORICO_LAYOUTS_SPED).forEach(([tipoRegistro, historico]) => {
+                const anterior = historico.find(definicao => versao <= definicao.ateVersao);
+                if (anterior) {
+                    layouts[tipoRegistro] = anterior.campos;
+                }
+            });
+            cacheLayoutsPorVersao.set(versao, Object.freeze(layouts));
+        }
+
+        return cacheLayoutsPorVersao.get(versao);
+    }
+
+    /**
+     * Layout de um registro para a versão do arquivo
+     * @public
+     * @param {string} tipoRegistro - Ex.: 'C170'
+     * @param {string|number} codVer - COD_VER do registro 0000
+     * @returns {Array<Object>|null} Campos {nome, tipo, posicao}, ou null se o registro não tiver layout
+     */
+    static obterLayout(tipoRegistro, codVer) {
+        return SpedLayouts.obterLayouts(codVer)[tipoRegistro] || null;
+    }
+
+    /**
+     * Nomes dos campos de um registro, na ordem do arquivo
+     * @public
+     * @param {string} tipoRegistro - Ex.: 'C170'
+     * @param {string|number} codVer - COD_VER do registro 0000
+     * @returns {Array<string>|null}
+     */
+    static obterNomesCampos(tipoRegistro, codVer) {
+        const layout = SpedLayouts.obterLayout(tipoRegistro, codVer);
+        return layout ? layout.map(campo => campo.nome) : null;
+    }
+
+    /**
+     * Posição de um campo no registro (REG = 0)
+     * @public
+     * @param {string} tipoRegistro - Ex.: 'C170'
+     * @param {string} nomeCampo - Ex.: 'CFOP'
+     * @param {string|number} codVer - COD_VER do registro 0000
+     * @returns {number} Posição, ou -1 se o campo não existir nessa versão
+     */
+    static obterPosicao(tipoRegistro, nomeCampo, codVer) {
+        const campo = (SpedLayouts.obterLayout(tipoRegistro, codVer) || []).find(c => c.nome === nomeCampo);
+        return campo ? campo.posicao : -1;
+    }
+}
+
+SpedLayouts.VERSOES = VERSOES_LAYOUT_SPED;
+SpedLayouts.HISTORICO = HISTORICO_LAYOUTS_SPED;
+
+// Expor globalmente para compatibilidade
+if (typeof window !== 'undefined') {
+    window.TIPOS_CAMPO_SPED = TIPOS_CAMPO_SPED;
+    window.SPED_LAYOUTS = SPED_LAYOUTS;
+    window.SpedLayouts = SpedLayouts;
+}
+
+// Exportar para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TIPOS_CAMPO_SPED, SPED_LAYOUTS, SpedLayouts };
+}
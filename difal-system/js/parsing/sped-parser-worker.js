@@ -0,0 +1,55 @@
+/**
+ * SPED Parser Worker - Parsing SPED fora da thread principal
+ * Executa o SpedParserModular dentro de um Web Worker dedicado.
+ * Os eventos do parser (início, progresso, conclusão, erro) são repassados
+ * à thread principal por mensagens; o resultado final segue na mensagem 'resultado'.
+ *
+ * Protocolo:
+ * - entrada: { tipo: 'processar', file, opcoes }
+ * - saída:   { tipo: 'evento', evento, dados } | { tipo: 'resultado', resultado } | { tipo: 'erro', mensagem }
+ *
+ * O cancelamento é feito pela thread principal com worker.terminate().
+ */
+
+// Scripts do sistema publicam em window; no worker o escopo global é self
+self.window = self;
+
+importScripts(
+    '../core/constants.js',
+    '../../data/estados-brasil.js',
+    '../config/difal-filter-profiles.js',
+    'sped-layouts.js',
+    'sped-field-decoder.js',
+    'sped-reconciliation.js',
+    'sped-structure-validator.js',
+    'sped-parser.js'
+);
+
+/**
+ * EventBus mínimo que repassa os eventos do parser à thread principal
+ * @private
+ */
+const eventBusWorker = {
+    emit(evento, dados) {
+        if (evento) {
+            self.postMessage({ tipo: 'evento', evento, dados });
+        }
+    }
+};
+
+self.onmessage = async (event) => {
+    const { tipo, file, opcoes } = event.data || {};
+
+    if (tipo !== 'processar') {
+        return;
+    }
+
+    try {
+        const parser = new SpedParserModular(eventBusWorker, null);
+        const resultado = await parser.processarArquivo(file, opcoes);
+
+        self.postMessage({ tipo: 'resultado', resultado });
+    } catch (error) {
+        self.postMessage({ tipo: 'erro', mensagem: error.message });
+    }
+};
@@ -2,8 +2,36 @@
  * SPED Parser - Versão Modular 
  * Parsing de arquivos SPED com correção do NCM (linha[2])
  * Integração com StateManager
+ * Roda no navegador, dentro do Web Worker (sped-parser-worker.js) ou em Node
  */
 
+// Dependências globais: window no navegador, self no worker; em Node via require
+const dependenciasParser = (() => {
+    const escopo = typeof window !== 'undefined' ? window : globalThis;
+    const emNode = typeof module !== 'undefined' && module.exports && typeof require === 'function';
+    
+    return {
+        get constantes() {
+            return escopo.DIFAL_CONSTANTS;
+        },
+        get EstadosUtil() {
+            return escopo.EstadosUtil || (emNode ? require('../../data/estados-brasil.js').EstadosUtil : null);
+        },
+        get SpedFieldDecoder() {
+            return escopo.SpedFieldDecoder || (emNode ? require('./sped-field-decoder.js') : null);
+        },
+        get SpedReconciliation() {
+            return escopo.SpedReconciliation || (emNode ? require('./sped-reconciliation.js') : null);
+        },
+        get SpedStructureValidator() {
+            return escopo.SpedStructureValidator || (emNode ? require('./sped-structure-validator.js') : null);
+        },
+        get DifalFilterProfiles() {
+            return escopo.DifalFilterProfiles || (emNode ? require('../config/difal-filter-profiles.js') : null);
+        }
+    };
+})();
+
 class SpedParserModular {
     constructor(eventBus, stateManager) {
         this.eventBus = eventBus;
@@ -13,7 +41,36 @@ class SpedParserModular {
         this.dadosEmpresa = null;
         this.registros = {};
         this.itensDifal = [];
+        this.itensExcluidos = [];   // Itens C170/D190 fora do filtro DIFAL, com os motivos
+        this.itensDifalSaida = [];  // Vendas próprias a não contribuinte de outra UF (CFOP 6107/6108)
         this.catalogoProdutos = {}; // Catálogo de produtos do registro 0200
+        this.documentos = [];       // Documentos fiscais do registro C100
+        this.documentosTransporte = []; // Conhecimentos de transporte do registro D100
+        this.apuracoesDifal = [];   // Apuração DIFAL/FCP declarada por UF (E300-E316)
+        this.participantes = {};    // Participantes do registro 0150 (por COD_PART)
+        this.encodingDetectado = null; // Encoding identificado na leitura do arquivo
+        
+        // Decodificação tipada dos campos conforme layouts (js/parsing/sped-layouts.js)
+        this.decodificador = new dependenciasParser.SpedFieldDecoder();
+        this.documentoAtual = null; // C100 em processamento (pai dos C170 seguintes)
+        this.documentoTransporteAtual = null; // D100 em processamento (pai dos D190 seguintes)
+        
+        // Conferência C190 x C170 (js/parsing/sped-reconciliation.js)
+        this.reconciliador = new dependenciasParser.SpedReconciliation();
+        
+        // Integridade estrutural: hierarquia, 9900/9999, 0000 e datas (js/parsing/sped-structure-validator.js)
+        this.validadorEstrutura = new dependenciasParser.SpedStructureValidator();
+        this.validacaoEstrutura = null;
+        
+        // Filtro CFOP/CST (js/config/difal-filter-profiles.js), resolvido pelo CNPJ do 0000
+        this.configuracaoFiltros = null;
+        this.filtroDifal = null;
+        
+        // Modo streaming: só retém os registros que o fluxo DIFAL usa depois do laço
+        this.modoStreaming = false;
+        this.registrosRetidosStreaming = ['0000', '0150', '0200'];
+        this.contagemRegistros = {};
+        this.contadoresLinhas = { processadas: 0, ignoradas: 0, itensDescartados: 0 };
         
         console.log('📄 SPED Parser Modular initialized');
     }
@@ -21,31 +78,43 @@ class SpedParserModular {
     /**
      * Processa arquivo SPED
      * @param {File} file - Arquivo SPED
+     * @param {Object} opcoes - Opções de processamento
+     * @param {Object} opcoes.filtros - Retrato dos perfis de filtro (DifalFilterProfiles.obterConfiguracaoParser)
      * @returns {Object} - Dados processados
      */
-    async processarArquivo(file) {
+    async processarArquivo(file, opcoes = {}) {
         try {
             console.log('📂 Processando arquivo SPED:', file.name);
+            this.configuracaoFiltros = opcoes.filtros || null;
             
             // Emitir evento de início
-            this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.PARSING_STARTED, {
+            this.eventBus?.emit(dependenciasParser.constantes?.EVENTS?.PARSING_STARTED, {
                 fileName: file.name,
                 fileSize: file.size
             });
 
-            // Ler arquivo
-            const conteudo = await this.lerArquivo(file);
-            const linhas = conteudo.split('\n');
+            let resultado;
+            const limiteStreaming = dependenciasParser.constantes?.FILE?.STREAMING_THRESHOLD || 50 * 1024 * 1024;
             
-            console.log(`📊 ${linhas.length} linhas encontradas no arquivo`);
+            if (file.size > limiteStreaming) {
+                // Arquivos grandes: leitura em fatias sem carregar tudo em memória
+                resultado = await this.processarArquivoStreaming(file);
+            } else {
+                // Ler arquivo
+                const conteudo = await this.lerArquivo(file);
+                const linhas = conteudo.split('\n');
+                
+                console.log(`📊 ${linhas.length} linhas encontradas no arquivo`);
 
-            // Processar linhas
-            const resultado = await this.processarLinhas(linhas);
+                // Processar linhas
+                resultado = await this.processarLinhas(linhas);
+            }
+            resultado.encoding = this.encodingDetectado;
             
             // Emitir evento de conclusão
-            this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.PARSING_COMPLETED, {
-                totalLinhas: linhas.length,
-                totalRegistros: Object.keys(this.registros).length,
+            this.eventBus?.emit(dependenciasParser.constantes?.EVENTS?.PARSING_COMPLETED, {
+                totalLinhas: resultado.estatisticas.totalLinhas,
+                totalRegistros: resultado.estatisticas.totalRegistros,
                 itensDifal: this.itensDifal.length
             });
 
@@ -54,7 +123,7 @@ class SpedParserModular {
         } catch (error) {
             console.error('❌ Erro ao processar arquivo SPED:', error);
             
-            this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.PARSING_ERROR, {
+            this.eventBus?.emit(dependenciasParser.constantes?.EVENTS?.PARSING_ERROR, {
                 error: error.message
             });
             
@@ -63,24 +132,87 @@ class SpedParserModular {
     }
 
     /**
-     * Lê arquivo como texto
-     * @param {File} file - Arquivo
+     * Lê arquivo como texto detectando o encoding
+     * O encoding identificado fica em this.encodingDetectado.
+     * Usa Blob.arrayBuffer(), disponível no navegador, no worker e em Node.
+     * @param {File|Blob} file - Arquivo
      * @returns {Promise<string>} - Conteúdo do arquivo
      */
-    lerArquivo(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                resolve(e.target.result);
-            };
-            
-            reader.onerror = () => {
-                reject(new Error('Erro ao ler arquivo'));
-            };
-            
-            reader.readAsText(file, 'UTF-8');
-        });
+    async lerArquivo(file) {
+        let buffer;
+        try {
+            buffer = await file.arrayBuffer();
+        } catch (error) {
+            const nome = file?.name ? ` ${file.name}` : '';
+            throw new Error(`Erro ao ler arquivo${nome}: ${error.message}`);
+        }
+        
+        const { encoding, bom, conteudo } = this.decodificarConteudo(buffer);
+        this.encodingDetectado = { encoding, bom };
+        console.log(`🔤 Encoding detectado: ${encoding}${bom ? ' (com BOM)' : ''}`);
+        
+        return conteudo;
+    }
+
+    /**
+     * Decodifica o conteúdo binário do arquivo
+     * Ordem: BOM (UTF-8/UTF-16) → UTF-8 estrito → Windows-1252/ISO-8859-1.
+     * Bytes 0x80-0x9F só têm caractere imprimível em Windows-1252; sem eles,
+     * o arquivo é tratado como ISO-8859-1 (os demais bytes são idênticos).
+     * A assinatura digital após o registro 9999 é binária e fica de fora.
+     * @param {ArrayBuffer} buffer - Conteúdo do arquivo
+     * @returns {{encoding: string, bom: boolean, conteudo: string}}
+     */
+    decodificarConteudo(buffer) {
+        const todosBytes = new Uint8Array(buffer);
+        const bytes = todosBytes.subarray(0, this.localizarFimEscrituracao(todosBytes));
+        
+        // 1. BOM
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { encoding: 'UTF-8', bom: true, conteudo: new TextDecoder('utf-8').decode(bytes.subarray(3)) };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { encoding: 'UTF-16LE', bom: true, conteudo: new TextDecoder('utf-16le').decode(bytes.subarray(2)) };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { encoding: 'UTF-16BE', bom: true, conteudo: new TextDecoder('utf-16be').decode(bytes.subarray(2)) };
+        }
+        
+        // 2. UTF-8 estrito (falha em sequências inválidas, típico de arquivos Latin-1)
+        try {
+            const conteudo = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            return { encoding: 'UTF-8', bom: false, conteudo };
+        } catch (error) {
+            console.warn('⚠️ Arquivo não é UTF-8 válido, tentando Latin-1/Windows-1252');
+        }
+        
+        // 3. Single-byte: Windows-1252 se houver bytes da faixa 0x80-0x9F
+        const temFaixaWindows = bytes.some(byte => byte >= 0x80 && byte <= 0x9F);
+        const conteudo = new TextDecoder('windows-1252').decode(bytes);
+        
+        return {
+            encoding: temFaixaWindows ? 'WINDOWS-1252' : 'ISO-8859-1',
+            bom: false,
+            conteudo
+        };
+    }
+
+    /**
+     * Localiza o fim da linha do registro 9999 (encerramento do arquivo)
+     * @param {Uint8Array} bytes - Conteúdo do arquivo
+     * @returns {number} - Posição após a linha 9999, ou o tamanho total se não houver
+     */
+    localizarFimEscrituracao(bytes) {
+        const marcador = [0x7C, 0x39, 0x39, 0x39, 0x39, 0x7C]; // "|9999|"
+        
+        for (let i = bytes.length - marcador.length; i >= 0; i--) {
+            if (marcador.every((byte, j) => bytes[i + j] === byte) && (i === 0 || bytes[i - 1] === 0x0A)) {
+                const fimLinha = bytes.indexOf(0x0A, i);
+                return fimLinha === -1 ? bytes.length : fimLinha + 1;
+            }
+        }
+        
+        return bytes.length;
     }
 
     /**
@@ -91,53 +223,105 @@ class SpedParserModular {
     async processarLinhas(linhas) {
         console.log('🔄 Iniciando processamento das linhas...');
         
-        // Reset de estado
-        this.registros = {};
-        this.itensDifal = [];
-        this.dadosEmpresa = null;
-        
-        let processadas = 0;
-        let ignoradas = 0;
+        this.iniciarProcessamento(false);
 
         for (let i = 0; i < linhas.length; i++) {
-            const linha = linhas[i].trim();
+            this.processarLinhaArquivo(linhas[i], i + 1);
             
-            if (!linha || linha.length < 5) {
-                ignoradas++;
-                continue;
+            // Progresso a cada 1000 linhas
+            if (i % 1000 === 0 && i > 0) {
+                console.log(`📊 Processadas ${i}/${linhas.length} linhas`);
+                
+                // Emitir progresso
+                this.eventBus?.emit(dependenciasParser.constantes?.EVENTS?.PARSING_PROGRESS, {
+                    current: i,
+                    total: linhas.length,
+                    percentage: (i / linhas.length) * 100
+                });
             }
+        }
 
-            try {
-                const processou = this.processarLinha(linha, i + 1);
-                if (processou) {
-                    processadas++;
-                }
-                
-                // Progresso a cada 1000 linhas
-                if (i % 1000 === 0 && i > 0) {
-                    console.log(`📊 Processadas ${i}/${linhas.length} linhas`);
-                    
-                    // Emitir progresso
-                    this.eventBus?.emit(window.DIFAL_CONSTANTS?.EVENTS?.PARSING_PROGRESS, {
-                        current: i,
-                        total: linhas.length,
-                        percentage: (i / linhas.length) * 100
-                    });
-                }
-                
-            } catch (error) {
-                console.warn(`⚠️ Erro na linha ${i + 1}:`, error.message);
+        return this.finalizarProcessamento(linhas.length);
+    }
+
+    /**
+     * Reinicia o estado para um novo arquivo
+     * @param {boolean} modoStreaming - True para reter apenas os registros necessários
+     */
+    iniciarProcessamento(modoStreaming) {
+        this.modoStreaming = modoStreaming;
+        this.registros = {};
+        this.contagemRegistros = {};
+        this.itensDifal = [];
+        this.itensExcluidos = [];
+        this.itensDifalSaida = [];
+        this.dadosEmpresa = null;
+        this.documentos = [];
+        this.documentoAtual = null;
+        this.documentosTransporte = [];
+        this.documentoTransporteAtual = null;
+        this.apuracoesDifal = [];
+        this.participantes = {};
+        this.contadoresLinhas = { processadas: 0, ignoradas: 0, itensDescartados: 0 };
+        this.decodificador.limpar();
+        this.validadorEstrutura.limpar();
+        this.validacaoEstrutura = null;
+        this.filtroDifal = dependenciasParser.DifalFilterProfiles.resolverPerfil(this.configuracaoFiltros, null);
+    }
+
+    /**
+     * Processa uma linha bruta do arquivo, atualizando os contadores
+     * @param {string} linhaBruta - Linha sem tratamento
+     * @param {number} numeroLinha - Número da linha
+     */
+    processarLinhaArquivo(linhaBruta, numeroLinha) {
+        const linha = linhaBruta.trim();
+        
+        if (!linha || linha.length < 5) {
+            this.contadoresLinhas.ignoradas++;
+            return;
+        }
+
+        try {
+            if (this.processarLinha(linha, numeroLinha)) {
+                this.contadoresLinhas.processadas++;
             }
+        } catch (error) {
+            console.warn(`⚠️ Erro na linha ${numeroLinha}:`, error.message);
         }
+    }
 
+    /**
+     * Etapas posteriores à leitura das linhas (catálogo, participantes, filtro DIFAL)
+     * @param {number} totalLinhas - Total de linhas lidas
+     * @returns {Object} - Dados processados
+     */
+    async finalizarProcessamento(totalLinhas) {
+        const { processadas, ignoradas } = this.contadoresLinhas;
         console.log(`✅ Processamento concluído: ${processadas} processadas, ${ignoradas} ignoradas`);
         
+        const relatorioDecodificacao = this.decodificador.obterRelatorio();
+        if (relatorioDecodificacao.totalFalhas > 0) {
+            console.warn(`⚠️ ${relatorioDecodificacao.totalFalhas} campos não decodificados:`, relatorioDecodificacao.falhasPorCampo);
+        }
+        
         // Criar catálogo de produtos se houver registros 0200
         if (this.registros['0200'] && this.registros['0200'].length > 0) {
             await this.criarCatalogoProdutos();
             this.enriquecerItensComCatalogo();
+            this.enriquecerItensComCatalogo(this.itensExcluidos); // Descartados no streaming
+            this.enriquecerItensComCatalogo(this.itensDifalSaida);
         }
         
+        // Hierarquia, contadores 9900/9999, 0000 e datas
+        this.validacaoEstrutura = this.validadorEstrutura.finalizar();
+        
+        // Conferir totais analíticos C190 com os itens C170 de cada documento
+        const reconciliacao = this.reconciliador.reconciliar(this.documentos);
+        
+        // Resolver fornecedor e UF de origem via C100/D100.COD_PART → 0150
+        this.vincularParticipantes();
+        
         // Processar itens para DIFAL
         await this.processarItensDifal();
 
@@ -152,18 +336,146 @@ class SpedParserModular {
             periodoApuracao: periodoApuracao,
             empresa: this.dadosEmpresa, // Alias para compatibilidade
             registros: this.registros,
+            documentos: this.documentos,
+            documentosTransporte: this.documentosTransporte,
+            apuracoesDifal: this.apuracoesDifal,
+            participantes: this.participantes,
             itensDifal: this.itensDifal,
+            itensExcluidos: this.itensExcluidos,
+            itensDifalSaida: this.itensDifalSaida,
+            relatorioDecodificacao,
+            reconciliacao,
+            validacaoEstrutura: this.validacaoEstrutura,
+            filtroDifal: this.filtroDifal,
             estatisticas: {
-                totalLinhas: linhas.length,
+                totalLinhas,
                 linhasProcessadas: processadas,
                 linhasIgnoradas: ignoradas,
-                totalRegistros: Object.keys(this.registros).length,
+                totalRegistros: Object.keys(this.contagemRegistros).length,
+                registrosPorTipo: { ...this.contagemRegistros },
+                totalDocumentos: this.documentos.length,
+                totalDocumentosTransporte: this.documentosTransporte.length,
+                falhasDecodificacao: relatorioDecodificacao.totalFalhas,
                 itensDifal: this.itensDifal.length,
+                itensExcluidos: this.itensExcluidos.length,
+                itensDifalSaida: this.itensDifalSaida.length,
+                itensExtemporaneos: this.itensDifal.filter(item => item.situacaoDocumento?.extemporaneo).length,
+                modoStreaming: this.modoStreaming,
+                itensDescartadosStreaming: this.contadoresLinhas.itensDescartados,
                 periodoApuracao: periodoApuracao
             }
         };
     }
 
+    // ========== STREAMING (ARQUIVOS GRANDES) ==========
+
+    /**
+     * Processa arquivo grande lendo fatias do File, sem montar a string inteira
+     * Tenta UTF-8 estrito; se aparecer sequência inválida, reinicia em Windows-1252
+     * @param {File} file - Arquivo SPED
+     * @returns {Promise<Object>} - Dados processados
+     */
+    async processarArquivoStreaming(file) {
+        console.log(`🌊 Processando em streaming: ${file.name} (${(file.size / 1048576).toFixed(1)} MB)`);
+        
+        // Fim da escrituração (ignora assinatura digital após o 9999)
+        const inicioCauda = Math.max(0, file.size - 256 * 1024);
+        const cauda = new Uint8Array(await file.slice(inicioCauda).arrayBuffer());
+        const limite = inicioCauda + this.localizarFimEscrituracao(cauda);
+        
+        // BOM define o encoding; sem BOM, UTF-8 estrito com fallback
+        const cabecalho = new Uint8Array(await file.slice(0, 3).arrayBuffer());
+        let candidatos = [{ encoding: 'UTF-8', rotulo: 'utf-8', inicio: 0, bom: false, estrito: true },
+                          { encoding: 'WINDOWS-1252', rotulo: 'windows-1252', inicio: 0, bom: false, estrito: false }];
+        
+        if (cabecalho[0] === 0xEF && cabecalho[1] === 0xBB && cabecalho[2] === 0xBF) {
+            candidatos = [{ encoding: 'UTF-8', rotulo: 'utf-8', inicio: 3, bom: true, estrito: false }];
+        } else if (cabecalho[0] === 0xFF && cabecalho[1] === 0xFE) {
+            candidatos = [{ encoding: 'UTF-16LE', rotulo: 'utf-16le', inicio: 2, bom: true, estrito: false }];
+        } else if (cabecalho[0] === 0xFE && cabecalho[1] === 0xFF) {
+            candidatos = [{ encoding: 'UTF-16BE', rotulo: 'utf-16be', inicio: 2, bom: true, estrito: false }];
+        }
+        
+        for (const candidato of candidatos) {
+            try {
+                return await this.lerLinhasStreaming(file, candidato, limite);
+            } catch (error) {
+                if (candidato.estrito && error instanceof TypeError) {
+                    console.warn(`⚠️ Arquivo não é ${candidato.encoding} válido, reiniciando leitura`);
+                    continue;
+                }
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Lê as fatias do arquivo e processa as linhas de forma incremental
+     * @param {File} file - Arquivo SPED
+     * @param {Object} candidato - Encoding em teste {encoding, rotulo, inicio, bom, estrito}
+     * @param {number} limite - Posição final (bytes) a ser lida
+     * @returns {Promise<Object>} - Dados processados
+     */
+    async lerLinhasStreaming(file, candidato, limite) {
+        const tamanhoFatia = dependenciasParser.constantes?.FILE?.STREAM_CHUNK_SIZE || 4 * 1024 * 1024;
+        const decoder = new TextDecoder(candidato.rotulo, { fatal: candidato.estrito });
+        
+        this.iniciarProcessamento(true);
+        
+        const singleByte = candidato.encoding === 'WINDOWS-1252';
+        let usaFaixaWindows = false;
+        let resto = '';
+        let numeroLinha = 0;
+        
+        for (let posicao = candidato.inicio; posicao < limite; posicao += tamanhoFatia) {
+            const fim = Math.min(posicao + tamanhoFatia, limite);
+            const buffer = await file.slice(posicao, fim).arrayBuffer();
+            const texto = resto + decoder.decode(buffer, { stream: fim < limite });
+            
+            // Bytes 0x80-0x9F só existem em Windows-1252 (mesma regra de decodificarConteudo)
+            if (singleByte && !usaFaixaWindows) {
+                usaFaixaWindows = this.temFaixaWindows1252(texto);
+            }
+            
+            const linhas = texto.split('\n');
+            resto = linhas.pop();
+            
+            for (const linha of linhas) {
+                this.processarLinhaArquivo(linha, ++numeroLinha);
+            }
+            
+            this.eventBus?.emit(dependenciasParser.constantes?.EVENTS?.PARSING_PROGRESS, {
+                current: fim,
+                total: limite,
+                percentage: (fim / limite) * 100,
+                unidade: 'bytes',
+                linhas: numeroLinha
+            });
+            
+            // Liberar a UI entre fatias
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        if (resto) {
+            this.processarLinhaArquivo(resto, ++numeroLinha);
+        }
+        
+        const encoding = singleByte && !usaFaixaWindows ? 'ISO-8859-1' : candidato.encoding;
+        this.encodingDetectado = { encoding, bom: candidato.bom };
+        console.log(`🔤 Encoding detectado (streaming): ${encoding}`);
+        
+        return this.finalizarProcessamento(numeroLinha);
+    }
+
+    /**
+     * Verifica se o texto decodificado como Windows-1252 usa a faixa 0x80-0x9F
+     * @param {string} texto - Texto decodificado
+     * @returns {boolean}
+     */
+    temFaixaWindows1252(texto) {
+        return /[\u0080-\u009F\u0100-\uFFFF]/.test(texto);
+    }
+
     /**
      * Processa uma linha individual do SPED
      * @param {string} linha - Linha do arquivo
@@ -185,22 +497,55 @@ class SpedParserModular {
         const tipoRegistro = campos[0];
 
         // Contabilizar tipo de registro
-        if (!this.registros[tipoRegistro]) {
-            this.registros[tipoRegistro] = [];
+        this.contagemRegistros[tipoRegistro] = (this.contagemRegistros[tipoRegistro] || 0) + 1;
+        this.validadorEstrutura.registrar(tipoRegistro, campos, numeroLinha);
+        
+        // Em streaming, reter só os registros usados após o laço
+        if (!this.modoStreaming || this.registrosRetidosStreaming.includes(tipoRegistro)) {
+            if (!this.registros[tipoRegistro]) {
+                this.registros[tipoRegistro] = [];
+            }
+            this.registros[tipoRegistro].push({
+                linha: numeroLinha,
+                campos
+            });
         }
-        this.registros[tipoRegistro].push({
-            linha: numeroLinha,
-            campos
-        });
 
         // Processar registros específicos
         switch (tipoRegistro) {
             case '0000':
-                this.processarRegistro0000(campos);
+                this.processarRegistro0000(campos, numeroLinha);
+                break;
+            case 'C100':
+                this.processarRegistroC100(campos, numeroLinha);
                 break;
             case 'C170':
                 this.processarRegistroC170(campos, numeroLinha);
                 break;
+            case 'C190':
+                this.processarRegistroC190(campos, numeroLinha);
+                break;
+            case 'D100':
+                this.processarRegistroD100(campos, numeroLinha);
+                break;
+            case 'D190':
+                this.processarRegistroD190(campos, numeroLinha);
+                break;
+            case 'E300':
+                this.processarRegistroE300(campos, numeroLinha);
+                break;
+            case 'E310':
+                this.processarRegistroE310(campos, numeroLinha);
+                break;
+            case 'E311':
+                this.processarRegistroE311(campos, numeroLinha);
+                break;
+            case 'E316':
+                this.processarRegistroE316(campos, numeroLinha);
+                break;
+            case '0150':
+                this.processarRegistro0150(campos, numeroLinha);
+                break;
             case '0200':
                 this.processarRegistro0200(campos);
                 break;
@@ -211,114 +556,191 @@ class SpedParserModular {
 
     /**
      * Processa registro 0000 (dados da empresa)
+     * O COD_VER define o leiaute usado na decodificação dos demais registros
      */
-    processarRegistro0000(campos) {
-        if (campos.length >= 10) {
-            // Registro 0000: |REG|COD_VER|COD_FIN|DT_INI|DT_FIM|NOME|CNPJ|CPF|UF|IE|...
-            //                 0    1       2       3       4      5     6     7   8   9
-            
-            // *** CORREÇÃO CRÍTICA baseada no console log ***
-            // Console mostrava: cnpj: "1", razaoSocial: "01012025"
-            // Isso indica que as posições estavam corretas mas algo está errado
-            // Vou adicionar debug para ver o que está vindo:
-            
-            console.log('🔍 DEBUG 0000 - Campos recebidos:', campos.slice(0, 12));
-            
-            this.dadosEmpresa = {
-                razaoSocial: campos[5] || '',    // Posição 5: NOME 
-                cnpj: campos[6] || '',           // Posição 6: CNPJ
-                uf: campos[8] || '',             // Posição 8: UF
-                ie: campos[9] || '',             // Posição 9: IE
-                dtInicio: campos[3] || '',       // Posição 3: DT_INI  
-                dtFim: campos[4] || '',          // Posição 4: DT_FIM
-                
-                // DEBUG - campos extras para ver o que está vindo
-                debug_campo_0: campos[0] || '',
-                debug_campo_1: campos[1] || '',
-                debug_campo_2: campos[2] || '',
-                debug_campo_3: campos[3] || '',
-                debug_campo_4: campos[4] || '',
-                debug_campo_5: campos[5] || '',
-                debug_campo_6: campos[6] || '',
-                debug_campo_7: campos[7] || '',
-                debug_campo_8: campos[8] || '',
-                debug_campo_9: campos[9] || ''
-            };
-            
-            console.log('🏢 Empresa identificada:', this.dadosEmpresa);
+    processarRegistro0000(campos, numeroLinha) {
+        // O 0000 tem o mesmo leiaute em todas as versões
+        const registro = this.decodificador.decodificar('0000', campos, numeroLinha);
+
+        if (!this.decodificador.definirVersaoLayout(registro.COD_VER)) {
+            console.warn(`⚠️ Versão de leiaute ${registro.COD_VER || '(vazia)'} não cadastrada: usando o leiaute vigente`);
         }
+
+        this.dadosEmpresa = {
+            razaoSocial: registro.NOME || '',
+            cnpj: registro.CNPJ || '',
+            uf: registro.UF || '',
+            ie: registro.IE || '',
+            dtInicio: registro.DT_INI || '',
+            dtFim: registro.DT_FIN || '',
+            codVer: registro.COD_VER || ''
+        };
+
+        console.log('🏢 Empresa identificada:', this.dadosEmpresa);
+
+        // Perfil de filtro vinculado ao cliente, se houver
+        this.filtroDifal = dependenciasParser.DifalFilterProfiles.resolverPerfil(this.configuracaoFiltros, this.dadosEmpresa.cnpj);
+        console.log(`🎯 Filtro DIFAL aplicado: ${this.filtroDifal.nome}`);
+    }
+
+    /**
+     * Processa registro 0150 (cadastro de participantes)
+     * A UF do participante vem dos 2 primeiros dígitos do COD_MUN (código IBGE)
+     * @param {Array} campos - Campos do registro
+     * @param {number} numeroLinha - Número da linha no arquivo
+     */
+    processarRegistro0150(campos, numeroLinha) {
+        const registro = this.decodificador.decodificar('0150', campos, numeroLinha);
+        const codPart = registro.COD_PART || '';
+        if (!codPart) return;
+
+        const codPais = registro.COD_PAIS || '';
+        const estrangeiro = codPais !== '' && codPais.replace(/^0+/, '') !== '1058';
+        const codMun = registro.COD_MUN || '';
+
+        this.participantes[codPart] = {
+            codPart,
+            nome: registro.NOME || '',
+            codPais,
+            cnpj: registro.CNPJ || '',
+            cpf: registro.CPF || '',
+            ie: registro.IE || '',
+            codMun,
+            uf: estrangeiro
+                ? dependenciasParser.DifalFilterProfiles.UF_EXTERIOR
+                : (dependenciasParser.EstadosUtil?.obterUFPorCodigoMunicipio(codMun) || '')
+        };
+    }
+
+    /**
+     * Vincula participantes (0150) aos documentos e itens
+     * Define fornecedor e UF de origem de cada item a partir do C100/D100.COD_PART.
+     * Fretes que já têm UF pelo município de origem da prestação mantêm essa UF.
+     */
+    vincularParticipantes() {
+        let vinculados = 0;
+
+        [...this.documentos, ...this.documentosTransporte].forEach(documento => {
+            documento.participante = this.participantes[documento.codPart] || null;
+        });
+
+        this.itensDifal.forEach(item => {
+            const participante = item.documento?.participante;
+            if (participante) {
+                item.fornecedor = participante;
+                if (participante.uf && item.ufOrigem === 'XX') {
+                    item.ufOrigem = participante.uf;
+                    vinculados++;
+                }
+            }
+        });
+
+        // DIFAL de saída: o participante é o destinatário e define a UF de destino
+        this.itensDifalSaida.forEach(item => {
+            item.destinatario = item.documento?.participante || null;
+            item.ufDestino = item.destinatario?.uf || 'XX';
+        });
+
+        console.log(`🔗 ${vinculados}/${this.itensDifal.length} itens com UF de origem resolvida via 0150 (${Object.keys(this.participantes).length} participantes)`);
+    }
+
+    /**
+     * Processa registro C100 (cabeçalho do documento fiscal)
+     * Mantém o documento corrente para vincular os C170 que vêm em seguida
+     * @param {Array} campos - Campos do registro
+     * @param {number} numeroLinha - Número da linha no arquivo
+     */
+    processarRegistroC100(campos, numeroLinha) {
+        const registro = this.decodificador.decodificar('C100', campos, numeroLinha);
+        
+        const documento = {
+            id: `doc_${this.documentos.length + 1}`,
+            linha: numeroLinha,
+            indOper: registro.IND_OPER || '',
+            indEmit: registro.IND_EMIT || '',
+            codPart: registro.COD_PART || '',
+            modelo: registro.COD_MOD || '',
+            codSit: registro.COD_SIT || '',
+            serie: registro.SER || '',
+            numero: registro.NUM_DOC || '',
+            chaveNfe: registro.CHV_NFE || '',
+            dtDoc: registro.DT_DOC || '',
+            dtEntradaSaida: registro.DT_E_S || '',
+            valorDocumento: registro.VL_DOC || 0,
+            despesasAcessorias: (registro.VL_FRT || 0) + (registro.VL_SEG || 0) + (registro.VL_OUT_DA || 0),
+            totalItens: 0
+        };
+
+        this.documentos.push(documento);
+        this.documentoAtual = documento;
     }
 
     /**
      * Processa registro C170 (itens de documentos fiscais)
-     * CORREÇÃO CRÍTICA: NCM está na posição 2 (linha[2]), não 3
      */
     processarRegistroC170(campos, numeroLinha) {
         try {
-            if (campos.length < 16) {
-                console.warn(`⚠️ Registro C170 incompleto na linha ${numeroLinha}`);
+            const registro = this.decodificador.decodificar('C170', campos, numeroLinha);
+
+            if (!registro.CFOP) {
+                console.warn(`⚠️ Registro C170 sem CFOP na linha ${numeroLinha}`);
                 return;
             }
 
-            // *** CORREÇÃO CRÍTICA baseada na versão monolítica ***
-            // Layout C170: |REG|NUM_ITEM|COD_ITEM|DESCR_COMPL|QTD|UNID|VL_ITEM|VL_DESC|IND_MOV|CST_ICMS|CFOP|...
-            //               0    1        2        3           4   5    6        7       8       9        10
-            
-            // Versão monolítica usa: const cfop = linha[11] || ""; (posição 11)
-            // Mas console log mostra CFOP como "0", então vou adicionar debug
-            
-            console.log('🔍 DEBUG C170 - Linha', numeroLinha, '- Campos:', campos.slice(0, 15));
-            
-            const numItem = campos[1] || "";        // NUM_ITEM
-            const codigoItem = campos[2] || "";     // COD_ITEM
-            const descricao = campos[3] || "";      // DESCR_COMPL
-            const cfop = campos[10] || "";          // CFOP - TESTANDO posição 10 (monolítico usa 11)
-            
-            // Para NCM, usar o código do item por enquanto
-            // (na versão monolítica vem do catálogo 0200)
+            const numItem = registro.NUM_ITEM === null ? "" : String(registro.NUM_ITEM);
+            const codigoItem = registro.COD_ITEM || "";
+            const descricao = registro.DESCR_COMPL || "";
+            const cfop = registro.CFOP;
+
+            // NCM provisório: o código do item é trocado pelo NCM do catálogo 0200 ao final
             const ncm = codigoItem || "N/A";
-            
+
             const item = {
                 tipoRegistro: 'C170',
+                tipoItem: 'mercadoria',
                 linha: numeroLinha,
                 numItem: numItem,
                 codItem: codigoItem,
                 descricaoItem: descricao,
                 ncm: ncm,
-                cfop: cfop,                         // CFOP corrigido
-                unidade: campos[5] || "",           // UNID
-                quantidade: parseFloat(campos[4]) || 0,   // QTD
-                valorItem: parseFloat(campos[6]) || 0,    // VL_ITEM
-                desconto: parseFloat(campos[7]) || 0,     // VL_DESC
-                indMov: campos[8] || "",            // IND_MOV
-                cstIcms: campos[9] || "",           // CST_ICMS
-                baseIcms: parseFloat(campos[12]) || 0,    // VL_BC_ICMS
-                aliqIcms: parseFloat(campos[13]) || 0,    // ALIQ_ICMS
-                valorIcms: parseFloat(campos[14]) || 0,   // VL_ICMS
+                cfop: cfop,
+                unidade: registro.UNID || "",             // UNID
+                quantidade: registro.QTD || 0,            // QTD
+                valorItem: registro.VL_ITEM || 0,         // VL_ITEM
+                desconto: registro.VL_DESC || 0,          // VL_DESC
+                indMov: registro.IND_MOV || "",           // IND_MOV
+                cstIcms: registro.CST_ICMS || "",         // CST_ICMS
+                baseIcms: registro.VL_BC_ICMS || 0,       // VL_BC_ICMS
+                aliqIcms: registro.ALIQ_ICMS || 0,        // ALIQ_ICMS
+                valorIcms: registro.VL_ICMS || 0,         // VL_ICMS
                 
                 // Campos calculados
                 valorLiquido: 0,
                 baseCalculoDifal: 0,
-                ufOrigem: 'XX',  // UF genérica para forçar operação interestadual
-                aliqOrigemNota: parseFloat(campos[13]) || 0,  // Alíquota real do SPED para DIFAL
+                ufOrigem: 'XX',  // UF genérica até resolver o participante (0150)
+                fornecedor: null,
+                aliqOrigemNota: registro.ALIQ_ICMS || 0,  // Alíquota real do SPED para DIFAL
                 
-                // Debug info
-                camposOriginais: campos,
-                debug: {
-                    posicaoNCM: 2,
-                    ncmEncontrado: campos[2],
-                    codigoItem: campos[3]
-                }
+                // Documento fiscal de origem (C100 pai)
+                documento: this.documentoAtual
             };
 
+            if (this.documentoAtual) {
+                this.documentoAtual.totalItens++;
+                this.reconciliador.acumularItem(this.documentoAtual, registro);
+            } else {
+                console.warn(`⚠️ C170 na linha ${numeroLinha} sem C100 correspondente`);
+            }
+
             // Calcular valor líquido
             item.valorLiquido = item.valorItem - item.desconto;
             
             // Base de cálculo DIFAL = valor do item (líquido)
             item.baseCalculoDifal = item.valorLiquido;
 
-            // Adicionar à lista
-            this.itensDifal.push(item);
+            if (!this.encaminharItem(item)) {
+                return;
+            }
             
             // Log detalhado para debug
             if (this.itensDifal.length <= 5) {
@@ -336,6 +758,304 @@ class SpedParserModular {
         }
     }
 
+    /**
+     * Processa registro C190 (registro analítico do documento)
+     * Guarda os totais por CST/CFOP/alíquota para a conferência com os C170.
+     * Nas vendas próprias (sem C170 na escrituração), o C190 com CFOP 6107/6108
+     * vira item do DIFAL de saída
+     * @param {Array} campos - Campos do registro
+     * @param {number} numeroLinha - Número da linha no arquivo
+     */
+    processarRegistroC190(campos, numeroLinha) {
+        const documento = this.documentoAtual;
+        if (!documento) {
+            console.warn(`⚠️ C190 na linha ${numeroLinha} sem C100 correspondente`);
+            return;
+        }
+
+        const registro = this.decodificador.decodificar('C190', campos, numeroLinha);
+        this.reconciliador.registrarAnalitico(documento, registro, numeroLinha);
+
+        if (documento.totalItens > 0 || documento.indEmit !== '0') {
+            return;
+        }
+
+        const valorOperacao = registro.VL_OPR || 0;
+        const item = {
+            tipoRegistro: 'C190',
+            tipoItem: 'mercadoria',
+            linha: numeroLinha,
+            numItem: '',
+            codItem: `NF-${documento.numero || documento.id}-${registro.CFOP || ''}`,
+            descricaoItem: `Venda - NF ${documento.numero || documento.id} (CFOP ${registro.CFOP || ''})`,
+            ncm: 'N/A',
+            cfop: registro.CFOP || '',
+            unidade: '',
+            quantidade: 1,
+            valorItem: valorOperacao,
+            desconto: 0,
+            indMov: '',
+            cstIcms: registro.CST_ICMS || '',
+            baseIcms: registro.VL_BC_ICMS || 0,
+            aliqIcms: registro.ALIQ_ICMS || 0,
+            valorIcms: registro.VL_ICMS || 0,
+
+            // Campos calculados
+            valorLiquido: valorOperacao,
+            baseCalculoDifal: valorOperacao,
+            ufOrigem: 'XX',
+            fornecedor: null,
+            aliqOrigemNota: registro.ALIQ_ICMS || 0,
+
+            // Documento fiscal de origem (C100 pai)
+            documento
+        };
+
+        if (dependenciasParser.DifalFilterProfiles.isItemDifalSaida(item)) {
+            this.itensDifalSaida.push(item);
+        }
+    }
+
+    /**
+     * Processa registro D100 (conhecimento de transporte - CT-e)
+     * Mantém o documento corrente para vincular os D190 que vêm em seguida
+     * @param {Array} campos - Campos do registro
+     * @param {number} numeroLinha - Número da linha no arquivo
+     */
+    processarRegistroD100(campos, numeroLinha) {
+        const registro = this.decodificador.decodificar('D100', campos, numeroLinha);
+        const estadosUtil = dependenciasParser.EstadosUtil;
+        
+        const codMunOrigem = registro.COD_MUN_ORIG || '';
+        const codMunDestino = registro.COD_MUN_DEST || '';
+        
+        const documento = {
+            id: `cte_${this.documentosTransporte.length + 1}`,
+            tipoRegistro: 'D100',
+            linha: numeroLinha,
+            indOper: registro.IND_OPER || '',
+            indEmit: registro.IND_EMIT || '',
+            codPart: registro.COD_PART || '',
+            modelo: registro.COD_MOD || '',
+            codSit: registro.COD_SIT || '',
+            serie: registro.SER || '',
+            numero: registro.NUM_DOC || '',
+            chaveCte: registro.CHV_CTE || '',
+            dtDoc: registro.DT_DOC || '',
+            dtEntradaSaida: registro.DT_A_P || '',
+            valorDocumento: registro.VL_DOC || 0,
+            valorServico: registro.VL_SERV || 0,
+            codMunOrigem,
+            codMunDestino,
+            ufOrigemPrestacao: estadosUtil?.obterUFPorCodigoMunicipio(codMunOrigem) || '',
+            ufDestinoPrestacao: estadosUtil?.obterUFPorCodigoMunicipio(codMunDestino) || '',
+            totalItens: 0
+        };
+
+        this.documentosTransporte.push(documento);
+        this.documentoTransporteAtual = documento;
+    }
+
+    /**
+     * Processa registro D190 (registro analítico do CT-e)
+     * Cada D190 vira um item "serviço de transporte", selecionável para o
+     * cálculo junto com as mercadorias do C170
+     * @param {Array} campos - Campos do registro
+     * @param {number} numeroLinha - Número da linha no arquivo
+     */
+    processarRegistroD190(campos, numeroLinha) {
+        const documento = this.documentoTransporteAtual;
+        if (!documento) {
+            console.warn(`⚠️ D190 na linha ${numeroLinha} sem D100 correspondente`);
+            return;
+        }
+
+        const registro = this.decodificador.decodificar('D190', campos, numeroLinha);
+        documento.totalItens++;
+
+        const valorOperacao = registro.VL_OPR || 0;
+        const numeroCte = documento.numero || documento.id;
+
+        const item = {
+            tipoRegistro: 'D190',
+            tipoItem: 'servico-transporte',
+            linha: numeroLinha,
+            numItem: String(documento.totalItens),
+            codItem: `CTE-${numeroCte}-${documento.totalItens}`,
+            descricaoItem: `Serviço de transporte - CT-e ${numeroCte}`,
+            ncm: 'N/A',
+            cfop: registro.CFOP || '',
+            unidade: '',
+            quantidade: 1,
+            valorItem: valorOperacao,
+            desconto: 0,
+            indMov: '',
+            cstIcms: registro.CST_ICMS || '',
+            baseIcms: registro.VL_BC_ICMS || 0,
+            aliqIcms: registro.ALIQ_ICMS || 0,
+            valorIcms: registro.VL_ICMS || 0,
+
+            // Campos calculados
+            valorLiquido: valorOperacao,
+            baseCalculoDifal: valorOperacao,
+            ufOrigem: documento.ufOrigemPrestacao || 'XX', // Início da prestação; sem município, usa o 0150
+            municipioOrigem: documento.codMunOrigem,
+            municipioDestino: documento.codMunDestino,
+            fornecedor: null,
+            aliqOrigemNota: registro.ALIQ_ICMS || 0,
+
+            // Documento de transporte de origem (D100 pai)
+            documento
+        };
+
+        this.encaminharItem(item);
+    }
+
+    /**
+     * Encaminha o item lido: DIFAL de saída (venda própria a não contribuinte),
+     * descarte imediato em streaming ou lista de itens do DIFAL de entrada
+     * @param {Object} item - Item C170, C190 ou D190
+     * @returns {boolean} true se o item entrou na lista do DIFAL de entrada
+     */
+    encaminharItem(item) {
+        if (dependenciasParser.DifalFilterProfiles.isItemDifalSaida(item)) {
+            this.itensDifalSaida.push(item);
+            return false;
+        }
+
+        // Em streaming, descartar já na leitura o que o filtro DIFAL removeria
+        if (this.modoStreaming) {
+            const motivos = this.obterMotivosExclusao(item);
+            if (motivos.length > 0) {
+                this.registrarItemExcluido(item, motivos);
+                this.contadoresLinhas.itensDescartados++;
+                return false;
+            }
+        }
+
+        this.itensDifal.push(item);
+        return true;
+    }
+
+    /**
+     * Processa registro E300 (período de apuração DIFAL/FCP por UF)
+     * Os registros E310/E311/E316 seguintes pertencem a esta apuração
+     * @param {Array} campos - Campos do registro
+     * @param {number} numeroLinha - Número da linha no arquivo
+     */
+    processarRegistroE300(campos, numeroLinha) {
+        const registro = this.decodificador.decodificar('E300', campos, numeroLinha);
+
+        this.apuracoesDifal.push({
+            linha: numeroLinha,
+            uf: registro.UF || '',
+            dtInicio: registro.DT_INI || '',
+            dtFim: registro.DT_FIN || '',
+            saldos: null,
+            ajustes: [],
+            obrigacoes: []
+        });
+    }
+
+    /**
+     * Apuração E300 corrente (última lida)
+     * @private
+     * @param {string} tipoRegistro - Registro filho, para o aviso
+     * @param {number} numeroLinha - Número da linha no arquivo
+     * @returns {Object|null}
+     */
+    obterApuracaoDifalAtual(tipoRegistro, numeroLinha) {
+        const apuracao = this.apuracoesDifal[this.apuracoesDifal.length - 1];
+        if (!apuracao) {
+            console.warn(`⚠️ ${tipoRegistro} na linha ${numeroLinha} sem E300 correspondente`);
+            return null;
+        }
+        return apuracao;
+    }
+
+    /**
+     * Processa registro E310 (saldos da apuração DIFAL e FCP)
+     * @param {Array} campos - Campos do registro
+     * @param {number} numeroLinha - Número da linha no arquivo
+     */
+    processarRegistroE310(campos, numeroLinha) {
+        const apuracao = this.obterApuracaoDifalAtual('E310', numeroLinha);
+        if (!apuracao) return;
+
+        const registro = this.decodificador.decodificar('E310', campos, numeroLinha);
+
+        apuracao.saldos = {
+            linha: numeroLinha,
+            indMovimento: registro.IND_MOV_FCP_DIFAL || '',
+            difal: {
+                saldoCredorAnterior: registro.VL_SLD_CRED_ANT_DIFAL || 0,
+                totalDebitos: registro.VL_TOT_DEBITOS_DIFAL || 0,
+                outrosDebitos: registro.VL_OUT_DEB_DIFAL || 0,
+                totalCreditos: registro.VL_TOT_CREDITOS_DIFAL || 0,
+                outrosCreditos: registro.VL_OUT_CRED_DIFAL || 0,
+                saldoDevedorAnterior: registro.VL_SLD_DEV_ANT_DIFAL || 0,
+                deducoes: registro.VL_DEDUCOES_DIFAL || 0,
+                // Leiaute 2016: recolhimento e saldo credor únicos para DIFAL e FCP
+                valorRecolher: registro.VL_RECOL_DIFAL ?? registro.VL_RECOL ?? 0,
+                saldoCredorTransportar: registro.VL_SLD_CRED_TRANSPORTAR_DIFAL ?? registro.VL_SLD_CRED_TRANSPORTAR ?? 0,
+                debitosEspeciais: registro.DEB_ESP_DIFAL || 0
+            },
+            fcp: {
+                saldoCredorAnterior: registro.VL_SLD_CRED_ANT_FCP || 0,
+                totalDebitos: registro.VL_TOT_DEB_FCP || 0,
+                outrosDebitos: registro.VL_OUT_DEB_FCP || 0,
+                totalCreditos: registro.VL_TOT_CRED_FCP || 0,
+                outrosCreditos: registro.VL_OUT_CRED_FCP || 0,
+                saldoDevedorAnterior: registro.VL_SLD_DEV_ANT_FCP || 0,
+                deducoes: registro.VL_DEDUCOES_FCP || 0,
+                valorRecolher: registro.VL_RECOL_FCP || 0,
+                saldoCredorTransportar: registro.VL_SLD_CRED_TRANSPORTAR_FCP || 0,
+                debitosEspeciais: registro.DEB_ESP_FCP || 0
+            }
+        };
+    }
+
+    /**
+     * Processa registro E311 (ajustes da apuração DIFAL/FCP)
+     * @param {Array} campos - Campos do registro
+     * @param {number} numeroLinha - Número da linha no arquivo
+     */
+    processarRegistroE311(campos, numeroLinha) {
+        const apuracao = this.obterApuracaoDifalAtual('E311', numeroLinha);
+        if (!apuracao) return;
+
+        const registro = this.decodificador.decodificar('E311', campos, numeroLinha);
+
+        apuracao.ajustes.push({
+            linha: numeroLinha,
+            codigo: registro.COD_AJ_APUR || '',
+            descricao: registro.DESCR_COMPL_AJ || '',
+            valor: registro.VL_AJ_APUR || 0
+        });
+    }
+
+    /**
+     * Processa registro E316 (obrigações a recolher DIFAL/FCP)
+     * @param {Array} campos - Campos do registro
+     * @param {number} numeroLinha - Número da linha no arquivo
+     */
+    processarRegistroE316(campos, numeroLinha) {
+        const apuracao = this.obterApuracaoDifalAtual('E316', numeroLinha);
+        if (!apuracao) return;
+
+        const registro = this.decodificador.decodificar('E316', campos, numeroLinha);
+
+        apuracao.obrigacoes.push({
+            linha: numeroLinha,
+            codigoObrigacao: registro.COD_OR || '',
+            valor: registro.VL_OR || 0,
+            dtVencimento: registro.DT_VCTO || '',
+            codigoReceita: registro.COD_REC || '',
+            numeroProcesso: registro.NUM_PROC || '',
+            mesReferencia: registro.MES_REF || ''
+        });
+    }
+
     /**
      * Cria catálogo de produtos a partir dos registros 0200
      * CRÍTICO para análise C170+NCM (baseado na versão monolítica)
@@ -351,14 +1071,12 @@ class SpedParserModular {
             const registro = registros0200[i];
             try {
                 if (registro.campos && registro.campos.length >= 9) {
-                    const campos = registro.campos;
+                    const produto = this.decodificador.decodificar('0200', registro.campos, registro.linha);
                     
-                    // Layout 0200: ['REG', 'COD_ITEM', 'DESCR_ITEM', 'COD_BARRA', 'COD_ANT_ITEM', 'UNID_INV', 'TIPO_ITEM', 'COD_NCM', 'EX_IPI']
-                    //                0     1           2            3            4              5          6           7         8
-                    const codigoItem = campos[1] || "";     // COD_ITEM
-                    const descricao = campos[2] || "";      // DESCR_ITEM
-                    const tipoItem = campos[6] || "";       // TIPO_ITEM  
-                    const ncm = campos[7] || "";            // COD_NCM
+                    const codigoItem = produto.COD_ITEM || "";   // COD_ITEM
+                    const descricao = produto.DESCR_ITEM || "";  // DESCR_ITEM
+                    const tipoItem = produto.TIPO_ITEM || "";    // TIPO_ITEM  
+                    const ncm = produto.COD_NCM || "";           // COD_NCM
 
                     if (codigoItem && codigoItem.trim()) {
                         this.catalogoProdutos[codigoItem] = {
@@ -385,12 +1103,12 @@ class SpedParserModular {
     /**
      * Enriquece itens C170 com dados do catálogo 0200
      */
-    enriquecerItensComCatalogo() {
+    enriquecerItensComCatalogo(itens = this.itensDifal) {
         console.log('🔗 Enriquecendo itens C170 com dados do catálogo...');
         
         let enriquecidos = 0;
         
-        this.itensDifal.forEach(item => {
+        itens.forEach(item => {
             const catalogoItem = this.catalogoProdutos[item.codItem];
             if (catalogoItem) {
                 // Atualizar NCM com dados do catálogo
@@ -430,28 +1148,14 @@ class SpedParserModular {
         
         const itensOriginais = this.itensDifal.length;
         
-        // Filtrar apenas itens relevantes para DIFAL
+        // Filtrar apenas itens relevantes para DIFAL; os demais vão para o relatório de excluídos
         this.itensDifal = this.itensDifal.filter(item => {
-            // *** CORREÇÃO CRÍTICA: Usar filtro específico DIFAL como na versão monolítica ***
-            const cfop = item.cfop;
-            
-            // Verificar se é CFOP DIFAL usando EstadosUtil (como na versão monolítica)
-            const isCfopDifal = window.EstadosUtil && window.EstadosUtil.isCFOPDifal 
-                ? window.EstadosUtil.isCFOPDifal(cfop)
-                : false; // Fallback se EstadosUtil não disponível
-            
-            // Filtrar por valor mínimo
-            const temValor = item.baseCalculoDifal > 0;
-            
-            // Filtrar por situação tributária (não isentos/suspensos)
-            const cstValida = !['40', '41', '50', '51', '60', '90'].includes(item.cstIcms);
-            
-            // Debug do filtro
-            if (item.baseCalculoDifal > 0) { // Só loggar itens com valor para reduzir spam
-                console.log(`🔍 Filtro DIFAL - CFOP ${cfop}: DIFAL=${isCfopDifal}, Valor=${temValor}, CST=${cstValida}`);
+            const motivos = this.obterMotivosExclusao(item);
+            if (motivos.length > 0) {
+                this.registrarItemExcluido(item, motivos);
+                return false;
             }
-            
-            return isCfopDifal && temValor && cstValida;
+            return true;
         });
         
         // Enriquecer itens com dados calculados
@@ -460,6 +1164,8 @@ class SpedParserModular {
             
             // Determinar UF de destino automaticamente
             item.ufDestino = this.determinarUfDestino(item);
+            item.destinacao = dependenciasParser.EstadosUtil?.obterDestinacaoCFOP(item.cfop) || null;
+            item.situacaoDocumento = dependenciasParser.DifalFilterProfiles.classificarSituacaoDocumento(item.documento);
             
             // Adicionar informações de debug
             item.debug = {
@@ -467,37 +1173,86 @@ class SpedParserModular {
                 filtrado: true,
                 cfopValido: parseInt(item.cfop) >= 1000 && parseInt(item.cfop) <= 1999,
                 temValor: item.baseCalculoDifal > 0,
-                cstValida: !['40', '41', '50', '51', '60', '90'].includes(item.cstIcms)
+                cstValida: !dependenciasParser.DifalFilterProfiles.isCSTExcluido(this.filtroDifal, item.cstIcms)
             };
         });
         
-        console.log(`✅ Itens DIFAL processados: ${itensOriginais} → ${this.itensDifal.length} (filtrados)`);
+        console.log(`✅ Itens DIFAL processados: ${itensOriginais} → ${this.itensDifal.length} (${this.itensExcluidos.length} excluídos no total)`);
+
+        // DIFAL de saída: origem é a UF da empresa
+        this.itensDifalSaida.forEach((item, index) => {
+            item.id = `saida_${index + 1}`;
+            item.ufOrigem = this.dadosEmpresa?.uf || 'XX';
+            item.situacaoDocumento = dependenciasParser.DifalFilterProfiles.classificarSituacaoDocumento(item.documento);
+        });
+        if (this.itensDifalSaida.length > 0) {
+            console.log(`📤 DIFAL de saída: ${this.itensDifalSaida.length} item(ns) de vendas a não contribuinte (CFOP 6107/6108)`);
+        }
+
+        const extemporaneos = this.itensDifal.filter(item => item.situacaoDocumento.extemporaneo).length;
+        if (extemporaneos > 0) {
+            console.warn(`⏱️ ${extemporaneos} item(ns) DIFAL de documentos extemporâneos (COD_SIT 01/07): a competência real vem do DT_DOC`);
+        }
         
         // Log NCMs encontrados para debug
         const ncmsUnicos = [...new Set(this.itensDifal.map(item => item.ncm))];
         console.log(`📊 NCMs únicos encontrados (${ncmsUnicos.length}):`, ncmsUnicos.slice(0, 10));
     }
 
+    /**
+     * Verifica se o item entra no cálculo DIFAL (CFOP, valor e CST)
+     * @param {Object} item - Item C170 ou D190
+     * @returns {boolean}
+     */
+    isItemDifal(item) {
+        return this.obterMotivosExclusao(item).length === 0;
+    }
+
+    /**
+     * Motivos que deixam o item fora do cálculo DIFAL (lista vazia = item DIFAL)
+     * CFOPs e CSTs vêm do perfil de filtro aplicado ao arquivo (this.filtroDifal)
+     * @param {Object} item - Item C170 ou D190
+     * @returns {Array<string>} Códigos de MOTIVOS_EXCLUSAO_DIFAL (difal-filter-profiles.js)
+     */
+    obterMotivosExclusao(item) {
+        const motivos = dependenciasParser.DifalFilterProfiles.obterMotivosExclusao(this.filtroDifal, item);
+        
+        // Debug do filtro
+        if (item.baseCalculoDifal > 0 && !this.modoStreaming) { // Só loggar itens com valor para reduzir spam
+            console.log(`🔍 Filtro DIFAL - CFOP ${item.cfop}: ${motivos.length === 0 ? 'DIFAL' : motivos.join(', ')}`);
+        }
+        
+        return motivos;
+    }
+
+    /**
+     * Guarda o item excluído com os motivos
+     * @param {Object} item - Item C170 ou D190
+     * @param {Array<string>} motivos - Códigos de MOTIVOS_EXCLUSAO_DIFAL
+     */
+    registrarItemExcluido(item, motivos) {
+        this.itensExcluidos.push(dependenciasParser.DifalFilterProfiles.criarRegistroExclusao(item, motivos));
+    }
+
     /**
      * Determina UF de destino baseado na empresa
      */
     determinarUfDestino(item) {
-        return this.dadosEmpresa?.uf || 'SP'; // Default SP se não encontrado
+        return this.dadosEmpresa?.uf || 'XX'; // Estabelecimento do registro 0000
     }
 
     /**
      * Obtém estatísticas do processamento
      */
     obterEstatisticas() {
-        const tipos = Object.keys(this.registros);
-        const totalRegistros = tipos.reduce((sum, tipo) => sum + this.registros[tipo].length, 0);
+        // contagemRegistros inclui os tipos não retidos em modo streaming
+        const tipos = Object.keys(this.contagemRegistros);
+        const totalRegistros = tipos.reduce((sum, tipo) => sum + this.contagemRegistros[tipo], 0);
         
         return {
             tiposRegistros: tipos,
             totalRegistros,
-            registrosPorTipo: Object.fromEntries(
-                tipos.map(tipo => [tipo, this.registros[tipo].length])
-            ),
+            registrosPorTipo: { ...this.contagemRegistros },
             itensDifal: this.itensDifal.length,
             dadosEmpresa: this.dadosEmpresa
         };
@@ -518,11 +1273,19 @@ class SpedParserModular {
         }
         
         // Validar NCMs
-        const itensSemNCM = this.itensDifal.filter(item => !item.ncm || item.ncm === 'N/A').length;
+        const itensSemNCM = this.itensDifal.filter(item => 
+            item.tipoItem !== 'servico-transporte' && (!item.ncm || item.ncm === 'N/A')
+        ).length;
         if (itensSemNCM > 0) {
             erros.push(`${itensSemNCM} itens sem NCM definido`);
         }
         
+        // Problemas estruturais que impedem confiar no arquivo (avisos não bloqueiam)
+        const resumoEstrutura = this.validacaoEstrutura?.resumo;
+        if (resumoEstrutura && (resumoEstrutura.critico > 0 || resumoEstrutura.erro > 0)) {
+            erros.push(`Estrutura do arquivo: ${resumoEstrutura.critico} problema(s) crítico(s) e ${resumoEstrutura.erro} erro(s)`);
+        }
+        
         return {
             valido: erros.length === 0,
             erros
@@ -566,7 +1329,19 @@ class SpedParserModular {
     limpar() {
         this.dadosEmpresa = null;
         this.registros = {};
+        this.contagemRegistros = {};
         this.itensDifal = [];
+        this.itensExcluidos = [];
+        this.itensDifalSaida = [];
+        this.documentos = [];
+        this.documentoAtual = null;
+        this.documentosTransporte = [];
+        this.documentoTransporteAtual = null;
+        this.apuracoesDifal = [];
+        this.participantes = {};
+        this.validacaoEstrutura = null;
+        this.encodingDetectado = null;
+        this.modoStreaming = false;
         
         console.log('🧹 SPED Parser limpo');
     }
@@ -0,0 +1,210 @@
+/**
+ * SPED Reconciliation - Conferência C190 x C170 por documento
+ * Agrupa os itens C170 de cada documento (C100) por CST/CFOP/alíquota
+ * e compara com os registros analíticos C190. Diferenças indicam itens faltantes
+ * ou informados com valores errados.
+ *
+ * Campos comparados por combinação CST/CFOP/alíquota:
+ * - VL_BC_ICMS e VL_ICMS: soma direta dos C170
+ * - VL_OPR: VL_ITEM - VL_DESC + VL_ICMS_ST + VL_IPI dos C170; só é comparado quando
+ *   o C100 não tem frete, seguro ou outras despesas (rateadas apenas no C190)
+ *
+ * Documentos sem nenhum C170 (ex.: NF-e de emissão própria) não são conferidos.
+ */
+
+/**
+ * @class SpedReconciliation
+ * @classdesc Reconcilia totais analíticos (C190) com os itens (C170)
+ */
+class SpedReconciliation {
+    /**
+     * @constructor
+     * @param {Object} config - Configuração
+     * @param {number} config.tolerancia - Diferença aceita em R$ (arredondamentos)
+     */
+    constructor(config = {}) {
+        this.config = {
+            tolerancia: 0.01,
+            ...config
+        };
+    }
+
+    // ========== ACUMULAÇÃO (DURANTE O PARSING) ==========
+
+    /**
+     * Chave da combinação analítica CST/CFOP/alíquota
+     * @public
+     * @param {string} cst - CST_ICMS
+     * @param {string} cfop - CFOP
+     * @param {number|null} aliquota - ALIQ_ICMS
+     * @returns {string}
+     */
+    static chaveAnalitica(cst, cfop, aliquota) {
+        return `${cst || ''}|${cfop || ''}|${(aliquota || 0).toFixed(2)}`;
+    }
+
+    /**
+     * Soma um C170 decodificado nos totais do documento
+     * @public
+     * @param {Object} documento - Documento C100
+     * @param {Object} registro - C170 decodificado (SpedFieldDecoder)
+     */
+    acumularItem(documento, registro) {
+        const chave = SpedReconciliation.chaveAnalitica(registro.CST_ICMS, registro.CFOP, registro.ALIQ_ICMS);
+        const totais = documento.totaisC170 || (documento.totaisC170 = {});
+        const total = totais[chave] || (totais[chave] = { itens: 0, vlOpr: 0, vlBcIcms: 0, vlIcms: 0 });
+
+        total.itens++;
+        total.vlOpr += (registro.VL_ITEM || 0) - (registro.VL_DESC || 0) + (registro.VL_ICMS_ST || 0) + (registro.VL_IPI || 0);
+        total.vlBcIcms += registro.VL_BC_ICMS || 0;
+        total.vlIcms += registro.VL_ICMS || 0;
+    }
+
+    /**
+     * Registra um C190 decodificado no documento
+     * @public
+     * @param {Object} documento - Documento C100
+     * @param {Object} registro - C190 decodificado (SpedFieldDecoder)
+     * @param {number} numeroLinha - Linha do C190 no arquivo
+     */
+    registrarAnalitico(documento, registro, numeroLinha) {
+        const analiticos = documento.analiticosC190 || (documento.analiticosC190 = []);
+
+        analiticos.push({
+            chave: SpedReconciliation.chaveAnalitica(registro.CST_ICMS, registro.CFOP, registro.ALIQ_ICMS),
+            linha: numeroLinha,
+            cst: registro.CST_ICMS || '',
+            cfop: registro.CFOP || '',
+            aliquota: registro.ALIQ_ICMS || 0,
+            vlOpr: registro.VL_OPR || 0,
+            vlBcIcms: registro.VL_BC_ICMS || 0,
+            vlIcms: registro.VL_ICMS || 0
+        });
+    }
+
+    // ========== RECONCILIAÇÃO ==========
+
+    /**
+     * Compara C190 x C170 de todos os documentos
+     * @public
+     * @param {Array<Object>} documentos - Documentos C100 com totais acumulados
+     * @returns {{divergencias: Array<Object>, resumo: Object}}
+     */
+    reconciliar(documentos) {
+        const divergencias = [];
+        let documentosVerificados = 0;
+        let documentosSemItens = 0;
+        const documentosDivergentes = new Set();
+
+        documentos.forEach(documento => {
+            const analiticos = documento.analiticosC190 || [];
+            const totais = documento.totaisC170 || {};
+
+            if (analiticos.length === 0 && Object.keys(totais).length === 0) {
+                return;
+            }
+            if (Object.keys(totais).length === 0) {
+                documentosSemItens++;
+                return;
+            }
+
+            documentosVerificados++;
+            const divergenciasDocumento = this.reconciliarDocumento(documento, analiticos, totais);
+
+            if (divergenciasDocumento.length > 0) {
+                documentosDivergentes.add(documento.id);
+                divergencias.push(...divergenciasDocumento);
+            }
+        });
+
+        const resumo = {
+            documentosVerificados,
+            documentosSemItens,
+            documentosDivergentes: documentosDivergentes.size,
+            totalDivergencias: divergencias.length,
+            tolerancia: this.config.tolerancia
+        };
+
+        console.log(`🧮 Reconciliação C190 x C170: ${resumo.documentosDivergentes}/${documentosVerificados} documentos com divergência`);
+
+        return { divergencias, resumo };
+    }
+
+    /**
+     * Compara as combinações analíticas de um documento
+     * @private
+     * @param {Object} documento - Documento C100
+     * @param {Array<Object>} analiticos - Registros C190 do documento
+     * @param {Object} totais - Totais C170 por chave analítica
+     * @returns {Array<Object>} Divergências do documento
+     */
+    reconciliarDocumento(documento, analiticos, totais) {
+        const divergencias = [];
+        const chavesC190 = new Set();
+        const compararOperacao = !(documento.despesasAcessorias > 0);
+
+        analiticos.forEach(analitico => {
+            chavesC190.add(analitico.chave);
+            const total = totais[analitico.chave];
+
+            if (!total) {
+                divergencias.push(this.criarDivergencia(documento, analitico, 'sem-c170', 'VL_OPR', analitico.vlOpr, 0));
+                return;
+            }
+
+            const campos = [
+                ['VL_BC_ICMS', analitico.vlBcIcms, total.vlBcIcms],
+                ['VL_ICMS', analitico.vlIcms, total.vlIcms]
+            ];
+            if (compararOperacao) {
+                campos.unshift(['VL_OPR', analitico.vlOpr, total.vlOpr]);
+            }
+
+            campos.forEach(([campo, esperado, encontrado]) => {
+                if (Math.abs(encontrado - esperado) > this.config.tolerancia) {
+                    divergencias.push(this.criarDivergencia(documento, analitico, 'valor', campo, esperado, encontrado));
+                }
+            });
+        });
+
+        // Combinações presentes nos itens sem o C190 correspondente
+        Object.entries(totais).forEach(([chave, total]) => {
+            if (chavesC190.has(chave)) return;
+
+            const [cst, cfop, aliquota] = chave.split('|');
+            const analitico = { chave, linha: null, cst, cfop, aliquota: parseFloat(aliquota) };
+            divergencias.push(this.criarDivergencia(documento, analitico, 'sem-c190', 'VL_OPR', 0, total.vlOpr));
+        });
+
+        return divergencias;
+    }
+
+    /**
+     * Monta o registro de divergência
+     * @private
+     */
+    criarDivergencia(documento, analitico, tipo, campo, esperado, encontrado) {
+        return {
+            tipo,
+            documento,
+            linhaC190: analitico.linha,
+            cst: analitico.cst,
+            cfop: analitico.cfop,
+            aliquota: analitico.aliquota,
+            campo,
+            esperado: Math.round(esperado * 100) / 100,
+            encontrado: Math.round(encontrado * 100) / 100,
+            diferenca: Math.round((encontrado - esperado) * 100) / 100
+        };
+    }
+}
+
+// Expor globalmente para compatibilidade
+if (typeof window !== 'undefined') {
+    window.SpedReconciliation = SpedReconciliation;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpedReconciliation;
+}
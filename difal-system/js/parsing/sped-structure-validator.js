@@ -0,0 +1,392 @@
+/**
+ * SPED Structure Validator - Integridade estrutural do arquivo EFD
+ * Acompanha as linhas durante o parsing (inclusive em streaming) e,
+ * ao final, lista os problemas estruturais ordenados por severidade:
+ * - hierarquia: registros filhos sem o pai (ex.: C170 sem C100, E310 sem E300)
+ * - 9900: quantidade declarada por registro x quantidade encontrada
+ * - 9999: total de linhas declarado x linhas do arquivo
+ * - 0000: campos obrigatórios
+ * - datas: período do 0000 e datas de documentos/apurações fora do período
+ */
+
+const SEVERIDADES_ESTRUTURA = Object.freeze({
+    CRITICO: 'critico',
+    ERRO: 'erro',
+    AVISO: 'aviso'
+});
+
+// Ordem de gravidade: ao atingir o limite de ocorrências, as menos graves dão lugar às mais graves
+const ORDEM_SEVERIDADES = Object.freeze([
+    SEVERIDADES_ESTRUTURA.CRITICO,
+    SEVERIDADES_ESTRUTURA.ERRO,
+    SEVERIDADES_ESTRUTURA.AVISO
+]);
+
+/**
+ * Registro pai exigido para cada registro filho validado
+ * Um pai continua "aberto" enquanto as linhas seguintes pertencem à sua família
+ * (mesmo prefixo do código sem os zeros finais: C100 → C1xx, E310 → E31x)
+ */
+const HIERARQUIA_SPED = Object.freeze({
+    'C170': 'C100',
+    'C190': 'C100',
+    'D190': 'D100',
+    'E310': 'E300',
+    'E311': 'E310',
+    'E316': 'E310'
+});
+
+const CAMPOS_OBRIGATORIOS_0000 = Object.freeze([
+    'COD_VER', 'COD_FIN', 'DT_INI', 'DT_FIN', 'NOME', 'UF', 'IE', 'COD_MUN', 'IND_PERFIL', 'IND_ATIV'
+]);
+
+/**
+ * @class SpedStructureValidator
+ * @classdesc Valida hierarquia, contadores e campos estruturais do SPED
+ */
+class SpedStructureValidator {
+    /**
+     * @constructor
+     * @param {Object} layouts - Layouts por tipo de registro (padrão: SPED_LAYOUTS)
+     */
+    constructor(layouts = null) {
+        this.layouts = layouts || SpedStructureValidator.obterLayoutsPadrao();
+
+        this.config = {
+            maxProblemas: 500 // Limite de ocorrências detalhadas
+        };
+
+        this.limpar();
+    }
+
+    /**
+     * Layouts padrão: global no navegador/worker, require em Node
+     * @private
+     * @returns {Object} Layouts por tipo de registro
+     */
+    static obterLayoutsPadrao() {
+        const escopo = typeof window !== 'undefined' ? window : globalThis;
+        if (escopo.SPED_LAYOUTS) {
+            return escopo.SPED_LAYOUTS;
+        }
+        if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+            return require('./sped-layouts.js').SPED_LAYOUTS;
+        }
+        return {};
+    }
+
+    /**
+     * Reinicia o estado (um por arquivo)
+     * @public
+     */
+    limpar() {
+        this.problemas = [];
+        this.totalProblemas = 0;
+        this.totalPorSeveridade = Object.fromEntries(ORDEM_SEVERIDADES.map(severidade => [severidade, 0]));
+        this.totalRegistros = 0;
+        this.contagem = {};
+        this.paisAbertos = {};
+        this.registros9900 = [];
+        this.registro9999 = null;
+        this.periodo = null;
+    }
+
+    // ========== ACOMPANHAMENTO LINHA A LINHA ==========
+
+    /**
+     * Registra um registro lido do arquivo
+     * @public
+     * @param {string} tipoRegistro - Tipo do registro (campos[0])
+     * @param {Array<string>} campos - Campos brutos
+     * @param {number} numeroLinha - Número da linha no arquivo
+     */
+    registrar(tipoRegistro, campos, numeroLinha) {
+        this.totalRegistros++;
+        this.contagem[tipoRegistro] = (this.contagem[tipoRegistro] || 0) + 1;
+
+        if (this.totalRegistros === 1 && tipoRegistro !== '0000') {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.CRITICO, 'ABERTURA',
+                `Primeiro registro deveria ser 0000, encontrado ${tipoRegistro}`, numeroLinha, tipoRegistro);
+        }
+
+        this.validarHierarquia(tipoRegistro, numeroLinha);
+
+        switch (tipoRegistro) {
+            case '0000':
+                this.validarRegistro0000(campos, numeroLinha);
+                break;
+            case 'C100':
+                this.validarDataNoPeriodo('C100', campos, 'DT_DOC', numeroLinha, true);
+                this.validarDataNoPeriodo('C100', campos, 'DT_E_S', numeroLinha, false);
+                break;
+            case 'D100':
+                this.validarDataNoPeriodo('D100', campos, 'DT_DOC', numeroLinha, true);
+                break;
+            case 'E300':
+                this.validarDataNoPeriodo('E300', campos, 'DT_INI', numeroLinha, false);
+                this.validarDataNoPeriodo('E300', campos, 'DT_FIN', numeroLinha, false);
+                break;
+            case '9900':
+                this.registros9900.push({
+                    linha: numeroLinha,
+                    registro: this.obterCampo('9900', campos, 'REG_BLC'),
+                    quantidade: parseInt(this.obterCampo('9900', campos, 'QTD_REG_BLC'), 10)
+                });
+                break;
+            case '9999':
+                this.registro9999 = {
+                    linha: numeroLinha,
+                    quantidade: parseInt(this.obterCampo('9999', campos, 'QTD_LIN'), 10)
+                };
+                break;
+        }
+    }
+
+    /**
+     * Verifica se o registro filho está sob o pai correspondente
+     * @private
+     */
+    validarHierarquia(tipoRegistro, numeroLinha) {
+        // Fechar pais cuja família terminou
+        Object.keys(this.paisAbertos).forEach(pai => {
+            if (!tipoRegistro.startsWith(SpedStructureValidator.familia(pai))) {
+                delete this.paisAbertos[pai];
+            }
+        });
+
+        const paiExigido = HIERARQUIA_SPED[tipoRegistro];
+        if (paiExigido && !this.paisAbertos[paiExigido]) {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.ERRO, 'HIERARQUIA',
+                `Registro ${tipoRegistro} sem registro pai ${paiExigido}`, numeroLinha, tipoRegistro);
+        }
+
+        if (Object.values(HIERARQUIA_SPED).includes(tipoRegistro)) {
+            this.paisAbertos[tipoRegistro] = numeroLinha;
+        }
+    }
+
+    /**
+     * Família de registros de um pai (código sem os zeros finais)
+     * @private
+     * @param {string} tipoRegistro - Ex.: 'C100'
+     * @returns {string} Ex.: 'C1'
+     */
+    static familia(tipoRegistro) {
+        return tipoRegistro.replace(/0+$/, '');
+    }
+
+    /**
+     * Campos obrigatórios e consistência do período no 0000
+     * @private
+     */
+    validarRegistro0000(campos, numeroLinha) {
+        CAMPOS_OBRIGATORIOS_0000.forEach(nome => {
+            if (!this.obterCampo('0000', campos, nome)) {
+                this.adicionarProblema(SEVERIDADES_ESTRUTURA.ERRO, 'CAMPO_OBRIGATORIO',
+                    `Campo obrigatório ${nome} não informado no registro 0000`, numeroLinha, '0000');
+            }
+        });
+
+        if (!this.obterCampo('0000', campos, 'CNPJ') && !this.obterCampo('0000', campos, 'CPF')) {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.ERRO, 'CAMPO_OBRIGATORIO',
+                'Registro 0000 sem CNPJ nem CPF', numeroLinha, '0000');
+        }
+
+        const inicio = SpedStructureValidator.converterData(this.obterCampo('0000', campos, 'DT_INI'));
+        const fim = SpedStructureValidator.converterData(this.obterCampo('0000', campos, 'DT_FIN'));
+
+        if (!inicio || !fim) {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.CRITICO, 'PERIODO',
+                'Período do registro 0000 (DT_INI/DT_FIN) inválido', numeroLinha, '0000');
+            return;
+        }
+
+        if (inicio > fim) {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.CRITICO, 'PERIODO',
+                'DT_INI posterior a DT_FIN no registro 0000', numeroLinha, '0000');
+        } else if (inicio.getMonth() !== fim.getMonth() || inicio.getFullYear() !== fim.getFullYear()) {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.AVISO, 'PERIODO',
+                'Período do registro 0000 abrange mais de um mês', numeroLinha, '0000');
+        }
+
+        this.periodo = { inicio, fim };
+    }
+
+    /**
+     * Verifica se a data do registro está dentro do período do 0000
+     * @private
+     * @param {string} tipoRegistro - Registro
+     * @param {Array<string>} campos - Campos brutos
+     * @param {string} nomeCampo - Campo de data
+     * @param {number} numeroLinha - Linha
+     * @param {boolean} apenasPosterior - True para aceitar datas anteriores ao período
+     */
+    validarDataNoPeriodo(tipoRegistro, campos, nomeCampo, numeroLinha, apenasPosterior) {
+        if (!this.periodo) return;
+
+        const data = SpedStructureValidator.converterData(this.obterCampo(tipoRegistro, campos, nomeCampo));
+        if (!data) return; // Ausência/formato já tratados pelo decodificador
+
+        const posterior = data > this.periodo.fim;
+        const anterior = !apenasPosterior && data < this.periodo.inicio;
+
+        if (posterior || anterior) {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.AVISO, 'DATA_FORA_PERIODO',
+                `${nomeCampo} do registro ${tipoRegistro} fora do período do arquivo`, numeroLinha, tipoRegistro);
+        }
+    }
+
+    // ========== VERIFICAÇÕES FINAIS ==========
+
+    /**
+     * Conclui a validação (contadores 9900/9999 e abertura)
+     * @public
+     * @returns {{valido: boolean, problemas: Array<Object>, resumo: Object}}
+     */
+    finalizar() {
+        if (!this.contagem['0000']) {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.CRITICO, 'ABERTURA',
+                'Registro 0000 (abertura do arquivo) não encontrado', null, '0000');
+        }
+
+        this.validarContadores9900();
+        this.validarTotal9999();
+
+        const problemas = [...this.problemas].sort((a, b) =>
+            ORDEM_SEVERIDADES.indexOf(a.severidade) - ORDEM_SEVERIDADES.indexOf(b.severidade) || (a.linha || 0) - (b.linha || 0)
+        );
+
+        // Contadores de todas as ocorrências, inclusive as que não couberam na lista detalhada
+        const resumo = {
+            critico: this.totalPorSeveridade[SEVERIDADES_ESTRUTURA.CRITICO],
+            erro: this.totalPorSeveridade[SEVERIDADES_ESTRUTURA.ERRO],
+            aviso: this.totalPorSeveridade[SEVERIDADES_ESTRUTURA.AVISO],
+            total: this.totalProblemas,
+            truncado: this.totalProblemas > this.problemas.length
+        };
+
+        console.log(`🧱 Validação estrutural: ${resumo.critico} críticos, ${resumo.erro} erros, ${resumo.aviso} avisos`);
+
+        return {
+            valido: resumo.critico === 0 && resumo.erro === 0,
+            problemas,
+            resumo
+        };
+    }
+
+    /**
+     * Compara a quantidade declarada em cada 9900 com a encontrada
+     * @private
+     */
+    validarContadores9900() {
+        if (this.registros9900.length === 0) {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.ERRO, 'CONTADOR_9900',
+                'Arquivo sem registros 9900 (totalização por registro)', null, '9900');
+            return;
+        }
+
+        const declarados = new Set();
+
+        this.registros9900.forEach(({ linha, registro, quantidade }) => {
+            declarados.add(registro);
+            const encontrados = this.contagem[registro] || 0;
+
+            if (quantidade !== encontrados) {
+                this.adicionarProblema(SEVERIDADES_ESTRUTURA.ERRO, 'CONTADOR_9900',
+                    `9900 declara ${isNaN(quantidade) ? 'quantidade inválida' : quantidade} registro(s) ${registro}, encontrado(s) ${encontrados}`,
+                    linha, '9900');
+            }
+        });
+
+        Object.keys(this.contagem)
+            .filter(registro => !declarados.has(registro))
+            .forEach(registro => {
+                this.adicionarProblema(SEVERIDADES_ESTRUTURA.ERRO, 'CONTADOR_9900',
+                    `Registro ${registro} (${this.contagem[registro]} ocorrência(s)) sem totalização no 9900`, null, registro);
+            });
+    }
+
+    /**
+     * Compara o total de linhas do 9999 com os registros lidos
+     * @private
+     */
+    validarTotal9999() {
+        if (!this.registro9999) {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.CRITICO, 'TOTAL_9999',
+                'Registro 9999 (encerramento do arquivo) não encontrado', null, '9999');
+            return;
+        }
+
+        if (this.registro9999.quantidade !== this.totalRegistros) {
+            this.adicionarProblema(SEVERIDADES_ESTRUTURA.ERRO, 'TOTAL_9999',
+                `9999 declara ${this.registro9999.quantidade} linhas, arquivo tem ${this.totalRegistros}`,
+                this.registro9999.linha, '9999');
+        }
+    }
+
+    // ========== AUXILIARES ==========
+
+    /**
+     * Valor bruto de um campo pelo nome, via layout
+     * @private
+     * @returns {string}
+     */
+    obterCampo(tipoRegistro, campos, nome) {
+        const campo = (this.layouts[tipoRegistro] || []).find(c => c.nome === nome);
+        return campo ? (campos[campo.posicao] || '').trim() : '';
+    }
+
+    /**
+     * Converte DDMMAAAA em Date (null se inválida)
+     * @private
+     * @param {string} texto - Data DDMMAAAA
+     * @returns {Date|null}
+     */
+    static converterData(texto) {
+        if (!/^\d{8}$/.test(texto || '')) return null;
+
+        const dia = parseInt(texto.substring(0, 2), 10);
+        const mes = parseInt(texto.substring(2, 4), 10);
+        const ano = parseInt(texto.substring(4, 8), 10);
+        const data = new Date(ano, mes - 1, dia);
+
+        return data.getDate() === dia && data.getMonth() === mes - 1 ? data : null;
+    }
+
+    /**
+     * Registra um problema. Todos entram nos contadores por severidade; a lista detalhada
+     * guarda até maxProblemas e, cheia, troca o último aviso (ou erro) por um problema mais grave
+     * @private
+     */
+    adicionarProblema(severidade, codigo, mensagem, linha, registro) {
+        this.totalProblemas++;
+        this.totalPorSeveridade[severidade]++;
+
+        const problema = { severidade, codigo, mensagem, linha, registro };
+        if (this.problemas.length < this.config.maxProblemas) {
+            this.problemas.push(problema);
+            return;
+        }
+
+        const gravidade = ORDEM_SEVERIDADES.indexOf(severidade);
+        for (let menosGrave = ORDEM_SEVERIDADES.length - 1; menosGrave > gravidade; menosGrave--) {
+            const indice = this.problemas.map(p => p.severidade).lastIndexOf(ORDEM_SEVERIDADES[menosGrave]);
+            if (indice !== -1) {
+                this.problemas.splice(indice, 1);
+                this.problemas.push(problema);
+                return;
+            }
+        }
+    }
+}
+
+// Expor globalmente para compatibilidade
+if (typeof window !== 'undefined') {
+    window.SEVERIDADES_ESTRUTURA = SEVERIDADES_ESTRUTURA;
+    window.SpedStructureValidator = SpedStructureValidator;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpedStructureValidator;
+}
@@ -0,0 +1,163 @@
+/**
+ * SPED Worker Client - Ponte entre a thread principal e o worker de parsing
+ * Envia o arquivo ao sped-parser-worker.js, repassa os eventos de
+ * progresso ao EventBus da aplicação e permite cancelar o parsing em andamento.
+ * Cada arquivo usa um worker novo, encerrado ao final ou no cancelamento.
+ */
+
+/**
+ * @class SpedWorkerClient
+ * @classdesc Executa o parsing SPED em Web Worker dedicado
+ */
+class SpedWorkerClient {
+    /**
+     * @constructor
+     * @param {EventBus} eventBus - Barramento que recebe os eventos do parser
+     * @param {string} scriptUrl - Caminho do script do worker (relativo à página)
+     */
+    constructor(eventBus, scriptUrl = 'js/parsing/sped-parser-worker.js') {
+        this.eventBus = eventBus;
+        this.scriptUrl = scriptUrl;
+
+        this.worker = null;
+        this.pendente = null; // { resolve, reject } do parsing em andamento
+    }
+
+    /**
+     * Verifica se o ambiente permite Web Workers
+     * Páginas abertas via file:// não conseguem carregar o script do worker
+     * @public
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof location !== 'undefined' &&
+            location.protocol !== 'file:';
+    }
+
+    /**
+     * Processa o arquivo no worker
+     * Erros do parsing chegam com name 'SpedParseError'; os demais indicam que o worker
+     * não pôde ser criado ou carregado
+     * @public
+     * @param {File} file - Arquivo SPED
+     * @param {Object} opcoes - Opções repassadas a SpedParserModular.processarArquivo
+     * @returns {Promise<Object>} Mesmo resultado de SpedParserModular.processarArquivo
+     */
+    processarArquivo(file, opcoes = {}) {
+        if (this.pendente) {
+            return Promise.reject(new Error('Já existe um arquivo em processamento'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendente = { resolve, reject };
+
+            try {
+                this.worker = new Worker(this.scriptUrl);
+            } catch (error) {
+                this.finalizar();
+                reject(error);
+                return;
+            }
+
+            this.worker.onmessage = (event) => this.tratarMensagem(event.data);
+
+            // Erro de carga do script (ex.: importScripts falhou)
+            this.worker.onerror = (event) => {
+                event.preventDefault?.();
+                this.rejeitar(new Error(event.message || 'Falha ao executar o worker de parsing'));
+            };
+
+            this.worker.postMessage({ tipo: 'processar', file, opcoes });
+        });
+    }
+
+    /**
+     * Cancela o parsing em andamento
+     * A promise pendente é rejeitada com erro de nome 'AbortError'
+     * @public
+     * @returns {boolean} true se havia parsing em andamento
+     */
+    cancelar() {
+        if (!this.pendente) {
+            return false;
+        }
+
+        const erro = new Error('Processamento cancelado pelo usuário');
+        erro.name = 'AbortError';
+        this.rejeitar(erro);
+
+        console.log('⏹️ Parsing SPED cancelado');
+        return true;
+    }
+
+    /**
+     * Indica se há parsing em andamento
+     * @public
+     * @returns {boolean}
+     */
+    isProcessando() {
+        return this.pendente !== null;
+    }
+
+    // ========== MENSAGENS ==========
+
+    /**
+     * Trata mensagem recebida do worker
+     * @private
+     * @param {Object} mensagem - { tipo, ... }
+     */
+    tratarMensagem(mensagem) {
+        switch (mensagem?.tipo) {
+            case 'evento':
+                this.eventBus?.emit(mensagem.evento, mensagem.dados);
+                break;
+            case 'resultado': {
+                const { resolve } = this.pendente || {};
+                this.finalizar();
+                resolve?.(mensagem.resultado);
+                break;
+            }
+            case 'erro': {
+                // Falha do próprio arquivo: repetir na thread principal daria o mesmo erro
+                const erro = new Error(mensagem.mensagem);
+                erro.name = 'SpedParseError';
+                this.rejeitar(erro);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Rejeita a promise pendente e encerra o worker
+     * @private
+     * @param {Error} erro
+     */
+    rejeitar(erro) {
+        const { reject } = this.pendente || {};
+        this.finalizar();
+        reject?.(erro);
+    }
+
+    /**
+     * Encerra o worker e limpa o estado
+     * @private
+     */
+    finalizar() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pendente = null;
+    }
+}
+
+// Expor globalmente para compatibilidade
+if (typeof window !== 'undefined') {
+    window.SpedWorkerClient = SpedWorkerClient;
+}
+
+// Exportar classe para uso se necessário
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpedWorkerClient;
+}
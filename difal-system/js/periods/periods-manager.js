@@ -27,7 +27,9 @@ class PeriodsManager {
         this.config = {
             maxPeriods: 12, // Máximo 12 períodos por empresa
             requiredSameCNPJ: true,
-            allowOverlapPeriods: false
+            allowOverlapPeriods: false,
+            // Itens de documentos extemporâneos (COD_SIT 01/07) no período do DT_DOC, se carregado
+            allocateExtemporaneousToOriginalPeriod: false
         };
         
         // Estado interno
@@ -110,8 +112,14 @@ class PeriodsManager {
                 dados: {
                     itensDifal: spedData.itensDifal || [],
                     registros: spedData.registros || {},
+                    documentos: spedData.documentos || [],
+                    documentosTransporte: spedData.documentosTransporte || [],
+                    apuracoesDifal: spedData.apuracoesDifal || [],
+                    itensExcluidos: spedData.itensExcluidos || [],
+                    itensDifalSaida: spedData.itensDifalSaida || [],
                     catalogoProdutos: spedData.catalogoProdutos || {}
                 },
+                filtroDifal: spedData.filtroDifal || null,
                 adicionadoEm: new Date(),
                 processado: false // Será true após cálculo DIFAL
             };
@@ -211,13 +219,18 @@ class PeriodsManager {
     getConsolidatedItems() {
         const allItems = [];
         
-        for (const [periodId, periodData] of this.periods) {
-            const items = periodData.dados.itensDifal.map(item => ({
-                ...item,
-                _periodId: periodId,
-                _periodo: periodData.periodo.label,
-                _fileName: periodData.fileName
-            }));
+        for (const periodData of this.periods.values()) {
+            const items = periodData.dados.itensDifal.map(item => {
+                const destino = this.resolveItemPeriod(item, periodData);
+                return {
+                    ...item,
+                    _periodId: destino.id,
+                    _periodo: destino.periodo.label,
+                    _fileName: periodData.fileName,
+                    // Período em que o documento foi escriturado, quando realocado
+                    ...(destino !== periodData && { _periodoEscrituracao: periodData.periodo.label })
+                };
+            });
             
             allItems.push(...items);
         }
@@ -226,6 +239,52 @@ class PeriodsManager {
         return allItems;
     }
 
+    /**
+     * Define se os itens de documentos extemporâneos (COD_SIT 01/07) vão para
+     * o período da data do documento (DT_DOC) em vez do período do arquivo
+     * Sem o período original carregado, o item permanece no período do arquivo
+     * @param {boolean} enabled - Alocar no período original
+     */
+    setExtemporaneousAllocation(enabled) {
+        this.config.allocateExtemporaneousToOriginalPeriod = Boolean(enabled);
+        this.updateStateManager();
+        
+        this.eventBus?.emit('EXTEMPORANEOUS_ALLOCATION_CHANGED', {
+            enabled: this.config.allocateExtemporaneousToOriginalPeriod,
+            summary: this.getExtemporaneousSummary()
+        });
+        
+        console.log(`⏱️ Documentos extemporâneos: ${enabled ? 'alocados no período original' : 'mantidos no período do arquivo'}`);
+    }
+
+    /**
+     * Resumo dos itens DIFAL de documentos extemporâneos
+     * @returns {Object} { total, comPeriodoOriginal, semPeriodoOriginal, alocacaoAtiva }
+     */
+    getExtemporaneousSummary() {
+        let total = 0;
+        let comPeriodoOriginal = 0;
+        
+        for (const periodData of this.periods.values()) {
+            periodData.dados.itensDifal.forEach(item => {
+                if (!item.situacaoDocumento?.extemporaneo) return;
+                
+                total++;
+                const original = this.findPeriodByDate(item.situacaoDocumento.dataDocumento);
+                if (original && original !== periodData) {
+                    comPeriodoOriginal++;
+                }
+            });
+        }
+        
+        return {
+            total,
+            comPeriodoOriginal,
+            semPeriodoOriginal: total - comPeriodoOriginal,
+            alocacaoAtiva: this.config.allocateExtemporaneousToOriginalPeriod
+        };
+    }
+
     /**
      * Obtém dados SPED consolidados (formato compatível com single-period)
      * @returns {Object|null} Dados consolidados no formato SPED tradicional
@@ -246,6 +305,23 @@ class PeriodsManager {
             Object.assign(consolidatedCatalog, periodData.dados.catalogoProdutos || {});
         }
         
+        // Consolidar documentos fiscais (C100) e de transporte (D100)
+        const allDocuments = Array.from(this.periods.values())
+            .flatMap(periodData => periodData.dados.documentos || []);
+        const allTransportDocuments = Array.from(this.periods.values())
+            .flatMap(periodData => periodData.dados.documentosTransporte || []);
+        const allDifalApurations = Array.from(this.periods.values())
+            .flatMap(periodData => (periodData.dados.apuracoesDifal || []).map(apuracao => ({
+                ...apuracao,
+                _periodo: periodData.periodo.label
+            })));
+        const allOutgoingItems = Array.from(this.periods.values())
+            .flatMap(periodData => (periodData.dados.itensDifalSaida || []).map(item => ({
+                ...item,
+                _periodId: periodData.id,
+                _periodo: periodData.periodo.label
+            })));
+        
         // Período consolidado
         const sortedPeriods = Array.from(this.periods.values()).sort((a, b) => {
             const dateA = new Date(a.periodo.inicioDate);
@@ -256,6 +332,13 @@ class PeriodsManager {
         const firstPeriod = sortedPeriods[0];
         const lastPeriod = sortedPeriods[sortedPeriods.length - 1];
         
+        // Filtro DIFAL de cada período; o comum só existe se todos os períodos usaram o mesmo perfil
+        const filtersByPeriod = sortedPeriods.map(periodData => ({
+            periodo: periodData.periodo.label,
+            filtroDifal: periodData.filtroDifal || null
+        }));
+        const sameFilter = new Set(filtersByPeriod.map(entry => JSON.stringify(entry.filtroDifal))).size === 1;
+        
         // Estrutura consolidada idêntica ao single-period
         const consolidatedData = {
             dadosEmpresa: {
@@ -264,8 +347,14 @@ class PeriodsManager {
                 dtFim: lastPeriod.periodo.fim
             },
             itensDifal: allItems,
+            documentos: allDocuments,
+            documentosTransporte: allTransportDocuments,
+            apuracoesDifal: allDifalApurations,
+            itensDifalSaida: allOutgoingItems,
             catalogoProdutos: consolidatedCatalog,
             periodoApuracao: `${firstPeriod.periodo.label} a ${lastPeriod.periodo.label}`,
+            filtroDifal: sameFilter ? firstPeriod.filtroDifal || null : null,
+            filtrosDifalPorPeriodo: filtersByPeriod,
             estatisticasDifal: {
                 totalItens: allItems.length,
                 totalPeriodos: this.periods.size,
@@ -322,6 +411,7 @@ class PeriodsManager {
             ncmsUnicos: ncmsSet.size,
             cfopsUnicos: cfopsSet.size,
             periodos: periodos.sort((a, b) => a.label.localeCompare(b.label)),
+            extemporaneos: this.getExtemporaneousSummary(),
             empresa: this.currentCompany
         };
     }
@@ -364,6 +454,39 @@ class PeriodsManager {
         return `${formatDate(inicio)} a ${formatDate(fim)}`;
     }
 
+    /**
+     * Período em que o item entra na consolidação
+     * @private
+     * @param {Object} item - Item DIFAL
+     * @param {Object} periodData - Período do arquivo de origem
+     * @returns {Object} Período de destino
+     */
+    resolveItemPeriod(item, periodData) {
+        if (!this.config.allocateExtemporaneousToOriginalPeriod || !item.situacaoDocumento?.extemporaneo) {
+            return periodData;
+        }
+        
+        return this.findPeriodByDate(item.situacaoDocumento.dataDocumento) || periodData;
+    }
+
+    /**
+     * Período carregado que contém a data
+     * @private
+     * @param {string} dateString - Data DDMMAAAA
+     * @returns {Object|null}
+     */
+    findPeriodByDate(dateString) {
+        if (!/^\d{8}$/.test(dateString || '')) return null;
+        
+        const data = this.parseDate(dateString);
+        for (const periodData of this.periods.values()) {
+            if (data >= periodData.periodo.inicioDate && data <= periodData.periodo.fimDate) {
+                return periodData;
+            }
+        }
+        return null;
+    }
+
     /**
      * Verifica sobreposição de períodos
      * @private
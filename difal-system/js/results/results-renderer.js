@@ -225,6 +225,97 @@ class ResultsRenderer {
             finalResultsDiv.innerHTML = simpleHTML;
             console.log('✅ Resultados single-period renderizados na aba Results');
         }
+        
+        this.renderApuracaoComparison('single-apuracao-comparison');
+    }
+
+    /**
+     * Renderiza o comparativo da apuração declarada (E300-E316) com o DIFAL de saída recalculado
+     * @private
+     * @param {string} containerId - Container do modo ativo
+     */
+    renderApuracaoComparison(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container || !window.ApuracaoComparator) return;
+        
+        const spedData = this.stateManager.getSpedData();
+        const apuracoesDifal = spedData?.apuracoesDifal || [];
+        const dtInicio = spedData?.dadosEmpresa?.dtInicio || '';
+        
+        const comparator = new ApuracaoComparator();
+        const { linhas, resumo } = comparator.comparar(apuracoesDifal, this.calculateOutgoingDifal(spedData), {
+            periodo: comparator.formatarPeriodo(dtInicio),
+            ufPadrao: spedData?.dadosEmpresa?.uf || ''
+        });
+        
+        if (linhas.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const situacaoBadge = {
+            'ok': '<span class="badge badge-green">Conferido</span>',
+            'a-menor': '<span class="badge badge-red">Recolhimento a menor</span>',
+            'a-maior': '<span class="badge badge-orange">Recolhimento a maior</span>'
+        };
+        
+        container.innerHTML = `
+            <h3>🧾 Apuração Declarada (E300) x DIFAL de Saída Recalculado</h3>
+            ${apuracoesDifal.length === 0 ? '<p class="text-xs text-gray-600">Os dados carregados não contêm apuração DIFAL/FCP (E300-E316); valores declarados considerados zero.</p>' : ''}
+            <p class="text-xs text-gray-600">
+                ${resumo.recolhimentoMenor} UF/período(s) a menor · ${resumo.recolhimentoMaior} a maior
+            </p>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>UF</th>
+                        <th>Período</th>
+                        <th>DIFAL Declarado</th>
+                        <th>DIFAL Calculado</th>
+                        <th>Diferença</th>
+                        <th>FCP Declarado</th>
+                        <th>FCP Calculado</th>
+                        <th>Diferença</th>
+                        <th>A Recolher (E310)</th>
+                        <th>Obrigações (E316)</th>
+                        <th>Situação</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${linhas.map(l => `
+                        <tr class="apuracao-${l.situacao}" title="${l.linhaE300 ? `E300 na linha ${l.linhaE300}` : 'Sem E300 para esta UF'}">
+                            <td class="font-mono">${l.uf || 'N/A'}</td>
+                            <td>${l.periodo || 'N/A'}</td>
+                            <td class="text-right">${this.formatCurrency(l.difalDeclarado)}</td>
+                            <td class="text-right">${this.formatCurrency(l.difalCalculado)}</td>
+                            <td class="text-right font-bold">${this.formatCurrency(l.diferencaDifal)}</td>
+                            <td class="text-right">${this.formatCurrency(l.fcpDeclarado)}</td>
+                            <td class="text-right">${this.formatCurrency(l.fcpCalculado)}</td>
+                            <td class="text-right font-bold">${this.formatCurrency(l.diferencaFcp)}</td>
+                            <td class="text-right">${this.formatCurrency(l.recolherDeclarado)}</td>
+                            <td class="text-right">${this.formatCurrency(l.obrigacoesE316)}</td>
+                            <td class="text-center">${situacaoBadge[l.situacao]}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Calcula o DIFAL de saída (vendas a não contribuinte) dos dados carregados para o comparativo
+     * @private
+     * @param {Object|null} spedData - Dados SPED (período único ou consolidados)
+     * @returns {Array<Object>} Resultados do DifalSaidaCalculator
+     */
+    calculateOutgoingDifal(spedData) {
+        const itensDifalSaida = spedData?.itensDifalSaida || [];
+        if (itensDifalSaida.length === 0 || !window.DifalSaidaCalculator) return [];
+        
+        const calculator = new DifalSaidaCalculator(null);
+        calculator.carregarItens(itensDifalSaida);
+        return calculator.calcularTodos();
     }
 
     /**
@@ -279,6 +370,8 @@ class ResultsRenderer {
             analyticsDiv.innerHTML = multiHTML;
             console.log('✅ Resultados multi-period renderizados na seção Analytics');
         }
+        
+        this.renderApuracaoComparison('multi-apuracao-comparison');
     }
 
     /**
@@ -428,6 +521,8 @@ class ResultsRenderer {
                          title="${this.formatCompleteDescription(resultado)}">
                         ${this.formatDisplayDescription(resultado)}
                     </div>
+                    ${resultado.tipoItem === 'servico-transporte' ? '<span class="badge badge-gray">Serviço de transporte</span>' : ''}
+                    ${resultado.situacaoDocumento?.extemporaneo ? `<span class="badge badge-orange" title="${resultado.situacaoDocumento.descricao}">Extemporâneo · ${window.Utils?.formatarData(resultado.situacaoDocumento.dataDocumento) || resultado.situacaoDocumento.dataDocumento}</span>` : ''}
                 </td>
                 <td class="font-mono">${resultado.cfop}</td>
                 <td class="text-right">${this.formatCurrency(resultado.baseCalculo)}</td>
@@ -736,7 +831,7 @@ ${memoriaCalculo.join('\n')}
      * @returns {string} Nome de exibição
      */
     getMethodologyDisplayName(metodologia) {
-        return metodologia === 'base-unica' ? 'Base Única' : 'Base Dupla';
+        return window.DifalStrategies?.obter(metodologia)?.nome || (metodologia === 'base-unica' ? 'Base Única' : 'Base Dupla');
     }
 
     /**
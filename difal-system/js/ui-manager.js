@@ -56,8 +56,8 @@ class UIManager {
             this.modalManager = new ModalManager(this.eventBus, this.stateManager, this.configManager);
             this.resultsRenderer = new ResultsRenderer(this.stateManager, this.eventBus, this.exportManager);
             
-            // Módulos de Múltiplos Períodos e Analytics
-            this.periodsManager = new PeriodsManager(this.stateManager, this.eventBus);
+            // Módulos de Múltiplos Períodos e Analytics (PeriodsManager: reutilizar instância do app.js)
+            this.periodsManager = window.periodsManager || new PeriodsManager(this.stateManager, this.eventBus);
             this.analyticsManager = new AnalyticsManager(this.stateManager, this.eventBus);
             this.paretoAnalyzer = new ParetoAnalyzer();
             this.chartsManager = new ChartsManager();
@@ -189,6 +189,12 @@ class UIManager {
             });
         });
 
+        // DIFAL de saída (vendas a não contribuinte) - cálculo próprio, fora do modal de configuração
+        const calculateOutgoingBtn = document.getElementById('single-calculate-outgoing-difal');
+        if (calculateOutgoingBtn) {
+            calculateOutgoingBtn.addEventListener('click', () => this.calculateOutgoingDifal());
+        }
+
         // Botão Prosseguir para Cálculo - navega sem calcular (suporte a IDs genéricos e específicos)
         const proceedToCalcBtns = [
             document.getElementById('proceed-to-calculation'),
@@ -254,14 +260,20 @@ class UIManager {
     }
 
     /**
-     * Processa upload de arquivo SPED - DELEGADO para FileUploadManager
+     * Processa upload de arquivo SPED ou XMLs de NF-e - DELEGADO para FileUploadManager
      * @public
-     * @param {File} file - Arquivo para upload
+     * @param {File|Array<File>} file - Arquivo para upload (ou lote de XMLs)
      */
     async handleFileUpload(file) {
         try {
             const resultado = await this.fileUploadManager.handleFileUpload(file);
             
+            // ZIP com vários períodos: carregado no PeriodsManager
+            if (resultado?.multiPeriodo) {
+                this.showLoadedPeriods(resultado);
+                return resultado;
+            }
+            
             // Após upload bem-sucedido, mostrar análise
             if (resultado) {
                 this.showSpedAnalysis(resultado);
@@ -478,7 +490,7 @@ class UIManager {
                     <div class="summary-item">
                         <h3>Registros Totais</h3>
                         <div class="summary-value">${Utils.formatarNumero(displayData.estatisticas?.totalRegistros || 0)}</div>
-                        <div class="summary-label">${Object.keys(displayData.registros || {}).length} tipos</div>
+                        <div class="summary-label">${Object.keys(displayData.estatisticas?.registrosPorTipo || displayData.registros || {}).length} tipos</div>
                     </div>
                     <div class="summary-item">
                         <h3>Itens DIFAL</h3>
@@ -500,6 +512,12 @@ class UIManager {
         }
         }
         
+        // Integridade estrutural e conferência C190 x C170 antes do cálculo
+        this.renderStructureValidation(spedData?.validacaoEstrutura);
+        this.renderReconciliation(spedData?.reconciliacao);
+        this.renderExcludedItems(spedData?.itensExcluidos);
+        this.renderOutgoingDifalItems(spedData?.itensDifalSaida);
+        
         // Exibir tabela de itens
         if (tableDiv) {
             let itemsToShow = [];
@@ -523,6 +541,345 @@ class UIManager {
         }
     }
 
+    /**
+     * Exibe os problemas estruturais do arquivo (hierarquia, 9900/9999, 0000, datas)
+     * @public
+     * @param {Object} validacao - Resultado de SpedStructureValidator.finalizar
+     */
+    renderStructureValidation(validacao) {
+        const panel = document.getElementById('single-structure-validation');
+        const content = document.getElementById('single-structure-validation-content');
+        if (!panel || !content) return;
+        
+        if (!validacao) {
+            panel.classList.add('hidden');
+            return;
+        }
+        
+        const { problemas, resumo } = validacao;
+        const maxLinhas = 50;
+        panel.classList.remove('hidden');
+        
+        const severidades = {
+            critico: { rotulo: 'Crítico', badge: 'badge-red' },
+            erro: { rotulo: 'Erro', badge: 'badge-orange' },
+            aviso: { rotulo: 'Aviso', badge: 'badge-gray' }
+        };
+        
+        const resumoHtml = `
+            <p>
+                ${problemas.length === 0 ? '<span class="badge badge-green">Estrutura íntegra</span>' : ''}
+                ${Object.entries(severidades)
+                    .filter(([chave]) => resumo[chave] > 0)
+                    .map(([chave, { rotulo, badge }]) => `<span class="badge ${badge}">${resumo[chave]} ${rotulo.toLowerCase()}(s)</span>`)
+                    .join(' ')}
+                ${resumo.critico > 0 || resumo.erro > 0 ? '<span class="text-xs text-gray-600">Revise o arquivo antes de prosseguir para o cálculo.</span>' : ''}
+            </p>
+        `;
+        
+        if (problemas.length === 0) {
+            content.innerHTML = resumoHtml;
+            return;
+        }
+        
+        content.innerHTML = `
+            ${resumoHtml}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Severidade</th>
+                        <th>Linha</th>
+                        <th>Registro</th>
+                        <th>Problema</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${problemas.slice(0, maxLinhas).map(p => `
+                        <tr class="estrutura-${p.severidade}">
+                            <td><span class="badge ${severidades[p.severidade]?.badge || 'badge-gray'}">${severidades[p.severidade]?.rotulo || p.severidade}</span></td>
+                            <td class="font-mono">${p.linha ?? '-'}</td>
+                            <td class="font-mono">${p.registro || '-'}</td>
+                            <td>${p.mensagem}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${resumo.total > maxLinhas ? `<p class="text-xs text-gray-600">Exibindo ${Math.min(maxLinhas, problemas.length)} de ${resumo.total} problemas.</p>` : ''}
+        `;
+    }
+
+    /**
+     * Exibe as divergências da conferência C190 x C170
+     * @public
+     * @param {Object} reconciliacao - Resultado de SpedReconciliation.reconciliar
+     */
+    renderReconciliation(reconciliacao) {
+        const panel = document.getElementById('single-reconciliation');
+        const content = document.getElementById('single-reconciliation-content');
+        if (!panel || !content) return;
+        
+        if (!reconciliacao) {
+            panel.classList.add('hidden');
+            return;
+        }
+        
+        const { divergencias, resumo } = reconciliacao;
+        const maxLinhas = 50;
+        panel.classList.remove('hidden');
+        
+        const resumoHtml = `
+            <p>
+                <span class="badge ${resumo.documentosDivergentes > 0 ? 'badge-orange' : 'badge-green'}">
+                    ${resumo.documentosDivergentes} de ${resumo.documentosVerificados} documentos com divergência
+                </span>
+                ${resumo.documentosSemItens > 0 ? `<span class="text-xs text-gray-600">${resumo.documentosSemItens} documento(s) sem C170 não conferido(s)</span>` : ''}
+            </p>
+        `;
+        
+        if (divergencias.length === 0) {
+            content.innerHTML = resumoHtml;
+            return;
+        }
+        
+        const descricaoTipo = {
+            'sem-c170': 'C190 sem itens C170',
+            'sem-c190': 'Itens C170 sem C190'
+        };
+        
+        content.innerHTML = `
+            ${resumoHtml}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Documento</th>
+                        <th>Data</th>
+                        <th>CST / CFOP / Alíq.</th>
+                        <th>Campo</th>
+                        <th>Esperado (C190)</th>
+                        <th>Encontrado (C170)</th>
+                        <th>Diferença</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${divergencias.slice(0, maxLinhas).map(d => `
+                        <tr>
+                            <td class="font-mono" title="Linha ${d.documento.linha}">${Utils.formatarDocumentoFiscal(d.documento)}</td>
+                            <td>${Utils.formatarData(d.documento.dtDoc)}</td>
+                            <td class="font-mono">${d.cst} / ${d.cfop} / ${d.aliquota}%</td>
+                            <td>${descricaoTipo[d.tipo] || d.campo}</td>
+                            <td class="text-right">${Utils.formatarMoeda(d.esperado)}</td>
+                            <td class="text-right">${Utils.formatarMoeda(d.encontrado)}</td>
+                            <td class="text-right font-bold">${Utils.formatarMoeda(d.diferenca)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${divergencias.length > maxLinhas ? `<p class="text-xs text-gray-600">Exibindo ${maxLinhas} de ${divergencias.length} divergências. Exporte para ver todas.</p>` : ''}
+        `;
+    }
+
+    /**
+     * Exibe os itens que ficaram fora do cálculo DIFAL e os motivos
+     * @public
+     * @param {Array<Object>} itensExcluidos - Itens excluídos pelo parser
+     */
+    renderExcludedItems(itensExcluidos) {
+        const panel = document.getElementById('single-excluded-items');
+        const content = document.getElementById('single-excluded-items-content');
+        if (!panel || !content) return;
+        
+        if (!itensExcluidos) {
+            panel.classList.add('hidden');
+            return;
+        }
+        
+        const motivos = window.MOTIVOS_EXCLUSAO_DIFAL || {};
+        const maxLinhas = 50;
+        panel.classList.remove('hidden');
+        
+        const contagem = {};
+        itensExcluidos.forEach(item => item.motivos.forEach(codigo => {
+            contagem[codigo] = (contagem[codigo] || 0) + 1;
+        }));
+        
+        const resumoHtml = `
+            <p>
+                <span class="badge badge-gray">${itensExcluidos.length} item(ns) excluído(s)</span>
+                ${Object.entries(contagem).map(([codigo, quantidade]) => `
+                    <span class="text-xs text-gray-600">${motivos[codigo] || codigo}: ${quantidade}</span>
+                `).join(' · ')}
+            </p>
+        `;
+        
+        if (itensExcluidos.length === 0) {
+            content.innerHTML = resumoHtml;
+            return;
+        }
+        
+        content.innerHTML = `
+            ${resumoHtml}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Linha</th>
+                        <th>Documento</th>
+                        <th>Item</th>
+                        <th>CFOP</th>
+                        <th>CST</th>
+                        <th>Valor</th>
+                        <th>Motivos</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${itensExcluidos.slice(0, maxLinhas).map(item => `
+                        <tr>
+                            <td class="font-mono">${item.linha}</td>
+                            <td class="font-mono">${Utils.formatarDocumentoFiscal(item.documento)}</td>
+                            <td title="${item.descricaoItem || ''}">${item.codItem}</td>
+                            <td class="font-mono">${item.cfop}</td>
+                            <td class="font-mono">${item.cstIcms}</td>
+                            <td class="text-right">${Utils.formatarMoeda(item.valorItem)}</td>
+                            <td>${item.motivos.map(codigo => motivos[codigo] || codigo).join('<br>')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${itensExcluidos.length > maxLinhas ? `<p class="text-xs text-gray-600">Exibindo ${maxLinhas} de ${itensExcluidos.length} itens. Exporte para ver todos.</p>` : ''}
+        `;
+    }
+
+    /**
+     * Exibe as vendas próprias a não contribuinte (DIFAL de saída), separadas do DIFAL de entrada
+     * @public
+     * @param {Array<Object>} itensDifalSaida - Itens do DIFAL de saída
+     */
+    renderOutgoingDifalItems(itensDifalSaida) {
+        const panel = document.getElementById('single-outgoing-difal');
+        const content = document.getElementById('single-outgoing-difal-content');
+        if (!panel || !content) return;
+        
+        // Totais de um cálculo anterior não valem para os novos dados
+        const results = document.getElementById('single-outgoing-difal-results');
+        if (results) results.innerHTML = '';
+        
+        if (!itensDifalSaida || itensDifalSaida.length === 0) {
+            panel.classList.add('hidden');
+            return;
+        }
+        
+        const maxLinhas = 50;
+        panel.classList.remove('hidden');
+        
+        const porUf = {};
+        itensDifalSaida.forEach(item => {
+            porUf[item.ufDestino] = (porUf[item.ufDestino] || 0) + (item.baseCalculoDifal || 0);
+        });
+        
+        content.innerHTML = `
+            <p>
+                <span class="badge badge-blue">${itensDifalSaida.length} item(ns) de venda a não contribuinte</span>
+                ${Object.entries(porUf).sort(([a], [b]) => a.localeCompare(b)).map(([uf, valor]) => `
+                    <span class="text-xs text-gray-600">${uf}: ${Utils.formatarMoeda(valor)}</span>
+                `).join(' · ')}
+            </p>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Linha</th>
+                        <th>Documento</th>
+                        <th>Destinatário</th>
+                        <th>UF destino</th>
+                        <th>CFOP</th>
+                        <th>Valor</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${itensDifalSaida.slice(0, maxLinhas).map(item => `
+                        <tr>
+                            <td class="font-mono">${item.linha ?? '-'}</td>
+                            <td class="font-mono">${Utils.formatarDocumentoFiscal(item.documento)}</td>
+                            <td class="font-mono">${item.destinatario?.cnpj || item.destinatario?.cpf || item.documento?.codPart || '-'}</td>
+                            <td>${item.ufDestino}</td>
+                            <td class="font-mono">${item.cfop}</td>
+                            <td class="text-right">${Utils.formatarMoeda(item.baseCalculoDifal)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${itensDifalSaida.length > maxLinhas ? `<p class="text-xs text-gray-600">Exibindo ${maxLinhas} de ${itensDifalSaida.length} itens.</p>` : ''}
+        `;
+    }
+
+    /**
+     * Calcula o DIFAL de saída (EC 87/2015) e exibe os totais por UF de destino
+     * @public
+     */
+    async calculateOutgoingDifal() {
+        try {
+            if (!window.difalApp) {
+                throw new Error('DifalApp não disponível');
+            }
+            
+            const { resultados, totalizadores } = await window.difalApp.calculateDifalSaida();
+            window.difalSaidaResults = { resultados, totalizadores };
+            this.renderOutgoingDifalResults(totalizadores);
+            
+        } catch (error) {
+            console.error('Erro no cálculo do DIFAL de saída:', error);
+            this.showError(`Erro no cálculo do DIFAL de saída: ${error.message}`);
+        }
+    }
+
+    /**
+     * Exibe os totais do DIFAL de saída por UF de destino (partilha origem/destino e FCP)
+     * @public
+     * @param {Object} totalizadores - Resultado de DifalSaidaCalculator.obterTotalizadores
+     */
+    renderOutgoingDifalResults(totalizadores) {
+        const container = document.getElementById('single-outgoing-difal-results');
+        if (!container || !totalizadores) return;
+        
+        const ufs = Object.entries(totalizadores.porUf).sort(([a], [b]) => a.localeCompare(b));
+        
+        container.innerHTML = `
+            <p>
+                <span class="badge badge-green">DIFAL ${Utils.formatarMoeda(totalizadores.totalDifal)}</span>
+                <span class="badge badge-blue">UFs de destino ${Utils.formatarMoeda(totalizadores.totalUfDestino + totalizadores.totalFcp)}</span>
+                <span class="badge badge-gray">UF de origem ${Utils.formatarMoeda(totalizadores.totalUfOrigem)}</span>
+                ${Object.entries(totalizadores.errosPorMotivo || {}).map(([motivo, quantidade]) =>
+                    `<span class="badge badge-orange">${quantidade} item(ns) não calculado(s): ${motivo}</span>`).join(' ')}
+            </p>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>UF destino</th>
+                        <th>Itens</th>
+                        <th>Base</th>
+                        <th>DIFAL</th>
+                        <th>ICMS UF destino</th>
+                        <th>ICMS UF origem</th>
+                        <th>FCP</th>
+                        <th>Total UF destino</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${ufs.map(([uf, total]) => `
+                        <tr>
+                            <td>${uf}</td>
+                            <td class="text-right">${total.itens}</td>
+                            <td class="text-right">${Utils.formatarMoeda(total.base)}</td>
+                            <td class="text-right">${Utils.formatarMoeda(total.difal)}</td>
+                            <td class="text-right">${Utils.formatarMoeda(total.icmsUfDestino)}</td>
+                            <td class="text-right">${Utils.formatarMoeda(total.icmsUfOrigem)}</td>
+                            <td class="text-right">${Utils.formatarMoeda(total.fcp)}</td>
+                            <td class="text-right"><strong>${Utils.formatarMoeda(total.totalUfDestino)}</strong></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
     /**
      * Cria tabela de itens DIFAL (funcionalidade híbrida)
      * @public
@@ -555,9 +912,7 @@ class UIManager {
                         <td title="${this.formatarDescricaoCompleta(item)}">${this.formatarDescricaoExibicao(item, 30)}</td>
                         <td class="font-mono">${item.cfop}</td>
                         <td>
-                            <span class="badge ${item.destinacao === 'uso-consumo' ? 'badge-blue' : 'badge-green'}">
-                                ${item.destinacao === 'uso-consumo' ? 'Uso e Consumo' : 'Ativo Imobilizado'}
-                            </span>
+                            ${this.formatarBadgeDestinacao(item.destinacao)}
                         </td>
                         <td class="font-mono text-center">${item.cstIcms || 'N/A'}</td>
                         <td>
@@ -786,7 +1141,7 @@ class UIManager {
             
             // Preparar configuração para o app modular
             const configApp = {
-                ufOrigem: config.ufOrigem || (ufDestino === 'SP' ? 'MG' : 'SP'),
+                ufOrigem: config.ufOrigem,
                 metodologia: config.metodologia,
                 percentualDestinatario: config.percentualDestinatario,
                 beneficiosGlobais: config.beneficiosGlobais
@@ -876,7 +1231,8 @@ class UIManager {
             // PRIORIDADE: Se já tem configuração individual, NÃO sobrescrever
             if (window.difalConfiguracoesItens[itemId] && 
                 (window.difalConfiguracoesItens[itemId].beneficio || 
-                 window.difalConfiguracoesItens[itemId].fcpManual !== undefined)) {
+                 window.difalConfiguracoesItens[itemId].fcpManual !== undefined ||
+                 window.difalConfiguracoesItens[itemId].fcpRegra)) {
                 console.log(`⏭️ Item ${itemId} já tem configuração individual - mantendo`);
                 return;
             }
@@ -918,6 +1274,21 @@ class UIManager {
 
     // ========== FUNÇÕES AUXILIARES ==========
 
+    /**
+     * Badge da destinação do item (uso e consumo, ativo ou frete)
+     * @public
+     * @param {string} destinacao - Destinação definida pelo CFOP
+     * @returns {string} HTML do badge
+     */
+    formatarBadgeDestinacao(destinacao) {
+        if (destinacao === 'servico-transporte') {
+            return '<span class="badge badge-gray">Serviço de Transporte</span>';
+        }
+        return destinacao === 'uso-consumo'
+            ? '<span class="badge badge-blue">Uso e Consumo</span>'
+            : '<span class="badge badge-green">Ativo Imobilizado</span>';
+    }
+
     /**
      * Formata descrição completa para tooltip
      * @public
@@ -1104,7 +1475,7 @@ class UIManager {
             
             // Preparar configuração para o app modular
             const configApp = {
-                ufOrigem: configuracao.ufOrigem || (ufDestino === 'SP' ? 'MG' : 'SP'),
+                ufOrigem: configuracao.ufOrigem,
                 metodologia: configuracao.metodologia,
                 percentualDestinatario: configuracao.percentualDestinatario,
                 beneficiosGlobais: configuracao.beneficiosGlobais
@@ -1186,6 +1557,15 @@ class UIManager {
             generateAnalyticsBtn.addEventListener('click', () => this.generateMultipleAnalytics());
         }
         
+        // Alocação de documentos extemporâneos no período original
+        const extemporaneousToggle = document.getElementById('multi-extemporaneous-allocation');
+        if (extemporaneousToggle) {
+            extemporaneousToggle.addEventListener('change', (e) => {
+                this.periodsManager.setExtemporaneousAllocation(e.target.checked);
+                this.updatePeriodsDisplay();
+            });
+        }
+        
         const proceedToAnalyticsBtn = document.getElementById('proceed-to-analytics');
         if (proceedToAnalyticsBtn) {
             proceedToAnalyticsBtn.addEventListener('click', () => this.proceedToMultipleAnalytics());
@@ -1337,7 +1717,7 @@ class UIManager {
                         <div class="summary-item">
                             <h3>Registros Totais</h3>
                             <div class="summary-value">${Utils.formatarNumero(displayData.estatisticas?.totalRegistros || 0)}</div>
-                            <div class="summary-label">${Object.keys(displayData.registros || {}).length} tipos</div>
+                            <div class="summary-label">${Object.keys(displayData.estatisticas?.registrosPorTipo || displayData.registros || {}).length} tipos</div>
                         </div>
                         <div class="summary-item">
                             <h3>Itens DIFAL</h3>
@@ -1625,6 +2005,13 @@ class UIManager {
         try {
             this.showProgress('Processando múltiplos períodos...', 0);
             
+            // ZIPs: cada SPED ou mês de XMLs do conteúdo vira um período
+            if (files.some(f => ZipArchiveReader.isZip(f))) {
+                const { conjuntos, ignorados } = await this.fileUploadManager.expandArchives(files);
+                this.showLoadedPeriods(await this.fileUploadManager.loadPeriodSets(conjuntos, ignorados));
+                return;
+            }
+            
             for (let i = 0; i < files.length; i++) {
                 const file = files[i];
                 const progress = Math.round(((i + 1) / files.length) * 100);
@@ -1655,6 +2042,31 @@ class UIManager {
         }
     }
     
+    /**
+     * Exibe os períodos carregados de um ZIP e os arquivos que não entraram
+     * @private
+     * @param {Object} carga - { periodos, falhas, ignorados } do FileUploadManager.loadPeriodSets
+     */
+    showLoadedPeriods(carga) {
+        this.updatePeriodsDisplay();
+        
+        const spedData = this.stateManager.getSpedData();
+        if (spedData) {
+            this.showSpedAnalysis(spedData);
+        }
+        
+        this.updateMultiPeriodUfDisplay();
+        this.navigationManager.navigateToSection('multi-analytics-section');
+        
+        const naoCarregados = [
+            ...carga.falhas.map(f => `${f.arquivo} (${f.erro})`),
+            ...carga.ignorados.map(nome => `${nome} (tipo não reconhecido)`)
+        ];
+        if (naoCarregados.length > 0) {
+            this.showError(`${carga.periodos.length} período(s) carregado(s). Não carregados: ${naoCarregados.join('; ')}`);
+        }
+    }
+    
     /**
      * Processa um arquivo individual de período
      * @private
@@ -1724,6 +2136,28 @@ class UIManager {
         
         // Atualizar estatísticas consolidadas
         this.updateConsolidatedStats();
+        
+        this.updateExtemporaneousOptions();
+    }
+    
+    /**
+     * Exibe a opção de alocação quando há documentos extemporâneos (COD_SIT 01/07)
+     * @private
+     */
+    updateExtemporaneousOptions() {
+        const options = document.getElementById('multi-extemporaneous-options');
+        if (!options || !this.periodsManager) return;
+        
+        const resumo = this.periodsManager.getExtemporaneousSummary();
+        options.classList.toggle('hidden', resumo.total === 0);
+        if (resumo.total === 0) return;
+        
+        document.getElementById('multi-extemporaneous-allocation').checked = resumo.alocacaoAtiva;
+        this.setElementText('extemporaneous-summary',
+            `${resumo.total} item(ns) DIFAL de documentos escriturados fora do período de emissão; ` +
+            `${resumo.comPeriodoOriginal} com o período original carregado` +
+            (resumo.semPeriodoOriginal > 0 ? ` (${resumo.semPeriodoOriginal} permanecem no período do arquivo)` : ''),
+            'multi');
     }
     
     /**
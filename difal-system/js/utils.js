@@ -102,6 +102,35 @@ const Utils = {
         return numeros.replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
     },
 
+    /**
+     * Identificação de documento fiscal (C100/D100) para memória de cálculo e relatórios
+     * Usa a chave de acesso quando existir; senão, modelo/série/número
+     * @param {Object} documento - Documento vinculado ao item
+     * @returns {string}
+     */
+    formatarDocumentoFiscal(documento) {
+        if (!documento) return 'N/A';
+        if (documento.chaveNfe) return documento.chaveNfe;
+        if (documento.chaveCte) return documento.chaveCte;
+
+        const partes = [
+            documento.modelo ? `Mod. ${documento.modelo}` : '',
+            documento.serie ? `Série ${documento.serie}` : '',
+            documento.numero ? `Nº ${documento.numero}` : ''
+        ].filter(Boolean);
+
+        return partes.length > 0 ? partes.join(' ') : 'N/A';
+    },
+
+    /**
+     * Rótulo do tipo de item para resultados e relatórios
+     * @param {Object} item - Item DIFAL (C170 ou D190)
+     * @returns {string}
+     */
+    formatarTipoItem(item) {
+        return item?.tipoItem === 'servico-transporte' ? 'Serviço de transporte' : 'Mercadoria';
+    },
+
     /**
      * Trunca texto com ellipsis
      * @param {string} texto 
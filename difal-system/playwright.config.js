@@ -6,7 +6,7 @@ const { defineConfig, devices } = require('@playwright/test');
 
 module.exports = defineConfig({
     testDir: '.',
-    testMatch: ['test-final-functionality.js', 'test-mode-selection.js', 'test-freeze-diagnostic.js', 'test-initialization-errors.js', 'test-complete-system.js', 'test-upload-fix.js', 'test-quick-diagnostic.js', 'test-singleton-initialization.js', 'test-complete-single-workflow.js', 'multi-period-analysis.spec.js', 'test-multi-period-workflows.spec.js', 'multi-period-comprehensive.spec.js'],
+    testMatch: ['test-final-functionality.js', 'test-mode-selection.js', 'test-freeze-diagnostic.js', 'test-initialization-errors.js', 'test-complete-system.js', 'test-upload-fix.js', 'test-quick-diagnostic.js', 'test-singleton-initialization.js', 'test-complete-single-workflow.js', 'multi-period-analysis.spec.js', 'test-multi-period-workflows.spec.js', 'multi-period-comprehensive.spec.js', 'tests/browser/**/*.spec.js'],
     
     // Tempo máximo para cada teste (aumentado para testes completos)
     timeout: 60 * 1000,
@@ -48,6 +48,12 @@ module.exports = defineConfig({
     
     // Configurar projetos para diferentes navegadores
     projects: [
+        // Testes de comportamento dos módulos em Node (sem navegador)
+        {
+            name: 'unit',
+            testMatch: 'tests/unit/**/*.spec.js',
+        },
+        
         {
             name: 'chromium',
             use: { ...devices['Desktop Chrome'] },
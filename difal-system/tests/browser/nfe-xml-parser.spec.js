@@ -0,0 +1,155 @@
+/**
+ * Testes do NfeXmlParser com XMLs de exemplo (tests/fixtures/nfe)
+ * O parser usa DOMParser: roda no navegador, com os scripts carregados numa página vazia
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+
+const RAIZ = path.resolve(__dirname, '../..');
+const FIXTURES = path.join(RAIZ, 'tests/fixtures/nfe');
+
+const SCRIPTS = [
+    'js/core/constants.js',
+    'js/utils.js',
+    'data/estados-brasil.js',
+    'js/config/difal-filter-profiles.js',
+    'js/parsing/nfe-xml-parser.js'
+];
+
+function fixture(nome, nomeArquivo = nome) {
+    return { nome: nomeArquivo, conteudo: fs.readFileSync(path.join(FIXTURES, nome), 'utf8') };
+}
+
+/**
+ * Processa os XMLs na página e devolve o resultado resumido (serializável)
+ */
+async function processar(page, arquivos, opcoes = {}) {
+    return page.evaluate(async ({ arquivos, opcoes }) => {
+        const files = arquivos.map(arquivo => new File([arquivo.conteudo], arquivo.nome, { type: 'text/xml' }));
+        const resultado = await new NfeXmlParser(null).processarArquivos(files, opcoes);
+
+        const resumirItem = item => ({
+            codItem: item.codItem,
+            cfop: item.cfop,
+            cfopNota: item.cfopNota,
+            cstIcms: item.cstIcms,
+            origemMercadoria: item.origemMercadoria,
+            baseCalculoDifal: item.baseCalculoDifal,
+            icmsDestacadoDocumento: item.icmsDestacadoDocumento,
+            ufOrigem: item.ufOrigem,
+            ufDestino: item.ufDestino,
+            tipoItem: item.tipoItem,
+            numeroDocumento: item.documento.numero,
+            codSit: item.documento.codSit
+        });
+
+        return {
+            dadosEmpresa: resultado.dadosEmpresa,
+            documentos: resultado.documentos.map(doc => ({
+                numero: doc.numero, codSit: doc.codSit, indOper: doc.indOper, indEmit: doc.indEmit,
+                dtDoc: doc.dtDoc, despesasAcessorias: doc.despesasAcessorias
+            })),
+            documentosTransporte: resultado.documentosTransporte.map(doc => ({
+                numero: doc.numero, chaveCte: doc.chaveCte, ufOrigemPrestacao: doc.ufOrigemPrestacao
+            })),
+            itensDifal: resultado.itensDifal.map(resumirItem),
+            itensExcluidos: resultado.itensExcluidos.map(item => ({ codItem: item.codItem, motivos: item.motivos })),
+            itensDifalSaida: resultado.itensDifalSaida.map(resumirItem),
+            avisos: resultado.avisos
+        };
+    }, { arquivos, opcoes });
+}
+
+test.describe('NfeXmlParser - XMLs de NF-e e CT-e', () => {
+    test.beforeEach(async ({ page }) => {
+        await page.setContent('<!DOCTYPE html><html><body></body></html>');
+        for (const script of SCRIPTS) {
+            await page.addScriptTag({ path: path.join(RAIZ, script) });
+        }
+    });
+
+    test('procNFe recebida: empresa pelo destinatário e CFOP de entrada pela destinação', async ({ page }) => {
+        const resultado = await processar(page, [fixture('nfe-sp-uso-consumo.xml')]);
+
+        expect(resultado.dadosEmpresa).toMatchObject({
+            cnpj: '12345678000199', uf: 'GO', dtInicio: '10042024', dtFim: '10042024'
+        });
+        expect(resultado.documentos).toEqual([
+            { numero: '100', codSit: '00', indOper: '0', indEmit: '1', dtDoc: '10042024', despesasAcessorias: 30 }
+        ]);
+
+        const [notebook] = resultado.itensDifal;
+        expect(notebook).toMatchObject({
+            cfop: '2556', cfopNota: '6102', cstIcms: '000', baseCalculoDifal: 1000,
+            icmsDestacadoDocumento: 120, ufOrigem: 'SP', ufDestino: 'GO', tipoItem: 'mercadoria'
+        });
+    });
+
+    test('destinação ativo imobilizado converte para x551', async ({ page }) => {
+        const resultado = await processar(page, [fixture('nfe-sp-uso-consumo.xml')], { destinacao: 'ativo-imobilizado' });
+        expect(resultado.itensDifal.map(item => item.cfop)).toEqual(['2551', '2551']);
+    });
+
+    test('item do Simples Nacional mantém o CSOSN e a origem da mercadoria', async ({ page }) => {
+        const resultado = await processar(page, [fixture('nfe-sp-uso-consumo.xml')]);
+        const cadeira = resultado.itensDifal.find(item => item.codItem === 'P2');
+
+        expect(cadeira).toMatchObject({ cstIcms: '102', origemMercadoria: '1', baseCalculoDifal: 450, icmsDestacadoDocumento: 0 });
+    });
+
+    test('CT-e: tomador como empresa, CFOP com a mesma natureza e CST com origem 0', async ({ page }) => {
+        const resultado = await processar(page, [fixture('nfe-sp-uso-consumo.xml'), fixture('cte-sp-frete.xml')]);
+
+        expect(resultado.documentosTransporte).toEqual([
+            { numero: '400', chaveCte: '35240433333333000133570010000004001000004000', ufOrigemPrestacao: 'SP' }
+        ]);
+
+        const frete = resultado.itensDifal.find(item => item.tipoItem === 'servico-transporte');
+        expect(frete).toMatchObject({
+            codItem: 'CTE-400-1', cfop: '2353', cfopNota: '6353', cstIcms: '000',
+            baseCalculoDifal: 200, icmsDestacadoDocumento: 24, ufOrigem: 'SP'
+        });
+    });
+
+    test('evento de cancelamento (110111) em arquivo separado cancela a nota', async ({ page }) => {
+        const resultado = await processar(page, [
+            fixture('nfe-sp-uso-consumo.xml'),
+            fixture('nfe-mg-cancelada.xml'),
+            fixture('evento-cancelamento-mg.xml')
+        ]);
+
+        expect(resultado.documentos.find(doc => doc.numero === '200').codSit).toBe('02');
+        expect(resultado.itensExcluidos).toEqual([{ codItem: 'P3', motivos: ['documento-cancelado'] }]);
+        expect(resultado.itensDifal.map(item => item.numeroDocumento)).not.toContain('200');
+    });
+
+    test('XML repetido no lote entra uma vez e gera aviso', async ({ page }) => {
+        const resultado = await processar(page, [
+            fixture('nfe-sp-uso-consumo.xml'),
+            fixture('nfe-sp-uso-consumo.xml', 'copia-nfe-100.xml')
+        ]);
+
+        expect(resultado.documentos).toHaveLength(1);
+        expect(resultado.itensDifal).toHaveLength(2);
+        expect(resultado.avisos).toEqual(['copia-nfe-100.xml: NF-e 35240411111111000111550010000001001000001000 repetida']);
+    });
+
+    test('venda própria a não contribuinte de outra UF vai para o DIFAL de saída', async ({ page }) => {
+        const resultado = await processar(page, [
+            fixture('nfe-sp-uso-consumo.xml'),
+            fixture('nfe-venda-nao-contribuinte.xml')
+        ]);
+
+        expect(resultado.documentos.find(doc => doc.numero === '300')).toMatchObject({ indOper: '1', indEmit: '0' });
+        expect(resultado.itensDifalSaida).toEqual([expect.objectContaining({
+            cfop: '6108', cfopNota: '6108', ufOrigem: 'GO', ufDestino: 'MG', baseCalculoDifal: 2000
+        })]);
+    });
+
+    test('lote sem NF-e nem CT-e é rejeitado', async ({ page }) => {
+        await expect(processar(page, [fixture('evento-cancelamento-mg.xml')]))
+            .rejects.toThrow('Nenhuma NF-e ou CT-e encontrada nos arquivos XML');
+    });
+});
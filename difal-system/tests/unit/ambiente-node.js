@@ -0,0 +1,49 @@
+/**
+ * Ambiente Node para os testes unitários
+ * Os módulos do sistema publicam em window: nos testes, window é o escopo global do Node
+ */
+
+const path = require('path');
+
+globalThis.window = globalThis;
+
+const RAIZ = path.resolve(__dirname, '../..');
+
+/**
+ * Carrega scripts do sistema na ordem do sistema.html
+ * @param {...string} arquivos - Caminhos relativos à raiz (ex.: 'js/utils.js')
+ * @returns {Array<*>} module.exports de cada arquivo
+ */
+function carregar(...arquivos) {
+    return arquivos.map(arquivo => require(path.join(RAIZ, arquivo)));
+}
+
+/**
+ * Storage em memória com a interface usada do localStorage
+ * @returns {Storage}
+ */
+function criarStorage() {
+    const dados = new Map();
+    return {
+        getItem: chave => (dados.has(chave) ? dados.get(chave) : null),
+        setItem: (chave, valor) => dados.set(chave, String(valor)),
+        removeItem: chave => dados.delete(chave),
+        key: indice => Array.from(dados.keys())[indice] ?? null,
+        get length() {
+            return dados.size;
+        }
+    };
+}
+
+/**
+ * Monta uma linha SPED a partir dos campos
+ * @param {Array<string>} campos - Campos a partir do REG
+ * @returns {string}
+ */
+function linhaSped(campos) {
+    return `|${campos.join('|')}|`;
+}
+
+carregar('js/core/constants.js', 'js/utils.js', 'data/estados-brasil.js');
+
+module.exports = { RAIZ, carregar, criarStorage, linhaSped };
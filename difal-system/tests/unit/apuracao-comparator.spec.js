@@ -0,0 +1,140 @@
+/**
+ * Testes do comparativo da apuração declarada (E300/E310) com o DIFAL de saída recalculado,
+ * por UF de destino e por período
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar, criarStorage } = require('./ambiente-node');
+
+const [, DifalFcpRules, , , , DifalSaidaCalculator, ApuracaoComparator] = carregar(
+    'js/config/difal-filter-profiles.js',
+    'js/config/difal-fcp-rules.js',
+    'js/calculation/difal-strategies.js',
+    'js/calculation/difal-formulas-uf.js',
+    'js/calculation/difal-calculator.js',
+    'js/calculation/difal-saida-calculator.js',
+    'js/analytics/apuracao-comparator.js'
+);
+
+function criarVenda(dtDoc, campos = {}) {
+    return {
+        codItem: 'P1',
+        cfop: '6108',
+        baseCalculoDifal: 1000,
+        aliqIcms: 12,
+        ufOrigem: 'GO',
+        ufDestino: 'MG',
+        ncm: '84713012',
+        documento: { dtDoc, numero: '109', linha: 20 },
+        ...campos
+    };
+}
+
+function criarApuracao(uf, dtInicio, difal, fcp, campos = {}) {
+    return {
+        linha: 900,
+        uf,
+        dtInicio,
+        saldos: {
+            difal: { totalDebitos: difal, valorRecolher: difal },
+            fcp: { totalDebitos: fcp, valorRecolher: fcp }
+        },
+        ajustes: [],
+        obrigacoes: [],
+        ...campos
+    };
+}
+
+function calcularVendas(vendas) {
+    const calculadora = new DifalSaidaCalculator(null);
+    calculadora.carregarItens(vendas);
+    return calculadora.calcularTodos();
+}
+
+test.describe('ApuracaoComparator - DIFAL de saída x E310', () => {
+    test.beforeEach(() => {
+        window.difalConfiguracoesItens = {};
+        window.difalFcpRules = new DifalFcpRules(criarStorage());
+    });
+
+    test('compara o E310 de cada UF de destino com as vendas a não contribuinte', () => {
+        // MG 18% − 12% = 60 de DIFAL e 20 de FCP por venda; SP 18% − 12% = 60 e 10 de FCP
+        const resultados = calcularVendas([
+            criarVenda('10042024'),
+            criarVenda('15042024'),
+            criarVenda('20042024', { ufDestino: 'SP' })
+        ]);
+
+        const { linhas, resumo } = new ApuracaoComparator().comparar([
+            criarApuracao('MG', '01042024', 120, 40),
+            criarApuracao('SP', '01042024', 50, 10)
+        ], resultados, { periodo: '04/2024', ufPadrao: 'GO' });
+
+        expect(linhas.map(linha => [linha.uf, linha.difalCalculado, linha.fcpCalculado, linha.situacao])).toEqual([
+            ['MG', 120, 40, 'ok'],
+            ['SP', 60, 10, 'a-menor']
+        ]);
+        expect(linhas[1].diferencaDifal).toBe(10);
+        expect(resumo.recolhimentoMenor).toBe(1);
+    });
+
+    test('na partilha de 2018 a parcela da origem vai para o E300 da UF do remetente', () => {
+        const resultados = calcularVendas([criarVenda('10052018')]);
+
+        const { linhas } = new ApuracaoComparator().comparar([
+            criarApuracao('MG', '01052018', 48, 20),
+            criarApuracao('GO', '01052018', 12, 0)
+        ], resultados, { periodo: '05/2018', ufPadrao: 'GO' });
+
+        expect(linhas.map(linha => [linha.uf, linha.difalCalculado, linha.situacao])).toEqual([
+            ['GO', 12, 'ok'],
+            ['MG', 48, 'ok']
+        ]);
+    });
+
+    test('itens não calculados ficam fora da comparação', () => {
+        const resultados = calcularVendas([criarVenda('10042024', { ufDestino: 'XX' })]);
+
+        const { linhas } = new ApuracaoComparator().comparar([], resultados, { periodo: '04/2024' });
+        expect(linhas).toEqual([]);
+    });
+});
+
+test.describe('ApuracaoComparator - vários períodos', () => {
+    test.beforeEach(() => {
+        window.difalConfiguracoesItens = {};
+        window.difalFcpRules = new DifalFcpRules(criarStorage());
+    });
+
+    test('cada item é comparado com o E300 do período do seu arquivo', () => {
+        const resultados = calcularVendas([
+            criarVenda('10122023', { _periodo: '12/2023 a 12/2023' }),
+            criarVenda('10012024', { _periodo: '01/2024 a 01/2024' }),
+            criarVenda('20012024', { _periodo: '01/2024 a 01/2024' })
+        ]);
+
+        const { linhas } = new ApuracaoComparator().comparar([
+            criarApuracao('MG', '01012024', 120, 40, { _periodo: '01/2024 a 01/2024' }),
+            criarApuracao('MG', '01122023', 60, 20, { _periodo: '12/2023 a 12/2023' })
+        ], resultados, { periodo: '12/2023', ufPadrao: 'GO' });
+
+        expect(linhas.map(linha => [linha.periodo, linha.difalCalculado, linha.itensCalculados, linha.situacao])).toEqual([
+            ['12/2023 a 12/2023', 60, 1, 'ok'],
+            ['01/2024 a 01/2024', 120, 2, 'ok']
+        ]);
+    });
+
+    test('sem período do arquivo, usa o mês do DT_DOC', () => {
+        const resultados = calcularVendas([criarVenda('10022024'), criarVenda('10032024')]);
+
+        const { linhas, resumo } = new ApuracaoComparator().comparar([
+            criarApuracao('MG', '01022024', 60, 20)
+        ], resultados);
+
+        expect(linhas.map(linha => [linha.periodo, linha.declarado])).toEqual([
+            ['02/2024', true],
+            ['03/2024', false]
+        ]);
+        expect(resumo.semApuracaoDeclarada).toBe(1);
+    });
+});
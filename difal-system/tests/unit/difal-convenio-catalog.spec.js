@@ -0,0 +1,117 @@
+/**
+ * Testes das propostas de redução de base por convênio (DifalConvenioCatalog.propor)
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar, criarStorage } = require('./ambiente-node');
+
+const [, DifalConvenioCatalog] = carregar('data/convenios-reducao.js', 'js/config/difal-convenio-catalog.js');
+
+function criarItem(codItem, ncm, campos = {}) {
+    return {
+        codItem,
+        ncm,
+        descricaoItem: `ITEM ${codItem}`,
+        aliqIcms: 12,
+        ufOrigem: 'PR',
+        ufDestino: 'GO',
+        documento: { dtDoc: '10042024' },
+        ...campos
+    };
+}
+
+function proporUm(item, configuracoes = {}, padrao = {}) {
+    const [proposta] = new DifalConvenioCatalog(criarStorage()).propor([item], configuracoes, padrao);
+    return proposta;
+}
+
+test.describe('DifalConvenioCatalog - cargas propostas', () => {
+    test('52/91 Anexo I a 12%: carga interna e de origem de 8,80%', () => {
+        const proposta = proporUm(criarItem('M1', '84581100'));
+
+        expect(proposta.entrada.id).toBe('conv-52-91-anexo-i');
+        expect(proposta.cargaEfetivaDesejada).toBe(8.8);
+        expect(proposta.cargaOrigemEfetiva).toBe(8.8);
+        expect(proposta.abrangenciaCarga).toBe('nacional');
+    });
+
+    test('52/91 Anexo I a 7%: carga de origem de 5,14%', () => {
+        const proposta = proporUm(criarItem('M1', '84581100', { ufOrigem: 'SP', aliqIcms: 7 }));
+
+        expect(proposta.cargaEfetivaDesejada).toBe(8.8);
+        expect(proposta.cargaOrigemEfetiva).toBe(5.14);
+    });
+
+    test('sem alíquota no documento, a carga de origem segue o par de UFs', () => {
+        const proposta = proporUm(criarItem('M1', '84581100', { ufOrigem: 'XX', aliqIcms: 0 }), {}, { ufOrigem: 'SP' });
+        expect(proposta.cargaOrigemEfetiva).toBe(5.14);
+    });
+
+    test('52/91 Anexo II usa as cargas de máquinas agrícolas', () => {
+        const proposta = proporUm(criarItem('A1', '84329000'));
+
+        expect(proposta.entrada.id).toBe('conv-52-91-anexo-ii');
+        expect(proposta.cargaEfetivaDesejada).toBe(5.6);
+        expect(proposta.cargaOrigemEfetiva).toBe(5.6);
+    });
+
+    test('100/97 reduz a alíquota interna vigente da UF de destino', () => {
+        const atual = proporUm(criarItem('F1', '31021010'));
+        const anterior = proporUm(criarItem('F1', '31021010', { documento: { dtDoc: '10012023' } }));
+
+        // GO: 19% × 40% = 7,6%; antes de 01/04/2023, 17% × 40% = 6,8%
+        expect(atual.cargaEfetivaDesejada).toBe(7.6);
+        expect(atual.abrangenciaCarga).toBe('reducao');
+        expect(anterior.cargaEfetivaDesejada).toBe(6.8);
+        expect(atual.cargaOrigemEfetiva).toBe(4.8);
+    });
+
+    test('carga própria da UF prevalece sobre a nacional', () => {
+        const entrada = window.CONVENIOS_REDUCAO_BASE.find(e => e.id === 'conv-52-91-anexo-i');
+        entrada.cargaPorUF.GO = 10;
+        try {
+            const proposta = proporUm(criarItem('M1', '84581100'));
+            expect(proposta.cargaEfetivaDesejada).toBe(10);
+            expect(proposta.abrangenciaCarga).toBe('uf');
+        } finally {
+            delete entrada.cargaPorUF.GO;
+        }
+    });
+});
+
+test.describe('DifalConvenioCatalog - seleção dos itens', () => {
+    test('uma proposta por código de item e nenhuma para NCM fora do catálogo', () => {
+        const propostas = new DifalConvenioCatalog(criarStorage()).propor([
+            criarItem('M1', '84581100'),
+            criarItem('M1', '84581100', { documento: { dtDoc: '20042024' } }),
+            criarItem('X1', '94013000')
+        ]);
+
+        expect(propostas.map(p => p.itemId)).toEqual(['M1']);
+    });
+
+    test('item com benefício configurado não recebe proposta', () => {
+        const configuracoes = { M1: { beneficio: 'carga-efetiva', cargaEfetivaDesejada: 12 } };
+        expect(proporUm(criarItem('M1', '84581100'), configuracoes)).toBeUndefined();
+    });
+
+    test('proposta rejeitada não volta até limpar as rejeições', () => {
+        const storage = criarStorage();
+        const itens = [criarItem('M1', '84581100')];
+        new DifalConvenioCatalog(storage).rejeitar(new DifalConvenioCatalog(storage).propor(itens));
+
+        const catalogo = new DifalConvenioCatalog(storage);
+        expect(catalogo.propor(itens)).toHaveLength(0);
+        expect(catalogo.limparRejeicoes()).toBe(1);
+        expect(catalogo.propor(itens)).toHaveLength(1);
+    });
+
+    test('proposta aceita vira configuração de redução de base', () => {
+        const configuracao = DifalConvenioCatalog.configuracaoDaProposta(proporUm(criarItem('M1', '84581100')));
+
+        expect(configuracao.beneficio).toBe('reducao-base');
+        expect(configuracao.cargaEfetivaDesejada).toBe(8.8);
+        expect(configuracao.cargaOrigemEfetiva).toBe(8.8);
+        expect(configuracao.convenio.id).toBe('conv-52-91-anexo-i');
+    });
+});
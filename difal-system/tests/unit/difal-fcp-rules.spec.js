@@ -0,0 +1,94 @@
+/**
+ * Testes das regras de FCP por UF e prefixo de NCM (DifalFcpRules)
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar, criarStorage } = require('./ambiente-node');
+
+const [DifalFcpRules] = carregar('js/config/difal-fcp-rules.js');
+
+test.describe('DifalFcpRules - resolução por NCM', () => {
+    let regras;
+
+    test.beforeEach(() => {
+        regras = new DifalFcpRules(criarStorage());
+        regras.salvarRegra('RJ', { ncmPrefixo: '22', aliquota: 2, inicio: '2020-01-01' });
+        regras.salvarRegra('RJ', { ncmPrefixo: '2203', aliquota: 4, inicio: '2020-01-01' });
+        regras.salvarRegra('RJ', { ncmPrefixo: '220300', aliquota: 3, inicio: '2020-01-01', fim: '2023-12-31' });
+    });
+
+    test('vale o prefixo mais longo', () => {
+        const resultado = regras.resolver('RJ', '22030000', '2024-05-01', 0);
+
+        expect(resultado.origem).toBe('regra');
+        expect(resultado.regra.ncmPrefixo).toBe('2203');
+        expect(resultado.aliquota).toBe(4);
+    });
+
+    test('prefixo mais longo só vale dentro da vigência', () => {
+        expect(regras.resolver('RJ', '22030000', '15062023', 0).aliquota).toBe(3);
+        expect(regras.resolver('RJ', '22030000', '01012024', 0).aliquota).toBe(4);
+        expect(regras.resolver('RJ', '22030000', '2019-12-31', 0).origem).toBe('geral');
+    });
+
+    test('prefixo curto cobre os NCMs sem regra mais específica', () => {
+        const resultado = regras.resolver('RJ', '2208.20.00', '2024-05-01', 0);
+
+        expect(resultado.regra.ncmPrefixo).toBe('22');
+        expect(resultado.aliquota).toBe(2);
+    });
+
+    test('abrangência "todos": NCM sem regra usa o FCP geral', () => {
+        const resultado = regras.resolver('RJ', '84713012', '2024-05-01', 1.5);
+
+        expect(resultado.origem).toBe('geral');
+        expect(resultado.aliquota).toBe(1.5);
+        expect(resultado.semRegras).toBe(false);
+    });
+
+    test('abrangência "lista": NCM sem regra fica sem FCP', () => {
+        regras.definirAbrangencia('RJ', 'lista');
+        const resultado = regras.resolver('RJ', '84713012', '2024-05-01', 1.5);
+
+        expect(resultado.origem).toBe('fora-da-lista');
+        expect(resultado.aliquota).toBe(0);
+    });
+
+    test('UF sem regras sinaliza semRegras', () => {
+        const resultado = regras.resolver('MG', '22030000', '2024-05-01', 2);
+
+        expect(resultado.semRegras).toBe(true);
+        expect(resultado.aliquota).toBe(2);
+    });
+
+    test('regras persistem no storage', () => {
+        const storage = criarStorage();
+        new DifalFcpRules(storage).salvarRegra('RJ', { ncmPrefixo: '2203', aliquota: '2,5', inicio: '01/01/2024' });
+
+        const recarregadas = new DifalFcpRules(storage);
+        expect(recarregadas.resolver('RJ', '22030000', '2024-05-01', 0).aliquota).toBe(2.5);
+    });
+});
+
+test.describe('DifalFcpRules - validação', () => {
+    test('alíquota acima do FCP máximo da UF é rejeitada', () => {
+        const regras = new DifalFcpRules(criarStorage());
+
+        expect(() => regras.salvarRegra('MG', { ncmPrefixo: '2203', aliquota: 3, inicio: '2024-01-01' }))
+            .toThrow(/entre 0 e 2%/);
+        expect(() => regras.salvarRegra('RJ', { ncmPrefixo: '2203', aliquota: 4, inicio: '2024-01-01' }))
+            .not.toThrow();
+    });
+
+    test('prefixo, datas e UF inválidos são rejeitados', () => {
+        const regras = new DifalFcpRules(criarStorage());
+
+        expect(() => regras.salvarRegra('RJ', { ncmPrefixo: '2', aliquota: 1, inicio: '2024-01-01' }))
+            .toThrow(/prefixo de NCM/);
+        expect(() => regras.salvarRegra('RJ', { ncmPrefixo: '2203', aliquota: 1, inicio: '2024-01-01', fim: '2023-01-01' }))
+            .toThrow(/fim da vigência/);
+        expect(() => regras.salvarRegra('ZZ', { ncmPrefixo: '2203', aliquota: 1, inicio: '2024-01-01' }))
+            .toThrow(/UF desconhecida/);
+        expect(regras.listarUFsComRegras()).toEqual([]);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Testes dos perfis de filtro DIFAL (CFOP/CST por cliente) e da descrição do filtro
+ * nos dados consolidados de vários períodos
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar, criarStorage } = require('./ambiente-node');
+
+const [DifalFilterProfiles, PeriodsManager] = carregar(
+    'js/config/difal-filter-profiles.js',
+    'js/periods/periods-manager.js'
+);
+
+const PERFIL_PADRAO = DifalFilterProfiles.resolverPerfil(null, null);
+
+function criarItem(campos = {}) {
+    return {
+        tipoItem: 'mercadoria',
+        cfop: '2556',
+        cstIcms: '000',
+        baseCalculoDifal: 1000,
+        ufOrigem: 'SP',
+        documento: { codSit: '00', indOper: '0', indEmit: '1' },
+        ...campos
+    };
+}
+
+function criarSped(dtInicio, dtFim, filtroDifal) {
+    return {
+        dadosEmpresa: { cnpj: '11222333000181', razaoSocial: 'Empresa GO', uf: 'GO', dtInicio, dtFim },
+        itensDifal: [],
+        filtroDifal,
+        metadata: { fileName: `sped_${dtInicio}.txt` }
+    };
+}
+
+test.describe('DifalFilterProfiles - filtro de itens', () => {
+    test('aceita uso e consumo de terceiros e separa fretes pelos CFOPs de transporte', () => {
+        expect(DifalFilterProfiles.obterMotivosExclusao(PERFIL_PADRAO, criarItem())).toEqual([]);
+        expect(DifalFilterProfiles.isCFOPPermitido(PERFIL_PADRAO, criarItem({ tipoItem: 'servico-transporte', cfop: '2353' }))).toBe(true);
+        expect(DifalFilterProfiles.isCFOPPermitido(PERFIL_PADRAO, criarItem({ tipoItem: 'servico-transporte' }))).toBe(false);
+    });
+
+    test('CST de 2 dígitos compara a tributação; de 3 dígitos, o código completo', () => {
+        const perfil = { ...PERFIL_PADRAO, cstsExcluidos: ['40', '500'] };
+
+        expect(DifalFilterProfiles.isCSTExcluido(perfil, '040')).toBe(true);
+        expect(DifalFilterProfiles.isCSTExcluido(perfil, '240')).toBe(true);
+        expect(DifalFilterProfiles.isCSTExcluido(perfil, '500')).toBe(true);
+        expect(DifalFilterProfiles.isCSTExcluido(perfil, '000')).toBe(false);
+        expect(DifalFilterProfiles.isCSTExcluido(perfil, '102')).toBe(false);
+    });
+
+    test('lista todos os motivos de exclusão do item', () => {
+        const motivos = DifalFilterProfiles.obterMotivosExclusao(PERFIL_PADRAO, criarItem({
+            cfop: '1556',
+            cstIcms: '060',
+            baseCalculoDifal: 0,
+            documento: { codSit: '02', indOper: '1', indEmit: '0' }
+        }));
+
+        expect(motivos).toEqual([
+            'documento-cancelado', 'operacao-saida', 'emissao-propria',
+            'operacao-interna', 'valor-zero', 'cst-excluido'
+        ]);
+        expect(DifalFilterProfiles.obterMotivosExclusao(PERFIL_PADRAO, criarItem({ ufOrigem: 'EX' })))
+            .toEqual(['participante-exterior']);
+    });
+});
+
+test.describe('DifalFilterProfiles - perfis por cliente', () => {
+    test('perfil personalizado vinculado ao CNPJ prevalece sobre o ativo', () => {
+        const perfis = new DifalFilterProfiles(criarStorage());
+        const perfil = perfis.salvarPerfil({ id: 'ativo', nome: 'Ativo', cfopsMercadorias: '2551', cstsExcluidos: '40; 41' });
+        perfis.vincularClientes('ativo', '11.222.333/0001-81');
+
+        const configuracao = perfis.obterConfiguracaoParser();
+        expect(DifalFilterProfiles.resolverPerfil(configuracao, '11222333000181')).toEqual(perfil);
+        expect(DifalFilterProfiles.resolverPerfil(configuracao, '99888777000166').id).toBe('padrao');
+    });
+
+    test('perfil inválido ou pré-definido não é salvo', () => {
+        const perfis = new DifalFilterProfiles(criarStorage());
+
+        expect(() => perfis.salvarPerfil({ id: 'padrao', nome: 'X' })).toThrow(/pré-definidos/);
+        expect(() => perfis.salvarPerfil({ nome: 'Inválido', cfopsMercadorias: '255' })).toThrow();
+    });
+});
+
+test.describe('DifalFilterProfiles - descrição do filtro', () => {
+    const perfilAtivo = { id: 'ativo', nome: 'Ativo', cfopsMercadorias: ['2551'], cfopsTransporte: [], cstsExcluidos: [] };
+
+    test('descreve o perfil e avisa quando não há filtro', () => {
+        expect(DifalFilterProfiles.descrever(perfilAtivo))
+            .toBe('Ativo (CFOPs mercadorias: 2551; CFOPs frete: nenhum; CSTs excluídos: nenhum)');
+        expect(DifalFilterProfiles.descreverDados(null)).toBe('Não informado');
+    });
+
+    test('períodos consolidados com o mesmo perfil usam a descrição do perfil', async () => {
+        const gerenciador = new PeriodsManager({ updatePeriodsState() {} }, null);
+        await gerenciador.addPeriod(criarSped('01012024', '31012024', PERFIL_PADRAO));
+        await gerenciador.addPeriod(criarSped('01022024', '29022024', PERFIL_PADRAO));
+
+        const consolidado = gerenciador.getConsolidatedSpedData();
+        expect(consolidado.filtroDifal).toEqual(PERFIL_PADRAO);
+        expect(consolidado.filtrosDifalPorPeriodo).toHaveLength(2);
+        expect(DifalFilterProfiles.descreverDados(consolidado)).toBe(DifalFilterProfiles.descrever(PERFIL_PADRAO));
+    });
+
+    test('períodos consolidados com perfis diferentes descrevem o filtro de cada período', async () => {
+        const gerenciador = new PeriodsManager({ updatePeriodsState() {} }, null);
+        await gerenciador.addPeriod(criarSped('01022024', '29022024', perfilAtivo));
+        await gerenciador.addPeriod(criarSped('01012024', '31012024', PERFIL_PADRAO));
+
+        const consolidado = gerenciador.getConsolidatedSpedData();
+        const [janeiro, fevereiro] = consolidado.filtrosDifalPorPeriodo;
+
+        expect(consolidado.filtroDifal).toBeNull();
+        expect(DifalFilterProfiles.descreverDados(consolidado)).toBe(
+            `${janeiro.periodo}: ${DifalFilterProfiles.descrever(PERFIL_PADRAO)}; ` +
+            `${fevereiro.periodo}: ${DifalFilterProfiles.descrever(perfilAtivo)}`
+        );
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Testes dos módulos de fórmula por UF (DifalFormulasUF): MG deduz o ICMS cobrado na origem
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar } = require('./ambiente-node');
+
+const [, DifalStrategies, DifalFormulasUF, DifalCalculator] = carregar(
+    'js/config/difal-filter-profiles.js',
+    'js/calculation/difal-strategies.js',
+    'js/calculation/difal-formulas-uf.js',
+    'js/calculation/difal-calculator.js'
+);
+
+function criarItem(campos = {}) {
+    return {
+        codItem: 'P1',
+        ncm: '84713012',
+        cfop: '2556',
+        cstIcms: '000',
+        baseCalculoDifal: 1000,
+        aliqIcms: 12,
+        valorIcms: 100,
+        ufOrigem: 'SP',
+        ufDestino: 'MG',
+        documento: { dtDoc: '10042024', numero: '100', linha: 8 },
+        ...campos
+    };
+}
+
+test.describe('DifalFormulasUF - registro', () => {
+    test('só MG tem módulo próprio; as demais UFs, inclusive SP, seguem a regra geral', () => {
+        expect(DifalFormulasUF.listar().map(modulo => modulo.uf)).toEqual(['MG']);
+        expect(DifalFormulasUF.resolver('SP').modulo).toBeNull();
+
+        const geral = DifalFormulasUF.resolver('GO');
+        expect(geral.modulo).toBeNull();
+        expect(geral.referenciaLegal).toBe(DifalFormulasUF.REFERENCIA_REGRA_GERAL);
+        expect(geral.opcoes).toEqual(DifalStrategies.OPCOES_PADRAO);
+    });
+
+    test('módulo sem referência legal é rejeitado', () => {
+        expect(() => DifalFormulasUF.registrar({ uf: 'GO', opcoes: {} })).toThrow(/referenciaLegal/);
+    });
+});
+
+test.describe('DifalFormulasUF - Minas Gerais', () => {
+    test.beforeEach(() => {
+        window.difalConfiguracoesItens = {};
+    });
+
+    test('exclui e deduz o ICMS destacado no documento', () => {
+        const resultado = new DifalCalculator(null, null).calcularItem(criarItem());
+
+        // BC1 = 1000 − 100 = 900; BC2 = 900 ÷ 0,82 = 1.097,56; ICMS interno = 197,56
+        expect(resultado.formulaUf).toBe('MG');
+        expect(resultado.detalhesCalculo.baseCalculo2).toBeCloseTo(1097.56, 2);
+        expect(resultado.valorDifal).toBeCloseTo(97.56, 2);
+        expect(resultado.memoriaCalculo.some(linha => linha.includes('ICMS cobrado na origem (destacado'))).toBe(true);
+    });
+
+    test('entrada do SPED sem crédito usa a alíquota nominal e avisa na memória', () => {
+        const resultado = new DifalCalculator(null, null).calcularItem(criarItem({ valorIcms: 0 }));
+
+        // BC1 = 880; BC2 = 880 ÷ 0,82 = 1.073,17; ICMS interno = 193,17
+        expect(resultado.valorDifal).toBeCloseTo(73.17, 2);
+        expect(resultado.memoriaCalculo.some(linha => linha.includes('12% nominal - ICMS destacado não informado no documento'))).toBe(true);
+    });
+
+    test('NF-e importada em XML usa o ICMS destacado na nota, mesmo sem crédito', () => {
+        const resultado = new DifalCalculator(null, null).calcularItem(criarItem({ valorIcms: 0, icmsDestacadoDocumento: 100 }));
+        expect(resultado.valorDifal).toBeCloseTo(97.56, 2);
+    });
+
+    test('a mesma nota para GO segue a regra geral, com a alíquota nominal', () => {
+        const resultado = new DifalCalculator(null, null).calcularItem(criarItem({ ufDestino: 'GO' }));
+
+        expect(resultado.formulaUf).toBeNull();
+        expect(resultado.valorDifal).toBeCloseTo(86.42, 2);
+    });
+});
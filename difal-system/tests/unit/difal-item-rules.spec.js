@@ -0,0 +1,118 @@
+/**
+ * Testes das regras de configuração automática dos itens por cliente (DifalItemRules)
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar, criarStorage } = require('./ambiente-node');
+
+const [DifalItemRules] = carregar('js/config/difal-item-rules.js');
+
+const CNPJ = '12345678000199';
+
+const ITENS = [
+    { codItem: 'P1', ncm: '84713012', cfop: '2551', cstIcms: '000', ufOrigem: 'SP' },
+    { codItem: 'P2', ncm: '94013000', cfop: '2556', cstIcms: '100', ufOrigem: 'SP' },
+    { codItem: 'P3', ncm: '94013000', cfop: '2556', cstIcms: '000', ufOrigem: 'MG' }
+];
+
+function criarRegras() {
+    const regras = new DifalItemRules(criarStorage());
+    regras.salvarRegra(CNPJ, {
+        id: 'informatica',
+        nome: 'Informática',
+        prioridade: 10,
+        condicoes: { ncmPrefixos: '8471', cfops: '2551' },
+        acao: { beneficio: 'reducao-base', cargaEfetivaDesejada: '12' }
+    });
+    regras.salvarRegra(CNPJ, {
+        id: 'importados',
+        nome: 'Importados',
+        prioridade: 20,
+        condicoes: { origensCst: ['1', '2', '3', '8'] },
+        acao: { beneficio: 'reducao-aliquota-origem', aliqOrigemEfetiva: 4 }
+    });
+    return regras;
+}
+
+test.describe('DifalItemRules - aplicação', () => {
+    test('configura cada item pela primeira regra que casa', () => {
+        const { configuracoes, porRegra, itensConfigurados } = criarRegras().aplicar(ITENS, {}, CNPJ);
+
+        expect(configuracoes.P1).toEqual({
+            beneficio: 'reducao-base',
+            cargaEfetivaDesejada: 12,
+            regra: { id: 'informatica', nome: 'Informática' }
+        });
+        expect(configuracoes.P2.aliqOrigemEfetiva).toBe(4);
+        expect(configuracoes.P3).toBeUndefined();
+        expect(porRegra).toEqual({ informatica: 1, importados: 1 });
+        expect(itensConfigurados).toBe(2);
+    });
+
+    test('prioridade menor é avaliada primeiro', () => {
+        const regras = criarRegras();
+        regras.salvarRegra(CNPJ, {
+            nome: 'Origem SP',
+            prioridade: 1,
+            condicoes: { ufsOrigem: 'sp' },
+            acao: { beneficio: 'isencao' }
+        });
+
+        const { configuracoes } = regras.aplicar(ITENS, {}, CNPJ);
+        expect(configuracoes.P1.beneficio).toBe('isencao');
+        expect(configuracoes.P2.beneficio).toBe('isencao');
+    });
+
+    test('configuração manual é mantida e a feita por regra é refeita', () => {
+        const manual = { beneficio: 'isencao' };
+        const anteriores = {
+            P1: manual,
+            P3: { beneficio: 'isencao', regra: { id: 'excluida', nome: 'Excluída' } }
+        };
+
+        const { configuracoes, removidos } = criarRegras().aplicar(ITENS, anteriores, CNPJ);
+
+        expect(configuracoes.P1).toBe(manual);
+        expect(configuracoes.P3).toBeUndefined();
+        expect(removidos).toEqual(['P3']);
+    });
+
+    test('regra inativa e regras de outro cliente são ignoradas', () => {
+        const regras = criarRegras();
+        regras.salvarRegra(CNPJ, { ...regras.listar(CNPJ)[0], ativa: false });
+
+        expect(regras.aplicar(ITENS, {}, CNPJ).configuracoes.P1).toBeUndefined();
+        expect(regras.aplicar(ITENS, {}, '99999999000199').itensConfigurados).toBe(0);
+    });
+});
+
+test.describe('DifalItemRules - validação', () => {
+    test('regra sem condição, sem ação ou com valor fora da faixa é rejeitada', () => {
+        const regras = new DifalItemRules(criarStorage());
+
+        expect(() => regras.salvarRegra(CNPJ, { nome: 'Vazia', acao: { beneficio: 'isencao' } }))
+            .toThrow(/ao menos uma condição/);
+        expect(() => regras.salvarRegra(CNPJ, { nome: 'Sem ação', condicoes: { cfops: '2551' } }))
+            .toThrow(/benefício ou a regra de FCP/);
+        expect(() => regras.salvarRegra(CNPJ, {
+            nome: 'Carga zero',
+            condicoes: { cfops: '2551' },
+            acao: { beneficio: 'reducao-base', cargaEfetivaDesejada: 0 }
+        })).toThrow(/maior que 0 e até 40%/);
+        expect(() => regras.salvarRegra('', { nome: 'Sem cliente' })).toThrow(/Carregue um SPED/);
+    });
+
+    test('regras persistem por cliente no storage', () => {
+        const storage = criarStorage();
+        const regras = new DifalItemRules(storage);
+        regras.salvarRegra(CNPJ, {
+            nome: 'FCP bebidas',
+            condicoes: { ncmPrefixos: '2203' },
+            acao: { fcpRegra: 'aplicar' }
+        });
+
+        const recarregadas = new DifalItemRules(storage).listar(CNPJ);
+        expect(recarregadas).toHaveLength(1);
+        expect(recarregadas[0].acao).toEqual({ fcpRegra: 'aplicar' });
+    });
+});
@@ -0,0 +1,199 @@
+/**
+ * Testes da tabela de alíquotas por UF: validação da importação JSON/CSV, log de alterações
+ * e instalação das vigências em EstadosUtil, consultado pelos calculadores
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar, criarStorage } = require('./ambiente-node');
+
+const [DifalRateTable] = carregar('js/config/difal-rate-table.js');
+
+function criarVigencia(campos = {}) {
+    return { inicio: '2025-01-01', aliqInterna: 21, fcp: 0, fcpMax: 0, metodologia: 'base-dupla', ...campos };
+}
+
+// A tabela instalada em EstadosUtil é global: não deixar vigências editadas para os outros testes
+test.afterEach(() => {
+    window.EstadosUtil.definirTabelaAliquotas({});
+});
+
+test.describe('DifalRateTable - importação', () => {
+    test('JSON exportado é importado e substitui só as UFs do arquivo', () => {
+        const tabela = new DifalRateTable(criarStorage());
+        const json = JSON.stringify({ versao: 1, vigencias: { go: [criarVigencia(), criarVigencia({ inicio: '2016-01-01', aliqInterna: 17 })] } });
+
+        expect(tabela.importar(json, 'json')).toEqual({ ufs: 1, vigencias: 2 });
+        expect(tabela.obterVigencias('GO').map(v => [v.inicio, v.aliqInterna])).toEqual([
+            ['2016-01-01', 17],
+            ['2025-01-01', 21]
+        ]);
+        expect(tabela.obterVigencias('MG')).toEqual(DifalRateTable.vigenciasDoCodigo('MG'));
+    });
+
+    test('CSV aceita vírgula decimal, data DD/MM/AAAA e fcpMax ausente', () => {
+        const tabela = new DifalRateTable(criarStorage());
+        const csv = '\uFEFFuf;inicio;aliqInterna;fcp;metodologia\r\nMG;01/01/2025;18,5;2;base-dupla-fcp\r\n';
+
+        tabela.importar(csv, 'csv');
+        expect(tabela.obterVigencias('MG')).toEqual([
+            { inicio: '2025-01-01', aliqInterna: 18.5, fcp: 2, fcpMax: 2, metodologia: 'base-dupla-fcp' }
+        ]);
+    });
+
+    test('CSV exportado volta igual na importação', () => {
+        const tabela = new DifalRateTable(criarStorage());
+        tabela.salvarVigencia('GO', criarVigencia({ aliqInterna: 21.5 }));
+        const csv = tabela.exportarCSV();
+
+        const outra = new DifalRateTable(criarStorage());
+        outra.importar(csv, 'csv');
+        expect(outra.obterVigencias('GO')).toEqual(tabela.obterVigencias('GO'));
+    });
+
+    test('arquivo com erros é rejeitado inteiro, sem alterar a tabela', () => {
+        const tabela = new DifalRateTable(criarStorage());
+        const json = JSON.stringify({
+            GO: [criarVigencia()],
+            MG: [criarVigencia({ aliqInterna: 45 }), criarVigencia({ metodologia: 'outra' })],
+            SP: [criarVigencia(), criarVigencia()],
+            XX: [criarVigencia()]
+        });
+
+        let mensagem = '';
+        try {
+            tabela.importar(json, 'json');
+        } catch (error) {
+            mensagem = error.message;
+        }
+
+        expect(mensagem).toMatch(/^Arquivo de alíquotas inválido: /);
+        expect(mensagem).toContain('MG 2025-01-01: alíquota interna deve estar entre 0 e 40%');
+        expect(mensagem).toContain('MG 2025-01-01: metodologia deve ser uma de: base-unica, base-dupla, base-dupla-fcp');
+        expect(mensagem).toContain('SP: vigência 2025-01-01 repetida');
+        expect(mensagem).toContain('UF desconhecida: XX');
+        expect(tabela.obterVigencias('GO')).toEqual(DifalRateTable.vigenciasDoCodigo('GO'));
+        expect(tabela.listarAlteracoes()).toEqual([]);
+    });
+
+    test('formato inválido ou sem vigências é rejeitado', () => {
+        const tabela = new DifalRateTable(criarStorage());
+
+        expect(() => tabela.importar('{ x', 'json')).toThrow(/^JSON inválido/);
+        expect(() => tabela.importar('[]', 'json')).toThrow('JSON sem o mapa de vigências por UF');
+        expect(() => tabela.importar('{}', 'json')).toThrow('Arquivo de alíquotas sem vigências');
+        expect(() => tabela.importar('uf;inicio;aliqInterna;fcp;metodologia', 'csv')).toThrow('CSV sem vigências');
+        expect(() => tabela.importar('uf;inicio;fcp\nGO;2025-01-01;0', 'csv')).toThrow('CSV sem as colunas: aliqInterna, metodologia');
+        expect(() => tabela.importar('uf;inicio;aliqInterna;fcp;metodologia\nGO;2025-13-40;19;0;base-dupla', 'csv'))
+            .toThrow(/início da vigência inválido/);
+    });
+});
+
+test.describe('DifalRateTable - log de alterações', () => {
+    test('edição, exclusão, importação e restauração entram no log com antes e depois', () => {
+        const tabela = new DifalRateTable(criarStorage());
+        const codigo = DifalRateTable.vigenciasDoCodigo('GO');
+        tabela.definirResponsavel('  Ana  ');
+
+        tabela.salvarVigencia('go', criarVigencia());
+        tabela.excluirVigencia('GO', '2025-01-01');
+        tabela.importar(JSON.stringify({ GO: [criarVigencia({ inicio: '2016-01-01' })] }), 'json');
+        tabela.restaurarPadrao('GO');
+
+        const log = tabela.listarAlteracoes();
+        expect(log.map(entrada => [entrada.acao, entrada.uf, entrada.responsavel])).toEqual([
+            ['restauracao', 'GO', 'Ana'],
+            ['importacao', 'GO', 'Ana'],
+            ['exclusao', 'GO', 'Ana'],
+            ['alteracao', 'GO', 'Ana']
+        ]);
+        expect(log[3].antes).toEqual(codigo);
+        expect(log[3].depois).toEqual([...codigo, criarVigencia()]);
+        expect(log[0].depois).toEqual(codigo);
+    });
+
+    test('operações sem efeito não entram no log', () => {
+        const tabela = new DifalRateTable(criarStorage());
+
+        expect(tabela.excluirVigencia('GO', '2030-01-01')).toBe(false);
+        expect(tabela.restaurarPadrao('GO')).toBe(false);
+        expect(() => tabela.salvarVigencia('GO', criarVigencia({ fcp: 3, fcpMax: 2 }))).toThrow(/^GO: FCP máximo/);
+        expect(() => tabela.salvarVigencia('XX', criarVigencia())).toThrow('UF desconhecida: XX');
+        expect(tabela.listarAlteracoes()).toEqual([]);
+    });
+
+    test('a UF precisa manter ao menos uma vigência', () => {
+        const tabela = new DifalRateTable(criarStorage());
+        tabela.importar(JSON.stringify({ GO: [criarVigencia()] }), 'json');
+
+        expect(() => tabela.excluirVigencia('GO', '2025-01-01')).toThrow('GO: a UF precisa de ao menos uma vigência');
+    });
+
+    test('log, responsável e vigências editadas sobrevivem ao recarregar do storage', () => {
+        const storage = criarStorage();
+        const tabela = new DifalRateTable(storage);
+        tabela.definirResponsavel('Ana');
+        tabela.salvarVigencia('GO', criarVigencia());
+
+        const recarregada = new DifalRateTable(storage);
+        expect(recarregada.responsavel).toBe('Ana');
+        expect(recarregada.obterVigencias('GO')).toEqual(tabela.obterVigencias('GO'));
+        expect(recarregada.listarAlteracoes()).toEqual(tabela.listarAlteracoes());
+    });
+
+    test('sem responsável definido, a entrada registra "não informado"', () => {
+        const tabela = new DifalRateTable(criarStorage());
+        tabela.salvarVigencia('GO', criarVigencia());
+
+        expect(tabela.listarAlteracoes()[0].responsavel).toBe('não informado');
+    });
+});
+
+test.describe('DifalRateTable - aplicação nos calculadores', () => {
+    test('vigência editada passa a valer em EstadosUtil a partir do início', () => {
+        const tabela = new DifalRateTable(criarStorage());
+        tabela.salvarVigencia('GO', criarVigencia({ fcp: 1, fcpMax: 2 }));
+
+        expect(window.EstadosUtil.obterAliquotasVigentes('GO', '31122024')).toMatchObject({
+            aliqInterna: 19, fcp: 0, vigenciaInicio: '2023-04-01', vigenciaFim: '2025-01-01'
+        });
+        expect(window.EstadosUtil.obterAliquotasVigentes('GO', '01012025')).toMatchObject({
+            aliqInterna: 21, fcp: 1, fcpMax: 2, vigenciaInicio: '2025-01-01', vigenciaFim: null
+        });
+        expect(tabela.listarUFs().find(estado => estado.uf === 'GO')).toMatchObject({
+            personalizada: true, vigente: { aliqInterna: 21 }
+        });
+    });
+
+    test('restaurar o padrão volta ao histórico do código', () => {
+        const tabela = new DifalRateTable(criarStorage());
+        tabela.salvarVigencia('GO', criarVigencia());
+        tabela.restaurarPadrao('GO');
+
+        expect(window.EstadosUtil.obterAliquotasVigentes('GO', '01012025')).toMatchObject({ aliqInterna: 19 });
+    });
+
+    test('ao ser criada, a tabela instala as vigências salvas no storage', () => {
+        const storage = criarStorage();
+        new DifalRateTable(storage).salvarVigencia('GO', criarVigencia());
+        window.EstadosUtil.definirTabelaAliquotas({});
+
+        new DifalRateTable(storage);
+        expect(window.EstadosUtil.obterAliquotasVigentes('GO', '01012025').aliqInterna).toBe(21);
+    });
+
+    test('aplicar entrega a EstadosUtil o mapa de vigências editadas', () => {
+        const tabela = new DifalRateTable(criarStorage());
+        tabela.importar(JSON.stringify({ MG: [criarVigencia({ aliqInterna: 18 })] }), 'json');
+
+        const original = window.EstadosUtil.definirTabelaAliquotas;
+        const recebidas = [];
+        window.EstadosUtil.definirTabelaAliquotas = mapa => recebidas.push(mapa);
+        try {
+            tabela.aplicar();
+        } finally {
+            window.EstadosUtil.definirTabelaAliquotas = original;
+        }
+
+        expect(recebidas).toEqual([{ MG: [criarVigencia({ aliqInterna: 18 })] }]);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Testes do DIFAL de saída (venda a não contribuinte de outra UF): partilha por ano, FCP por item
+ * e guarda para UF sem alíquotas vigentes
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar, criarStorage } = require('./ambiente-node');
+
+const [, DifalFcpRules, , , , DifalSaidaCalculator] = carregar(
+    'js/config/difal-filter-profiles.js',
+    'js/config/difal-fcp-rules.js',
+    'js/calculation/difal-strategies.js',
+    'js/calculation/difal-formulas-uf.js',
+    'js/calculation/difal-calculator.js',
+    'js/calculation/difal-saida-calculator.js'
+);
+
+function criarItem(dtDoc, campos = {}) {
+    return {
+        codItem: 'P1',
+        cfop: '6108',
+        baseCalculoDifal: 1000,
+        aliqIcms: 12,
+        ufOrigem: 'GO',
+        ufDestino: 'MG',
+        ncm: '84713012',
+        documento: { dtDoc, numero: '109', linha: 20 },
+        ...campos
+    };
+}
+
+test.describe('DifalSaidaCalculator - cálculo do item', () => {
+    test.beforeEach(() => {
+        window.difalConfiguracoesItens = {};
+        window.difalFcpRules = new DifalFcpRules(criarStorage());
+    });
+
+    test('2018: partilha de 80% para o destino e FCP integral', () => {
+        const calculo = new DifalSaidaCalculator(null).calcularItem(criarItem('10052018'));
+
+        // MG 18%: DIFAL = 1000 × 6% = 60; FCP 2% = 20
+        expect(calculo.valorDifal).toBeCloseTo(60, 2);
+        expect(calculo.icmsUfDestino).toBeCloseTo(48, 2);
+        expect(calculo.icmsUfOrigem).toBeCloseTo(12, 2);
+        expect(calculo.valorFcp).toBeCloseTo(20, 2);
+    });
+
+    test('a partir de 2019 o DIFAL é todo do destino', () => {
+        const calculo = new DifalSaidaCalculator(null).calcularItem(criarItem('10042024'));
+
+        expect(calculo.percentualDestino).toBe(100);
+        expect(calculo.icmsUfDestino).toBeCloseTo(60, 2);
+        expect(calculo.icmsUfOrigem).toBe(0);
+    });
+
+    test('antes de 2016 não há partilha', () => {
+        const calculo = new DifalSaidaCalculator(null).calcularItem(criarItem('10052015'));
+
+        expect(calculo.percentualDestino).toBeNull();
+        expect(calculo.valorDifal).toBe(0);
+    });
+
+    test('UF de destino sem alíquotas vigentes não é calculada e explica na memória', () => {
+        const original = window.EstadosUtil.obterAliquotasVigentes;
+        window.EstadosUtil.obterAliquotasVigentes = () => null;
+        try {
+            const calculo = new DifalSaidaCalculator(null).calcularItem(criarItem('10042024'));
+
+            expect(calculo.erro).toMatch(/sem alíquotas/);
+            expect(calculo.valorDifal).toBe(0);
+            expect(calculo.memoriaCalculo.some(linha => linha.includes('DIFAL não calculado'))).toBe(true);
+        } finally {
+            window.EstadosUtil.obterAliquotasVigentes = original;
+        }
+    });
+
+    test('UF de destino não identificada não é calculada', () => {
+        const calculo = new DifalSaidaCalculator(null).calcularItem(criarItem('10042024', { ufDestino: 'XX' }));
+        expect(calculo.erro).toBe('UF de destino não identificada');
+    });
+});
+
+test.describe('DifalSaidaCalculator - FCP por item', () => {
+    test.beforeEach(() => {
+        window.difalConfiguracoesItens = {};
+        window.difalFcpRules = new DifalFcpRules(criarStorage());
+    });
+
+    test('lista de FCP da UF: NCM fora da lista não paga FCP', () => {
+        window.difalFcpRules.definirAbrangencia('MG', 'lista');
+        window.difalFcpRules.salvarRegra('MG', { ncmPrefixo: '2203', aliquota: 2, inicio: '2016-01-01' });
+
+        const calculadora = new DifalSaidaCalculator(null);
+        const fora = calculadora.calcularItem(criarItem('10042024'));
+        const cerveja = calculadora.calcularItem(criarItem('10042024', { codItem: 'P2', ncm: '22030000' }));
+
+        expect(fora.aliqFcp).toBe(0);
+        expect(fora.origemFcp).toBe('fora-da-lista');
+        expect(fora.valorFcp).toBe(0);
+        expect(cerveja.aliqFcp).toBe(2);
+        expect(cerveja.valorFcp).toBeCloseTo(20, 2);
+        expect(cerveja.memoriaCalculo.some(linha => linha.includes('regra NCM 2203*'))).toBe(true);
+    });
+
+    test('configuração do item prevalece sobre a tabela', () => {
+        window.difalConfiguracoesItens = { P1: { fcpRegra: 'nao-aplicar' }, P2: { fcpManual: 1 } };
+
+        const calculadora = new DifalSaidaCalculator(null);
+        expect(calculadora.calcularItem(criarItem('10042024')).valorFcp).toBe(0);
+        expect(calculadora.calcularItem(criarItem('10042024', { codItem: 'P2' })).valorFcp).toBeCloseTo(10, 2);
+    });
+
+    test('sem regras nem configuração, usa o FCP da tabela', () => {
+        const calculo = new DifalSaidaCalculator(null).calcularItem(criarItem('10042024'));
+
+        expect(calculo.origemFcp).toBe('geral');
+        expect(calculo.valorFcp).toBeCloseTo(20, 2);
+    });
+});
+
+test.describe('DifalSaidaCalculator - totalização', () => {
+    test.beforeEach(() => {
+        window.difalConfiguracoesItens = {};
+        window.difalFcpRules = new DifalFcpRules(criarStorage());
+    });
+
+    test('itens não calculados são contados pelo motivo, fora dos totais por UF', () => {
+        const calculadora = new DifalSaidaCalculator(null);
+        const resultados = [
+            calculadora.calcularItem(criarItem('10042024')),
+            calculadora.calcularItem(criarItem('10042024', { ufDestino: 'XX' }))
+        ];
+
+        const original = window.EstadosUtil.obterAliquotasVigentes;
+        window.EstadosUtil.obterAliquotasVigentes = () => null;
+        try {
+            resultados.push(calculadora.calcularItem(criarItem('10042024', { ufDestino: 'SP' })));
+        } finally {
+            window.EstadosUtil.obterAliquotasVigentes = original;
+        }
+
+        const totalizadores = calculadora.totalizar(resultados);
+        expect(totalizadores.itensComErro).toBe(2);
+        expect(totalizadores.errosPorMotivo).toEqual({
+            'UF de destino não identificada': 1,
+            'UF de destino SP sem alíquotas cadastradas': 1
+        });
+        expect(Object.keys(totalizadores.porUf)).toEqual(['MG']);
+        expect(totalizadores.totalDifal).toBeCloseTo(60, 2);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Testes das metodologias de cálculo (DifalStrategies) e do motor DifalCalculator
+ * Valores conferidos à mão: base R$ 1.000,00, origem 12%, destino 19%, FCP 2%
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar } = require('./ambiente-node');
+
+const [, DifalStrategies, , DifalCalculator] = carregar(
+    'js/config/difal-filter-profiles.js',
+    'js/calculation/difal-strategies.js',
+    'js/calculation/difal-formulas-uf.js',
+    'js/calculation/difal-calculator.js'
+);
+
+const CONTEXTO = Object.freeze({
+    base: 1000,
+    aliqOrigem: 12,
+    aliqDestino: 19,
+    aliqFcp: 2,
+    cargaEfetivaDesejada: null,
+    icmsOrigemDestacado: 0,
+    opcoes: DifalStrategies.OPCOES_PADRAO
+});
+
+function calcular(id, contexto = {}) {
+    return DifalStrategies.obter(id).calcular({ ...CONTEXTO, ...contexto });
+}
+
+test.describe('DifalStrategies - metodologias', () => {
+    test('base única: base × (destino − origem)', () => {
+        const resultado = calcular('base-unica');
+
+        expect(resultado.detalhes.icmsOrigem).toBeCloseTo(120, 2);
+        expect(resultado.detalhes.icmsDestino).toBeCloseTo(190, 2);
+        expect(resultado.difal).toBeCloseTo(70, 2);
+        expect(resultado.baseFcp).toBeCloseTo(1000, 2);
+    });
+
+    test('base dupla: exclui o ICMS interestadual e inclui o interno por dentro', () => {
+        const resultado = calcular('base-dupla');
+
+        // BC1 = 1000 − 120 = 880; BC2 = 880 ÷ 0,81 = 1.086,42; ICMS interno = 206,42
+        expect(resultado.detalhes.baseCalculo1).toBeCloseTo(880, 2);
+        expect(resultado.detalhes.baseCalculo2).toBeCloseTo(1086.42, 2);
+        expect(resultado.detalhes.icmsInterno).toBeCloseTo(206.42, 2);
+        expect(resultado.difal).toBeCloseTo(86.42, 2);
+        expect(resultado.baseFcp).toBeCloseTo(1086.42, 2);
+    });
+
+    test('base dupla com FCP: inclusão por dentro a 21%', () => {
+        const resultado = calcular('base-dupla-fcp');
+
+        // BC2 = 880 ÷ 0,79 = 1.113,92; ICMS interno = 211,65
+        expect(resultado.detalhes.baseCalculo2).toBeCloseTo(1113.92, 2);
+        expect(resultado.detalhes.icmsInterno).toBeCloseTo(211.65, 2);
+        expect(resultado.difal).toBeCloseTo(91.65, 2);
+        expect(resultado.passos.some(passo => passo.includes('inclusão por dentro a 21%'))).toBe(true);
+    });
+
+    test('redução de base para a carga efetiva depois da inclusão por dentro', () => {
+        const resultado = calcular('base-dupla', { cargaEfetivaDesejada: 12 });
+
+        // Base reduzida = 1.086,42 × 12 ÷ 19 = 686,16; ICMS interno = 130,37
+        expect(resultado.detalhes.baseEfetiva).toBeCloseTo(686.16, 2);
+        expect(resultado.difal).toBeCloseTo(10.37, 2);
+        expect(resultado.detalhes.reducaoAplicada).toBe(true);
+    });
+
+    test('dedução pelo ICMS destacado quando a UF exige', () => {
+        const resultado = calcular('base-dupla', {
+            icmsOrigemDestacado: 100,
+            opcoes: { ...DifalStrategies.OPCOES_PADRAO, deducaoOrigem: 'efetiva' }
+        });
+
+        // BC1 = 900; BC2 = 900 ÷ 0,81 = 1.111,11; ICMS interno = 211,11
+        expect(resultado.detalhes.icmsInterestadual).toBe(100);
+        expect(resultado.difal).toBeCloseTo(111.11, 2);
+    });
+
+    test('DIFAL nunca é negativo', () => {
+        expect(calcular('base-unica', { aliqDestino: 10 }).difal).toBe(0);
+    });
+});
+
+test.describe('DifalStrategies - resolução da metodologia', () => {
+    test('configuração geral prevalece sobre a tabela da UF', () => {
+        const { estrategia, origem } = DifalStrategies.resolver('base-unica', { metodologia: 'base-dupla' });
+        expect(estrategia.id).toBe('base-unica');
+        expect(origem).toBe('configuracao');
+    });
+
+    test('"auto" usa a metodologia da tabela da UF', () => {
+        const { estrategia, origem } = DifalStrategies.resolver('auto', { metodologia: 'base-dupla-fcp' });
+        expect(estrategia.id).toBe('base-dupla-fcp');
+        expect(origem).toBe('tabela');
+    });
+
+    test('metodologia desconhecida cai no padrão', () => {
+        const { estrategia, origem } = DifalStrategies.resolver('auto', { metodologia: 'inexistente' });
+        expect(estrategia.id).toBe(DifalStrategies.ESTRATEGIA_PADRAO);
+        expect(origem).toBe('padrao');
+    });
+});
+
+test.describe('DifalCalculator - cálculo do item', () => {
+    const criarItem = (campos = {}) => ({
+        codItem: 'P1',
+        ncm: '84713012',
+        cfop: '2556',
+        cstIcms: '000',
+        baseCalculoDifal: 1000,
+        aliqIcms: 12,
+        valorIcms: 120,
+        ufOrigem: 'SP',
+        ufDestino: 'GO',
+        documento: { dtDoc: '10042024', numero: '100', linha: 8 },
+        ...campos
+    });
+
+    test.beforeEach(() => {
+        window.difalConfiguracoesItens = {};
+    });
+
+    test('aquisição SP → GO em base dupla com a alíquota vigente de GO', () => {
+        const calculadora = new DifalCalculator(null, null);
+        const resultado = calculadora.calcularItem(criarItem());
+
+        expect(resultado.aliqDestino).toBe(19);
+        expect(resultado.metodoCalculo).toBe('base-dupla');
+        expect(resultado.valorDifal).toBeCloseTo(86.42, 2);
+        expect(resultado.valorFcp).toBe(0);
+    });
+
+    test('documento anterior à vigência de 19% usa a alíquota de 17% de GO', () => {
+        const calculadora = new DifalCalculator(null, null);
+        const resultado = calculadora.calcularItem(criarItem({ documento: { dtDoc: '15032023', numero: '90', linha: 8 } }));
+
+        // BC2 = 880 ÷ 0,83 = 1.060,24; ICMS interno = 180,24
+        expect(resultado.aliqDestino).toBe(17);
+        expect(resultado.valorDifal).toBeCloseTo(60.24, 2);
+    });
+
+    for (const cstIcms of ['100', '110', '190', '260', '300', '800']) {
+        test(`item importado (CST ${cstIcms}) usa 4% de alíquota interestadual`, () => {
+            const calculadora = new DifalCalculator(null, null);
+            const resultado = calculadora.calcularItem(criarItem({ cstIcms, aliqIcms: 0 }));
+            expect(resultado.aliqOrigem).toBe(4);
+        });
+    }
+
+    for (const cstIcms of ['000', '460', '201', '202', '203', '101', '900']) {
+        test(`CST/CSOSN ${cstIcms} sem origem importada usa a alíquota do par de UFs`, () => {
+            const calculadora = new DifalCalculator(null, null);
+            const resultado = calculadora.calcularItem(criarItem({ cstIcms, aliqIcms: 0 }));
+            expect(resultado.aliqOrigem).toBe(7);
+        });
+    }
+
+    test('NF-e com CSOSN usa a origem informada no documento', () => {
+        const calculadora = new DifalCalculator(null, null);
+
+        expect(calculadora.isProdutoImportado('102', '1')).toBe(true);
+        expect(calculadora.isProdutoImportado('300', '0')).toBe(false);
+        expect(calculadora.isProdutoImportado('500', '')).toBe(false);
+    });
+
+    test('participante do exterior não é calculado com a alíquota padrão', () => {
+        const calculadora = new DifalCalculator(null, null);
+        expect(() => calculadora.calcularItem(criarItem({ ufOrigem: 'EX', aliqIcms: 0 }))).toThrow(/exterior/);
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Testes da alíquota interna vigente por data do documento (EstadosUtil.obterAliquotasVigentes)
+ */
+
+const { test, expect } = require('@playwright/test');
+require('./ambiente-node');
+
+const { EstadosUtil } = window;
+
+test.describe('EstadosUtil - alíquotas vigentes', () => {
+    test.afterEach(() => {
+        EstadosUtil.definirTabelaAliquotas(null);
+    });
+
+    test('GO: 17% até 31/03/2023 e 19% a partir de 01/04/2023', () => {
+        const antes = EstadosUtil.obterAliquotasVigentes('GO', '31032023');
+        const depois = EstadosUtil.obterAliquotasVigentes('GO', '01042023');
+
+        expect(antes.aliqInterna).toBe(17);
+        expect(antes.vigenciaInicio).toBe('2016-01-01');
+        expect(antes.vigenciaFim).toBe('2023-04-01');
+        expect(depois.aliqInterna).toBe(19);
+        expect(depois.vigenciaInicio).toBe('2023-04-01');
+        expect(depois.vigenciaFim).toBeNull();
+    });
+
+    test('MA: cada vigência do histórico', () => {
+        const aliquota = data => EstadosUtil.obterAliquotasVigentes('MA', data).aliqInterna;
+
+        expect(aliquota('2022-12-31')).toBe(18);
+        expect(aliquota('2023-01-01')).toBe(20);
+        expect(aliquota('2024-02-22')).toBe(20);
+        expect(aliquota('2024-02-23')).toBe(22);
+        expect(aliquota('2025-02-23')).toBe(23);
+    });
+
+    test('aceita DDMMAAAA, AAAA-MM-DD com hora e Date', () => {
+        expect(EstadosUtil.obterAliquotasVigentes('GO', '15032023').aliqInterna).toBe(17);
+        expect(EstadosUtil.obterAliquotasVigentes('GO', '2023-04-01T10:00:00').aliqInterna).toBe(19);
+        expect(EstadosUtil.obterAliquotasVigentes('GO', new Date(2022, 5, 30)).aliqInterna).toBe(17);
+    });
+
+    test('sem data usa a vigência mais recente', () => {
+        const vigente = EstadosUtil.obterAliquotasVigentes('MA');
+        expect(vigente.aliqInterna).toBe(23);
+        expect(vigente.vigenciaInicio).toBe('2025-02-23');
+    });
+
+    test('data anterior ao histórico usa a primeira vigência', () => {
+        expect(EstadosUtil.obterAliquotasVigentes('GO', '2015-06-01').aliqInterna).toBe(17);
+    });
+
+    test('UF sem histórico segue ESTADOS_BRASIL', () => {
+        const vigente = EstadosUtil.obterAliquotasVigentes('MG', '2020-01-01');
+
+        expect(vigente.aliqInterna).toBe(18);
+        expect(vigente.fcp).toBe(2);
+        expect(vigente.vigenciaInicio).toBeNull();
+    });
+
+    test('UF desconhecida retorna null', () => {
+        expect(EstadosUtil.obterAliquotasVigentes('ZZ', '2024-01-01')).toBeNull();
+    });
+
+    test('tabela editada substitui o histórico e acumula os campos alterados', () => {
+        EstadosUtil.definirTabelaAliquotas({
+            GO: [
+                { inicio: '2016-01-01', aliqInterna: 17, fcp: 0 },
+                { inicio: '2024-01-01', fcp: 2, metodologia: 'base-dupla-fcp' }
+            ]
+        });
+
+        const antes = EstadosUtil.obterAliquotasVigentes('GO', '2023-12-31');
+        const depois = EstadosUtil.obterAliquotasVigentes('GO', '2024-01-01');
+
+        expect(antes.aliqInterna).toBe(17);
+        expect(antes.fcp).toBe(0);
+        expect(depois.aliqInterna).toBe(17);
+        expect(depois.fcp).toBe(2);
+        expect(depois.metodologia).toBe('base-dupla-fcp');
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Testes da decodificação tipada dos campos SPED: decimal com vírgula, datas DDMMAAAA,
+ * campos vazios e relatório de falhas por arquivo
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar } = require('./ambiente-node');
+
+const [, SpedFieldDecoder] = carregar(
+    'js/parsing/sped-layouts.js',
+    'js/parsing/sped-field-decoder.js'
+);
+
+test.describe('SpedFieldDecoder - valores', () => {
+    const decodificador = new SpedFieldDecoder();
+
+    test('decimal usa vírgula e não aceita ponto nem separador de milhar', () => {
+        expect(decodificador.decodificarValor('1234,56', 'N')).toEqual({ valido: true, valor: 1234.56 });
+        expect(decodificador.decodificarValor('-0,5', 'N')).toEqual({ valido: true, valor: -0.5 });
+        expect(decodificador.decodificarValor('100', 'N')).toEqual({ valido: true, valor: 100 });
+        expect(decodificador.decodificarValor('1234.56', 'N').valido).toBe(false);
+        expect(decodificador.decodificarValor('1.234,56', 'N').valido).toBe(false);
+    });
+
+    test('inteiro não aceita casas decimais', () => {
+        expect(decodificador.decodificarValor('42', 'I')).toEqual({ valido: true, valor: 42 });
+        expect(decodificador.decodificarValor('4,2', 'I').valido).toBe(false);
+    });
+
+    test('data DDMMAAAA é validada no calendário e mantida como texto', () => {
+        expect(decodificador.decodificarValor('29022024', 'D')).toEqual({ valido: true, valor: '29022024' });
+        expect(decodificador.decodificarValor('29022023', 'D').valido).toBe(false);
+        expect(decodificador.decodificarValor('31042024', 'D').valido).toBe(false);
+        expect(decodificador.decodificarValor('2024-04-01', 'D').valido).toBe(false);
+    });
+
+    test('campo vazio ou ausente é válido e fica null; código mantém o texto', () => {
+        expect(decodificador.decodificarValor('', 'N')).toEqual({ valido: true, valor: null });
+        expect(decodificador.decodificarValor('  ', 'D')).toEqual({ valido: true, valor: null });
+        expect(decodificador.decodificarValor(undefined, 'I')).toEqual({ valido: true, valor: null });
+        expect(decodificador.decodificarValor('', 'C')).toEqual({ valido: true, valor: '' });
+        expect(decodificador.decodificarValor('060', 'C')).toEqual({ valido: true, valor: '060' });
+    });
+});
+
+test.describe('SpedFieldDecoder - registros e relatório', () => {
+    test('decodifica o registro pelo layout e registra os campos inválidos', () => {
+        const decodificador = new SpedFieldDecoder();
+        const registro = decodificador.decodificar('C190', ['C190', '000', '2556', '12,00', '1.500,00', '1500,00'], 12);
+
+        expect(registro.CST_ICMS).toBe('000');
+        expect(registro.ALIQ_ICMS).toBe(12);
+        expect(registro.VL_OPR).toBeNull();
+        expect(registro.VL_BC_ICMS).toBe(1500);
+        expect(registro.VL_ICMS).toBeNull();
+
+        expect(decodificador.obterRelatorio()).toEqual({
+            versaoLayout: '',
+            totalFalhas: 1,
+            falhasPorCampo: { 'C190.VL_OPR': 1 },
+            amostras: [{ linha: 12, registro: 'C190', campo: 'VL_OPR', tipo: 'N', valor: '1.500,00' }],
+            amostrasTruncadas: false
+        });
+    });
+
+    test('registro sem layout não é decodificado', () => {
+        expect(new SpedFieldDecoder().decodificar('Z999', ['Z999', 'x'], 1)).toBeNull();
+    });
+
+    test('amostras são limitadas e o total continua contando', () => {
+        const decodificador = new SpedFieldDecoder();
+        decodificador.config.maxAmostras = 2;
+
+        for (let linha = 1; linha <= 5; linha++) {
+            decodificador.decodificar('9999', ['9999', 'abc'], linha);
+        }
+
+        const relatorio = decodificador.obterRelatorio();
+        expect(relatorio.totalFalhas).toBe(5);
+        expect(relatorio.falhasPorCampo).toEqual({ '9999.QTD_LIN': 5 });
+        expect(relatorio.amostras.map(amostra => amostra.linha)).toEqual([1, 2]);
+        expect(relatorio.amostrasTruncadas).toBe(true);
+    });
+
+    test('o relatório e o leiaute são reiniciados a cada arquivo', () => {
+        const decodificador = new SpedFieldDecoder();
+        expect(decodificador.definirVersaoLayout('10')).toBe(true);
+        decodificador.decodificar('9999', ['9999', 'abc'], 30);
+
+        const primeiro = decodificador.obterRelatorio();
+        decodificador.limpar();
+
+        expect(primeiro.versaoLayout).toBe('010');
+        expect(primeiro.totalFalhas).toBe(1);
+        expect(decodificador.obterRelatorio()).toEqual({
+            versaoLayout: '',
+            totalFalhas: 0,
+            falhasPorCampo: {},
+            amostras: [],
+            amostrasTruncadas: false
+        });
+    });
+
+    test('versão não cadastrada usa o leiaute vigente', () => {
+        const decodificador = new SpedFieldDecoder();
+        expect(decodificador.definirVersaoLayout('099')).toBe(false);
+        expect(decodificador.layouts.C170.map(campo => campo.nome)).toContain('VL_ABAT_NT');
+    });
+});
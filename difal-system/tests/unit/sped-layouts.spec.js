@@ -0,0 +1,84 @@
+/**
+ * Testes da resolução dos layouts SPED pelo COD_VER do registro 0000:
+ * campos incluídos em cada versão do leiaute e posições por versão
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar } = require('./ambiente-node');
+
+const [{ SPED_LAYOUTS, SpedLayouts }] = carregar('js/parsing/sped-layouts.js');
+
+test.describe('SpedLayouts - versões', () => {
+    test('COD_VER é normalizado para 3 dígitos', () => {
+        expect(SpedLayouts.normalizarVersao('17')).toBe('017');
+        expect(SpedLayouts.normalizarVersao(9)).toBe('009');
+        expect(SpedLayouts.normalizarVersao(' 019 ')).toBe('019');
+        expect(SpedLayouts.normalizarVersao('')).toBe('');
+        expect(SpedLayouts.normalizarVersao(null)).toBe('');
+        expect(SpedLayouts.normalizarVersao('1.7')).toBe('');
+    });
+
+    test('versão mais recente e versões cadastradas', () => {
+        expect(SpedLayouts.versaoMaisRecente()).toBe('019');
+        expect(SpedLayouts.versaoConhecida('10')).toBe(true);
+        expect(SpedLayouts.versaoConhecida('001')).toBe(false);
+        expect(SpedLayouts.versaoConhecida('099')).toBe(false);
+        expect(SpedLayouts.versaoConhecida('')).toBe(false);
+    });
+
+    test('versão ausente, vigente ou posterior às cadastradas usa o leiaute vigente', () => {
+        expect(SpedLayouts.obterLayouts()).toBe(SPED_LAYOUTS);
+        expect(SpedLayouts.obterLayouts('x')).toBe(SPED_LAYOUTS);
+        expect(SpedLayouts.obterLayouts('019')).toEqual(SPED_LAYOUTS);
+        expect(SpedLayouts.obterLayouts('099')).toEqual(SPED_LAYOUTS);
+    });
+
+    test('layouts resolvidos ficam em cache por versão', () => {
+        expect(SpedLayouts.obterLayouts('12')).toBe(SpedLayouts.obterLayouts('012'));
+        expect(Object.isFrozen(SpedLayouts.obterLayouts('012'))).toBe(true);
+    });
+});
+
+test.describe('SpedLayouts - campos por versão', () => {
+    test('C170: VL_ABAT_NT só a partir do leiaute 014', () => {
+        expect(SpedLayouts.obterNomesCampos('C170', '013')).not.toContain('VL_ABAT_NT');
+        expect(SpedLayouts.obterPosicao('C170', 'VL_ABAT_NT', '013')).toBe(-1);
+        expect(SpedLayouts.obterPosicao('C170', 'VL_ABAT_NT', '014')).toBe(37);
+        expect(SpedLayouts.obterPosicao('C170', 'CFOP', '013')).toBe(SpedLayouts.obterPosicao('C170', 'CFOP', '014'));
+    });
+
+    test('D100: COD_MUN_ORIG e COD_MUN_DEST só a partir do leiaute 011', () => {
+        expect(SpedLayouts.obterPosicao('D100', 'COD_MUN_ORIG', '010')).toBe(-1);
+        expect(SpedLayouts.obterPosicao('D100', 'COD_MUN_DEST', '010')).toBe(-1);
+        expect(SpedLayouts.obterPosicao('D100', 'COD_MUN_ORIG', '011')).toBe(23);
+        expect(SpedLayouts.obterPosicao('D100', 'COD_MUN_DEST', '011')).toBe(24);
+        expect(SpedLayouts.obterNomesCampos('D100', '010')).toHaveLength(23);
+    });
+
+    test('0200: CEST ausente até o leiaute 010', () => {
+        expect(SpedLayouts.obterPosicao('0200', 'CEST', '010')).toBe(-1);
+        expect(SpedLayouts.obterPosicao('0200', 'CEST', '011')).toBeGreaterThan(0);
+        expect(SpedLayouts.obterNomesCampos('0200', '002')).toEqual(SpedLayouts.obterNomesCampos('0200', '010'));
+    });
+
+    test('E310: até o leiaute 010, DIFAL e FCP na mesma sequência com VL_RECOL único', () => {
+        expect(SpedLayouts.obterPosicao('E310', 'VL_RECOL', '010')).toBe(11);
+        expect(SpedLayouts.obterPosicao('E310', 'VL_RECOL_DIFAL', '010')).toBe(-1);
+        expect(SpedLayouts.obterPosicao('E310', 'VL_TOT_DEB_FCP', '010')).toBe(5);
+
+        expect(SpedLayouts.obterPosicao('E310', 'VL_RECOL', '011')).toBe(-1);
+        expect(SpedLayouts.obterPosicao('E310', 'VL_RECOL_DIFAL', '011')).toBe(9);
+        expect(SpedLayouts.obterPosicao('E310', 'VL_RECOL_FCP', '011')).toBe(19);
+    });
+
+    test('registros sem histórico usam o leiaute vigente em qualquer versão', () => {
+        expect(SpedLayouts.obterLayout('C190', '005')).toBe(SPED_LAYOUTS.C190);
+        expect(SpedLayouts.obterLayout('C170', '019')).toBe(SPED_LAYOUTS.C170);
+    });
+
+    test('registro sem layout', () => {
+        expect(SpedLayouts.obterLayout('Z999', '017')).toBeNull();
+        expect(SpedLayouts.obterNomesCampos('Z999', '017')).toBeNull();
+        expect(SpedLayouts.obterPosicao('Z999', 'REG', '017')).toBe(-1);
+    });
+});
@@ -0,0 +1,254 @@
+/**
+ * Testes do SpedParserModular em Node: vínculo C100/C170, documentos só com C190,
+ * UF do participante pelo 0150 e filtro por COD_SIT
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar, linhaSped } = require('./ambiente-node');
+
+const [SpedParser] = carregar('js/parsing/sped-parser.js');
+
+// C100 com os valores usados nos testes; demais campos zerados
+function c100({ indOper = '0', indEmit = '1', codPart, codSit = '00', numero, dtDoc = '10042024', valor }) {
+    return linhaSped(['C100', indOper, indEmit, codPart, '55', codSit, '1', numero, '', dtDoc, '11042024',
+        valor, '0', '0', '0', valor, '0', '0', '0', '0', valor, '0', '0', '0', '0', '0', '0', '0', '0']);
+}
+
+function c170({ numItem, codItem = 'P1', valor, cst = '000', cfop = '2556', aliq = '12,00', icms = '0' }) {
+    return linhaSped(['C170', numItem, codItem, '', '1', 'UN', valor, '0', '0', cst, cfop, '', valor, aliq, icms,
+        '0', '0', '0', '0', '', '', '0', '0', '0', '', '0', '0', '0', '0', '0', '', '0', '0', '0', '0', '0', '', '0']);
+}
+
+function c190({ cst = '000', cfop = '2556', aliq = '12,00', valor, icms = '0' }) {
+    return linhaSped(['C190', cst, cfop, aliq, valor, valor, icms, '0', '0', '0', '0', '']);
+}
+
+function participante(codPart, nome, codPais, codMun) {
+    return linhaSped(['0150', codPart, nome, codPais, '11111111000111', '', '', codMun, '', '', '', '', '']);
+}
+
+const LINHAS = [
+    linhaSped(['0000', '017', '0', '01042024', '30042024', 'EMPRESA TESTE', '12345678000199', '', 'GO', '1234', '5208707', '', '', 'A', '1']),
+    participante('F-SP', 'FORNECEDOR SP', '1058', '3550308'),
+    participante('F-MG', 'FORNECEDOR MG', '01058', '3106200'),
+    participante('F-EX', 'FORNECEDOR EXTERIOR', '0249', ''),
+    participante('F-SEM', 'FORNECEDOR SEM MUNICIPIO', '1058', ''),
+    linhaSped(['0200', 'P1', 'NOTEBOOK', '', '', 'UN', '07', '84713012', '', '', '', '', '']),
+    linhaSped(['0200', 'P2', 'CADEIRA', '', '', 'UN', '07', '94013000', '', '', '', '', '']),
+
+    // 100: dois itens vinculados ao mesmo C100
+    c100({ codPart: 'F-SP', numero: '100', valor: '1500,00' }),
+    c170({ numItem: '1', codItem: 'P1', valor: '1000,00', icms: '120,00' }),
+    c170({ numItem: '2', codItem: 'P2', valor: '500,00', icms: '60,00' }),
+    c190({ valor: '1500,00', icms: '180,00' }),
+
+    // 101: participante de MG
+    c100({ codPart: 'F-MG', numero: '101', valor: '300,00' }),
+    c170({ numItem: '1', codItem: 'P2', valor: '300,00' }),
+
+    // 102 cancelado, 104 denegado, 105 inutilizado: sem efeito fiscal
+    c100({ codPart: 'F-SP', codSit: '02', numero: '102', valor: '200,00' }),
+    c170({ numItem: '1', valor: '200,00' }),
+    c100({ codPart: 'F-SP', codSit: '04', numero: '104', valor: '200,00' }),
+    c170({ numItem: '1', valor: '200,00' }),
+    c100({ codPart: 'F-SP', codSit: '05', numero: '105', valor: '200,00' }),
+    c170({ numItem: '1', valor: '200,00' }),
+
+    // 106: escrituração extemporânea de documento regular, emitido em março
+    c100({ codPart: 'F-SP', codSit: '01', numero: '106', dtDoc: '15032024', valor: '400,00' }),
+    c170({ numItem: '1', valor: '400,00' }),
+
+    // 107: importação (participante do exterior)
+    c100({ codPart: 'F-EX', numero: '107', valor: '900,00' }),
+    c170({ numItem: '1', valor: '900,00' }),
+
+    // 108: compra de terceiro escriturada só com C190
+    c100({ codPart: 'F-SP', numero: '108', valor: '700,00' }),
+    c190({ valor: '700,00', icms: '84,00' }),
+
+    // 109: venda própria a não contribuinte de MG, só com C190
+    c100({ indOper: '1', indEmit: '0', codPart: 'F-MG', numero: '109', valor: '800,00' }),
+    c190({ cfop: '6108', valor: '800,00', icms: '96,00' }),
+
+    // 110: participante sem COD_MUN no 0150
+    c100({ codPart: 'F-SEM', numero: '110', valor: '250,00' }),
+    c170({ numItem: '1', valor: '250,00' }),
+
+    linhaSped(['9999', '30'])
+];
+
+function criarArquivo(linhas = LINHAS) {
+    return new File([linhas.join('\r\n')], 'sped-teste.txt');
+}
+
+async function processar(opcoes = {}) {
+    const parser = new SpedParser(null, null);
+    return parser.processarArquivo(criarArquivo(), opcoes);
+}
+
+function itensDoDocumento(itens, numero) {
+    return itens.filter(item => item.documento?.numero === numero);
+}
+
+test.describe('SpedParserModular - documentos e itens', () => {
+    let resultado;
+
+    test.beforeAll(async () => {
+        resultado = await processar();
+    });
+
+    test('vincula os C170 ao C100 anterior', () => {
+        const itens = itensDoDocumento(resultado.itensDifal, '100');
+
+        expect(itens.map(item => item.codItem)).toEqual(['P1', 'P2']);
+        expect(itens[0].documento).toBe(itens[1].documento);
+        expect(itens[0].documento.codPart).toBe('F-SP');
+        expect(itens[0].documento.totalItens).toBe(2);
+        expect(itens[0].ncm).toBe('84713012');
+        expect(itens[0].baseCalculoDifal).toBe(1000);
+        expect(itens[0].valorIcms).toBe(120);
+    });
+
+    test('documento de terceiro só com C190 não gera item nem divergência', () => {
+        expect(itensDoDocumento(resultado.itensDifal, '108')).toHaveLength(0);
+        expect(itensDoDocumento(resultado.itensExcluidos, '108')).toHaveLength(0);
+
+        const documento = resultado.documentos.find(doc => doc.numero === '108');
+        expect(documento.analiticosC190).toHaveLength(1);
+        expect(resultado.reconciliacao.divergencias.filter(d => d.documento === documento)).toHaveLength(0);
+        expect(resultado.reconciliacao.resumo.documentosSemItens).toBeGreaterThanOrEqual(1);
+    });
+
+    test('venda própria só com C190 e CFOP 6108 vira item do DIFAL de saída', () => {
+        const [item] = itensDoDocumento(resultado.itensDifalSaida, '109');
+
+        expect(item.tipoRegistro).toBe('C190');
+        expect(item.cfop).toBe('6108');
+        expect(item.baseCalculoDifal).toBe(800);
+        expect(item.ufOrigem).toBe('GO');
+        expect(item.ufDestino).toBe('MG');
+        expect(itensDoDocumento(resultado.itensDifal, '109')).toHaveLength(0);
+    });
+});
+
+test.describe('SpedParserModular - participantes (0150)', () => {
+    let resultado;
+
+    test.beforeAll(async () => {
+        resultado = await processar();
+    });
+
+    test('UF do participante vem do código IBGE do município', () => {
+        expect(resultado.participantes['F-SP'].uf).toBe('SP');
+        expect(resultado.participantes['F-MG'].uf).toBe('MG');
+        expect(resultado.participantes['F-SEM'].uf).toBe('');
+    });
+
+    test('item recebe fornecedor e UF de origem do participante', () => {
+        const [itemSp] = itensDoDocumento(resultado.itensDifal, '100');
+        const [itemMg] = itensDoDocumento(resultado.itensDifal, '101');
+
+        expect(itemSp.fornecedor.nome).toBe('FORNECEDOR SP');
+        expect(itemSp.ufOrigem).toBe('SP');
+        expect(itemMg.ufOrigem).toBe('MG');
+        expect(itemSp.ufDestino).toBe('GO');
+    });
+
+    test('participante sem município mantém a UF de origem em aberto', () => {
+        const [item] = itensDoDocumento(resultado.itensDifal, '110');
+        expect(item.ufOrigem).toBe('XX');
+    });
+
+    test('participante do exterior é excluído com motivo próprio', () => {
+        expect(resultado.participantes['F-EX'].uf).toBe('EX');
+        expect(itensDoDocumento(resultado.itensDifal, '107')).toHaveLength(0);
+
+        const [excluido] = itensDoDocumento(resultado.itensExcluidos, '107');
+        expect(excluido.motivos).toContain('participante-exterior');
+    });
+});
+
+test.describe('SpedParserModular - situação do documento (COD_SIT)', () => {
+    let resultado;
+
+    test.beforeAll(async () => {
+        resultado = await processar();
+    });
+
+    for (const numero of ['102', '104', '105']) {
+        test(`documento ${numero} sem efeito fiscal fica fora do DIFAL`, () => {
+            expect(itensDoDocumento(resultado.itensDifal, numero)).toHaveLength(0);
+
+            const [excluido] = itensDoDocumento(resultado.itensExcluidos, numero);
+            expect(excluido.motivos).toContain('documento-cancelado');
+        });
+    }
+
+    test('documento extemporâneo entra no DIFAL com a data real do DT_DOC', () => {
+        const [item] = itensDoDocumento(resultado.itensDifal, '106');
+
+        expect(item.situacaoDocumento.codSit).toBe('01');
+        expect(item.situacaoDocumento.extemporaneo).toBe(true);
+        expect(item.situacaoDocumento.dataDocumento).toBe('15032024');
+    });
+
+    test('documento regular não é marcado como extemporâneo', () => {
+        const [item] = itensDoDocumento(resultado.itensDifal, '100');
+        expect(item.situacaoDocumento.extemporaneo).toBe(false);
+    });
+});
+
+test.describe('SpedParserModular - leitura em fatias', () => {
+    test('streaming produz os mesmos itens que a leitura completa', async () => {
+        const completo = await processar();
+        const streaming = await new SpedParser(null, null).processarArquivoStreaming(criarArquivo());
+
+        const resumir = itens => itens.map(item => `${item.documento.numero}:${item.codItem}:${item.ufOrigem}:${item.baseCalculoDifal}`);
+        expect(resumir(streaming.itensDifal)).toEqual(resumir(completo.itensDifal));
+        expect(streaming.itensExcluidos.map(item => item.motivos))
+            .toEqual(completo.itensExcluidos.map(item => item.motivos));
+        expect(streaming.estatisticas.modoStreaming).toBe(true);
+    });
+});
+
+test.describe('SpedParserModular - encoding', () => {
+    const parser = new SpedParser(null, null);
+
+    // Conteúdo do arquivo a partir dos bytes; linha() converte texto em bytes Latin-1
+    const decodificar = (...bytes) => parser.decodificarConteudo(Uint8Array.from(bytes).buffer);
+    const linha = texto => Array.from(Buffer.from(texto, 'latin1'));
+
+    test('UTF-8 com BOM descarta o BOM', () => {
+        const resultado = decodificar(0xEF, 0xBB, 0xBF, ...Buffer.from('|0000|AÇÃO|\n', 'utf8'));
+        expect(resultado).toEqual({ encoding: 'UTF-8', bom: true, conteudo: '|0000|AÇÃO|\n' });
+    });
+
+    test('UTF-8 sem BOM', () => {
+        const resultado = decodificar(...Buffer.from('|0000|AÇÃO|\n', 'utf8'));
+        expect(resultado).toEqual({ encoding: 'UTF-8', bom: false, conteudo: '|0000|AÇÃO|\n' });
+    });
+
+    test('Latin-1 sem bytes 0x80-0x9F é ISO-8859-1', () => {
+        const resultado = decodificar(...linha('|0000|AÇÃO|\n'));
+        expect(resultado).toEqual({ encoding: 'ISO-8859-1', bom: false, conteudo: '|0000|AÇÃO|\n' });
+    });
+
+    test('bytes 0x80-0x9F indicam Windows-1252', () => {
+        // 0x96 = travessão em Windows-1252
+        const resultado = decodificar(...linha('|0000|AÇÃO '), 0x96, ...linha(' LTDA|\n'));
+        expect(resultado.encoding).toBe('WINDOWS-1252');
+        // O travessão depende do TextDecoder: o Node 20 decodifica windows-1252 como Latin-1
+        expect(resultado.conteudo).toMatch(/^\|0000\|AÇÃO . LTDA\|\n$/);
+    });
+
+    test('a assinatura digital após o 9999 fica de fora', () => {
+        const resultado = decodificar(...linha('|0000|X|\n|9999|2|\n'), 0x30, 0x82, 0xFF, 0x00);
+        expect(resultado.conteudo).toBe('|0000|X|\n|9999|2|\n');
+        expect(resultado.encoding).toBe('UTF-8');
+    });
+
+    test('falha na leitura mantém a causa na mensagem', async () => {
+        const arquivo = { name: 'sped.txt', arrayBuffer: () => Promise.reject(new Error('permissão negada')) };
+        await expect(parser.lerArquivo(arquivo)).rejects.toThrow('Erro ao ler arquivo sped.txt: permissão negada');
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Testes da conferência C190 x C170 por documento: combinação CST/CFOP/alíquota,
+ * VL_OPR com despesas acessórias e combinações sem correspondente
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar } = require('./ambiente-node');
+
+const [SpedReconciliation] = carregar('js/parsing/sped-reconciliation.js');
+
+function c170(campos = {}) {
+    return { CST_ICMS: '000', CFOP: '2556', ALIQ_ICMS: 12, VL_ITEM: 1000, VL_DESC: 0, VL_ICMS_ST: 0, VL_IPI: 0,
+        VL_BC_ICMS: 1000, VL_ICMS: 120, ...campos };
+}
+
+function c190(campos = {}) {
+    return { CST_ICMS: '000', CFOP: '2556', ALIQ_ICMS: 12, VL_OPR: 1000, VL_BC_ICMS: 1000, VL_ICMS: 120, ...campos };
+}
+
+/**
+ * Monta o documento com os C170 e C190 informados, como o parser faz durante a leitura
+ */
+function criarDocumento(reconciliador, itens, analiticos, campos = {}) {
+    const documento = { id: 'doc_1', numero: '100', despesasAcessorias: 0, ...campos };
+    itens.forEach(item => reconciliador.acumularItem(documento, item));
+    analiticos.forEach((analitico, indice) => reconciliador.registrarAnalitico(documento, analitico, 20 + indice));
+    return documento;
+}
+
+test.describe('SpedReconciliation - C190 x C170', () => {
+    test('itens da mesma combinação são somados e conferem com o C190', () => {
+        const reconciliador = new SpedReconciliation();
+        const documento = criarDocumento(reconciliador, [
+            c170({ VL_ITEM: 600, VL_DESC: 10, VL_IPI: 10, VL_BC_ICMS: 600, VL_ICMS: 72 }),
+            c170({ VL_ITEM: 400, VL_BC_ICMS: 400, VL_ICMS: 48 })
+        ], [c190()]);
+
+        const { divergencias, resumo } = reconciliador.reconciliar([documento]);
+        expect(divergencias).toEqual([]);
+        expect(resumo).toMatchObject({ documentosVerificados: 1, documentosDivergentes: 0 });
+    });
+
+    test('valor divergente aponta campo, linha do C190 e diferença', () => {
+        const reconciliador = new SpedReconciliation();
+        const documento = criarDocumento(reconciliador, [c170({ VL_ICMS: 100 })], [c190()]);
+
+        const { divergencias } = reconciliador.reconciliar([documento]);
+        expect(divergencias).toHaveLength(1);
+        expect(divergencias[0]).toMatchObject({
+            tipo: 'valor', campo: 'VL_ICMS', linhaC190: 20, cst: '000', cfop: '2556', aliquota: 12,
+            esperado: 120, encontrado: 100, diferenca: -20
+        });
+    });
+
+    test('diferença dentro da tolerância não é divergência', () => {
+        const reconciliador = new SpedReconciliation();
+        const documento = criarDocumento(reconciliador, [c170({ VL_ICMS: 120.005 })], [c190()]);
+
+        expect(reconciliador.reconciliar([documento]).divergencias).toEqual([]);
+    });
+
+    test('a chave analítica traz a alíquota com duas casas, zero se ausente', () => {
+        expect(SpedReconciliation.chaveAnalitica('000', '2556', 12)).toBe('000|2556|12.00');
+        expect(SpedReconciliation.chaveAnalitica('000', '2556', null)).toBe('000|2556|0.00');
+    });
+});
+
+test.describe('SpedReconciliation - despesas acessórias', () => {
+    test('com frete, seguro ou outras despesas no C100 o VL_OPR não é comparado', () => {
+        const reconciliador = new SpedReconciliation();
+        const documento = criarDocumento(reconciliador, [c170()], [c190({ VL_OPR: 1050 })], { despesasAcessorias: 50 });
+
+        expect(reconciliador.reconciliar([documento]).divergencias).toEqual([]);
+    });
+
+    test('sem despesas acessórias o VL_OPR é comparado', () => {
+        const reconciliador = new SpedReconciliation();
+        const documento = criarDocumento(reconciliador, [c170()], [c190({ VL_OPR: 1050 })]);
+
+        const [divergencia] = reconciliador.reconciliar([documento]).divergencias;
+        expect(divergencia).toMatchObject({ tipo: 'valor', campo: 'VL_OPR', esperado: 1050, encontrado: 1000 });
+    });
+
+    test('BC e ICMS continuam sendo comparados com despesas acessórias', () => {
+        const reconciliador = new SpedReconciliation();
+        const documento = criarDocumento(reconciliador, [c170({ VL_BC_ICMS: 900 })], [c190({ VL_OPR: 1050 })],
+            { despesasAcessorias: 50 });
+
+        const divergencias = reconciliador.reconciliar([documento]).divergencias;
+        expect(divergencias.map(divergencia => divergencia.campo)).toEqual(['VL_BC_ICMS']);
+    });
+});
+
+test.describe('SpedReconciliation - combinações sem correspondente', () => {
+    test('C190 sem itens da combinação gera sem-c170', () => {
+        const reconciliador = new SpedReconciliation();
+        const documento = criarDocumento(reconciliador, [c170()], [c190(), c190({ CFOP: '2551', VL_OPR: 300 })]);
+
+        const divergencias = reconciliador.reconciliar([documento]).divergencias;
+        expect(divergencias).toHaveLength(1);
+        expect(divergencias[0]).toMatchObject({ tipo: 'sem-c170', cfop: '2551', linhaC190: 21, esperado: 300, encontrado: 0 });
+    });
+
+    test('itens sem o C190 da combinação geram sem-c190', () => {
+        const reconciliador = new SpedReconciliation();
+        const documento = criarDocumento(reconciliador, [c170(), c170({ CST_ICMS: '060', VL_ITEM: 200 })], [c190()]);
+
+        const divergencias = reconciliador.reconciliar([documento]).divergencias;
+        expect(divergencias).toHaveLength(1);
+        expect(divergencias[0]).toMatchObject({ tipo: 'sem-c190', cst: '060', linhaC190: null, esperado: 0, encontrado: 200 });
+    });
+
+    test('documento só com C190 é contado à parte e não é conferido', () => {
+        const reconciliador = new SpedReconciliation();
+        const semItens = criarDocumento(reconciliador, [], [c190()], { id: 'doc_2' });
+        const semRegistros = { id: 'doc_3' };
+
+        const { divergencias, resumo } = reconciliador.reconciliar([semItens, semRegistros]);
+        expect(divergencias).toEqual([]);
+        expect(resumo).toMatchObject({ documentosVerificados: 0, documentosSemItens: 1 });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Testes da validação estrutural do SPED (SpedStructureValidator): hierarquia,
+ * contadores 9900/9999, período do 0000 e limite de ocorrências detalhadas
+ */
+
+const { test, expect } = require('@playwright/test');
+const { carregar } = require('./ambiente-node');
+
+const [, SpedStructureValidator] = carregar('js/parsing/sped-layouts.js', 'js/parsing/sped-structure-validator.js');
+
+const REGISTRO_0000 = ['0000', '017', '0', '01042024', '30042024', 'EMPRESA TESTE', '12345678000199', '', 'GO', '1234', '5208707', '', '', 'A', '1'];
+
+function c100(dtDoc = '10042024') {
+    return ['C100', '0', '1', 'F-SP', '55', '00', '1', '100', '', dtDoc, dtDoc, '1000,00'];
+}
+
+const C170 = ['C170', '1', 'P1', '', '1', 'UN', '1000,00'];
+
+/**
+ * Valida os registros na ordem e acrescenta o bloco 9 com os contadores corretos
+ * @param {Array<Array<string>>} registros
+ * @param {Object} [opcoes] - { bloco9: false } para omitir 9900/9999
+ */
+function validar(registros, { bloco9 = true } = {}) {
+    const linhas = [...registros];
+    if (bloco9) {
+        const contagem = {};
+        linhas.forEach(([tipo]) => { contagem[tipo] = (contagem[tipo] || 0) + 1; });
+        const tipos = [...Object.keys(contagem), '9900', '9999'];
+        contagem['9900'] = tipos.length;
+        contagem['9999'] = 1;
+        tipos.forEach(tipo => linhas.push(['9900', tipo, String(contagem[tipo])]));
+        linhas.push(['9999', String(linhas.length + 1)]);
+    }
+
+    const validador = new SpedStructureValidator();
+    linhas.forEach((campos, indice) => validador.registrar(campos[0], campos, indice + 1));
+    return validador.finalizar();
+}
+
+const codigos = resultado => resultado.problemas.map(problema => problema.codigo);
+
+test.describe('SpedStructureValidator - estrutura', () => {
+    test('arquivo íntegro não tem problemas', () => {
+        const resultado = validar([REGISTRO_0000, c100(), C170]);
+
+        expect(resultado.valido).toBe(true);
+        expect(resultado.problemas).toEqual([]);
+    });
+
+    test('C170 sem C100 é erro de hierarquia', () => {
+        const resultado = validar([REGISTRO_0000, C170]);
+
+        expect(resultado.valido).toBe(false);
+        expect(resultado.problemas[0]).toMatchObject({ codigo: 'HIERARQUIA', registro: 'C170', linha: 2 });
+    });
+
+    test('primeiro registro diferente de 0000 é crítico', () => {
+        const resultado = validar([c100(), REGISTRO_0000]);
+        expect(resultado.problemas[0]).toMatchObject({ severidade: 'critico', codigo: 'ABERTURA' });
+    });
+
+    test('0000 sem campo obrigatório e com período de mais de um mês', () => {
+        const registro = [...REGISTRO_0000];
+        registro[4] = '31052024';
+        registro[9] = '';
+
+        const resultado = validar([registro]);
+        expect(resultado.problemas.map(p => p.mensagem)).toEqual([
+            'Campo obrigatório IE não informado no registro 0000',
+            'Período do registro 0000 abrange mais de um mês'
+        ]);
+    });
+
+    test('documento posterior ao período é aviso e não invalida o arquivo', () => {
+        const resultado = validar([REGISTRO_0000, c100('10052024')]);
+
+        expect(resultado.valido).toBe(true);
+        expect(codigos(resultado)).toEqual(['DATA_FORA_PERIODO', 'DATA_FORA_PERIODO']);
+    });
+});
+
+test.describe('SpedStructureValidator - bloco 9', () => {
+    test('9900 com quantidade diferente da encontrada', () => {
+        const validador = new SpedStructureValidator();
+        [REGISTRO_0000, c100(), ['9900', '0000', '1'], ['9900', 'C100', '2'], ['9900', '9900', '4'], ['9900', '9999', '1'], ['9999', '7']]
+            .forEach((campos, indice) => validador.registrar(campos[0], campos, indice + 1));
+
+        const resultado = validador.finalizar();
+        expect(resultado.problemas.map(p => p.mensagem)).toEqual(['9900 declara 2 registro(s) C100, encontrado(s) 1']);
+    });
+
+    test('9999 com total de linhas diferente do arquivo', () => {
+        const validador = new SpedStructureValidator();
+        [REGISTRO_0000, ['9900', '0000', '1'], ['9900', '9900', '3'], ['9900', '9999', '1'], ['9999', '10']]
+            .forEach((campos, indice) => validador.registrar(campos[0], campos, indice + 1));
+
+        const resultado = validador.finalizar();
+        expect(resultado.valido).toBe(false);
+        expect(resultado.problemas).toEqual([
+            expect.objectContaining({ codigo: 'TOTAL_9999', mensagem: '9999 declara 10 linhas, arquivo tem 5' })
+        ]);
+    });
+
+    test('arquivo sem 9900 e sem 9999', () => {
+        const resultado = validar([REGISTRO_0000], { bloco9: false });
+
+        expect(resultado.valido).toBe(false);
+        expect(codigos(resultado)).toEqual(['TOTAL_9999', 'CONTADOR_9900']);
+    });
+});
+
+test.describe('SpedStructureValidator - limite de ocorrências', () => {
+    test('avisos acima do limite não escondem os erros do bloco 9', () => {
+        const documentos = Array.from({ length: 300 }, () => c100('10052024'));
+        const resultado = validar([REGISTRO_0000, ...documentos], { bloco9: false });
+
+        expect(resultado.valido).toBe(false);
+        expect(resultado.resumo).toEqual({ critico: 1, erro: 1, aviso: 600, total: 602, truncado: true });
+        expect(resultado.problemas).toHaveLength(500);
+        expect(codigos(resultado).slice(0, 2)).toEqual(['TOTAL_9999', 'CONTADOR_9900']);
+    });
+
+    test('com a lista cheia de erros, um crítico ainda entra', () => {
+        const filhosSemPai = Array.from({ length: 600 }, () => C170);
+        const resultado = validar([REGISTRO_0000, ...filhosSemPai], { bloco9: false });
+
+        expect(resultado.resumo.erro).toBe(601);
+        expect(resultado.resumo.critico).toBe(1);
+        expect(resultado.problemas[0].codigo).toBe('TOTAL_9999');
+        expect(resultado.problemas).toHaveLength(500);
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Testes da classificação dos arquivos do upload pelo conteúdo (EFD, NF-e, CT-e, evento)
+ * e do agrupamento em conjuntos de dados por período
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { test, expect } = require('@playwright/test');
+const { RAIZ, carregar, linhaSped } = require('./ambiente-node');
+
+const [ZipArchiveReader] = carregar('js/file/zip-archive-reader.js');
+
+const TIPOS = ZipArchiveReader.TIPOS;
+
+function criarArquivo(nome, conteudo) {
+    return new File([conteudo], nome);
+}
+
+function criarEfd(nome, dtInicio, dtFim) {
+    return criarArquivo(nome, [
+        linhaSped(['0000', '017', '0', dtInicio, dtFim, 'EMPRESA GO', '11222333000181']),
+        linhaSped(['9999', '2'])
+    ].join('\r\n'));
+}
+
+function fixtureXml(nome, nomeArquivo = nome) {
+    return criarArquivo(nomeArquivo, fs.readFileSync(path.join(RAIZ, 'tests/fixtures/nfe', nome)));
+}
+
+test.describe('ZipArchiveReader - classificação pelo conteúdo', () => {
+    const leitor = new ZipArchiveReader();
+
+    test('EFD pelo registro 0000, com a competência do DT_INI', async () => {
+        expect(await leitor.classificar(criarEfd('dados.xml', '01032024', '31032024')))
+            .toMatchObject({ tipo: TIPOS.EFD, competencia: '2024-03' });
+        expect(await leitor.classificar(criarArquivo('bom.txt', '\uFEFF|0000|017|0|01042024|30042024|')))
+            .toMatchObject({ tipo: TIPOS.EFD, competencia: '2024-04' });
+        expect(await leitor.classificar(criarArquivo('sem-data.txt', '|0000|017|0||||')))
+            .toMatchObject({ tipo: TIPOS.EFD, competencia: '' });
+    });
+
+    test('NF-e, CT-e e evento pelo grupo principal, mesmo sem extensão .xml', async () => {
+        expect(await leitor.classificar(fixtureXml('nfe-sp-uso-consumo.xml', 'nota.txt')))
+            .toMatchObject({ tipo: TIPOS.NFE, competencia: '2024-04' });
+        expect(await leitor.classificar(fixtureXml('cte-sp-frete.xml', 'frete')))
+            .toMatchObject({ tipo: TIPOS.CTE, competencia: '2024-04' });
+        expect(await leitor.classificar(fixtureXml('evento-cancelamento-mg.xml')))
+            .toMatchObject({ tipo: TIPOS.EVENTO, competencia: '' });
+    });
+
+    test('NF-e 2.00 usa o dEmi como competência', async () => {
+        const nota = criarArquivo('nfe-200.xml', '<NFe><infNFe versao="2.00"><ide><dEmi>2011-08-05</dEmi></ide></infNFe></NFe>');
+        expect(await leitor.classificar(nota)).toMatchObject({ tipo: TIPOS.NFE, competencia: '2011-08' });
+    });
+
+    test('conteúdo não reconhecido e ZIP interno não processado', async () => {
+        expect(await leitor.classificar(criarArquivo('leiame.txt', 'Arquivos do cliente')))
+            .toMatchObject({ tipo: TIPOS.DESCONHECIDO });
+        expect(await leitor.classificar(criarArquivo('sped.txt', 'texto |0000|017|0|01032024|')))
+            .toMatchObject({ tipo: TIPOS.DESCONHECIDO });
+        expect(await leitor.classificar(criarArquivo('LOTE.ZIP', 'PK')))
+            .toMatchObject({ tipo: TIPOS.ZIP, competencia: '' });
+    });
+});
+
+test.describe('ZipArchiveReader - conjuntos por período', () => {
+    test('cada EFD é um conjunto e os XMLs são agrupados por mês, em ordem de competência', () => {
+        const efdMarco = criarArquivo('efd-03.txt', '');
+        const efdAbril = criarArquivo('efd-04.txt', '');
+        const nfeAbril = criarArquivo('nfe-04.xml', '');
+        const cteAbril = criarArquivo('cte-04.xml', '');
+        const nfeFevereiro = criarArquivo('nfe-02.xml', '');
+
+        const conjuntos = new ZipArchiveReader().agruparConjuntos([
+            { file: efdAbril, tipo: TIPOS.EFD, competencia: '2024-04' },
+            { file: nfeAbril, tipo: TIPOS.NFE, competencia: '2024-04' },
+            { file: efdMarco, tipo: TIPOS.EFD, competencia: '2024-03' },
+            { file: nfeFevereiro, tipo: TIPOS.NFE, competencia: '2024-02' },
+            { file: cteAbril, tipo: TIPOS.CTE, competencia: '2024-04' }
+        ]);
+
+        expect(conjuntos.map(conjunto => [conjunto.tipo, conjunto.competencia, conjunto.files.map(file => file.name)])).toEqual([
+            ['xml', '2024-02', ['nfe-02.xml']],
+            ['efd', '2024-03', ['efd-03.txt']],
+            ['efd', '2024-04', ['efd-04.txt']],
+            ['xml', '2024-04', ['nfe-04.xml', 'cte-04.xml']]
+        ]);
+    });
+
+    test('eventos acompanham todos os conjuntos de XML e não formam conjunto próprio', () => {
+        const evento = criarArquivo('evento.xml', '');
+
+        const conjuntos = new ZipArchiveReader().agruparConjuntos([
+            { file: evento, tipo: TIPOS.EVENTO, competencia: '' },
+            { file: criarArquivo('nfe-03.xml', ''), tipo: TIPOS.NFE, competencia: '2024-03' },
+            { file: criarArquivo('nfe-04.xml', ''), tipo: TIPOS.NFE, competencia: '2024-04' },
+            { file: criarArquivo('efd-04.txt', ''), tipo: TIPOS.EFD, competencia: '2024-04' }
+        ]);
+
+        expect(conjuntos.filter(conjunto => conjunto.tipo === 'xml').map(conjunto => conjunto.files.map(file => file.name))).toEqual([
+            ['nfe-03.xml', 'evento.xml'],
+            ['nfe-04.xml', 'evento.xml']
+        ]);
+        expect(conjuntos.find(conjunto => conjunto.tipo === 'efd').files).toHaveLength(1);
+    });
+
+    test('só eventos, desconhecidos ou ZIPs não geram conjunto', () => {
+        expect(new ZipArchiveReader().agruparConjuntos([
+            { file: criarArquivo('evento.xml', ''), tipo: TIPOS.EVENTO, competencia: '' },
+            { file: criarArquivo('leiame.txt', ''), tipo: TIPOS.DESCONHECIDO, competencia: '' },
+            { file: criarArquivo('lote.zip', ''), tipo: TIPOS.ZIP, competencia: '' }
+        ])).toEqual([]);
+    });
+
+    test('upload de arquivos soltos: classifica, agrupa e lista os ignorados', async () => {
+        const { conjuntos, ignorados } = await new ZipArchiveReader().prepararConjuntos([
+            fixtureXml('nfe-sp-uso-consumo.xml'),
+            criarEfd('efd-marco.txt', '01032024', '31032024'),
+            fixtureXml('evento-cancelamento-mg.xml'),
+            fixtureXml('cte-sp-frete.xml'),
+            criarArquivo('leiame.txt', 'Arquivos do cliente')
+        ]);
+
+        expect(conjuntos.map(conjunto => [conjunto.tipo, conjunto.competencia, conjunto.files.map(file => file.name)])).toEqual([
+            ['efd', '2024-03', ['efd-marco.txt']],
+            ['xml', '2024-04', ['nfe-sp-uso-consumo.xml', 'cte-sp-frete.xml', 'evento-cancelamento-mg.xml']]
+        ]);
+        expect(ignorados).toEqual(['leiame.txt']);
+    });
+
+    test('ZIP sem o JSZip carregado é rejeitado com mensagem clara', async () => {
+        await expect(new ZipArchiveReader().prepararConjuntos([criarArquivo('lote.zip', 'PK')]))
+            .rejects.toThrow('Biblioteca JSZip não carregada');
+    });
+});
@@ -16,6 +16,7 @@ document.addEventListener('DOMContentLoaded', () => {
     let spedFileContent = '';
     let sharedNomeEmpresa = "Empresa"; // For sharing extracted header info
     let sharedPeriodo = "";
+    let sharedCodVer = ""; // Layout version (COD_VER) of the loaded file
 
     // --- Event Listeners ---
     // spedFileButtonLabel.addEventListener('click', () => { // This is handled by <label for="spedFile">
@@ -154,10 +155,11 @@ document.addEventListener('DOMContentLoaded', () => {
             updateStatus('Extraindo informações do cabeçalho...', 30);
             addLog('Extraindo informações do cabeçalho...', 'info');
             const registrosHeader = lerArquivoSpedParaHeader(spedFileContent); 
-            const { nomeEmpresa, periodo } = extrairInformacoesHeader(registrosHeader);
+            const { nomeEmpresa, periodo, codVer } = extrairInformacoesHeader(registrosHeader);
             sharedNomeEmpresa = nomeEmpresa; // Assign to shared variable
             sharedPeriodo = periodo;       // Assign to shared variable
-            addLog(`Cabeçalho: Empresa "${nomeEmpresa}", Período "${periodo}"`, 'info');
+            sharedCodVer = codVer;         // Selects the record layouts for this file
+            addLog(`Cabeçalho: Empresa "${nomeEmpresa}", Período "${periodo}", Leiaute "${codVer}"`, 'info');
 
             const suggestedExcelName = processarNomeArquivo(nomeEmpresa, periodo, spedFile.name);
             excelFileNameInput.value = suggestedExcelName;
@@ -241,36 +243,25 @@ document.addEventListener('DOMContentLoaded', () => {
     function extrairInformacoesHeader(registros) {
         let nomeEmpresa = "Empresa";
         let periodo = "";
+        let codVer = "";
 
         if (registros['0000'] && registros['0000'].length > 0) {
             const reg0000 = registros['0000'][0]; // reg0000 is already without the initial/final pipe chars
-            // Python code: nome_empresa = reg_0000[6] if len(reg_0000) > 6 else "Empresa"
-            // Python code: data_inicial = reg_0000[4] if len(reg_0000) > 4 else ""
-            // Indexes need to be adjusted because Python's split('|') results in an empty string at the start and end.
-            // ['','REG','COD_VER', ..., 'NOME', ..., ''] for a line |REG|COD_VER|...|NOME|...|
-            // So, in Python, after `campos = linha.split('|')`, `campos[1]` is REG.
-            // `reg_0000` in Python was `registros['0000'][0]` which is `campos`.
-            // So `reg_0000[6]` (NOME) and `reg_0000[4]` (DT_INI).
-
-            // Our `reg0000` is `campos.slice(1, -1)` from `lerArquivoSpedParaHeader`
-            // So, `reg0000[0]` is REG, `reg0000[1]` is COD_VER etc.
-            // DT_INI is at index 3 (original index 4, minus 1)
-            // NOME is at index 5 (original index 6, minus 1)
-
-            const dtIniIndex = 3; // Corresponds to reg_0000[4] in Python's full split
-            const nomeIndex = 5;  // Corresponds to reg_0000[6] in Python's full split
-
-            if (reg0000.length > nomeIndex) {
-                nomeEmpresa = reg0000[nomeIndex] || "Empresa";
-            }
-            if (reg0000.length > dtIniIndex) {
-                const dataInicial = reg0000[dtIniIndex];
-                if (dataInicial && dataInicial.length === 8) {
-                    periodo = `${dataInicial.substring(0, 2)}/${dataInicial.substring(2, 4)}/${dataInicial.substring(4, 8)}`;
-                }
+            // Positions come from the shared layout registry (REG at index 0); 0000 is the same in every version
+            const campo0000 = (nomeCampo) => {
+                const indice = typeof SpedLayouts !== 'undefined' ? SpedLayouts.obterPosicao('0000', nomeCampo) : -1;
+                return indice >= 0 && reg0000.length > indice ? reg0000[indice] : '';
+            };
+
+            nomeEmpresa = campo0000('NOME') || "Empresa";
+            codVer = campo0000('COD_VER');
+
+            const dataInicial = campo0000('DT_INI');
+            if (dataInicial && dataInicial.length === 8) {
+                periodo = `${dataInicial.substring(0, 2)}/${dataInicial.substring(2, 4)}/${dataInicial.substring(4, 8)}`;
             }
         }
-        return { nomeEmpresa, periodo };
+        return { nomeEmpresa, periodo, codVer };
     }
 
     /**
@@ -1091,32 +1082,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
     /**
-     * Provides SPED record layouts (column names).
-     * Mimics `obter_layout_registro` from Python.
+     * Provides SPED record layouts (column names) for the file's layout version.
+     * Uses the layout registry shared with the DIFAL system (sped-layouts.js),
+     * keyed by record type and COD_VER from the 0000 record.
      */
     function obterLayoutRegistro(tipoRegistro) {
-        const layouts = {
-            '0000': ['REG', 'COD_VER', 'COD_FIN', 'DT_INI', 'DT_FIN', 'NOME', 'CNPJ', 'CPF', 'UF', 'IE', 'COD_MUN', 'IM', 'SUFRAMA', 'IND_PERFIL', 'IND_ATIV'],
-            'C100': ['REG', 'IND_OPER', 'IND_EMIT', 'COD_PART', 'COD_MOD', 'COD_SIT', 'SER', 'NUM_DOC', 'CHV_NFE', 'DT_DOC', 'DT_E_S', 'VL_DOC', 'IND_PGTO', 'VL_DESC', 'VL_ABAT_NT', 'VL_MERC', 'IND_FRT', 'VL_FRT', 'VL_SEG', 'VL_OUT_DA', 'VL_BC_ICMS', 'VL_ICMS', 'VL_BC_ICMS_ST', 'VL_ICMS_ST', 'VL_IPI', 'VL_PIS', 'VL_COFINS', 'VL_PIS_ST', 'VL_COFINS_ST'],
-            'C170': ['REG', 'NUM_ITEM', 'COD_ITEM', 'DESCR_COMPL', 'QTD', 'UNID', 'VL_ITEM', 'VL_DESC', 'IND_MOV', 'CST_ICMS', 'CFOP', 'COD_NAT', 'VL_BC_ICMS', 'ALIQ_ICMS', 'VL_ICMS', 'VL_BC_ICMS_ST', 'ALIQ_ST', 'VL_ICMS_ST', 'IND_APUR', 'CST_IPI', 'COD_ENQ', 'VL_BC_IPI', 'ALIQ_IPI', 'VL_IPI', 'CST_PIS', 'VL_BC_PIS', 'ALIQ_PIS', 'QUANT_BC_PIS', 'VL_PIS', 'CST_COFINS', 'VL_BC_COFINS', 'ALIQ_COFINS', 'QUANT_BC_COFINS', 'VL_COFINS', 'COD_CTA', 'VL_ABAT_NT'],
-            'C190': ['REG', 'CST_ICMS', 'CFOP', 'ALIQ_ICMS', 'VL_OPR', 'VL_BC_ICMS', 'VL_ICMS', 'VL_BC_ICMS_ST', 'VL_ICMS_ST', 'VL_RED_BC', 'VL_IPI', 'COD_OBS'],
-            'C500': ['REG', 'IND_OPER', 'IND_EMIT', 'COD_PART', 'COD_MOD', 'COD_SIT', 'SER', 'SUB', 'COD_CONS', 'NUM_DOC', 'DT_DOC', 'DT_E_S', 'VL_DOC', 'VL_DESC', 'VL_FORN', 'VL_SERV_NT', 'VL_TERC', 'VL_DA', 'VL_BC_ICMS', 'VL_ICMS', 'VL_BC_ICMS_ST', 'VL_ICMS_ST', 'COD_INF', 'VL_PIS', 'VL_COFINS'],
-            'C590': ['REG', 'CST_ICMS', 'CFOP', 'ALIQ_ICMS', 'VL_OPR', 'VL_BC_ICMS', 'VL_ICMS', 'VL_BC_ICMS_ST', 'VL_ICMS_ST', 'VL_RED_BC', 'COD_OBS'],
-            'D100': ['REG', 'IND_OPER', 'IND_EMIT', 'COD_PART', 'COD_MOD', 'COD_SIT', 'SER', 'SUB', 'NUM_DOC', 'CHV_CTE', 'DT_DOC', 'DT_A_P', 'TP_CT-e', 'CHV_CTE_REF', 'VL_DOC', 'VL_DESC', 'IND_FRT', 'VL_SERV', 'VL_BC_ICMS', 'VL_ICMS', 'VL_NT', 'COD_INF', 'COD_CTA', 'COD_MUN_ORIG', 'COD_MUN_DEST'],
-            'D190': ['REG', 'CST_ICMS', 'CFOP', 'ALIQ_ICMS', 'VL_OPR', 'VL_BC_ICMS', 'VL_ICMS', 'VL_RED_BC', 'COD_OBS'],
-            'D500': ['REG', 'IND_OPER', 'IND_EMIT', 'COD_PART', 'COD_MOD', 'COD_SIT', 'SER', 'SUB', 'NUM_DOC', 'DT_DOC', 'DT_A_P', 'VL_DOC', 'VL_DESC', 'VL_SERV', 'VL_SERV_NT', 'VL_TERC', 'VL_DA', 'VL_BC_ICMS', 'VL_ICMS', 'COD_INF', 'VL_PIS', 'VL_COFINS', 'COD_CTA', 'TP_ASSINANTE'],
-            'D590': ['REG', 'CST_ICMS', 'CFOP', 'ALIQ_ICMS', 'VL_OPR', 'VL_BC_ICMS', 'VL_ICMS', 'VL_BC_ICMS_ST', 'VL_ICMS_ST', 'VL_RED_BC', 'COD_OBS'],
-            'E100': ['REG', 'DT_INI', 'DT_FIN'],
-            'E110': ['REG', 'VL_TOT_DEBITOS', 'VL_AJ_DEBITOS', 'VL_TOT_AJ_DEBITOS', 'VL_ESTORNOS_CRED', 'VL_TOT_CREDITOS', 'VL_AJ_CREDITOS', 'VL_TOT_AJ_CREDITOS', 'VL_ESTORNOS_DEB', 'VL_SLD_CREDOR_ANT', 'VL_SLD_APURADO', 'VL_TOT_DED', 'VL_ICMS_RECOLHER', 'VL_SLD_CREDOR_TRANSPORTAR', 'DEB_ESP'],
-            'E111': ['REG', 'COD_AJ_APUR', 'DESCR_COMPL_AJ', 'VL_AJ_APUR'],
-            'E200': ['REG', 'UF', 'DT_INI', 'DT_FIN'],
-            'E210': ['REG', 'IND_MOV_ST', 'VL_SLD_CRED_ANT_ST', 'VL_DEVOL_ST', 'VL_RESSARC_ST', 'VL_OUT_CRED_ST', 'VL_AJ_CREDITOS_ST', 'VL_RETENCAO_ST', 'VL_OUT_DEB_ST', 'VL_AJ_DEBITOS_ST', 'VL_SLD_DEV_ANT_ST', 'VL_DEDUCOES_ST', 'VL_ICMS_RECOL_ST', 'VL_SLD_CRED_ST_TRANSPORTAR', 'DEB_ESP_ST'],
-            'E500': ['REG', 'IND_APUR', 'DT_INI', 'DT_FIN'],
-            'E510': ['REG', 'CFOP', 'CST_IPI', 'VL_CONT_IPI', 'VL_BC_IPI', 'VL_IPI'],
-            'E520': ['REG', 'VL_SD_ANT_IPI', 'VL_DEB_IPI', 'VL_CRED_IPI', 'VL_OD_IPI', 'VL_OC_IPI', 'VL_SC_IPI', 'VL_SD_IPI']
-            // Add other layouts as needed from the Python script
-        };
-        return layouts[tipoRegistro] || null;
+        if (typeof SpedLayouts === 'undefined') {
+            addLog('Registro de layouts SPED não carregado (sped-layouts.js).', 'error');
+            return null;
+        }
+        return SpedLayouts.obterNomesCampos(tipoRegistro, sharedCodVer);
     }
 
     // --- UI Update Functions ---